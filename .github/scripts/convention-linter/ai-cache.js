@@ -0,0 +1,126 @@
+// Cache of AI findings per group of related files (see prompt-batches.js),
+// so a push that leaves a model / migration group unchanged does not pay for
+// the same analysis again. An entry is keyed by a hash of the system prompt,
+// the provider and model, and the group's user prompt, which holds its diffs,
+// file contents and pairing. The cache is a JSON file in AI_CACHE_DIR
+// (default '.cache/convention-linter') that the workflow keeps between runs
+// with actions/cache. A cache that cannot be read or written is skipped with
+// a warning; it never fails the run.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join('.cache', 'convention-linter');
+const CACHE_FILE = 'ai-findings.json';
+// Bump when the stored findings change shape
+const CACHE_VERSION = 1;
+// Entries not used for this long are dropped when the cache is saved
+const MAX_AGE_DAYS = 30;
+
+function normalize(file) {
+    return path.normalize(file).split(path.sep).join('/');
+}
+
+function cacheKey(provider, systemPrompt, userPrompt) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([provider.id, provider.model, systemPrompt, userPrompt]))
+        .digest('hex');
+}
+
+class FindingsCache {
+    constructor(file) {
+        this.file = file;
+        this.entries = {};
+        this.hits = 0;
+        this.stored = 0;
+
+        if (!fs.existsSync(file)) return;
+        try {
+            const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (cache.version === CACHE_VERSION) this.entries = cache.entries || {};
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable AI cache ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Findings cached for a group with the first provider of the chain that
+     * has them: `{ provider, findings, createdAt }`, or null
+     */
+    lookup(providers, systemPrompt, userPrompt) {
+        for (const provider of providers) {
+            const entry = this.entries[cacheKey(provider, systemPrompt, userPrompt)];
+            if (!entry) continue;
+            entry.usedAt = new Date().toISOString();
+            this.hits++;
+            return {provider: provider.id, findings: entry.findings, createdAt: entry.createdAt};
+        }
+        return null;
+    }
+
+    store(provider, systemPrompt, userPrompt, findings) {
+        const now = new Date().toISOString();
+        this.entries[cacheKey(provider, systemPrompt, userPrompt)] = {provider: provider.id, findings, createdAt: now, usedAt: now};
+        this.stored++;
+    }
+
+    /**
+     * Writes the cache, dropping entries unused for MAX_AGE_DAYS
+     */
+    save() {
+        if (this.hits === 0 && this.stored === 0) return;
+        const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        const entries = Object.fromEntries(Object.entries(this.entries)
+            .filter(([, entry]) => Date.parse(entry.usedAt) >= cutoff));
+        try {
+            const dir = path.dirname(this.file);
+            fs.mkdirSync(dir, {recursive: true});
+            // Keeps a cache in the checkout out of commits, as pytest does with .pytest_cache
+            const ignore = path.join(dir, '.gitignore');
+            if (!fs.existsSync(ignore)) fs.writeFileSync(ignore, '*\n');
+            // Write and rename, so an interrupted run cannot leave half a file behind
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, `${JSON.stringify({version: CACHE_VERSION, entries})}\n`);
+            fs.renameSync(temporary, this.file);
+        } catch (error) {
+            console.warn(`⚠️  Could not write the AI cache ${this.file}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * The findings cache, or null when AI_CACHE is 'false'
+ */
+function openFindingsCache() {
+    if (process.env.AI_CACHE === 'false') return null;
+    return new FindingsCache(path.join(process.env.AI_CACHE_DIR || DEFAULT_CACHE_DIR, CACHE_FILE));
+}
+
+/**
+ * A group's share of the batch results that reviewed its changed `files`:
+ * the findings located in the group, plus those located in no changed file
+ * of the batch (e.g. on a related file), which could belong to any of its
+ * groups. `batches` are `[{ files, findings, provider }]`; the provider is
+ * the one that answered the group's first batch.
+ */
+function groupResult(files, batches) {
+    const group = new Set(files.map(normalize));
+    const result = {provider: null, findings: []};
+    for (const batch of batches) {
+        const reviewed = new Set(batch.files.map(normalize));
+        if (![...group].some(file => reviewed.has(file))) continue;
+        result.provider = result.provider || batch.provider;
+        result.findings.push(...batch.findings.filter(finding => {
+            const file = finding.file ? normalize(finding.file) : null;
+            return group.has(file) || !reviewed.has(file);
+        }));
+    }
+    return result;
+}
+
+module.exports = {
+    FindingsCache,
+    groupResult,
+    openFindingsCache
+};
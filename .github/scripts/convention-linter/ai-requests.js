@@ -0,0 +1,104 @@
+// Asking the AI for findings: one provider with retries on malformed
+// responses, and the provider chain of AI_PROVIDER and its fallbacks.
+
+const {ResponseFormatError, correctionPrompt, parseAIResponse, reviewedFiles} = require('./ai-response');
+const {dedupeFindings} = require('./findings');
+const {planBatches, promptBudget} = require('./prompt-batches');
+const {callProvider, getProvider} = require('./providers');
+
+/**
+ * Generic function to call the selected AI provider with system/user prompts
+ */
+async function callAIProvider(provider, systemPrompt, userPrompt, token) {
+    const providerConfig = getProvider(provider);
+    console.log(`🤖 Calling ${providerConfig.name}...`);
+    return await callProvider(providerConfig, systemPrompt, userPrompt, token);
+}
+
+/**
+ * Calls the AI provider and parses its JSON findings, re-asking with the
+ * validation problems when the response does not match the output contract
+ * or cites a file the prompt did not show (`files`, see `reviewedFiles`)
+ */
+async function requestAIFindings(provider, systemPrompt, userPrompt, token, files = null) {
+    const retries = Number.parseInt(process.env.AI_RESPONSE_RETRIES || '2', 10);
+    let prompt = userPrompt;
+
+    for (let attempt = 0; ; attempt++) {
+        const responseText = await callAIProvider(provider, systemPrompt, prompt, token);
+        try {
+            return {responseText, findings: parseAIResponse(responseText, files)};
+        } catch (error) {
+            if (!(error instanceof ResponseFormatError) || attempt >= retries) throw error;
+            console.warn(`⚠️  Malformed AI response (attempt ${attempt + 1}/${retries + 1}): ${error.problems.join('; ')}`);
+            prompt = correctionPrompt(userPrompt, error);
+        }
+    }
+}
+
+/**
+ * Ordered provider chain: AI_PROVIDER first, then AI_PROVIDER_FALLBACKS
+ */
+function providerChain(provider) {
+    const fallbacks = (process.env.AI_PROVIDER_FALLBACKS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return [...new Set([provider, ...fallbacks])];
+}
+
+/**
+ * Whether a provider can be called: it needs no token or its token is set
+ */
+function hasToken(provider) {
+    const tokenVar = getProvider(provider).requiresToken;
+    return !tokenVar || Boolean(process.env[tokenVar]);
+}
+
+/**
+ * The provider prompts are sized for: the first of the chain that can be
+ * called. A fallback with a smaller context window re-plans what it gets.
+ */
+function planningProvider(chain) {
+    return getProvider(chain.find(hasToken) || chain[0]);
+}
+
+/**
+ * Requests findings on `diffData` from each provider of the chain in turn
+ * until one answers. Providers whose token is not set are skipped. A user
+ * prompt (`render(diffData)`) over the budget of the provider asked is split
+ * into batches that fit it, asked one after the other.
+ */
+async function requestAIFindingsWithFailover(chain, systemPrompt, diffData, render) {
+    const failures = [];
+    for (const provider of chain) {
+        const config = getProvider(provider);
+        if (!hasToken(provider)) {
+            console.warn(`⚠️  Skipping AI provider '${provider}': ${config.requiresToken} is not set`);
+            failures.push(`${provider}: ${config.requiresToken} is not set`);
+            continue;
+        }
+        try {
+            const token = config.requiresToken ? process.env[config.requiresToken] : null;
+            const batches = planBatches(diffData, render, promptBudget(config, systemPrompt));
+            if (batches.length > 1) {
+                console.log(`✂️  Split into ${batches.length} batches for the context window of ${config.name}`);
+            }
+            const findings = [];
+            for (const batch of batches) {
+                const result = await requestAIFindings(provider, systemPrompt, render(batch.diffData), token, reviewedFiles(batch.diffData));
+                findings.push(...result.findings);
+            }
+            return {findings: dedupeFindings(findings), provider};
+        } catch (error) {
+            console.warn(`⚠️  AI provider '${provider}' failed: ${error.message}`);
+            failures.push(`${provider}: ${error.message}`);
+        }
+    }
+    throw new Error(`No AI provider could analyze the changes (${failures.join('; ')})`);
+}
+
+module.exports = {
+    hasToken,
+    planningProvider,
+    providerChain,
+    requestAIFindings,
+    requestAIFindingsWithFailover
+};
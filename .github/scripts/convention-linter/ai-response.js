@@ -0,0 +1,207 @@
+// Output contract for the AI review: the model must answer with a JSON
+// object of findings. This module renders the contract into the prompt,
+// parses and validates responses, and converts them to regular findings.
+
+const path = require('path');
+const {SEVERITY, createFinding} = require('./findings');
+const {RULES} = require('./rules');
+
+const AI_CATEGORIES = [
+    'Naming Convention',
+    'Structural Integrity',
+    'Data Type Mismatch',
+    'Migration Safety',
+    'Relationship Error'
+];
+
+// Rule ids the AI may cite; the deterministic-only rules are left out
+const AI_RULES = RULES.filter(rule => rule.ai !== false).map(rule => rule.id);
+
+const OUTPUT_SCHEMA = {
+    type: 'object',
+    required: ['findings'],
+    additionalProperties: false,
+    properties: {
+        findings: {
+            type: 'array',
+            description: 'One entry per violation. An empty array means no issues were found.',
+            items: {
+                type: 'object',
+                required: ['rule', 'category', 'severity', 'file', 'line', 'message', 'suggestedFix'],
+                properties: {
+                    rule: {type: 'string', enum: AI_RULES, description: 'Id of the violated convention rule'},
+                    category: {type: 'string', enum: AI_CATEGORIES},
+                    severity: {type: 'string', enum: Object.values(SEVERITY)},
+                    file: {type: 'string', description: 'Path of the file the violation is in, as given in the diff'},
+                    line: {type: ['integer', 'null'], minimum: 1, description: 'Line in the new version of the file, or null'},
+                    message: {type: 'string', description: 'What is wrong, in one sentence'},
+                    impact: {type: 'string', description: 'Runtime consequence (optional)'},
+                    suggestedFix: {type: 'string', description: 'Specific action that resolves the violation'}
+                }
+            }
+        }
+    }
+};
+
+const SCHEMA_PLACEHOLDER = '__OUTPUT_SCHEMA__';
+
+/**
+ * Thrown when a response does not satisfy the output contract
+ */
+class ResponseFormatError extends Error {
+    constructor(problems, responseText) {
+        super(`AI response does not match the output contract: ${problems.join('; ')}`);
+        this.name = 'ResponseFormatError';
+        this.problems = problems;
+        this.responseText = responseText;
+    }
+}
+
+/**
+ * Text describing the contract, inserted into the system prompt
+ */
+function describeOutputContract() {
+    return [
+        'Respond with a single JSON object and nothing else (no prose, no Markdown fences).',
+        'It must validate against this JSON Schema:',
+        '',
+        JSON.stringify(OUTPUT_SCHEMA, null, 2),
+        '',
+        'When there are no issues respond with: {"findings": []}'
+    ].join('\n');
+}
+
+/**
+ * Replaces the schema placeholder in a system prompt, or appends the
+ * contract when a custom prompt does not contain the placeholder
+ */
+function withOutputContract(systemPrompt) {
+    if (systemPrompt.includes(SCHEMA_PLACEHOLDER)) {
+        return systemPrompt.replace(SCHEMA_PLACEHOLDER, describeOutputContract());
+    }
+    return `${systemPrompt.trimEnd()}\n\n## Response Format\n\n${describeOutputContract()}\n`;
+}
+
+/**
+ * Extracts the JSON object from a response, tolerating Markdown fences or
+ * text around it
+ */
+function extractJson(responseText) {
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(responseText);
+    const candidate = (fenced ? fenced[1] : responseText).trim();
+    if (candidate.startsWith('{')) return candidate;
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    return start !== -1 && end > start ? candidate.slice(start, end + 1) : candidate;
+}
+
+function normalize(file) {
+    return path.normalize(file).split(path.sep).join('/');
+}
+
+/**
+ * The files a prompt shows the model, as `path -> number of lines`, or null
+ * lines when only the diff of a file is shown
+ */
+function reviewedFiles(diffData) {
+    const files = new Map();
+    for (const fileInfo of [...diffData.diffs, ...(diffData.relatedFiles || [])]) {
+        files.set(normalize(fileInfo.path), fileInfo.fullContent ? fileInfo.fullContent.split('\n').length : null);
+    }
+    return files;
+}
+
+function validateFinding(finding, position, problems, files) {
+    const where = `findings[${position}]`;
+    if (finding === null || typeof finding !== 'object' || Array.isArray(finding)) {
+        problems.push(`${where} must be an object`);
+        return;
+    }
+    for (const key of ['rule', 'category', 'severity', 'file', 'message', 'suggestedFix']) {
+        if (typeof finding[key] !== 'string' || finding[key].trim() === '') {
+            problems.push(`${where}.${key} must be a non-empty string`);
+        }
+    }
+    if (typeof finding.rule === 'string' && finding.rule.trim() !== '' && !AI_RULES.includes(finding.rule)) {
+        problems.push(`${where}.rule must be one of: ${AI_RULES.join(', ')}`);
+    }
+    if (typeof finding.category === 'string' && !AI_CATEGORIES.includes(finding.category)) {
+        problems.push(`${where}.category must be one of: ${AI_CATEGORIES.join(', ')}`);
+    }
+    if (typeof finding.severity === 'string' && !Object.values(SEVERITY).includes(finding.severity.toLowerCase())) {
+        problems.push(`${where}.severity must be one of: ${Object.values(SEVERITY).join(', ')}`);
+    }
+    if (!('line' in finding)) {
+        problems.push(`${where}.line is required (use null when unknown)`);
+    } else if (finding.line !== null && !(Number.isInteger(finding.line) && finding.line >= 1)) {
+        problems.push(`${where}.line must be a positive integer or null`);
+    }
+    if (finding.impact !== undefined && typeof finding.impact !== 'string') {
+        problems.push(`${where}.impact must be a string`);
+    }
+
+    // A finding must point at a file the model was shown
+    if (!files || typeof finding.file !== 'string' || finding.file.trim() === '') return;
+    const file = normalize(finding.file.trim());
+    if (!files.has(file)) {
+        problems.push(`${where}.file '${finding.file}' is not one of the reviewed files: ${[...files.keys()].join(', ')}`);
+    } else if (files.get(file) !== null && Number.isInteger(finding.line) && finding.line > files.get(file)) {
+        problems.push(`${where}.line ${finding.line} is past the end of ${file} (${files.get(file)} lines)`);
+    }
+}
+
+/**
+ * Parses and validates a response. Returns the findings in the same shape the
+ * static analyzers produce; throws ResponseFormatError listing every problem.
+ * With `files` (see `reviewedFiles`), findings must also point at one of them.
+ */
+function parseAIResponse(responseText, files = null) {
+    let parsed;
+    try {
+        parsed = JSON.parse(extractJson(String(responseText || '')));
+    } catch (error) {
+        throw new ResponseFormatError([`response is not valid JSON (${error.message})`], responseText);
+    }
+
+    const problems = [];
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        problems.push('response must be a JSON object');
+    } else if (!Array.isArray(parsed.findings)) {
+        problems.push('"findings" must be an array');
+    } else {
+        parsed.findings.forEach((finding, position) => validateFinding(finding, position, problems, files));
+    }
+    if (problems.length > 0) throw new ResponseFormatError(problems, responseText);
+
+    return parsed.findings.map(finding => createFinding({
+        category: finding.category,
+        rule: finding.rule,
+        severity: finding.severity.toLowerCase(),
+        message: finding.message.trim(),
+        file: files ? normalize(finding.file.trim()) : finding.file,
+        line: finding.line,
+        impact: finding.impact || null,
+        fix: finding.suggestedFix.trim()
+    }));
+}
+
+/**
+ * Follow-up prompt asking the model to correct a malformed response
+ */
+function correctionPrompt(userPrompt, error) {
+    return `${userPrompt}\n\n---\n\nYour previous response could not be used: ${error.problems.join('; ')}.\n` +
+        'Respond again with only the JSON object described in your instructions.';
+}
+
+module.exports = {
+    AI_CATEGORIES,
+    AI_RULES,
+    OUTPUT_SCHEMA,
+    ResponseFormatError,
+    correctionPrompt,
+    describeOutputContract,
+    parseAIResponse,
+    reviewedFiles,
+    withOutputContract
+};
@@ -0,0 +1,332 @@
+// Association / foreign key cross-validation: derives the foreign keys the
+// `@ForeignKey`, `@BelongsTo`, `@HasMany`, `@HasOne` and `@BelongsToMany`
+// decorators imply and checks them against the schema the migrations build:
+// the column, its `references` or FOREIGN KEY constraint, onDelete/onUpdate,
+// the target table, type compatibility and an index on the column.
+
+const {isPlainObject, isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {toCamelCase, toSnakeCase} = require('./naming');
+const {describeType, typesEqual} = require('./schema');
+
+const ASSOCIATIONS = ['BelongsTo', 'HasMany', 'HasOne', 'BelongsToMany'];
+
+/**
+ * Model name behind `() => Address`, `Address` or `'Address'`
+ */
+function modelReference(value) {
+    if (typeof value === 'string') return value;
+    if (isSymbolic(value, 'function') && value.node.body.type === 'Identifier') return value.node.body.name;
+    if (isSymbolic(value, 'class') || isSymbolic(value, 'ref')) return value.name;
+    return null;
+}
+
+/**
+ * `foreignKey: 'addressId'` or `foreignKey: { name: 'addressId' }`
+ */
+function keyName(value) {
+    if (typeof value === 'string') return value;
+    if (isPlainObject(value) && typeof value.name === 'string') return value.name;
+    return null;
+}
+
+/**
+ * `references: { model: 'addresses', key: 'id' }` of a column, or the
+ * FOREIGN KEY constraint covering it
+ */
+function constraintFor(table, column) {
+    const references = column.references;
+    if (isPlainObject(references)) {
+        const model = references.model;
+        return {
+            table: typeof model === 'string' ? model : (isPlainObject(model) ? model.tableName : null),
+            key: typeof references.key === 'string' ? references.key : null,
+            onDelete: column.onDelete,
+            onUpdate: column.onUpdate,
+            file: column.file,
+            line: (column.lines && column.lines.references) || column.line
+        };
+    }
+    const constraint = table.constraints.find(candidate => {
+        const options = candidate.options || {};
+        return String(options.type || '').toLowerCase() === 'foreign key' &&
+            candidate.fields.length === 1 && candidate.fields[0] === column.name;
+    });
+    if (!constraint) return null;
+    const target = constraint.options.references || {};
+    return {
+        table: typeof target.table === 'string' ? target.table : (isPlainObject(target.table) ? target.table.tableName : null),
+        key: typeof target.field === 'string' ? target.field : null,
+        onDelete: constraint.options.onDelete,
+        onUpdate: constraint.options.onUpdate,
+        file: constraint.file,
+        line: constraint.line
+    };
+}
+
+function primaryKeyOf(model) {
+    return model.attributes.find(attribute => attribute.column.primaryKey) || null;
+}
+
+function columnOf(model, attributeName) {
+    const attribute = model.attributes.find(candidate => candidate.name === attributeName);
+    if (attribute) return attribute.columnName;
+    return model.settings && !model.settings.underscored ? attributeName : toSnakeCase(attributeName);
+}
+
+/**
+ * Attribute of `model` that `@ForeignKey(() => target)` marks
+ */
+function foreignKeyTo(model, target) {
+    const property = model.properties.find(candidate => candidate.decorators.some(decorator =>
+        decorator.name === 'ForeignKey' && modelReference((decorator.args || [])[0]) === target));
+    return property ? property.name : null;
+}
+
+/**
+ * The foreign keys a model's associations and `@ForeignKey` properties
+ * imply: `{ owner, column, target, targetColumn, onDelete, onUpdate, source }`
+ * where `owner` is the model whose table holds the column
+ */
+function associationForeignKeys(model, modelsByName) {
+    const keys = [];
+    const add = (key) => {
+        if (!key.owner || !key.target) return;
+        if (keys.some(existing => existing.owner === key.owner && existing.column === key.column)) return;
+        keys.push(key);
+    };
+    const targetColumn = (target, keyAttribute) => {
+        if (keyAttribute) return columnOf(target, keyAttribute);
+        const primaryKey = primaryKeyOf(target);
+        return primaryKey ? primaryKey.columnName : 'id';
+    };
+
+    for (const property of model.properties) {
+        for (const decorator of property.decorators) {
+            if (!ASSOCIATIONS.includes(decorator.name)) continue;
+            const [targetArg, second, third] = decorator.args || [];
+            const target = modelsByName.get(modelReference(targetArg));
+            const options = isPlainObject(second) ? second : (isPlainObject(third) ? third : {});
+            const explicitKey = keyName(typeof second === 'string' ? second : options.foreignKey);
+            const source = {file: model.file, line: decorator.line, detail: `@${decorator.name} ${property.name}`};
+            if (!target) continue;
+
+            switch (decorator.name) {
+                case 'BelongsTo': {
+                    const attribute = explicitKey || foreignKeyTo(model, target.name) || `${toCamelCase(property.name)}Id`;
+                    add({
+                        owner: model,
+                        column: columnOf(model, attribute),
+                        target,
+                        targetColumn: targetColumn(target, options.targetKey),
+                        onDelete: options.onDelete,
+                        onUpdate: options.onUpdate,
+                        source
+                    });
+                    break;
+                }
+                case 'HasMany':
+                case 'HasOne': {
+                    const attribute = explicitKey || foreignKeyTo(target, model.name) || `${toCamelCase(model.name)}Id`;
+                    add({
+                        owner: target,
+                        column: columnOf(target, attribute),
+                        target: model,
+                        targetColumn: targetColumn(model, options.sourceKey),
+                        onDelete: options.onDelete,
+                        onUpdate: options.onUpdate,
+                        source
+                    });
+                    break;
+                }
+                case 'BelongsToMany': {
+                    // `@BelongsToMany(() => Tag, () => AddressTag)` or `{ through, foreignKey, otherKey }`
+                    const throughArg = isPlainObject(second) ? second.through : second;
+                    const through = modelsByName.get(modelReference(isPlainObject(throughArg) ? throughArg.model : throughArg));
+                    if (!through) break;
+                    const foreignKey = keyName(options.foreignKey) || (typeof third === 'string' ? third : null) ||
+                        foreignKeyTo(through, model.name) || `${toCamelCase(model.name)}Id`;
+                    const otherKey = keyName(options.otherKey) || foreignKeyTo(through, target.name) || `${toCamelCase(target.name)}Id`;
+                    add({owner: through, column: columnOf(through, foreignKey), target: model, targetColumn: targetColumn(model), onDelete: options.onDelete, onUpdate: options.onUpdate, source});
+                    add({owner: through, column: columnOf(through, otherKey), target, targetColumn: targetColumn(target), onDelete: options.onDelete, onUpdate: options.onUpdate, source});
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+    }
+
+    // `@ForeignKey` without an association in this model
+    for (const property of model.properties) {
+        const decorator = property.decorators.find(candidate => candidate.name === 'ForeignKey');
+        const target = decorator && modelsByName.get(modelReference((decorator.args || [])[0]));
+        if (!target) continue;
+        add({
+            owner: model,
+            column: columnOf(model, property.name),
+            target,
+            targetColumn: targetColumn(target),
+            source: {file: model.file, line: decorator.line, detail: `@ForeignKey ${property.name}`}
+        });
+    }
+    return keys;
+}
+
+function sameAction(a, b) {
+    const normalize = (action) => (typeof action === 'string' ? action.toUpperCase().replace(/\s+/g, ' ') : 'NO ACTION');
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Index whose leading column is the foreign key (or a key making it unique)
+ */
+function isIndexed(table, column) {
+    if (column.primaryKey || column.unique) return true;
+    return table.indexes.some(index => index.fields[0] === column.name) ||
+        table.constraints.some(constraint => ['unique', 'primary key'].includes(String((constraint.options || {}).type || '').toLowerCase()) &&
+            constraint.fields[0] === column.name);
+}
+
+/**
+ * Checks one implied foreign key against the schema
+ */
+function checkForeignKey(key, schema, complete) {
+    const findings = [];
+    const {owner, target, source} = key;
+    const label = `${owner.tableName}.${key.column} -> ${target.tableName}.${key.targetColumn}`;
+    const table = schema.tables.get(owner.tableName);
+    const targetTable = schema.tables.get(target.tableName);
+    if (!table) return findings;
+
+    if (!targetTable) {
+        if (complete) {
+            findings.push(createFinding({
+                category: 'Relationship Error',
+                rule: 'foreign-key-definition',
+                message: `${source.detail} references table '${target.tableName}', which no migration creates`,
+                model: source,
+                migration: {file: table.file, line: table.line, detail: `no createTable('${target.tableName}')`},
+                impact: 'The foreign key cannot be created and every join through the association fails',
+                fix: `Create '${target.tableName}' in an earlier migration or fix the association target`,
+                primary: 'model'
+            }));
+        }
+        return findings;
+    }
+
+    const column = table.columns.get(key.column);
+    if (!column) {
+        findings.push(createFinding({
+            category: 'Relationship Error',
+            rule: 'foreign-key-definition',
+            message: `${source.detail} needs foreign key column '${key.column}' on '${owner.tableName}', which no migration creates`,
+            model: source,
+            migration: {file: table.file, line: table.line, detail: `createTable('${owner.tableName}') has no '${key.column}' column`},
+            impact: 'Loading or saving the association fails with "column does not exist"',
+            fix: `Add '${key.column}' with references: { model: '${target.tableName}', key: '${key.targetColumn}' } in a migration`,
+            primary: 'model'
+        }));
+        return findings;
+    }
+
+    const migrationSide = (detail, line = column.line, file = column.file) => ({file, line, detail});
+    const constraint = constraintFor(table, column);
+    if (!constraint) {
+        findings.push(createFinding({
+            category: 'Relationship Error',
+            rule: 'foreign-key-definition',
+            message: `Column '${owner.tableName}.${key.column}' has no foreign key constraint to '${target.tableName}' (${source.detail})`,
+            model: source,
+            migration: migrationSide(`${key.column}: ${describeType(column.type)} without references`),
+            impact: 'Nothing stops rows from pointing at deleted or non-existent records',
+            fix: `Add references: { model: '${target.tableName}', key: '${key.targetColumn}' } to the column or an addConstraint of type 'foreign key'`
+        }));
+    } else if (constraint.table !== target.tableName || (constraint.key || 'id') !== key.targetColumn) {
+        findings.push(createFinding({
+            category: 'Relationship Error',
+            rule: 'foreign-key-definition',
+            message: `Foreign key '${owner.tableName}.${key.column}' references ${constraint.table}.${constraint.key || 'id'}, but ${source.detail} expects ${target.tableName}.${key.targetColumn}`,
+            model: source,
+            migration: migrationSide(`references ${constraint.table}.${constraint.key || 'id'}`, constraint.line, constraint.file),
+            impact: 'The association joins on different rows than the database constraint protects',
+            fix: `Point the constraint at '${target.tableName}.${key.targetColumn}' or fix the association`
+        }));
+    } else {
+        for (const action of ['onDelete', 'onUpdate']) {
+            if (key[action] === undefined || sameAction(key[action], constraint[action])) continue;
+            findings.push(createFinding({
+                category: 'Relationship Error',
+                rule: 'foreign-key-definition',
+                message: `${action} for '${label}' differs (model: ${key[action]}, migration: ${constraint[action] || 'NO ACTION'})`,
+                model: source,
+                migration: migrationSide(`${action}: ${constraint[action] || 'not set'}`, constraint.line, constraint.file),
+                impact: action === 'onDelete'
+                    ? 'Deleting a parent row behaves differently than the model declares'
+                    : 'Changing a parent key behaves differently than the model declares',
+                fix: `Use ${action}: '${key[action]}' in the migration or the model's value in both places`
+            }));
+        }
+    }
+
+    const targetKey = targetTable.columns.get(key.targetColumn);
+    if (targetKey && column.type && targetKey.type && !typesEqual(column.type, targetKey.type)) {
+        findings.push(createFinding({
+            category: 'Relationship Error',
+            rule: 'foreign-key-type-match',
+            message: `Foreign key '${label}' has type ${describeType(column.type)}, but the referenced key is ${describeType(targetKey.type)}`,
+            model: source,
+            migration: migrationSide(`${key.column}: ${describeType(column.type)}`),
+            impact: 'The constraint cannot be created or joins need casts that skip the index',
+            fix: `Make '${key.column}' ${describeType(targetKey.type)} like ${target.tableName}.${key.targetColumn}`
+        }));
+    }
+
+    if (!isIndexed(table, column)) {
+        findings.push(createFinding({
+            category: 'Relationship Error',
+            rule: 'foreign-key-index',
+            severity: SEVERITY.WARNING,
+            message: `Foreign key '${owner.tableName}.${key.column}' has no index`,
+            model: source,
+            migration: migrationSide(`${key.column}: no index with it as the leading column`),
+            impact: 'Loading the association and deleting parent rows scan the whole table',
+            fix: `Add queryInterface.addIndex('${owner.tableName}', ['${key.column}'])`
+        }));
+    }
+
+    return findings;
+}
+
+/**
+ * Cross-validates every model's associations against the schema. Tables
+ * missing from `schema` are only reported when it is `complete`, i.e.
+ * replayed from the full migration history.
+ */
+function checkAssociations(models, schema, {complete = true} = {}) {
+    const modelsByName = new Map(models.map(model => [model.name, model]));
+    // Both sides of an association imply the same key; check it once
+    const keys = new Map();
+    for (const model of models) {
+        for (const key of associationForeignKeys(model, modelsByName)) {
+            const id = `${key.owner.tableName}.${key.column}`;
+            const existing = keys.get(id);
+            if (!existing) {
+                keys.set(id, key);
+                continue;
+            }
+            if (existing.onDelete === undefined) existing.onDelete = key.onDelete;
+            if (existing.onUpdate === undefined) existing.onUpdate = key.onUpdate;
+        }
+    }
+    const findings = [];
+    for (const key of keys.values()) {
+        findings.push(...checkForeignKey(key, schema, complete));
+    }
+    return findings;
+}
+
+module.exports = {
+    associationForeignKeys,
+    checkAssociations
+};
@@ -0,0 +1,208 @@
+// Local command line mode: argument parsing, discovery of changed files from
+// git (a base ref, the staged files or explicit paths) and installation of
+// the pre-commit hook. The runner uses it when it is given arguments instead
+// of the GitHub Actions environment.
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const {stagedTree, workingTree} = require('./project-files');
+
+const HOOK_MARKER = '# convention-linter pre-commit hook';
+
+/**
+ * Parses the command line. Returns null when there are no arguments.
+ * `local` is false when only report options are given, i.e. the runner
+ * should still use the GitHub Actions environment; `reports` are the
+ * requested report files, `[{ format, file }]`.
+ */
+function parseCliArgs(argv) {
+    const options = {base: null, staged: false, ai: false, provider: null, installHook: false, files: [], reports: [], local: false};
+    if (argv.length === 0) return null;
+
+    const valueOf = (arg, position) => {
+        const inline = arg.indexOf('=');
+        if (inline !== -1) return {value: arg.slice(inline + 1), next: position};
+        const value = argv[position + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`Option ${arg} requires a value`);
+        }
+        return {value, next: position + 1};
+    };
+
+    for (let position = 0; position < argv.length; position++) {
+        const arg = argv[position];
+        const flag = arg.split('=')[0];
+        if (flag !== '--sarif' && flag !== '--junit') options.local = true;
+        switch (flag) {
+            case '--base': {
+                const {value, next} = valueOf(arg, position);
+                options.base = value;
+                position = next;
+                break;
+            }
+            case '--provider': {
+                const {value, next} = valueOf(arg, position);
+                options.provider = value;
+                options.ai = true;
+                position = next;
+                break;
+            }
+            case '--sarif':
+            case '--junit': {
+                const {value, next} = valueOf(arg, position);
+                options.reports.push({format: flag.slice(2), file: value});
+                position = next;
+                break;
+            }
+            case '--staged':
+                options.staged = true;
+                break;
+            case '--ai':
+                options.ai = true;
+                break;
+            case '--install-hook':
+                options.installHook = true;
+                break;
+            case '--local':
+                break;
+            case '--':
+                options.files.push(...argv.slice(position + 1));
+                position = argv.length;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                options.files.push(arg);
+        }
+    }
+
+    if (options.staged && options.base) {
+        throw new Error('--staged and --base cannot be combined');
+    }
+    return options;
+}
+
+function git(args) {
+    return execFileSync('git', args, {encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe']});
+}
+
+function gitLines(args) {
+    return git(args).split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * HEAD, or the empty tree in a repository without commits yet, against
+ * which every file is new
+ */
+function headOrEmptyTree() {
+    try {
+        git(['rev-parse', '--verify', 'HEAD']);
+        return 'HEAD';
+    } catch (error) {
+        // stdin is ignored, so this hashes an empty tree
+        return git(['hash-object', '-t', 'tree', '--stdin']).trim();
+    }
+}
+
+/**
+ * Makes the paths given on the command line absolute and changes to the top
+ * of the repository: git reports paths from there, and the project
+ * directories (MIGRATIONS_DIR, .github/prompts, ...) are found from there.
+ * Returns the options with the resolved paths.
+ */
+function enterRepositoryRoot(options) {
+    const root = git(['rev-parse', '--show-toplevel']).trim();
+    const resolved = {
+        ...options,
+        files: options.files.map(file => path.resolve(file)),
+        reports: options.reports.map(report => ({...report, file: path.resolve(report.file)}))
+    };
+    process.chdir(root);
+    return resolved;
+}
+
+/**
+ * The changed files of the local checkout and how to diff and read them:
+ * `--staged` compares the index with HEAD, `--base <ref>` the working tree
+ * with the merge base of the ref, and otherwise the working tree with HEAD
+ * (before the first commit, every file is new). Explicit paths restrict the
+ * result instead of being discovered. `tree` reads the rest of the project
+ * in the same version: the index for `--staged`, else the working tree.
+ * Paths are relative to the top of the repository, which must be the
+ * current directory (see `enterRepositoryRoot`).
+ */
+function discoverChanges(options, isRelevant) {
+    let diffArgs;
+    let files;
+    if (options.staged) {
+        diffArgs = ['--cached'];
+        files = gitLines(['diff', '--cached', '--name-only', '--diff-filter=ACMR']);
+    } else {
+        const base = options.base ? git(['merge-base', options.base, 'HEAD']).trim() : headOrEmptyTree();
+        diffArgs = [base];
+        files = [
+            ...gitLines(['diff', '--name-only', '--diff-filter=ACMR', base]),
+            ...gitLines(['ls-files', '--others', '--exclude-standard'])
+        ];
+    }
+
+    if (options.files.length > 0) {
+        const root = git(['rev-parse', '--show-toplevel']).trim();
+        const requested = options.files.map(file => path.relative(root, path.resolve(file)).split(path.sep).join('/'));
+        files = options.base || options.staged
+            ? requested.filter(file => files.includes(file))
+            : requested;
+    }
+
+    const unique = [...new Set(files)].filter(isRelevant).filter(file => {
+        return options.staged || fs.existsSync(file);
+    });
+    const tree = options.staged ? stagedTree() : workingTree();
+    return {
+        files: unique,
+        diff: file => fileDiff(diffArgs, file),
+        content: file => tree.read(file),
+        tree
+    };
+}
+
+/**
+ * Unified diff of one file; untracked files are diffed against /dev/null
+ */
+function fileDiff(diffArgs, file) {
+    const tracked = git(['ls-files', '--', file]).trim() !== '';
+    if (tracked) return git(['diff', ...diffArgs, '--', file]);
+    try {
+        return git(['diff', '--no-index', '--', '/dev/null', file]);
+    } catch (error) {
+        // --no-index exits 1 when the files differ
+        if (error.status === 1) return error.stdout;
+        throw error;
+    }
+}
+
+/**
+ * Installs a pre-commit hook running the linter on the staged files. An
+ * existing hook that is not ours is left alone.
+ */
+function installPreCommitHook(runnerPath) {
+    const hooksDir = path.resolve(git(['rev-parse', '--git-path', 'hooks']).trim());
+    const hookPath = path.join(hooksDir, 'pre-commit');
+    if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, 'utf8').includes(HOOK_MARKER)) {
+        throw new Error(`${hookPath} already exists. Add this line to it instead:\n` +
+            `  node ${runnerPath} --staged || exit $?`);
+    }
+
+    const root = git(['rev-parse', '--show-toplevel']).trim();
+    const script = path.relative(root, runnerPath).split(path.sep).join('/');
+    fs.mkdirSync(hooksDir, {recursive: true});
+    fs.writeFileSync(hookPath, `#!/bin/sh\n${HOOK_MARKER}\nexec node "${script}" --staged\n`, {mode: 0o755});
+    return hookPath;
+}
+
+module.exports = {
+    discoverChanges,
+    enterRepositoryRoot,
+    installPreCommitHook,
+    parseCliArgs
+};
@@ -0,0 +1,96 @@
+// Body of the single, update-in-place linter comment on a PR. Hidden HTML
+// markers identify the comment and separate the current run from a
+// collapsible history of earlier runs; another marks the linter's reviews.
+
+const COMMENT_MARKER = '<!-- convention-linter:comment -->';
+const HISTORY_MARKER = '<!-- convention-linter:history -->';
+const RUN_MARKER = '<!-- convention-linter:run -->';
+const REVIEW_MARKER = '<!-- convention-linter:review -->';
+
+// GitHub rejects comment bodies over 65536 characters
+const MAX_BODY_LENGTH = 60000;
+const MAX_HISTORY_ENTRIES = 20;
+
+function isLinterComment(body) {
+    return typeof body === 'string' && body.includes(COMMENT_MARKER);
+}
+
+function isLinterReview(body) {
+    return typeof body === 'string' && body.includes(REVIEW_MARKER);
+}
+
+/**
+ * Splits an existing linter comment into its current run and history entries
+ */
+function parseCommentBody(body) {
+    const withoutMarker = body.replace(COMMENT_MARKER, '');
+    const historyStart = withoutMarker.indexOf(HISTORY_MARKER);
+    const current = (historyStart === -1 ? withoutMarker : withoutMarker.slice(0, historyStart)).trim();
+    const historyText = historyStart === -1 ? '' : withoutMarker.slice(historyStart + HISTORY_MARKER.length);
+
+    const history = historyText
+        .split(RUN_MARKER)
+        .slice(1)
+        .map(entry => entry.replace(/<\/details>\s*$/, '').trim().replace(/\n---$/, '').trim())
+        .filter(Boolean);
+    return {current, history};
+}
+
+function renderHistory(history) {
+    if (history.length === 0) return '';
+    const entries = history.map(entry => `${RUN_MARKER}\n${entry}`).join('\n\n---\n\n');
+    return `\n\n${HISTORY_MARKER}\n<details>\n<summary>Previous runs (${history.length})</summary>\n\n${entries}\n\n</details>`;
+}
+
+/**
+ * Cuts whole findings (the `#### N.` sections) off the end of `current`
+ * until it fits `limit` characters, noting how many were left out
+ */
+function truncateFindings(current, limit, reportUrl) {
+    if (current.length <= limit) return current;
+    const report = reportUrl ? `[the report](${reportUrl})` : 'the report';
+    const starts = [...current.matchAll(/^#### \d+\. /gm)].map(match => match.index);
+    for (let kept = starts.length - 1; kept >= 0; kept--) {
+        if (starts[kept] > limit) continue;
+        const truncated = `${current.slice(0, starts[kept]).trimEnd()}\n\n` +
+            `_… ${starts.length - kept} more findings, see ${report}._`;
+        if (truncated.length <= limit) return truncated;
+    }
+    const note = `\n\n_… truncated, see ${report}._`;
+    return `${current.slice(0, limit - note.length)}${note}`;
+}
+
+/**
+ * Builds the comment body for the current run, moving the run shown in
+ * `previousBody` (if any) to the top of the history. The history goes
+ * first when the body is too long, then findings at the end of the current
+ * run; the `footer` is always kept and `reportUrl` is linked from the note.
+ */
+function buildCommentBody(current, previousBody = null, {footer = '', reportUrl = null} = {}) {
+    let history = [];
+    if (isLinterComment(previousBody)) {
+        const previous = parseCommentBody(previousBody);
+        history = [previous.current, ...previous.history].filter(Boolean);
+    }
+    history = history.slice(0, MAX_HISTORY_ENTRIES);
+
+    const ending = footer ? `\n\n${footer}` : '';
+    const limit = MAX_BODY_LENGTH - COMMENT_MARKER.length - 1 - ending.length;
+    const run = `${truncateFindings(current.trim(), limit, reportUrl)}${ending}`;
+    const render = () => `${COMMENT_MARKER}\n${run}${renderHistory(history)}`;
+    let body = render();
+    while (body.length > MAX_BODY_LENGTH && history.length > 0) {
+        history.pop();
+        body = render();
+    }
+    return body;
+}
+
+module.exports = {
+    COMMENT_MARKER,
+    REVIEW_MARKER,
+    buildCommentBody,
+    isLinterComment,
+    isLinterReview,
+    parseCommentBody
+};
@@ -0,0 +1,444 @@
+// Opt-in database round-trip mode. Runs every migration against a throwaway
+// PostgreSQL, with the changed ones going up, down and up again, then
+// introspects information_schema/pg_indexes and compares the result with the
+// schema Sequelize `sync()` builds from the model classes in a second database.
+// This catches what parsing cannot: unresolvable requires, missing
+// extensions, SQL that Postgres rejects, and dialect-level type differences.
+
+const path = require('path');
+const {SEVERITY, createFinding} = require('./findings');
+const {externalPostgres, startLocalPostgres} = require('./local-postgres');
+const {
+    DEFAULT_MIGRATIONS_DIR,
+    DEFAULT_MODELS_DIR,
+    listMigrationFiles,
+    listModelFiles
+} = require('./project-files');
+
+const CATEGORY = 'Database Round-Trip';
+
+/**
+ * Requires a package from the project being linted rather than from this script
+ */
+function requireFromProject(name) {
+    return require(require.resolve(name, {paths: [process.cwd()]}));
+}
+
+/**
+ * Modules to load before migrations and models, e.g. `ts-node/register` or
+ * `tsconfig-paths/register` for `~/` imports (comma-separated DB_ROUNDTRIP_REQUIRE)
+ */
+function preloadModules() {
+    const names = (process.env.DB_ROUNDTRIP_REQUIRE || '').split(',').map(name => name.trim()).filter(Boolean);
+    names.forEach(requireFromProject);
+    return names;
+}
+
+function connect(Sequelize, server, database) {
+    return new Sequelize(database, server.user, server.password, {
+        host: server.host,
+        port: server.port,
+        dialect: 'postgres',
+        logging: false
+    });
+}
+
+/**
+ * Line in `file` from an error's stack trace, if the error was thrown there
+ */
+function lineInFile(error, file) {
+    const absolute = path.resolve(file);
+    for (const line of String(error.stack || '').split('\n')) {
+        const position = line.lastIndexOf(`${absolute}:`);
+        if (position !== -1) {
+            const match = /^:(\d+)/.exec(line.slice(position + absolute.length));
+            if (match) return Number(match[1]);
+        }
+    }
+    return null;
+}
+
+function errorMessage(error) {
+    const message = error.original && error.original.message ? error.original.message : error.message;
+    return String(message).split('\n')[0];
+}
+
+/**
+ * Reads tables, columns, indexes, enum types and extensions of the public schema
+ */
+async function introspect(sequelize) {
+    const [columns] = await sequelize.query(`
+        SELECT table_name, column_name, data_type, udt_name, is_nullable, column_default,
+               character_maximum_length, numeric_precision, numeric_scale
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name <> 'SequelizeMeta'
+        ORDER BY table_name, ordinal_position`);
+    const [indexes] = await sequelize.query(`
+        SELECT tablename, indexname, indexdef
+        FROM pg_indexes
+        WHERE schemaname = 'public' AND tablename <> 'SequelizeMeta'`);
+    const [enums] = await sequelize.query(`
+        SELECT t.typname AS name, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS labels
+        FROM pg_type t JOIN pg_enum e ON e.enumtypid = t.oid
+        GROUP BY t.typname`);
+    const [extensions] = await sequelize.query(`SELECT extname FROM pg_extension WHERE extname <> 'plpgsql'`);
+
+    const tables = new Map();
+    const tableOf = (name) => {
+        if (!tables.has(name)) tables.set(name, {name, columns: new Map(), indexes: new Map()});
+        return tables.get(name);
+    };
+    for (const column of columns) {
+        tableOf(column.table_name).columns.set(column.column_name, column);
+    }
+    for (const index of indexes) {
+        tableOf(index.tablename).indexes.set(index.indexname, index.indexdef);
+    }
+
+    return {
+        tables,
+        enums: new Map(enums.map(type => [type.name, type.labels])),
+        extensions: new Set(extensions.map(extension => extension.extname))
+    };
+}
+
+function describeColumn(column) {
+    const type = column.data_type === 'USER-DEFINED' ? column.udt_name : column.data_type;
+    const length = column.character_maximum_length ? `(${column.character_maximum_length})` : '';
+    return `${type}${length}`;
+}
+
+function normalizeDefault(value) {
+    if (value === null || value === undefined) return null;
+    return String(value).replace(/::[\w ."]+(\[\])?/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Index definition without its name, so equivalent indexes compare equal
+ */
+function normalizeIndexDefinition(definition) {
+    return definition.replace(/INDEX\s+"?[\w$]+"?\s+ON/i, 'INDEX ON');
+}
+
+/**
+ * Human-readable name of a snapshot entry, used in reversibility messages
+ */
+function snapshotEntries(snapshot) {
+    const entries = new Map();
+    for (const table of snapshot.tables.values()) {
+        entries.set(`table '${table.name}'`, null);
+        for (const [name, column] of table.columns) {
+            entries.set(`column '${table.name}.${name}'`, `${describeColumn(column)} ${column.is_nullable === 'YES' ? 'NULL' : 'NOT NULL'}`);
+        }
+        for (const [name, definition] of table.indexes) {
+            entries.set(`index '${name}'`, definition);
+        }
+    }
+    for (const [name, labels] of snapshot.enums) entries.set(`enum type '${name}'`, labels.join(','));
+    for (const name of snapshot.extensions) entries.set(`extension '${name}'`, null);
+    return entries;
+}
+
+/**
+ * Runs the migrations in order; changed migrations run up, down and up again.
+ * Stops at the first failing step since later migrations build on it.
+ */
+async function runMigrations(sequelize, Sequelize, changedMigrations, findings) {
+    const queryInterface = sequelize.getQueryInterface();
+    const changed = new Set(changedMigrations.map(file => path.resolve(file)));
+    const files = listMigrationFiles();
+    let ran = 0;
+
+    for (const file of files) {
+        const isChanged = changed.has(path.resolve(file));
+        const steps = isChanged ? ['up', 'down', 'up'] : ['up'];
+        let migration;
+        try {
+            migration = require(path.resolve(file));
+            migration = migration && migration.default ? migration.default : migration;
+        } catch (error) {
+            findings.push(createFinding({
+                category: CATEGORY,
+                rule: 'db-roundtrip',
+                message: `Migration could not be loaded: ${errorMessage(error)}`,
+                migration: {file, line: lineInFile(error, file), detail: 'require() failed'},
+                impact: 'sequelize db:migrate fails on this file',
+                fix: 'Fix the import paths used by the migration'
+            }));
+            return {ok: false, ran};
+        }
+
+        let beforeUp = null;
+        for (const [position, step] of steps.entries()) {
+            const label = position === 2 ? 'up() again' : `${step}()`;
+            if (isChanged && position === 0) beforeUp = await introspect(sequelize);
+            try {
+                await migration[step](queryInterface, Sequelize);
+            } catch (error) {
+                findings.push(createFinding({
+                    category: CATEGORY,
+                    rule: 'db-roundtrip',
+                    message: `${label} failed against PostgreSQL: ${errorMessage(error)}`,
+                    migration: {file, line: lineInFile(error, file), detail: `step ${position + 1}/${steps.length} (${label})`},
+                    impact: 'This migration fails when it is run or rolled back for real',
+                    fix: 'Run the migration against a local database and fix the failing statement'
+                }));
+                return {ok: false, ran};
+            }
+            if (isChanged && step === 'down') {
+                findings.push(...compareRollback(file, beforeUp, await introspect(sequelize)));
+            }
+        }
+        ran++;
+    }
+    return {ok: true, ran};
+}
+
+/**
+ * Reports what the database looks like differently after up + down
+ */
+function compareRollback(file, before, after) {
+    const findings = [];
+    const beforeEntries = snapshotEntries(before);
+    const afterEntries = snapshotEntries(after);
+    const describe = (name, problem) => createFinding({
+        category: CATEGORY,
+        rule: 'db-roundtrip',
+        message: `After up() and down(), ${name} ${problem}`,
+        migration: {file, line: null, detail: 'introspected after down()'},
+        impact: 'Rolling back does not return the database to its previous state',
+        fix: 'Make down() undo exactly what up() does'
+    });
+
+    for (const [name, value] of afterEntries) {
+        if (!beforeEntries.has(name)) {
+            findings.push(describe(name, 'is left behind'));
+        } else if (beforeEntries.get(name) !== value) {
+            findings.push(describe(name, `changed from ${beforeEntries.get(name)} to ${value}`));
+        }
+    }
+    for (const name of beforeEntries.keys()) {
+        if (!afterEntries.has(name)) findings.push(describe(name, 'existed before up() but is gone'));
+    }
+    return findings;
+}
+
+/**
+ * Builds the schema from the model classes with sequelize-typescript `sync()`
+ */
+async function syncModels(server, database, extensions) {
+    const {Sequelize} = requireFromProject('sequelize-typescript');
+    const models = listModelFiles().map(file => path.resolve(file));
+    const sequelize = new Sequelize({
+        database,
+        username: server.user,
+        password: server.password,
+        host: server.host,
+        port: server.port,
+        dialect: 'postgres',
+        logging: false,
+        models
+    });
+    try {
+        // Extensions are installed by migrations, not by sync()
+        for (const extension of extensions) {
+            await sequelize.query(`CREATE EXTENSION IF NOT EXISTS "${extension}"`);
+        }
+        await sequelize.sync();
+        return await introspect(sequelize);
+    } finally {
+        await sequelize.close();
+    }
+}
+
+/**
+ * Compares the migrated database with the one `sync()` produced
+ */
+function compareWithSync(migrated, synced, locate) {
+    const findings = [];
+    const mismatch = (category, message, table, impact) => createFinding({
+        category,
+        rule: 'db-roundtrip',
+        message,
+        model: locate.model(table),
+        migration: locate.migration(table),
+        impact
+    });
+
+    for (const [name, table] of synced.tables) {
+        const actual = migrated.tables.get(name);
+        if (!actual) {
+            findings.push(mismatch('Structural Integrity', `sync() creates table '${name}' but the migrations do not`, name,
+                'Queries through the model fail with "relation does not exist"'));
+            continue;
+        }
+
+        for (const [columnName, expected] of table.columns) {
+            const column = actual.columns.get(columnName);
+            if (!column) {
+                findings.push(mismatch('Structural Integrity', `Column '${name}.${columnName}' exists after sync() but not after migrating`, name,
+                    'Inserts and selects through the model fail at runtime'));
+                continue;
+            }
+            if (describeColumn(expected) !== describeColumn(column)) {
+                findings.push(mismatch('Data Type Mismatch', `Column '${name}.${columnName}' is ${describeColumn(column)} after migrating but ${describeColumn(expected)} after sync()`, name,
+                    'Values can be truncated or rejected by the database'));
+            }
+            if (expected.is_nullable !== column.is_nullable) {
+                findings.push(mismatch('Data Type Mismatch', `Column '${name}.${columnName}' is ${column.is_nullable === 'YES' ? 'nullable' : 'NOT NULL'} after migrating but ${expected.is_nullable === 'YES' ? 'nullable' : 'NOT NULL'} after sync()`, name,
+                    'NOT NULL violations or unexpected nulls at runtime'));
+            }
+            if (normalizeDefault(expected.column_default) !== normalizeDefault(column.column_default)) {
+                findings.push(mismatch('Data Type Mismatch', `Column '${name}.${columnName}' defaults to ${normalizeDefault(column.column_default) || 'nothing'} after migrating but ${normalizeDefault(expected.column_default) || 'nothing'} after sync()`, name,
+                    'Rows inserted outside the model get different values'));
+            }
+        }
+        for (const columnName of actual.columns.keys()) {
+            if (!table.columns.has(columnName)) {
+                findings.push(mismatch('Structural Integrity', `Column '${name}.${columnName}' exists after migrating but sync() does not create it`, name,
+                    'The model cannot read or write this column'));
+            }
+        }
+
+        const migratedIndexes = new Map([...actual.indexes].map(([indexName, definition]) => [normalizeIndexDefinition(definition), indexName]));
+        const syncedIndexes = new Map([...table.indexes].map(([indexName, definition]) => [normalizeIndexDefinition(definition), indexName]));
+        for (const [definition, indexName] of syncedIndexes) {
+            if (!migratedIndexes.has(definition)) {
+                findings.push(mismatch('Structural Integrity', `Index '${indexName}' (${definition}) is created by sync() but not by the migrations`, name,
+                    'Production is missing an index the model declares'));
+            }
+        }
+        for (const [definition, indexName] of migratedIndexes) {
+            if (!syncedIndexes.has(definition)) {
+                findings.push(mismatch('Structural Integrity', `Index '${indexName}' (${definition}) is created by the migrations but not by sync()`, name,
+                    'The model does not declare an index production has'));
+            }
+        }
+    }
+
+    for (const name of migrated.tables.keys()) {
+        if (!synced.tables.has(name)) {
+            findings.push(mismatch('Structural Integrity', `Migrations create table '${name}' but no model syncs it`, name,
+                'The table is unmanaged by the application'));
+        }
+    }
+
+    for (const [name, labels] of synced.enums) {
+        const actual = migrated.enums.get(name);
+        if (actual && actual.join(',') !== labels.join(',')) {
+            const table = [...synced.tables.keys()].find(candidate => name.startsWith(`enum_${candidate}_`)) || null;
+            findings.push(mismatch('Data Type Mismatch', `Enum type '${name}' has values [${actual.join(', ')}] after migrating but [${labels.join(', ')}] after sync()`, table,
+                'Inserting values the database does not know fails'));
+        }
+    }
+
+    return findings;
+}
+
+function setupFailure(message) {
+    return createFinding({
+        category: CATEGORY,
+        rule: 'analysis-failure',
+        severity: SEVERITY.WARNING,
+        message: `Database round-trip skipped: ${message}`,
+        impact: 'Only the static checks covered these migrations'
+    });
+}
+
+/**
+ * Runs the round-trip. `models` and `schema` from the static analysis (if
+ * any) are only used to point findings at the right files.
+ */
+async function runDatabaseRoundTrip(diffData, {models = [], schema = null} = {}) {
+    const findings = [];
+    const summary = {server: null, migrationsRun: 0, synced: false};
+
+    let Sequelize;
+    try {
+        preloadModules();
+        Sequelize = requireFromProject('sequelize');
+        requireFromProject('pg');
+    } catch (error) {
+        findings.push(setupFailure(`${errorMessage(error)} (install the project dependencies first)`));
+        return {findings, summary};
+    }
+
+    const locate = {
+        model(table) {
+            const model = models.find(candidate => candidate.tableName === table);
+            return model
+                ? {file: model.file, line: model.line, detail: `class ${model.name}`}
+                : {file: process.env.MODELS_DIR || DEFAULT_MODELS_DIR, line: null, detail: `no model for '${table}'`};
+        },
+        migration(table) {
+            const replayed = schema && schema.tables.get(table);
+            return replayed
+                ? {file: replayed.file, line: replayed.line, detail: `createTable('${table}')`}
+                : {file: process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR, line: null, detail: 'introspected'};
+        }
+    };
+
+    let server;
+    try {
+        server = process.env.DB_ROUNDTRIP_URL
+            ? externalPostgres(process.env.DB_ROUNDTRIP_URL)
+            : await startLocalPostgres();
+    } catch (error) {
+        findings.push(setupFailure(error.message));
+        return {findings, summary};
+    }
+    summary.server = server.description;
+
+    const suffix = `${process.pid}_${Date.now()}`;
+    const databases = {migrated: `convention_linter_migrated_${suffix}`, synced: `convention_linter_synced_${suffix}`};
+    const admin = connect(Sequelize, server, server.database);
+
+    try {
+        for (const database of Object.values(databases)) {
+            await admin.query(`CREATE DATABASE "${database}"`);
+        }
+
+        const migratedConnection = connect(Sequelize, server, databases.migrated);
+        let migrated = null;
+        try {
+            const result = await runMigrations(migratedConnection, Sequelize, diffData.migrationFiles || [], findings);
+            summary.migrationsRun = result.ran;
+            if (result.ok) migrated = await introspect(migratedConnection);
+        } finally {
+            await migratedConnection.close();
+        }
+
+        if (migrated) {
+            let synced = null;
+            try {
+                synced = await syncModels(server, databases.synced, migrated.extensions);
+                summary.synced = true;
+            } catch (error) {
+                findings.push(createFinding({
+                    category: CATEGORY,
+                    rule: 'db-roundtrip',
+                    message: `sync() of the model classes failed: ${errorMessage(error)}`,
+                    model: {file: process.env.MODELS_DIR || DEFAULT_MODELS_DIR, line: null, detail: 'sequelize-typescript sync()'},
+                    impact: 'The models cannot be compared with the migrated schema',
+                    fix: 'Make sure the models load (set DB_ROUNDTRIP_REQUIRE=ts-node/register for TypeScript)'
+                }));
+            }
+            if (synced) findings.push(...compareWithSync(migrated, synced, locate));
+        }
+    } finally {
+        for (const database of Object.values(databases)) {
+            await admin.query(`DROP DATABASE IF EXISTS "${database}"`).catch(() => {});
+        }
+        await admin.close();
+        server.stop();
+    }
+
+    return {findings, summary};
+}
+
+module.exports = {
+    compareWithSync,
+    introspect,
+    normalizeIndexDefinition,
+    runDatabaseRoundTrip
+};
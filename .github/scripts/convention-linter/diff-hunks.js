@@ -0,0 +1,103 @@
+// Unified diff parsing and mapping of finding locations onto diff hunks, so
+// findings can be posted as line comments in a pull request review. GitHub
+// only accepts review comments on lines that appear in the diff.
+
+const path = require('path');
+
+/**
+ * Parses `git diff` output for one file into hunks with old/new line numbers
+ */
+function parseUnifiedDiff(diffText) {
+    const hunks = [];
+    let hunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const text of String(diffText || '').split('\n')) {
+        const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(text);
+        if (header) {
+            oldLine = Number(header[1]);
+            newLine = Number(header[3]);
+            hunk = {
+                oldStart: oldLine,
+                oldLines: header[2] === undefined ? 1 : Number(header[2]),
+                newStart: newLine,
+                newLines: header[4] === undefined ? 1 : Number(header[4]),
+                lines: []
+            };
+            hunks.push(hunk);
+            continue;
+        }
+        if (!hunk) continue;
+
+        if (text.startsWith('+')) {
+            hunk.lines.push({type: 'add', oldLine: null, newLine: newLine++});
+        } else if (text.startsWith('-')) {
+            hunk.lines.push({type: 'delete', oldLine: oldLine++, newLine: null});
+        } else if (text.startsWith(' ')) {
+            hunk.lines.push({type: 'context', oldLine: oldLine++, newLine: newLine++});
+        }
+        // "\ No newline at end of file" and trailing blanks carry no line
+    }
+    return hunks;
+}
+
+/**
+ * Lines of the new file version that can carry a review comment (RIGHT side)
+ */
+function commentableLines(hunks) {
+    const lines = new Set();
+    for (const hunk of hunks) {
+        for (const line of hunk.lines) {
+            if (line.newLine !== null) lines.add(line.newLine);
+        }
+    }
+    return lines;
+}
+
+function normalizePath(file) {
+    const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+    return path.normalize(relative).split(path.sep).join('/');
+}
+
+/**
+ * Candidate locations of a finding, primary first
+ */
+function findingLocations(finding) {
+    return [
+        {file: finding.file, line: finding.line},
+        finding.model,
+        finding.migration
+    ].filter(location => location && location.file && location.line);
+}
+
+/**
+ * Splits findings into those that land on a diff line (with the path and
+ * line to comment on) and those that must go into a summary comment
+ */
+function mapFindingsToDiff(findings, diffs) {
+    const files = new Map();
+    for (const fileInfo of diffs) {
+        files.set(normalizePath(fileInfo.path), commentableLines(parseUnifiedDiff(fileInfo.diff)));
+    }
+
+    const inline = [];
+    const outside = [];
+    for (const finding of findings) {
+        const target = findingLocations(finding)
+            .map(location => ({path: normalizePath(location.file), line: location.line}))
+            .find(location => files.has(location.path) && files.get(location.path).has(location.line));
+        if (target) {
+            inline.push({finding, path: target.path, line: target.line});
+        } else {
+            outside.push(finding);
+        }
+    }
+    return {inline, outside};
+}
+
+module.exports = {
+    commentableLines,
+    mapFindingsToDiff,
+    parseUnifiedDiff
+};
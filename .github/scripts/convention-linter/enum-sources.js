@@ -0,0 +1,164 @@
+// Resolves the enums that models and migrations spread into ENUM types
+// (`ENUM(...Object.values(CountyFips))`) to their values, by evaluating the
+// enum module statically. Modules are read from the working tree, or from the
+// commit that added a migration, which gives the values that migration was
+// written against.
+
+const {execFileSync} = require('child_process');
+const path = require('path');
+const {parse} = require('./parser');
+const {commitTree, workingTree} = require('./project-files');
+const {StaticEvaluator, isPlainObject, isSymbolic, symbolic} = require('./evaluator');
+
+const DEFAULT_ENUMS_MODULE = 'src/enums';
+const MODULE_EXTENSIONS = ['.ts', '.js', '/index.ts', '/index.js'];
+// Project import alias used by migrations and models, e.g. '~/util'
+const PROJECT_ALIAS = {prefix: '~/', directory: 'src'};
+
+/**
+ * Path (without extension) of the module an import refers to; null for
+ * packages. Enums used without an import come from ENUMS_MODULE.
+ */
+function modulePath(source, fromFile) {
+    if (!source) return process.env.ENUMS_MODULE || DEFAULT_ENUMS_MODULE;
+    if (source.startsWith(PROJECT_ALIAS.prefix)) {
+        return path.join(PROJECT_ALIAS.directory, source.slice(PROJECT_ALIAS.prefix.length));
+    }
+    if (source.startsWith('.') && fromFile) return path.join(path.dirname(fromFile), source);
+    return null;
+}
+
+function findModule(tree, base) {
+    const candidates = path.extname(base) ? [base, ...MODULE_EXTENSIONS.map(extension => base + extension)]
+        : MODULE_EXTENSIONS.map(extension => base + extension);
+    for (const file of candidates) {
+        const content = tree.read(file);
+        if (content !== null) return {file: path.normalize(file), content};
+    }
+    return null;
+}
+
+/**
+ * `{ values, file }` for an exported value that looks like an enum: a TS
+ * enum or an object of string / number members
+ */
+function enumValues(value, file) {
+    if (isSymbolic(value, 'enumSource') && value.values) return {values: value.values, file: value.file || file};
+    if (!isPlainObject(value) || isSymbolic(value)) return null;
+    const members = Object.values(value);
+    if (members.length === 0 || !members.every(member => typeof member === 'string' || typeof member === 'number')) {
+        return null;
+    }
+    return {values: value, file};
+}
+
+/**
+ * Creates an enum resolver for the evaluator's `resolveEnum` option
+ */
+function createEnumResolver(tree = workingTree()) {
+    const modules = new Map();
+
+    const loadExports = (file, content, loading) => {
+        let program;
+        let evaluator;
+        try {
+            program = parse(content);
+            evaluator = new StaticEvaluator(program, {
+                file,
+                resolveEnum: (name, source, fromFile) => resolve(name, source, fromFile, loading)
+            });
+            evaluator.runProgram();
+        } catch (error) {
+            return {};
+        }
+        const exports = {...evaluator.getExports()};
+        // `export * from './county-fips'` is not evaluated; merge those modules here
+        for (const statement of program.body) {
+            if (statement.type !== 'ExportAllDeclaration') continue;
+            const reexported = load(modulePath(statement.source.value, file), loading);
+            if (!reexported) continue;
+            if (statement.exported) {
+                exports[statement.exported.name] = reexported.exports;
+            } else {
+                for (const [name, value] of Object.entries(reexported.exports)) {
+                    if (name in exports) continue;
+                    // Keep the file an enum is declared in
+                    const resolved = enumValues(value, reexported.file);
+                    exports[name] = resolved
+                        ? symbolic('enumSource', {name, source: statement.source.value, file: resolved.file, values: resolved.values})
+                        : value;
+                }
+            }
+        }
+        return exports;
+    };
+
+    const load = (base, loading = new Set()) => {
+        if (!base) return null;
+        const found = findModule(tree, base);
+        if (!found) return null;
+        if (modules.has(found.file)) return modules.get(found.file);
+        if (loading.has(found.file)) return null;
+
+        loading.add(found.file);
+        const loaded = {file: found.file, exports: loadExports(found.file, found.content, loading)};
+        loading.delete(found.file);
+        modules.set(found.file, loaded);
+        return loaded;
+    };
+
+    const resolve = (name, source, fromFile, loading) => {
+        const loaded = load(modulePath(source, fromFile), loading);
+        return loaded ? enumValues(loaded.exports[name], loaded.file) : null;
+    };
+
+    return (name, source, fromFile) => resolve(name, source, fromFile);
+}
+
+let workingTreeResolver = null;
+
+/**
+ * Resolver for the current version of every enum (cached per run)
+ */
+function currentEnums() {
+    if (!workingTreeResolver) workingTreeResolver = createEnumResolver(workingTree());
+    return workingTreeResolver;
+}
+
+function commitAddingFile(file) {
+    try {
+        const commit = execFileSync('git', ['log', '--diff-filter=A', '--format=%H', '-1', '--', file], {
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        return commit || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const commitResolvers = new Map();
+
+/**
+ * Resolver for the enums as they were in the commit that added `migrationFile`:
+ * the values the migration created its ENUM types with. Migrations that are
+ * not committed yet (or outside a git checkout) use the current values.
+ */
+function enumsWrittenAgainst(migrationFile) {
+    let resolver = null;
+    return (name, source, fromFile) => {
+        if (!resolver) {
+            const commit = commitAddingFile(migrationFile);
+            if (commit && !commitResolvers.has(commit)) commitResolvers.set(commit, createEnumResolver(commitTree(commit)));
+            resolver = commit ? commitResolvers.get(commit) : currentEnums();
+        }
+        return resolver(name, source, fromFile);
+    };
+}
+
+module.exports = {
+    PROJECT_ALIAS,
+    createEnumResolver,
+    currentEnums,
+    enumsWrittenAgainst
+};
@@ -0,0 +1,1085 @@
+// Static evaluator for model and migration sources. It walks the AST from
+// `parser.js` and computes plain JavaScript values where it can (literals,
+// object/array literals, simple arithmetic) and symbolic values where it
+// cannot (Sequelize data types, `literal()`/`fn()` defaults, unresolved
+// imports such as enums). Nothing is ever `require`d or executed for real.
+
+const LOCATIONS = Symbol('locations');
+
+const MAX_STEPS = 200000;
+
+const DATA_TYPE_NAMES = new Set([
+    'ABSTRACT', 'STRING', 'CHAR', 'TEXT', 'CITEXT', 'TINYINT', 'SMALLINT',
+    'MEDIUMINT', 'INTEGER', 'BIGINT', 'FLOAT', 'REAL', 'DOUBLE', 'DECIMAL',
+    'NUMERIC', 'BOOLEAN', 'TIME', 'DATE', 'DATEONLY', 'HSTORE', 'JSON', 'JSONB',
+    'NOW', 'BLOB', 'RANGE', 'UUID', 'UUIDV1', 'UUIDV4', 'VIRTUAL', 'ENUM',
+    'ARRAY', 'GEOMETRY', 'GEOGRAPHY', 'CIDR', 'INET', 'MACADDR', 'TSVECTOR'
+]);
+
+const DATA_TYPE_FLAGS = new Set(['UNSIGNED', 'ZEROFILL', 'BINARY']);
+
+const SEQUELIZE_HELPERS = new Set(['literal', 'fn', 'col', 'cast', 'where', 'and', 'or', 'json']);
+
+const SEQUELIZE_MODULES = new Set(['sequelize', 'sequelize-typescript', '@sequelize/core']);
+
+const SEQUELIZE_NAMESPACE_ALIASES = new Set(['Sequelize', 'DataTypes', 'DataType']);
+
+/**
+ * Error raised when evaluation cannot continue (e.g. runaway loops)
+ */
+class EvaluationError extends Error {
+    constructor(message, node) {
+        super(node && node.loc ? `${message} (${node.loc.line}:${node.loc.column})` : message);
+        this.name = 'EvaluationError';
+        this.line = node && node.loc ? node.loc.line : null;
+    }
+}
+
+/**
+ * Lexical scope for evaluated bindings
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.vars.has(name)) {
+                return {found: true, value: scope.vars.get(name)};
+            }
+        }
+        return {found: false, value: undefined};
+    }
+
+    declare(name, value) {
+        this.vars.set(name, value);
+    }
+
+    assign(name, value) {
+        let scope = this;
+        while (scope) {
+            if (scope.vars.has(name)) {
+                scope.vars.set(name, value);
+                return;
+            }
+            if (!scope.parent) break;
+            scope = scope.parent;
+        }
+        scope.vars.set(name, value);
+    }
+}
+
+function symbolic(kind, props = {}) {
+    return {$kind: kind, ...props};
+}
+
+function isSymbolic(value, kind) {
+    return !!value && typeof value === 'object' && typeof value.$kind === 'string' &&
+        (kind === undefined || value.$kind === kind);
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !isSymbolic(value);
+}
+
+function isUnknown(value) {
+    return isSymbolic(value, 'unknown');
+}
+
+function unknown(reason) {
+    return symbolic('unknown', {reason});
+}
+
+/**
+ * Creates a symbolic Sequelize data type, e.g. `STRING(255)` or `ENUM(...values)`
+ */
+function dataType(name, args = [], flags = []) {
+    const type = symbolic('dataType', {name, args, flags});
+    if (name === 'ENUM') {
+        const values = [];
+        let enumRef = null;
+        let complete = true;
+        const collect = (arg) => {
+            if (typeof arg === 'string') {
+                values.push(arg);
+            } else if (Array.isArray(arg)) {
+                arg.forEach(collect);
+            } else if (isSymbolic(arg, 'spread')) {
+                collect(arg.value);
+            } else if (isSymbolic(arg, 'enumValues')) {
+                enumRef = {name: arg.enumName, source: arg.source, file: arg.file || null};
+                if (arg.values) {
+                    values.push(...arg.values);
+                } else {
+                    complete = false;
+                }
+            } else if (isPlainObject(arg) && Array.isArray(arg.values)) {
+                arg.values.forEach(collect);
+            } else {
+                complete = false;
+            }
+        };
+        args.forEach(collect);
+        type.values = complete ? values : null;
+        type.enumRef = enumRef;
+    }
+    return type;
+}
+
+/**
+ * Returns the line recorded for `key` on an evaluated object literal
+ */
+function locationOf(object, key) {
+    const locations = object && object[LOCATIONS];
+    return locations && locations[key] ? locations[key] : null;
+}
+
+/**
+ * Tree-walking evaluator. Subclasses override the `resolveGlobal`,
+ * `getSymbolicMember` and `callSymbolic` hooks to give meaning to the
+ * objects a particular kind of file works with.
+ */
+class StaticEvaluator {
+    constructor(program, options = {}) {
+        this.program = program;
+        this.source = program.source;
+        this.file = options.file || null;
+        // (name, source, fromFile) => { values, file } for enums imported from other modules
+        this.resolveEnum = options.resolveEnum || null;
+        this.steps = 0;
+        this.warnings = [];
+        this.globalScope = new Scope();
+        this.moduleObject = {exports: {}};
+        this.globalScope.declare('module', this.moduleObject);
+        this.globalScope.declare('exports', this.moduleObject.exports);
+        this.esmExports = {};
+    }
+
+    warn(message, node) {
+        this.warnings.push({message, line: node && node.loc ? node.loc.line : null});
+    }
+
+    textOf(node) {
+        return this.source.slice(node.start, node.end);
+    }
+
+    tick(node) {
+        if (++this.steps > MAX_STEPS) {
+            throw new EvaluationError('Evaluation step limit exceeded', node);
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Hooks
+    // ---------------------------------------------------------------------
+
+    /**
+     * Value for an identifier that is not bound in any scope
+     */
+    resolveGlobal(name) {
+        if (SEQUELIZE_NAMESPACE_ALIASES.has(name)) return symbolic('sequelize');
+        if (SEQUELIZE_HELPERS.has(name)) return symbolic('sequelizeHelper', {name});
+        switch (name) {
+            case 'undefined':
+                return undefined;
+            case 'Object':
+            case 'Promise':
+            case 'JSON':
+            case 'Array':
+            case 'Number':
+            case 'String':
+            case 'Boolean':
+            case 'Math':
+            case 'console':
+            case 'require':
+                return symbolic('builtin', {name});
+            case 'process':
+                return symbolic('ref', {name, source: null});
+            default:
+                return symbolic('ref', {name, source: null});
+        }
+    }
+
+    /**
+     * Value for a module loaded through `require()` or `import`
+     */
+    resolveModule(source) {
+        if (SEQUELIZE_MODULES.has(source)) return symbolic('sequelize', {module: source});
+        return symbolic('module', {source});
+    }
+
+    /**
+     * Member access on a symbolic value not handled by the base evaluator
+     */
+    getSymbolicMember(object, name) {
+        if (isSymbolic(object, 'ref')) {
+            return symbolic('ref', {...object, name: `${object.name}.${name}`});
+        }
+        return unknown(`member ${name}`);
+    }
+
+    /**
+     * Call of a symbolic value not handled by the base evaluator
+     */
+    callSymbolic(callee) {
+        return unknown(`call of ${callee.$kind}`);
+    }
+
+    /**
+     * Decides which branch to take when an `if` test cannot be evaluated
+     */
+    unknownCondition() {
+        return true;
+    }
+
+    // ---------------------------------------------------------------------
+    // Programs and statements
+    // ---------------------------------------------------------------------
+
+    /**
+     * Runs the top-level statements, skipping class declarations unless asked
+     */
+    runProgram(options = {}) {
+        this.hoist(this.program.body, this.globalScope);
+        for (const statement of this.program.body) {
+            const target = statement.declaration || statement;
+            if (!options.includeClasses && (target.type === 'ClassDeclaration')) continue;
+            this.execStatement(statement, this.globalScope);
+        }
+        return this.globalScope;
+    }
+
+    /**
+     * Returns the module's exports (CommonJS `module.exports` or ESM exports)
+     */
+    getExports() {
+        const commonjs = this.moduleObject.exports;
+        if (Object.keys(this.esmExports).length === 0) return commonjs;
+        if (isPlainObject(this.esmExports.default)) {
+            return {...this.esmExports, ...this.esmExports.default};
+        }
+        return this.esmExports;
+    }
+
+    hoist(statements, scope) {
+        for (const statement of statements) {
+            const target = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+                ? statement.declaration
+                : statement;
+            if (target && target.type === 'FunctionDeclaration' && target.id) {
+                scope.declare(target.id.name, this.makeClosure(target, scope));
+            }
+        }
+    }
+
+    execBlock(statements, scope) {
+        this.hoist(statements, scope);
+        for (const statement of statements) {
+            const completion = this.execStatement(statement, scope);
+            if (completion) return completion;
+        }
+        return null;
+    }
+
+    execStatement(node, scope) {
+        this.tick(node);
+        switch (node.type) {
+            case 'ExpressionStatement':
+                this.evaluate(node.expression, scope);
+                return null;
+            case 'VariableDeclaration':
+                for (const declarator of node.declarations) {
+                    const value = declarator.init ? this.evaluate(declarator.init, scope) : undefined;
+                    this.bindPattern(declarator.id, value, scope);
+                }
+                return null;
+            case 'FunctionDeclaration':
+                if (node.id && !scope.vars.has(node.id.name)) {
+                    scope.declare(node.id.name, this.makeClosure(node, scope));
+                }
+                return null;
+            case 'ClassDeclaration':
+                if (node.id) scope.declare(node.id.name, symbolic('class', {name: node.id.name, node}));
+                return null;
+            case 'ReturnStatement':
+                return {type: 'return', value: node.argument ? this.evaluate(node.argument, scope) : undefined};
+            case 'ThrowStatement':
+                return {type: 'throw', value: node.argument ? this.evaluate(node.argument, scope) : undefined, node};
+            case 'BlockStatement':
+                return this.execBlock(node.body, new Scope(scope));
+            case 'IfStatement': {
+                const test = this.evaluate(node.test, scope);
+                const taken = isSymbolic(test) && test.$kind !== 'function' ? this.unknownCondition(node, test) : !!test;
+                if (taken) return this.execStatement(node.consequent, scope);
+                if (node.alternate) return this.execStatement(node.alternate, scope);
+                return null;
+            }
+            case 'ForOfStatement':
+                return this.execForOf(node, scope);
+            case 'ForStatement':
+                return this.execFor(node, scope);
+            case 'TryStatement': {
+                let completion = this.execStatement(node.block, scope);
+                if (completion && completion.type === 'throw' && node.handler) {
+                    const handlerScope = new Scope(scope);
+                    if (node.handler.param) this.bindPattern(node.handler.param, completion.value, handlerScope);
+                    completion = this.execBlock(node.handler.body.body, handlerScope);
+                }
+                if (node.finalizer) {
+                    const finalCompletion = this.execStatement(node.finalizer, scope);
+                    if (finalCompletion) return finalCompletion;
+                }
+                return completion;
+            }
+            case 'ExportNamedDeclaration':
+                return this.execExportNamed(node, scope);
+            case 'ExportDefaultDeclaration': {
+                const declaration = node.declaration;
+                let value;
+                if (declaration.type === 'FunctionDeclaration') {
+                    value = this.makeClosure(declaration, scope);
+                    if (declaration.id) scope.declare(declaration.id.name, value);
+                } else if (declaration.type === 'ClassDeclaration') {
+                    value = symbolic('class', {name: declaration.id ? declaration.id.name : 'default', node: declaration});
+                } else if (declaration.type.startsWith('TS')) {
+                    return null;
+                } else {
+                    value = this.evaluate(declaration, scope);
+                }
+                this.esmExports.default = value;
+                return null;
+            }
+            case 'ImportDeclaration':
+                this.bindImport(node, scope);
+                return null;
+            case 'TSImportEqualsDeclaration':
+                scope.declare(node.id.name, this.evaluate(node.moduleReference, scope));
+                return null;
+            case 'TSExportAssignment':
+                this.moduleObject.exports = this.evaluate(node.expression, scope);
+                return null;
+            case 'TSEnumDeclaration':
+                scope.declare(node.id.name, this.evaluateEnum(node, scope));
+                return null;
+            case 'BreakStatement':
+                return {type: 'break'};
+            case 'ContinueStatement':
+                return {type: 'continue'};
+            case 'LabeledStatement':
+                return this.execStatement(node.body, scope);
+            case 'SwitchStatement':
+                return this.execSwitch(node, scope);
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+            case 'ForInStatement':
+                this.warn(`Skipped ${node.type} that cannot be evaluated statically`, node);
+                return null;
+            default:
+                // Type-only declarations, empty statements, namespaces
+                return null;
+        }
+    }
+
+    execExportNamed(node, scope) {
+        if (node.declaration) {
+            const completion = this.execStatement(node.declaration, scope);
+            const declaration = node.declaration;
+            if (declaration.type === 'VariableDeclaration') {
+                for (const declarator of declaration.declarations) {
+                    for (const name of this.patternNames(declarator.id)) {
+                        this.esmExports[name] = scope.lookup(name).value;
+                    }
+                }
+            } else if (declaration.id && declaration.id.name) {
+                this.esmExports[declaration.id.name] = scope.lookup(declaration.id.name).value;
+            }
+            return completion;
+        }
+        for (const specifier of node.specifiers) {
+            const exportedName = specifier.exported.name;
+            this.esmExports[exportedName] = node.source
+                ? this.getMember(this.resolveModule(node.source.value), specifier.local.name)
+                : scope.lookup(specifier.local.name).value;
+        }
+        return null;
+    }
+
+    execForOf(node, scope) {
+        const iterable = this.evaluate(node.right, scope);
+        if (!Array.isArray(iterable)) {
+            this.warn('Skipped for...of over a value that cannot be evaluated statically', node);
+            return null;
+        }
+        for (const item of iterable) {
+            const loopScope = new Scope(scope);
+            const target = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+            this.bindPattern(target, item, loopScope);
+            const completion = this.execStatement(node.body, loopScope);
+            if (completion) {
+                if (completion.type === 'break') break;
+                if (completion.type === 'continue') continue;
+                return completion;
+            }
+        }
+        return null;
+    }
+
+    execFor(node, scope) {
+        const loopScope = new Scope(scope);
+        if (node.init) {
+            if (node.init.type === 'VariableDeclaration') {
+                this.execStatement(node.init, loopScope);
+            } else {
+                this.evaluate(node.init, loopScope);
+            }
+        }
+        for (let iteration = 0; ; iteration++) {
+            if (iteration > 10000) throw new EvaluationError('Loop iteration limit exceeded', node);
+            if (node.test) {
+                const test = this.evaluate(node.test, loopScope);
+                if (isSymbolic(test)) {
+                    this.warn('Skipped for loop with a condition that cannot be evaluated statically', node);
+                    return null;
+                }
+                if (!test) break;
+            }
+            const completion = this.execStatement(node.body, new Scope(loopScope));
+            if (completion) {
+                if (completion.type === 'break') break;
+                if (completion.type !== 'continue') return completion;
+            }
+            if (node.update) this.evaluate(node.update, loopScope);
+        }
+        return null;
+    }
+
+    execSwitch(node, scope) {
+        const discriminant = this.evaluate(node.discriminant, scope);
+        if (isSymbolic(discriminant)) {
+            this.warn('Skipped switch on a value that cannot be evaluated statically', node);
+            return null;
+        }
+        let matched = false;
+        const switchScope = new Scope(scope);
+        for (const switchCase of node.cases) {
+            if (!matched) {
+                matched = switchCase.test === null || this.evaluate(switchCase.test, scope) === discriminant;
+            }
+            if (!matched) continue;
+            const completion = this.execBlock(switchCase.consequent, switchScope);
+            if (completion) {
+                if (completion.type === 'break') return null;
+                return completion;
+            }
+        }
+        return null;
+    }
+
+    bindImport(node, scope) {
+        const moduleValue = this.resolveModule(node.source.value);
+        for (const specifier of node.specifiers) {
+            switch (specifier.type) {
+                case 'ImportDefaultSpecifier':
+                    scope.declare(specifier.local.name, this.getMember(moduleValue, 'default'));
+                    break;
+                case 'ImportNamespaceSpecifier':
+                    scope.declare(specifier.local.name, moduleValue);
+                    break;
+                default: {
+                    const imported = specifier.imported.name || specifier.imported.value;
+                    scope.declare(specifier.local.name, this.getMember(moduleValue, imported));
+                }
+            }
+        }
+    }
+
+    evaluateEnum(node, scope) {
+        const values = {};
+        let next = 0;
+        for (const member of node.members) {
+            const name = member.id.name || member.id.value;
+            let value;
+            if (member.initializer) {
+                value = this.evaluate(member.initializer, scope);
+            } else {
+                value = next;
+            }
+            if (typeof value === 'number') next = value + 1;
+            values[name] = value;
+        }
+        return values;
+    }
+
+    patternNames(pattern) {
+        const names = [];
+        const visit = (node) => {
+            if (!node) return;
+            switch (node.type) {
+                case 'Identifier':
+                    names.push(node.name);
+                    break;
+                case 'ObjectPattern':
+                    node.properties.forEach(property => visit(property.type === 'RestElement' ? property.argument : property.value));
+                    break;
+                case 'ArrayPattern':
+                    node.elements.forEach(visit);
+                    break;
+                case 'AssignmentPattern':
+                    visit(node.left);
+                    break;
+                case 'RestElement':
+                    visit(node.argument);
+                    break;
+                default:
+                    break;
+            }
+        };
+        visit(pattern);
+        return names;
+    }
+
+    bindPattern(pattern, value, scope, assign = false) {
+        const bind = (name, bound) => (assign ? scope.assign(name, bound) : scope.declare(name, bound));
+        switch (pattern.type) {
+            case 'Identifier':
+                bind(pattern.name, value);
+                break;
+            case 'AssignmentPattern':
+                this.bindPattern(pattern.left, value === undefined ? this.evaluate(pattern.right, scope) : value, scope, assign);
+                break;
+            case 'ObjectPattern': {
+                const used = new Set();
+                for (const property of pattern.properties) {
+                    if (property.type === 'RestElement') {
+                        const rest = isPlainObject(value)
+                            ? Object.fromEntries(Object.entries(value).filter(([key]) => !used.has(key)))
+                            : unknown('rest of symbolic value');
+                        this.bindPattern(property.argument, rest, scope, assign);
+                        continue;
+                    }
+                    const key = property.computed ? this.evaluate(property.key, scope) : (property.key.name ?? property.key.value);
+                    used.add(key);
+                    this.bindPattern(property.value, this.getMember(value, key), scope, assign);
+                }
+                break;
+            }
+            case 'ArrayPattern':
+                pattern.elements.forEach((element, index) => {
+                    if (!element) return;
+                    if (element.type === 'RestElement') {
+                        this.bindPattern(element.argument, Array.isArray(value) ? value.slice(index) : unknown('rest'), scope, assign);
+                    } else {
+                        this.bindPattern(element, Array.isArray(value) ? value[index] : unknown('array element'), scope, assign);
+                    }
+                });
+                break;
+            case 'MemberExpression': {
+                const object = this.evaluate(pattern.object, scope);
+                const key = pattern.computed ? this.evaluate(pattern.property, scope) : pattern.property.name;
+                this.setMember(object, key, value);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    makeClosure(node, scope) {
+        return symbolic('function', {node, scope, name: node.id ? node.id.name : null});
+    }
+
+    /**
+     * Invokes an evaluated function value with already-evaluated arguments
+     */
+    callFunction(fn, args, thisValue, node) {
+        if (!isSymbolic(fn, 'function')) {
+            return this.callValue(fn, args, thisValue, node);
+        }
+        const fnNode = fn.node;
+        const scope = new Scope(fn.scope);
+        fnNode.params.forEach((param, index) => {
+            if (param.type === 'RestElement') {
+                this.bindPattern(param.argument, args.slice(index), scope);
+            } else {
+                this.bindPattern(param, args[index], scope);
+            }
+        });
+        if (fnNode.expression) {
+            return this.evaluate(fnNode.body, scope);
+        }
+        if (!fnNode.body) return undefined;
+        const completion = this.execBlock(fnNode.body.body, scope);
+        if (completion && completion.type === 'return') return completion.value;
+        if (completion && completion.type === 'throw') {
+            this.warn('Function threw during static evaluation', completion.node);
+        }
+        return undefined;
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    evaluate(node, scope) {
+        this.tick(node);
+        switch (node.type) {
+            case 'Literal':
+                return node.regex ? symbolic('regex', {pattern: node.regex.pattern, flags: node.regex.flags}) : node.value;
+            case 'TemplateLiteral': {
+                let result = node.quasis[0].value.cooked;
+                for (let i = 0; i < node.expressions.length; i++) {
+                    const value = this.evaluate(node.expressions[i], scope);
+                    if (isSymbolic(value) || (value && typeof value === 'object')) {
+                        return unknown(`template ${this.textOf(node)}`);
+                    }
+                    result += String(value) + node.quasis[i + 1].value.cooked;
+                }
+                return result;
+            }
+            case 'Identifier': {
+                const binding = scope.lookup(node.name);
+                return binding.found ? binding.value : this.resolveGlobal(node.name, node);
+            }
+            case 'ThisExpression':
+                return unknown('this');
+            case 'ArrayExpression': {
+                const result = [];
+                for (const element of node.elements) {
+                    if (!element) {
+                        result.push(undefined);
+                    } else if (element.type === 'SpreadElement') {
+                        const spread = this.evaluate(element.argument, scope);
+                        if (Array.isArray(spread)) {
+                            result.push(...spread);
+                        } else if (isSymbolic(spread, 'enumValues') && spread.values) {
+                            result.push(...spread.values);
+                        } else {
+                            result.push(symbolic('spread', {value: spread}));
+                        }
+                    } else {
+                        result.push(this.evaluate(element, scope));
+                    }
+                }
+                return result;
+            }
+            case 'ObjectExpression':
+                return this.evaluateObject(node, scope);
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return this.makeClosure(node, scope);
+            case 'ClassExpression':
+                return symbolic('class', {name: node.id ? node.id.name : null, node});
+            case 'MemberExpression': {
+                const object = this.evaluate(node.object, scope);
+                if (node.optional && (object === null || object === undefined)) return undefined;
+                const key = node.computed ? this.evaluate(node.property, scope) : node.property.name;
+                return this.getMember(object, key, node);
+            }
+            case 'CallExpression':
+                return this.evaluateCall(node, scope);
+            case 'NewExpression': {
+                const callee = this.evaluate(node.callee, scope);
+                const args = this.evaluateArguments(node.arguments, scope);
+                return symbolic('instance', {callee, args});
+            }
+            case 'AwaitExpression':
+                return this.evaluate(node.argument, scope);
+            case 'UnaryExpression':
+                return this.evaluateUnary(node, scope);
+            case 'BinaryExpression':
+                return this.evaluateBinary(node, scope);
+            case 'LogicalExpression': {
+                const left = this.evaluate(node.left, scope);
+                if (isSymbolic(left) && !['function', 'sequelize', 'dataType'].includes(left.$kind)) {
+                    this.evaluate(node.right, scope);
+                    return unknown('logical expression');
+                }
+                switch (node.operator) {
+                    case '&&':
+                        return left ? this.evaluate(node.right, scope) : left;
+                    case '||':
+                        return left ? left : this.evaluate(node.right, scope);
+                    default:
+                        return left === null || left === undefined ? this.evaluate(node.right, scope) : left;
+                }
+            }
+            case 'ConditionalExpression': {
+                const test = this.evaluate(node.test, scope);
+                if (isSymbolic(test)) return unknown('conditional');
+                return test ? this.evaluate(node.consequent, scope) : this.evaluate(node.alternate, scope);
+            }
+            case 'AssignmentExpression':
+                return this.evaluateAssignment(node, scope);
+            case 'UpdateExpression': {
+                const current = this.evaluate(node.argument, scope);
+                if (typeof current !== 'number') return unknown('update');
+                const updated = node.operator === '++' ? current + 1 : current - 1;
+                this.bindPattern(node.argument, updated, scope, true);
+                return node.prefix ? updated : current;
+            }
+            case 'SequenceExpression': {
+                let value;
+                for (const expression of node.expressions) value = this.evaluate(expression, scope);
+                return value;
+            }
+            case 'TSAsExpression':
+            case 'TSSatisfiesExpression':
+            case 'TSNonNullExpression':
+            case 'TSTypeAssertion':
+                return this.evaluate(node.expression, scope);
+            case 'TaggedTemplateExpression':
+                return unknown('tagged template');
+            case 'ImportExpression':
+                return this.resolveModule(this.evaluate(node.source, scope));
+            default:
+                return unknown(node.type);
+        }
+    }
+
+    evaluateObject(node, scope) {
+        const result = {};
+        const locations = {};
+        for (const property of node.properties) {
+            if (property.type === 'SpreadElement') {
+                const spread = this.evaluate(property.argument, scope);
+                if (isPlainObject(spread)) {
+                    Object.assign(result, spread);
+                    Object.assign(locations, spread[LOCATIONS] || {});
+                }
+                continue;
+            }
+            const key = property.computed
+                ? this.evaluate(property.key, scope)
+                : (property.key.type === 'Identifier' ? property.key.name : property.key.value);
+            if (isSymbolic(key)) continue;
+            if (property.kind !== 'init') continue;
+            result[key] = property.shorthand && property.value.type === 'Identifier'
+                ? this.evaluate(property.key, scope)
+                : this.evaluate(property.value, scope);
+            locations[key] = {line: property.loc.line, column: property.loc.column, node: property};
+        }
+        Object.defineProperty(result, LOCATIONS, {value: locations, enumerable: false, writable: true});
+        return result;
+    }
+
+    /**
+     * Evaluates call arguments, expanding spreads. `keepEnumRefs` leaves
+     * resolved enum spreads intact so that `ENUM(...)` remembers their source.
+     */
+    evaluateArguments(args, scope, keepEnumRefs = false) {
+        const result = [];
+        for (const arg of args) {
+            if (arg.type === 'SpreadElement') {
+                const spread = this.evaluate(arg.argument, scope);
+                if (Array.isArray(spread)) {
+                    result.push(...spread);
+                } else if (isSymbolic(spread, 'enumValues') && spread.values && !keepEnumRefs) {
+                    result.push(...spread.values);
+                } else {
+                    result.push(symbolic('spread', {value: spread}));
+                }
+            } else {
+                result.push(this.evaluate(arg, scope));
+            }
+        }
+        return result;
+    }
+
+    evaluateUnary(node, scope) {
+        const value = this.evaluate(node.argument, scope);
+        if (node.operator === 'typeof') {
+            if (isSymbolic(value, 'function')) return 'function';
+            if (isSymbolic(value)) return unknown('typeof');
+            return value === null ? 'object' : typeof value;
+        }
+        if (node.operator === 'void') return undefined;
+        if (node.operator === 'delete') return true;
+        if (isSymbolic(value)) {
+            return node.operator === '!' && !['unknown', 'ref', 'module'].includes(value.$kind)
+                ? false
+                : unknown(`unary ${node.operator}`);
+        }
+        switch (node.operator) {
+            case '!': return !value;
+            case '-': return -value;
+            case '+': return +value;
+            case '~': return ~value;
+            default: return unknown(`unary ${node.operator}`);
+        }
+    }
+
+    evaluateBinary(node, scope) {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        if (isSymbolic(left) || isSymbolic(right)) {
+            return unknown(`binary ${node.operator}`);
+        }
+        switch (node.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '**': return left ** right;
+            // Loose equality on purpose: it mirrors the evaluated code's semantics
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case '&': return left & right;
+            case '|': return left | right;
+            case '^': return left ^ right;
+            case '<<': return left << right;
+            case '>>': return left >> right;
+            case '>>>': return left >>> right;
+            case 'in': return right && typeof right === 'object' ? left in right : unknown('in');
+            default: return unknown(`binary ${node.operator}`);
+        }
+    }
+
+    evaluateAssignment(node, scope) {
+        let value;
+        if (node.operator === '=') {
+            value = this.evaluate(node.right, scope);
+        } else {
+            const current = this.evaluate(node.left, scope);
+            const right = this.evaluate(node.right, scope);
+            if (isSymbolic(current) || isSymbolic(right)) {
+                value = unknown('compound assignment');
+            } else {
+                switch (node.operator) {
+                    case '+=': value = current + right; break;
+                    case '-=': value = current - right; break;
+                    case '*=': value = current * right; break;
+                    case '||=': value = current || right; break;
+                    case '&&=': value = current && right; break;
+                    case '??=': value = current ?? right; break;
+                    default: value = unknown(`assignment ${node.operator}`);
+                }
+            }
+        }
+        this.bindPattern(node.left, value, scope, true);
+        return value;
+    }
+
+    evaluateCall(node, scope) {
+        const callee = node.callee;
+        let thisValue;
+        let fn;
+        if (callee.type === 'MemberExpression') {
+            thisValue = this.evaluate(callee.object, scope);
+            if (callee.optional && (thisValue === null || thisValue === undefined)) return undefined;
+            const key = callee.computed ? this.evaluate(callee.property, scope) : callee.property.name;
+            fn = this.getMember(thisValue, key, callee);
+            if (fn === undefined || isUnknown(fn)) {
+                const args = this.evaluateArguments(node.arguments, scope);
+                return this.callMethod(thisValue, key, args, node);
+            }
+        } else {
+            fn = this.evaluate(callee, scope);
+        }
+        if (node.optional && (fn === null || fn === undefined)) return undefined;
+        const args = this.evaluateArguments(node.arguments, scope, isSymbolic(fn, 'dataType'));
+        return this.callFunction(fn, args, thisValue, node);
+    }
+
+    /**
+     * Handles calls of well-known methods on plain values (arrays, strings)
+     */
+    callMethod(target, name, args, node) {
+        if (Array.isArray(target)) {
+            const callback = args[0];
+            const invoke = (...callArgs) => this.callFunction(callback, callArgs, undefined, node);
+            switch (name) {
+                case 'map': return target.map((item, index) => invoke(item, index));
+                case 'forEach': target.forEach((item, index) => invoke(item, index)); return undefined;
+                case 'filter': return target.filter((item, index) => !!invoke(item, index));
+                case 'flatMap': return target.flatMap((item, index) => invoke(item, index));
+                case 'some': return target.some((item, index) => !!invoke(item, index));
+                case 'every': return target.every((item, index) => !!invoke(item, index));
+                case 'find': return target.find((item, index) => !!invoke(item, index));
+                case 'reduce': {
+                    let accumulator = args.length > 1 ? args[1] : target[0];
+                    const items = args.length > 1 ? target : target.slice(1);
+                    items.forEach((item, index) => {
+                        accumulator = this.callFunction(callback, [accumulator, item, index], undefined, node);
+                    });
+                    return accumulator;
+                }
+                case 'concat': return target.concat(...args);
+                case 'join': return target.join(args[0] ?? ',');
+                case 'includes': return target.includes(args[0]);
+                case 'indexOf': return target.indexOf(args[0]);
+                case 'slice': return target.slice(...args);
+                case 'flat': return target.flat(args[0]);
+                case 'push': target.push(...args); return target.length;
+                default: return unknown(`array.${name}`);
+            }
+        }
+        if (typeof target === 'string' && args.every(arg => !isSymbolic(arg))) {
+            switch (name) {
+                case 'toLowerCase':
+                case 'toUpperCase':
+                case 'trim':
+                case 'split':
+                case 'includes':
+                case 'startsWith':
+                case 'endsWith':
+                case 'replace':
+                case 'replaceAll':
+                case 'slice':
+                case 'padStart':
+                case 'padEnd':
+                    return String.prototype[name].apply(target, args);
+                default:
+                    return unknown(`string.${name}`);
+            }
+        }
+        if (name === 'then' && isSymbolic(args[0], 'function')) {
+            return this.callFunction(args[0], [isSymbolic(target) ? undefined : target], undefined, node);
+        }
+        return unknown(`method ${name}`);
+    }
+
+    callValue(fn, args, thisValue, node) {
+        if (isSymbolic(fn, 'builtin')) return this.callBuiltin(fn.name, args, node);
+        if (isSymbolic(fn, 'sequelizeHelper')) return this.callSequelizeHelper(fn.name, args);
+        if (isSymbolic(fn, 'dataType')) {
+            return dataType(fn.name, args, fn.flags);
+        }
+        if (isSymbolic(fn)) return this.callSymbolic(fn, args, node, thisValue);
+        return unknown('call of non-function');
+    }
+
+    callBuiltin(name, args, node) {
+        const [first] = args;
+        switch (name) {
+            case 'require':
+                return typeof first === 'string' ? this.resolveModule(first) : unknown('dynamic require');
+            case 'Object.values':
+            case 'Object.keys':
+            case 'Object.entries':
+                if (isPlainObject(first)) {
+                    return name === 'Object.values' ? Object.values(first)
+                        : name === 'Object.keys' ? Object.keys(first) : Object.entries(first);
+                }
+                if (name === 'Object.values' && (isSymbolic(first, 'ref') || isSymbolic(first, 'enumSource'))) {
+                    // A bare identifier may be an enum the project's enums module provides
+                    const resolved = isSymbolic(first, 'ref') && !first.source && this.resolveEnum
+                        ? this.resolveEnum(first.name, null, this.file)
+                        : null;
+                    const values = resolved ? resolved.values : first.values;
+                    return symbolic('enumValues', {
+                        enumName: first.name,
+                        source: first.source || null,
+                        file: resolved ? resolved.file : first.file || null,
+                        values: values ? Object.values(values) : null,
+                        line: node.loc.line
+                    });
+                }
+                return unknown(name);
+            case 'Object.assign':
+                if (args.every(isPlainObject)) return Object.assign(...args);
+                return unknown(name);
+            case 'Object.freeze':
+                return first;
+            case 'Promise.all':
+            case 'Promise.resolve':
+                return first;
+            case 'JSON.stringify':
+                return isSymbolic(first) ? unknown(name) : JSON.stringify(first);
+            case 'Array.isArray':
+                return Array.isArray(first);
+            case 'String':
+                return isSymbolic(first) ? unknown(name) : String(first);
+            case 'Number':
+                return isSymbolic(first) ? unknown(name) : Number(first);
+            default:
+                if (name.startsWith('console.')) return undefined;
+                return unknown(name);
+        }
+    }
+
+    callSequelizeHelper(name, args) {
+        switch (name) {
+            case 'literal':
+                return symbolic('literal', {sql: typeof args[0] === 'string' ? args[0] : null});
+            case 'fn':
+                return symbolic('fn', {name: args[0], args: args.slice(1)});
+            case 'col':
+                return symbolic('col', {name: args[0]});
+            default:
+                return symbolic('sequelizeExpression', {name, args});
+        }
+    }
+
+    getMember(object, key, node) {
+        if (object === null || object === undefined) {
+            return unknown(`member ${key} of ${object}`);
+        }
+        if (Array.isArray(object)) {
+            if (key === 'length') return object.length;
+            return typeof key === 'number' || /^\d+$/.test(String(key)) ? object[key] : undefined;
+        }
+        if (typeof object === 'string') {
+            if (key === 'length') return object.length;
+            return undefined;
+        }
+        if (!isSymbolic(object)) {
+            if (typeof object !== 'object') return undefined;
+            return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+        }
+        switch (object.$kind) {
+            case 'sequelize':
+                if (DATA_TYPE_NAMES.has(key)) return dataType(key);
+                if (SEQUELIZE_HELPERS.has(key)) return symbolic('sequelizeHelper', {name: key});
+                if (SEQUELIZE_NAMESPACE_ALIASES.has(key) || key === 'default') return symbolic('sequelize');
+                return symbolic('ref', {name: `Sequelize.${key}`, source: object.module || 'sequelize'});
+            case 'dataType':
+                if (DATA_TYPE_FLAGS.has(key)) return dataType(object.name, object.args, [...object.flags, key]);
+                return unknown(`${object.name}.${key}`);
+            case 'builtin':
+                return symbolic('builtin', {name: `${object.name}.${key}`});
+            case 'module': {
+                const resolved = key !== 'default' && this.resolveEnum ? this.resolveEnum(key, object.source, this.file) : null;
+                if (resolved) {
+                    return symbolic('enumSource', {name: key, source: object.source, file: resolved.file, values: resolved.values});
+                }
+                return symbolic('ref', {name: key === 'default' ? object.source : key, source: object.source});
+            }
+            case 'enumSource':
+                return object.values && Object.prototype.hasOwnProperty.call(object.values, key)
+                    ? object.values[key]
+                    : unknown(`${object.name}.${key}`);
+            default:
+                return this.getSymbolicMember(object, key, node);
+        }
+    }
+
+    setMember(object, key, value) {
+        if (isPlainObject(object) || Array.isArray(object)) {
+            object[key] = value;
+        }
+    }
+}
+
+module.exports = {
+    DATA_TYPE_NAMES,
+    EvaluationError,
+    LOCATIONS,
+    Scope,
+    StaticEvaluator,
+    dataType,
+    isPlainObject,
+    isSymbolic,
+    isUnknown,
+    locationOf,
+    symbolic,
+    unknown
+};
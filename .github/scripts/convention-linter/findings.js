@@ -0,0 +1,120 @@
+// Finding objects produced by the deterministic analyzers, and their text
+// rendering. The text mirrors the ERROR format the AI prompts ask for, so
+// both kinds of output read the same in logs and PR comments.
+
+const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+/**
+ * Creates a finding. `model` and `migration` are `{ file, line, detail }`
+ * locations; the primary `file`/`line` defaults to whichever side is given
+ * first in `primary` (defaults to the migration side). Findings that belong
+ * to neither side pass `file`/`line` directly. `rule` is the id of the
+ * convention rule (see rules.js) the finding reports.
+ */
+function createFinding({category, rule = null, severity = SEVERITY.ERROR, message, model = null, migration = null, file = null, line = null, impact = null, fix = null, primary = 'migration'}) {
+    const primaryLocation = (primary === 'model' ? model || migration : migration || model) || {file, line};
+    return {
+        category,
+        rule,
+        severity,
+        message,
+        file: primaryLocation.file || null,
+        line: primaryLocation.line || null,
+        model,
+        migration,
+        impact,
+        fix
+    };
+}
+
+function formatLocation(location) {
+    const position = location.line ? `${location.file}:${location.line}` : location.file;
+    return location.detail ? `${position} - ${location.detail}` : position;
+}
+
+/**
+ * Renders one finding in the `ERROR: [Category] ...` block format
+ */
+function formatFinding(finding) {
+    const lines = [`${finding.severity.toUpperCase()}: [${finding.category}] ${finding.message}`];
+    if (finding.model) lines.push(`  Model: ${formatLocation(finding.model)}`);
+    if (finding.migration) lines.push(`  Migration: ${formatLocation(finding.migration)}`);
+    if (!finding.model && !finding.migration && finding.file) {
+        lines.push(`  File: ${formatLocation({file: finding.file, line: finding.line})}`);
+    }
+    if (finding.rule) lines.push(`  Rule: ${finding.rule}`);
+    if (finding.impact) lines.push(`  Impact: ${finding.impact}`);
+    if (finding.fix) lines.push(`  Fix: ${finding.fix}`);
+    return lines.join('\n');
+}
+
+function formatFindings(findings) {
+    return findings.map(formatFinding).join('\n\n');
+}
+
+function markdownLocation(location) {
+    const position = location.line ? `${location.file}:${location.line}` : location.file;
+    return location.detail ? `\`${position}\` — ${location.detail}` : `\`${position}\``;
+}
+
+/**
+ * Renders one finding as Markdown; `heading` prefixes the title line
+ */
+function formatFindingMarkdown(finding, heading = '') {
+    const icon = finding.severity === SEVERITY.ERROR ? '❌' : '⚠️';
+    const lines = [`${heading}${icon} [${finding.category}] ${finding.message}`, ''];
+    if (finding.model) lines.push(`- **Model:** ${markdownLocation(finding.model)}`);
+    if (finding.migration) lines.push(`- **Migration:** ${markdownLocation(finding.migration)}`);
+    if (!finding.model && !finding.migration && finding.file) {
+        lines.push(`- **File:** ${markdownLocation({file: finding.file, line: finding.line})}`);
+    }
+    if (finding.rule) lines.push(`- **Rule:** \`${finding.rule}\``);
+    if (finding.impact) lines.push(`- **Impact:** ${finding.impact}`);
+    if (finding.fix) lines.push(`- **Suggested fix:** ${finding.fix}`);
+    return lines.join('\n');
+}
+
+/**
+ * Renders findings as Markdown for PR comments, errors first
+ */
+function formatFindingsMarkdown(findings) {
+    const ordered = [
+        ...findings.filter(finding => finding.severity === SEVERITY.ERROR),
+        ...findings.filter(finding => finding.severity !== SEVERITY.ERROR)
+    ];
+    return ordered
+        .map((finding, position) => formatFindingMarkdown(finding, `#### ${position + 1}. `))
+        .join('\n\n');
+}
+
+/**
+ * Drops findings that report the same problem at the same place twice, which
+ * happens when the per-file and whole-history checks agree
+ */
+function dedupeFindings(findings) {
+    const seen = new Set();
+    return findings.filter(finding => {
+        const key = [finding.category, finding.message, finding.file, finding.line].join('|');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function hasBlockingFindings(findings) {
+    return findings.some(finding => finding.severity === SEVERITY.ERROR);
+}
+
+module.exports = {
+    SEVERITY,
+    createFinding,
+    dedupeFindings,
+    formatFinding,
+    formatFindingMarkdown,
+    formatFindings,
+    formatFindingsMarkdown,
+    hasBlockingFindings
+};
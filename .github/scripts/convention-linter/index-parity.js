@@ -0,0 +1,202 @@
+// Index parity between models (`@Table({ indexes })` and `@Index` property
+// decorators) and the indexes the migrations actually create: field lists,
+// names, uniqueness and partial `where` clauses, reported in both directions.
+
+const {isPlainObject, isSymbolic, locationOf} = require('./evaluator');
+const {createFinding} = require('./findings');
+const {defaultIndexName, indexFieldName} = require('./schema-replay');
+
+/**
+ * Stable string for a `where` clause so that key order does not matter
+ */
+function canonicalWhere(where) {
+    if (where === null || where === undefined) return null;
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (isSymbolic(value)) {
+            if (value.$kind === 'literal') return {literal: value.sql};
+            return {[value.$kind]: value.name || null};
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = normalize(value[key]);
+                return result;
+            }, {});
+        }
+        return value;
+    };
+    return JSON.stringify(normalize(where));
+}
+
+function describeIndex(index) {
+    const parts = [`(${index.fields.join(', ')})`];
+    if (index.unique) parts.push('unique');
+    if (index.where !== null && index.where !== undefined) parts.push(`where ${canonicalWhere(index.where)}`);
+    return `${index.name} ${parts.join(' ')}`;
+}
+
+/**
+ * Maps a model index field to its column name; index fields may use either
+ * the attribute name or the column name
+ */
+function columnForField(model, field) {
+    const attribute = model.attributes.find(candidate => candidate.name === field);
+    return attribute ? attribute.columnName : field;
+}
+
+/**
+ * Collects the indexes a model declares
+ */
+function modelIndexes(model) {
+    const indexes = [];
+
+    for (const index of model.indexes) {
+        if (!isPlainObject(index)) continue;
+        const fields = (Array.isArray(index.fields) ? index.fields : [])
+            .map(indexFieldName)
+            .filter(Boolean)
+            .map(field => columnForField(model, field));
+        const location = locationOf(index, 'fields') || locationOf(index, 'name');
+        indexes.push({
+            name: typeof index.name === 'string' ? index.name : defaultIndexName(model.tableName, fields),
+            fields,
+            unique: !!index.unique,
+            where: index.where === undefined ? null : index.where,
+            line: location ? location.line : model.line
+        });
+    }
+
+    // sequelize-typescript `@Index` / `@Index('name')` / `@Index({ name, unique })`
+    const grouped = new Map();
+    for (const property of model.properties) {
+        for (const decorator of property.decorators) {
+            if (decorator.name !== 'Index') continue;
+            const [options] = decorator.args || [];
+            const column = property.columnName || columnForField(model, property.name);
+            const explicitName = typeof options === 'string' ? options : (isPlainObject(options) && options.name) || null;
+            const key = explicitName || `${model.tableName}:${column}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, {
+                    name: explicitName,
+                    fields: [],
+                    unique: isPlainObject(options) && !!options.unique,
+                    where: isPlainObject(options) && options.where !== undefined ? options.where : null,
+                    line: decorator.line
+                });
+            }
+            grouped.get(key).fields.push(column);
+        }
+    }
+    for (const index of grouped.values()) {
+        indexes.push({...index, name: index.name || defaultIndexName(model.tableName, index.fields)});
+    }
+
+    return indexes;
+}
+
+function sameFields(a, b) {
+    return a.length === b.length && a.every((field, position) => field === b[position]);
+}
+
+/**
+ * Pairs model indexes with migration indexes, by name first and then by field list
+ */
+function pairIndexes(declared, created) {
+    const pairs = [];
+    const remainingCreated = [...created];
+    const unmatchedDeclared = [];
+
+    for (const index of declared) {
+        let position = remainingCreated.findIndex(candidate => candidate.name === index.name);
+        if (position === -1) {
+            position = remainingCreated.findIndex(candidate => sameFields(candidate.fields, index.fields));
+        }
+        if (position === -1) {
+            unmatchedDeclared.push(index);
+        } else {
+            pairs.push([index, remainingCreated[position]]);
+            remainingCreated.splice(position, 1);
+        }
+    }
+    return {pairs, unmatchedDeclared, unmatchedCreated: remainingCreated};
+}
+
+/**
+ * Compares model-declared indexes with the indexes in the (replayed) schema
+ */
+function checkIndexParity(models, schema) {
+    const findings = [];
+    if (!schema) return findings;
+
+    for (const model of models) {
+        const table = schema.tables.get(model.tableName);
+        if (!table) continue;
+
+        const declared = modelIndexes(model);
+        const {pairs, unmatchedDeclared, unmatchedCreated} = pairIndexes(declared, table.indexes);
+        const modelSide = (index) => ({file: model.file, line: index.line, detail: describeIndex(index)});
+        const migrationSide = (index) => ({file: index.file, line: index.line, detail: describeIndex(index)});
+
+        for (const index of unmatchedDeclared) {
+            findings.push(createFinding({
+                category: 'Structural Integrity',
+                rule: 'index-parity',
+                message: `Index '${index.name}' is declared on ${model.name} but no migration creates it`,
+                model: modelSide(index),
+                migration: {file: table.file, line: null, detail: `missing addIndex('${table.name}', [${index.fields.map(field => `'${field}'`).join(', ')}])`},
+                impact: 'Queries relying on the index do full table scans; sync() and migrations disagree',
+                fix: `Add an addIndex migration for '${index.name}' or remove it from the model`,
+                primary: 'model'
+            }));
+        }
+
+        for (const index of unmatchedCreated) {
+            findings.push(createFinding({
+                category: 'Structural Integrity',
+                rule: 'index-parity',
+                message: `Index '${index.name}' is created by a migration but not declared on ${model.name}`,
+                model: {file: model.file, line: model.line, detail: `missing from @Table({ indexes }) of ${model.name}`},
+                migration: migrationSide(index),
+                impact: 'The model no longer documents the index; sync()-based test databases miss it',
+                fix: `Declare '${index.name}' in the @Table indexes of ${model.name} or drop it in a migration`
+            }));
+        }
+
+        for (const [declaredIndex, createdIndex] of pairs) {
+            const differences = [];
+            if (declaredIndex.name !== createdIndex.name) {
+                differences.push(`name (model: ${declaredIndex.name}, migration: ${createdIndex.name})`);
+            }
+            if (!sameFields(declaredIndex.fields, createdIndex.fields)) {
+                differences.push(`fields (model: ${declaredIndex.fields.join(', ')}, migration: ${createdIndex.fields.join(', ')})`);
+            }
+            if (declaredIndex.unique !== createdIndex.unique) {
+                differences.push(`uniqueness (model: ${declaredIndex.unique}, migration: ${createdIndex.unique})`);
+            }
+            if (canonicalWhere(declaredIndex.where) !== canonicalWhere(createdIndex.where)) {
+                differences.push(`where clause (model: ${canonicalWhere(declaredIndex.where) || 'none'}, migration: ${canonicalWhere(createdIndex.where) || 'none'})`);
+            }
+            if (differences.length === 0) continue;
+
+            findings.push(createFinding({
+                category: 'Structural Integrity',
+                rule: 'index-parity',
+                message: `Index '${createdIndex.name}' differs between ${model.name} and the migrations: ${differences.join('; ')}`,
+                model: modelSide(declaredIndex),
+                migration: migrationSide(createdIndex),
+                impact: declaredIndex.unique !== createdIndex.unique
+                    ? 'Uniqueness is enforced differently than the model assumes'
+                    : 'The index the model expects is not the one the database has',
+                fix: 'Make the model index definition match the migration (or migrate the index)'
+            }));
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    canonicalWhere,
+    checkIndexParity,
+    modelIndexes
+};
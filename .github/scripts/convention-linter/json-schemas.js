@@ -0,0 +1,215 @@
+// JSON Schemas for JSON / JSONB columns. Each column's schema is kept in
+// JSON_SCHEMAS_DIR (default 'src/json-schemas') as
+// `<table>.<column>.schema.json` and is generated from the TypeScript type of
+// the model attribute. Besides the schema itself the file records:
+//   x-version         bumped whenever the schema is regenerated with changes
+//   x-typescript      the type it was generated from and the hash of the result
+//   x-data-migration  migration that brought existing rows to this version, or
+//                     false when they needed no change
+
+const fs = require('fs');
+const path = require('path');
+const {isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {listMigrationFiles} = require('./project-files');
+const {JSON_SCHEMA_DRAFT, schemaHash, typeToJsonSchema} = require('./ts-json-schema');
+const {attributeValidators} = require('./validator-coverage');
+
+const DEFAULT_JSON_SCHEMAS_DIR = path.join('src', 'json-schemas');
+const JSON_TYPES = ['JSON', 'JSONB'];
+
+function jsonSchemasDir() {
+    return process.env.JSON_SCHEMAS_DIR || DEFAULT_JSON_SCHEMAS_DIR;
+}
+
+/**
+ * Attributes of a model stored in JSON / JSONB columns
+ */
+function jsonAttributes(model) {
+    return model.attributes.filter(attribute => (
+        isSymbolic(attribute.column.type, 'dataType') && JSON_TYPES.includes(attribute.column.type.name)
+    ));
+}
+
+function schemaFile(model, attribute, dir = jsonSchemasDir()) {
+    return path.join(dir, `${model.tableName}.${attribute.columnName}.schema.json`);
+}
+
+/**
+ * The stored schema of a column; null when there is none. Throws when the
+ * file is not valid JSON.
+ */
+function loadColumnSchema(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * `{ type, schema, hash, unresolved }` for the attribute's TypeScript type;
+ * null when the attribute has no type annotation
+ */
+function attributeTypeSchema(model, attribute) {
+    if (!attribute.tsTypeNode) return null;
+    const {schema, unresolved} = typeToJsonSchema(attribute.tsTypeNode, model.file);
+    return {type: attribute.tsType, schema, hash: schemaHash(schema), unresolved};
+}
+
+/**
+ * Whether the type behind a stored schema changed: the annotation was
+ * rewritten, or it resolves to a different schema. Hashes are only compared
+ * when both sides resolved every type, since a missing package (e.g. no
+ * node_modules in CI) changes the result without the type changing.
+ */
+function typeChanged(stored, current) {
+    const recorded = stored['x-typescript'] || {};
+    if (recorded.type !== current.type) return true;
+    const complete = current.unresolved.length === 0 && (recorded.unresolved || []).length === 0;
+    return complete && recorded.hash !== current.hash;
+}
+
+/**
+ * Schema file contents for an attribute; `previous` is the stored schema,
+ * whose version is bumped when the type changed. `stale` is also set when
+ * the schema only got more complete, e.g. once a package type resolves.
+ */
+function buildColumnSchema(model, attribute, previous = null) {
+    const current = attributeTypeSchema(model, attribute);
+    if (!current) throw new Error(`${model.name}.${attribute.name} has no TypeScript type to generate a schema from`);
+    const changed = !previous || typeChanged(previous, current);
+    const stale = changed || (previous['x-typescript'] || {}).hash !== current.hash;
+    const version = previous ? (previous['x-version'] || 1) + (changed ? 1 : 0) : 1;
+
+    return {
+        document: {
+            $schema: JSON_SCHEMA_DRAFT,
+            $id: `${model.tableName}.${attribute.columnName}`,
+            title: `${model.name}.${attribute.name}`,
+            'x-version': version,
+            'x-typescript': {
+                type: current.type,
+                hash: current.hash,
+                ...(current.unresolved.length > 0 ? {unresolved: current.unresolved} : {})
+            },
+            // The first version describes rows written by the model since the column existed
+            'x-data-migration': version === 1 ? false : (changed ? null : previous['x-data-migration']),
+            ...current.schema
+        },
+        changed,
+        stale,
+        unresolved: current.unresolved
+    };
+}
+
+function columnLocation(model, attribute, detail) {
+    return {file: model.file, line: attribute.line, detail};
+}
+
+/**
+ * Findings for the JSON columns of `models`: a missing schema or model-side
+ * validator, a type that changed since its schema was generated, and schema
+ * versions without a data migration. `projectModels` are only checked for
+ * drift, since a package upgrade changes their types without touching them.
+ */
+function checkJsonSchemas(models, projectModels = models) {
+    const findings = [];
+    const migrations = new Set(listMigrationFiles().map(file => path.basename(file)));
+    const finding = (model, attribute, fields) => createFinding({
+        category: 'Data Type Mismatch',
+        model: columnLocation(model, attribute, `${attribute.name}: ${attribute.tsType || 'untyped'}`),
+        primary: 'model',
+        ...fields
+    });
+
+    for (const model of new Set([...models, ...projectModels])) {
+        const changed = models.includes(model);
+        for (const attribute of jsonAttributes(model)) {
+            const file = schemaFile(model, attribute);
+            const column = `${model.tableName}.${attribute.columnName}`;
+            let stored;
+            try {
+                stored = loadColumnSchema(file);
+            } catch (error) {
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema',
+                    severity: SEVERITY.WARNING,
+                    message: error.message,
+                    impact: `Payloads in ${column} are not validated`,
+                    fix: `Regenerate it: node .github/scripts/generate-json-schema.js ${model.name} ${attribute.name}`
+                }));
+                continue;
+            }
+
+            if (!stored) {
+                if (!changed) continue;
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema',
+                    severity: SEVERITY.WARNING,
+                    message: `${model.name}.${attribute.name} is stored in ${attribute.column.type.name} column '${column}' without a JSON Schema`,
+                    impact: 'Malformed payloads and silent shape changes of the TypeScript type go unnoticed',
+                    fix: `Generate ${file}: node .github/scripts/generate-json-schema.js ${model.name} ${attribute.name}`
+                }));
+                continue;
+            }
+
+            if (changed && !attributeValidators(attribute).some(validator => validator.custom)) {
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema',
+                    severity: SEVERITY.WARNING,
+                    message: `${model.name}.${attribute.name} has a JSON Schema but the model does not validate against it`,
+                    impact: 'The model can still write payloads the schema rejects',
+                    fix: `Add a custom validator, e.g. validate: { matchesSchema(value) { if (!ajv.validate(require('${file}'), value)) throw new Error(ajv.errorsText()) } }`
+                }));
+            }
+
+            const current = attributeTypeSchema(model, attribute);
+            const version = stored['x-version'] || 1;
+            if (current && typeChanged(stored, current)) {
+                const recorded = (stored['x-typescript'] || {}).type;
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema-drift',
+                    severity: SEVERITY.ERROR,
+                    message: recorded === current.type
+                        ? `Type ${current.type} of ${model.name}.${attribute.name} changed since its JSON Schema (version ${version}) was generated`
+                        : `Type of ${model.name}.${attribute.name} changed from ${recorded} to ${current.type} since its JSON Schema (version ${version}) was generated`,
+                    impact: `Rows already in ${column} may not match the new type, and the stored schema rejects or misses the new shape`,
+                    fix: `Regenerate the schema (bumps it to version ${version + 1}): node .github/scripts/generate-json-schema.js ${model.name} ${attribute.name}, ` +
+                        'and add a data migration for existing rows'
+                }));
+                continue;
+            }
+
+            const dataMigration = stored['x-data-migration'];
+            if (version > 1 && (dataMigration === null || dataMigration === undefined)) {
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema-drift',
+                    severity: SEVERITY.ERROR,
+                    message: `JSON Schema of ${column} is at version ${version} but names no data migration for existing rows`,
+                    impact: `Rows written before version ${version} keep the old shape`,
+                    fix: `Add a migration that rewrites ${column} and set "x-data-migration" to its file name in ${file}, ` +
+                        'or to false when existing rows need no change'
+                }));
+            } else if (typeof dataMigration === 'string' && !migrations.has(path.basename(dataMigration))) {
+                findings.push(finding(model, attribute, {
+                    rule: 'jsonb-schema-drift',
+                    severity: SEVERITY.ERROR,
+                    message: `JSON Schema of ${column} names data migration '${dataMigration}', which does not exist`,
+                    impact: `Rows written before version ${version} may keep the old shape`,
+                    fix: `Point "x-data-migration" in ${file} at the migration that rewrites ${column}`
+                }));
+            }
+        }
+    }
+    return findings;
+}
+
+module.exports = {
+    buildColumnSchema,
+    checkJsonSchemas,
+    jsonAttributes,
+    loadColumnSchema,
+    schemaFile
+};
@@ -0,0 +1,413 @@
+// Migration skeletons from model changes. Compares a model against the
+// schema replayed from the migration history and renders a migration in the
+// project's style (transaction-wrapped up/down, no semicolons) whose down()
+// is the exact reverse of its up().
+
+const path = require('path');
+const {associationForeignKeys} = require('./associations');
+const {isPlainObject, isSymbolic} = require('./evaluator');
+const {modelIndexes} = require('./index-parity');
+const {toSnakeCase} = require('./naming');
+const {defaultIndexName} = require('./schema-replay');
+const {defaultsEqual, effectiveAllowNull, typesEqual} = require('./schema');
+
+const INDENT = '    ';
+// Attribute keys copied into migration column definitions, in output order
+const DEFINITION_KEYS = [
+    'type', 'allowNull', 'primaryKey', 'autoIncrement', 'unique', 'defaultValue',
+    'references', 'onDelete', 'onUpdate', 'comment'
+];
+const DEFAULT_ENUMS_MODULE = '../enums';
+const UTIL_MODULE = '~/util';
+
+/**
+ * Migration column definition for a model attribute or a replayed column
+ */
+function columnDefinition(column) {
+    const definition = {};
+    for (const key of DEFINITION_KEYS) {
+        if (column[key] !== undefined && column[key] !== null) definition[key] = column[key];
+    }
+    return definition;
+}
+
+function isEnumColumn(column) {
+    return isSymbolic(column.type, 'dataType') && column.type.name === 'ENUM';
+}
+
+function columnDiffers(attribute, column) {
+    const modelColumn = attribute.column;
+    return (modelColumn.type && column.type && !typesEqual(modelColumn.type, column.type)) ||
+        effectiveAllowNull(modelColumn) !== effectiveAllowNull(column) ||
+        (!attribute.timestamp && !defaultsEqual(modelColumn.defaultValue, column.defaultValue));
+}
+
+/**
+ * Foreign keys on `model`'s table that the associations of `models` imply,
+ * merged like the association check merges both sides of an association
+ */
+function foreignKeysOf(model, models) {
+    const modelsByName = new Map(models.map(candidate => [candidate.name, candidate]));
+    const keys = new Map();
+    for (const candidate of models) {
+        for (const key of associationForeignKeys(candidate, modelsByName)) {
+            if (key.owner.tableName !== model.tableName) continue;
+            const existing = keys.get(key.column);
+            if (!existing) {
+                keys.set(key.column, {...key});
+                continue;
+            }
+            if (existing.onDelete === undefined) existing.onDelete = key.onDelete;
+            if (existing.onUpdate === undefined) existing.onUpdate = key.onUpdate;
+        }
+    }
+    return [...keys.values()];
+}
+
+/**
+ * Column definition with the `references` and `onDelete` of its foreign
+ * key; without one on the association, `onDelete` follows Sequelize's
+ * default (CASCADE for a required key, SET NULL otherwise)
+ */
+function withReferences(definition, key) {
+    if (definition.references) return definition;
+    return columnDefinition({
+        ...definition,
+        references: {model: key.target.tableName, key: key.targetColumn},
+        onDelete: definition.onDelete || key.onDelete || (effectiveAllowNull(definition) ? 'SET NULL' : 'CASCADE'),
+        onUpdate: definition.onUpdate || key.onUpdate
+    });
+}
+
+/**
+ * Changes that bring the replayed table in line with the model:
+ * `{ table, createTable, addColumns, changeColumns, addIndexes, addConstraints, untouched, suggestions }`.
+ * Columns and indexes only the database has are listed in `untouched`;
+ * removing them is destructive and left to the developer. `models` are the
+ * project's models, whose associations give the foreign keys of the table;
+ * each gets `references`, `onDelete` and an index, and `suggestions` name
+ * the indexes to declare on the model as well.
+ */
+function planMigration(model, schema, models = [model]) {
+    const table = schema.tables.get(model.tableName);
+    const foreignKeys = foreignKeysOf(model, [...models.filter(candidate => candidate.name !== model.name), model]);
+    const foreignKeyFor = (column) => foreignKeys.find(key => key.column === column);
+    const plan = {
+        table: model.tableName,
+        createTable: null,
+        addColumns: [],
+        changeColumns: [],
+        addIndexes: [],
+        addConstraints: [],
+        untouched: [],
+        suggestions: []
+    };
+    const definitionOf = (attribute) => {
+        const key = foreignKeyFor(attribute.columnName);
+        return key ? withReferences(columnDefinition(attribute.column), key) : columnDefinition(attribute.column);
+    };
+
+    if (!table) {
+        const columns = {};
+        for (const attribute of model.attributes) {
+            columns[attribute.columnName] = definitionOf(attribute);
+        }
+        plan.createTable = {columns};
+        plan.addIndexes = modelIndexes(model);
+        addForeignKeyIndexes(plan, model, foreignKeys, null);
+        return plan;
+    }
+
+    for (const attribute of model.attributes) {
+        const column = table.columns.get(attribute.columnName);
+        const key = foreignKeyFor(attribute.columnName);
+        if (!column) {
+            plan.addColumns.push({column: attribute.columnName, definition: definitionOf(attribute)});
+            continue;
+        }
+        if (columnDiffers(attribute, column)) {
+            plan.changeColumns.push({
+                column: attribute.columnName,
+                definition: columnDefinition(attribute.column),
+                previous: columnDefinition(column)
+            });
+        }
+        if (key && !column.references && !table.constraints.some(constraint => (
+            String((constraint.options || {}).type || '').toLowerCase() === 'foreign key' &&
+            constraint.fields.length === 1 && constraint.fields[0] === column.name
+        ))) {
+            const {references, onDelete, onUpdate} = withReferences(columnDefinition(attribute.column), key);
+            plan.addConstraints.push({
+                name: `${model.tableName}_${column.name}_fkey`,
+                fields: [column.name],
+                type: 'foreign key',
+                references: {table: references.model, field: references.key},
+                onDelete,
+                onUpdate
+            });
+        }
+    }
+    for (const columnName of table.columns.keys()) {
+        if (!model.attributes.some(attribute => attribute.columnName === columnName)) {
+            plan.untouched.push(`column '${columnName}' is not on the model`);
+        }
+    }
+
+    for (const index of modelIndexes(model)) {
+        const exists = table.indexes.some(existing => existing.name === index.name ||
+            (existing.fields.join(',') === index.fields.join(',') && existing.unique === index.unique));
+        if (!exists) plan.addIndexes.push(index);
+    }
+    for (const index of table.indexes) {
+        if (!modelIndexes(model).some(declared => declared.name === index.name)) {
+            plan.untouched.push(`index '${index.name}' is not declared on the model`);
+        }
+    }
+    addForeignKeyIndexes(plan, model, foreignKeys, table);
+    return plan;
+}
+
+/**
+ * Adds an index to each foreign key column that no existing, declared or
+ * planned index leads with, as the foreign-key-index check asks
+ */
+function addForeignKeyIndexes(plan, model, foreignKeys, table) {
+    for (const key of foreignKeys) {
+        const attribute = model.attributes.find(candidate => candidate.columnName === key.column);
+        if (!attribute || attribute.column.primaryKey || attribute.column.unique) continue;
+        const leads = (index) => index.fields[0] === key.column;
+        if (plan.addIndexes.some(leads) || modelIndexes(model).some(leads)) continue;
+        if (table && table.indexes.some(leads)) continue;
+        const name = defaultIndexName(model.tableName, [key.column]);
+        plan.addIndexes.push({name, fields: [key.column], unique: false, where: null, line: attribute.line});
+        plan.suggestions.push(`declare @Index on '${attribute.name}' so that the model lists the foreign key index '${name}'`);
+    }
+}
+
+function isEmptyPlan(plan) {
+    return !plan.createTable && plan.addColumns.length === 0 &&
+        plan.changeColumns.length === 0 && plan.addIndexes.length === 0 &&
+        (plan.addConstraints || []).length === 0;
+}
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function renderType(type, enumNames) {
+    if (!isSymbolic(type, 'dataType')) return 'Sequelize.STRING';
+    if (type.name === 'ENUM') {
+        if (type.enumRef) {
+            enumNames.add(type.enumRef.name);
+            return `Sequelize.ENUM(...Object.values(${type.enumRef.name}))`;
+        }
+        return `Sequelize.ENUM(${(type.values || []).map(quote).join(', ')})`;
+    }
+    const args = (type.args || []).filter(arg => !isPlainObject(arg)).map(arg => {
+        if (isSymbolic(arg, 'dataType')) return renderType(arg, enumNames);
+        return typeof arg === 'string' ? quote(arg) : JSON.stringify(arg);
+    });
+    const flags = (type.flags || []).map(flag => `.${flag}`).join('');
+    return `Sequelize.${type.name}${args.length ? `(${args.join(', ')})` : ''}${flags}`;
+}
+
+function renderDefault(value) {
+    if (isSymbolic(value, 'fn')) {
+        const args = (value.args || []).map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg)));
+        return `Sequelize.literal(${quote(`${value.name}(${args.join(', ')})`)})`;
+    }
+    if (isSymbolic(value, 'literal')) return `Sequelize.literal(${quote(value.sql || '')})`;
+    if (isSymbolic(value, 'dataType')) return `Sequelize.${value.name}`;
+    return renderValue(value);
+}
+
+function renderValue(value, depth = 0) {
+    if (typeof value === 'string') return quote(value);
+    if (Array.isArray(value)) return `[${value.map(item => renderValue(item, depth)).join(', ')}]`;
+    if (isPlainObject(value) && !isSymbolic(value)) {
+        return renderObject(Object.entries(value).map(([key, item]) => [key, renderValue(item, depth + 1)]), depth);
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function renderKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+}
+
+/**
+ * Multi-line object literal from rendered `[key, source]` entries; `depth`
+ * is the indentation level of the line the literal starts on
+ */
+function renderObject(entries, depth) {
+    if (entries.length === 0) return '{}';
+    const inner = INDENT.repeat(depth + 1);
+    const lines = entries.map(([key, source]) => (source === key ? `${inner}${key}` : `${inner}${renderKey(key)}: ${source}`));
+    return `{\n${lines.join(',\n')}\n${INDENT.repeat(depth)}}`;
+}
+
+function renderDefinition(definition, depth, enumNames) {
+    return renderObject(Object.entries(definition).map(([key, value]) => {
+        if (key === 'type') return [key, renderType(value, enumNames)];
+        if (key === 'defaultValue') return [key, renderDefault(value)];
+        return [key, renderValue(value, depth + 1)];
+    }), depth);
+}
+
+function renderIndexOptions(index, depth) {
+    const entries = [['name', quote(index.name)]];
+    if (index.unique) entries.push(['unique', 'true']);
+    if (index.where !== null && index.where !== undefined) entries.push(['where', renderValue(index.where, depth + 1)]);
+    entries.push(['transaction', 'transaction']);
+    return renderObject(entries, depth);
+}
+
+function renderCall(callee, args, depth) {
+    const pad = INDENT.repeat(depth);
+    return `${pad}await ${callee}(\n${args.map(arg => `${INDENT.repeat(depth + 1)}${arg}`).join(',\n')}\n${pad})`;
+}
+
+function renderTransaction(statements) {
+    return [
+        `${INDENT.repeat(2)}return await queryInterface.sequelize.transaction(`,
+        `${INDENT.repeat(3)}async (transaction) => {`,
+        statements.join('\n'),
+        `${INDENT.repeat(3)}}`,
+        `${INDENT.repeat(2)})`
+    ].join('\n');
+}
+
+/**
+ * Renders a plan as migration source. `enumsModule` is the module the
+ * migration requires enum objects from (relative to the migrations directory).
+ */
+function renderMigration(plan, {enumsModule = DEFAULT_ENUMS_MODULE} = {}) {
+    const depth = 4;
+    const table = quote(plan.table);
+    const transactionOption = '{ transaction }';
+    const enumNames = new Set();
+    const up = [];
+    const down = [];
+    const droppedEnumColumns = [];
+
+    if (plan.createTable) {
+        const columns = renderObject(Object.entries(plan.createTable.columns).map(([name, definition]) => (
+            [name, renderDefinition(definition, depth + 2, enumNames)]
+        )), depth + 1);
+        up.push(renderCall('queryInterface.createTable', [table, columns, transactionOption], depth));
+        down.push(`${INDENT.repeat(depth)}await queryInterface.dropTable(${table}, ${transactionOption})`);
+        for (const [name, definition] of Object.entries(plan.createTable.columns)) {
+            if (isEnumColumn(definition)) droppedEnumColumns.push(name);
+        }
+    }
+
+    for (const {column, definition} of plan.addColumns) {
+        up.push(renderCall('queryInterface.addColumn', [table, quote(column), renderDefinition(definition, depth + 1, enumNames), transactionOption], depth));
+        down.unshift(renderCall('queryInterface.removeColumn', [table, quote(column), transactionOption], depth));
+        if (isEnumColumn(definition)) droppedEnumColumns.push(column);
+    }
+
+    for (const {column, definition, previous} of plan.changeColumns) {
+        up.push(renderCall('queryInterface.changeColumn', [table, quote(column), renderDefinition(definition, depth + 1, enumNames), transactionOption], depth));
+        down.unshift(renderCall('queryInterface.changeColumn', [table, quote(column), renderDefinition(previous, depth + 1, enumNames), transactionOption], depth));
+        // The enum type created for the new ENUM definition is not dropped by changeColumn
+        if (isEnumColumn(definition) && !isEnumColumn(previous)) droppedEnumColumns.push(column);
+    }
+
+    if (plan.addIndexes.length > 0 && !plan.createTable) {
+        up.push(`${INDENT.repeat(depth)}// Add indexes`);
+    }
+    for (const index of plan.addIndexes) {
+        up.push(renderCall('queryInterface.addIndex', [table, renderValue(index.fields), renderIndexOptions(index, depth + 1)], depth));
+        if (!plan.createTable) {
+            down.unshift(renderCall('queryInterface.removeIndex', [table, quote(index.name), transactionOption], depth));
+        }
+    }
+
+    for (const constraint of plan.addConstraints || []) {
+        const entries = [
+            ['fields', renderValue(constraint.fields)],
+            ['type', quote(constraint.type)],
+            ['name', quote(constraint.name)]
+        ];
+        if (constraint.check) entries.push(['where', `Sequelize.literal(${quote(constraint.check)})`]);
+        if (constraint.references) {
+            entries.push(['references', renderValue(constraint.references, depth + 2)]);
+            for (const action of ['onDelete', 'onUpdate']) {
+                if (constraint[action]) entries.push([action, quote(constraint[action])]);
+            }
+        }
+        entries.push(['transaction', 'transaction']);
+        const options = renderObject(entries, depth + 1);
+        up.push(renderCall('queryInterface.addConstraint', [table, options], depth));
+        down.unshift(renderCall('queryInterface.removeConstraint', [table, quote(constraint.name), transactionOption], depth));
+    }
+
+    if (droppedEnumColumns.length > 0) {
+        down.push(renderCall('dropEnumTypesForTable', [table, renderValue(droppedEnumColumns), 'queryInterface', 'transaction'], depth));
+    }
+
+    const upRequires = enumNames.size > 0
+        ? `${INDENT.repeat(2)}const { ${[...enumNames].join(', ')} } = await require(${quote(enumsModule)})\n`
+        : '';
+    const downRequires = droppedEnumColumns.length > 0
+        ? `${INDENT.repeat(2)}const { dropEnumTypesForTable } = await require(${quote(UTIL_MODULE)})\n`
+        : '';
+
+    return [
+        "'use strict'",
+        '',
+        'module.exports = {',
+        `${INDENT}up: async (queryInterface, Sequelize) => {`,
+        `${upRequires}${renderTransaction(up)}`,
+        `${INDENT}},`,
+        `${INDENT}down: async (${plan.changeColumns.length > 0 ? 'queryInterface, Sequelize' : 'queryInterface'}) => {`,
+        `${downRequires}${renderTransaction(down)}`,
+        `${INDENT}}`,
+        '}',
+        ''
+    ].join('\n');
+}
+
+function pad(number, width = 2) {
+    return String(number).padStart(width, '0');
+}
+
+/**
+ * `YYYYMMDDHHmmss` in UTC, as sequelize-cli names migrations; kept later
+ * than every existing migration so the new one runs last
+ */
+function migrationTimestamp(existingFiles = [], now = new Date()) {
+    const stamp = `${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+        `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}`;
+    const latest = existingFiles
+        .map(file => /^(\d{14})/.exec(path.basename(file)))
+        .filter(Boolean)
+        .map(match => match[1])
+        .sort()
+        .pop();
+    return latest && latest >= stamp ? String(BigInt(latest) + 1n) : stamp;
+}
+
+/**
+ * File name for a plan, e.g. `20250101120000-add-columns-to-addresses.js`
+ */
+function migrationFileName(plan, timestamp, name = null) {
+    let description = name;
+    if (!description) {
+        if (plan.createTable) description = `create-${plan.table}`;
+        else if (plan.addColumns.length > 0 && plan.changeColumns.length === 0) description = `add-columns-to-${plan.table}`;
+        else if (plan.addColumns.length === 0 && plan.changeColumns.length === 0 && (plan.addConstraints || []).length > 0) description = `add-constraints-to-${plan.table}`;
+        else if (plan.addColumns.length === 0 && plan.changeColumns.length === 0) description = `add-indexes-to-${plan.table}`;
+        else description = `update-${plan.table}`;
+    }
+    const slug = toSnakeCase(description).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${timestamp}-${slug}.js`;
+}
+
+module.exports = {
+    isEmptyPlan,
+    migrationFileName,
+    migrationTimestamp,
+    planMigration,
+    renderMigration
+};
@@ -0,0 +1,234 @@
+// Interprets a migration's `up`/`down` functions against a fake
+// `queryInterface`/`Sequelize` pair and records every schema operation in
+// call order, with the line it came from.
+
+const {parse} = require('./parser');
+const {
+    StaticEvaluator,
+    isPlainObject,
+    isSymbolic,
+    locationOf,
+    symbolic,
+    unknown
+} = require('./evaluator');
+const {currentEnums} = require('./enum-sources');
+const {COLUMN_OPTION_KEYS} = require('./schema');
+
+/**
+ * Normalizes a table argument (`'addresses'` or `{ tableName, schema }`)
+ */
+function tableNameOf(value) {
+    if (typeof value === 'string') return value;
+    if (isPlainObject(value) && typeof value.tableName === 'string') return value.tableName;
+    return null;
+}
+
+/**
+ * Normalizes a column definition (`Sequelize.STRING` or `{ type, allowNull, ... }`)
+ */
+function normalizeColumn(definition, line) {
+    if (isSymbolic(definition, 'dataType')) {
+        return {type: definition, line, lines: {}};
+    }
+    if (!isPlainObject(definition)) {
+        return {type: null, line, lines: {}};
+    }
+    const column = {line, lines: {}};
+    for (const key of COLUMN_OPTION_KEYS) {
+        if (Object.prototype.hasOwnProperty.call(definition, key)) {
+            column[key] = definition[key];
+            const location = locationOf(definition, key);
+            if (location) column.lines[key] = location.line;
+        }
+    }
+    column.type = column.type || null;
+    return column;
+}
+
+/**
+ * Symbolic-execution host for migrations
+ */
+class MigrationInterpreter extends StaticEvaluator {
+    constructor(program, options = {}) {
+        super(program, options);
+        this.operations = [];
+    }
+
+    record(type, node, fields) {
+        const operation = {type, file: this.file, line: node.loc.line, ...fields};
+        this.operations.push(operation);
+        return operation;
+    }
+
+    getSymbolicMember(object, name, node) {
+        switch (object.$kind) {
+            case 'queryInterface':
+                if (name === 'sequelize') return symbolic('sequelizeInstance');
+                return symbolic('queryInterfaceMethod', {name});
+            case 'sequelizeInstance':
+                if (name === 'getQueryInterface') return symbolic('queryInterfaceFactory');
+                return symbolic('sequelizeInstanceMethod', {name});
+            case 'transaction':
+                return symbolic('transactionMethod', {name});
+            default:
+                return super.getSymbolicMember(object, name, node);
+        }
+    }
+
+    callSymbolic(callee, args, node) {
+        switch (callee.$kind) {
+            case 'queryInterfaceMethod':
+                return this.recordQueryInterfaceCall(callee.name, args, node);
+            case 'queryInterfaceFactory':
+                return symbolic('queryInterface');
+            case 'sequelizeInstanceMethod':
+                if (callee.name === 'transaction') {
+                    const callback = args.find(arg => isSymbolic(arg, 'function'));
+                    const transaction = symbolic('transaction');
+                    if (callback) {
+                        return this.callFunction(callback, [transaction], undefined, node);
+                    }
+                    return transaction;
+                }
+                if (callee.name === 'query') {
+                    this.record('query', node, {sql: typeof args[0] === 'string' ? args[0] : null});
+                    return [[], 0];
+                }
+                return unknown(`sequelize.${callee.name}`);
+            case 'transactionMethod':
+                return undefined;
+            case 'ref':
+                return this.recordHelperCall(callee, args, node);
+            default:
+                return super.callSymbolic(callee, args, node);
+        }
+    }
+
+    /**
+     * Calls to functions imported from elsewhere (e.g. `dropEnumTypesForTable`)
+     * are recorded when they receive the query interface, since they are then
+     * likely to change the schema.
+     */
+    recordHelperCall(callee, args, node) {
+        if (args.some(arg => isSymbolic(arg, 'queryInterface'))) {
+            this.record('helper', node, {name: callee.name, source: callee.source, args});
+        }
+        return unknown(`call of ${callee.name}`);
+    }
+
+    recordQueryInterfaceCall(method, args, node) {
+        const argNode = (index) => node.arguments[index];
+        const lineOf = (index) => (argNode(index) ? argNode(index).loc.line : node.loc.line);
+
+        switch (method) {
+            case 'createTable': {
+                const attributes = isPlainObject(args[1]) ? args[1] : {};
+                const columns = {};
+                for (const [name, definition] of Object.entries(attributes)) {
+                    const location = locationOf(attributes, name);
+                    columns[name] = normalizeColumn(definition, location ? location.line : lineOf(1));
+                }
+                this.record('createTable', node, {table: tableNameOf(args[0]), columns, options: args[2] || {}});
+                return undefined;
+            }
+            case 'dropTable':
+                this.record('dropTable', node, {table: tableNameOf(args[0]), options: args[1] || {}});
+                return undefined;
+            case 'renameTable':
+                this.record('renameTable', node, {table: tableNameOf(args[0]), newTable: tableNameOf(args[1])});
+                return undefined;
+            case 'addColumn':
+            case 'changeColumn':
+                this.record(method, node, {
+                    table: tableNameOf(args[0]),
+                    column: args[1],
+                    definition: normalizeColumn(args[2], lineOf(2))
+                });
+                return undefined;
+            case 'removeColumn':
+                this.record('removeColumn', node, {table: tableNameOf(args[0]), column: args[1]});
+                return undefined;
+            case 'renameColumn':
+                this.record('renameColumn', node, {table: tableNameOf(args[0]), column: args[1], newColumn: args[2]});
+                return undefined;
+            case 'addIndex': {
+                // Both `addIndex(table, fields, options)` and `addIndex(table, options)`
+                const options = Array.isArray(args[1]) ? (args[2] || {}) : (args[1] || {});
+                const fields = Array.isArray(args[1]) ? args[1] : (options.fields || []);
+                this.record('addIndex', node, {table: tableNameOf(args[0]), fields, options});
+                return undefined;
+            }
+            case 'removeIndex':
+                this.record('removeIndex', node, {
+                    table: tableNameOf(args[0]),
+                    index: typeof args[1] === 'string' ? args[1] : null,
+                    fields: Array.isArray(args[1]) ? args[1] : null,
+                    options: args[2] || {}
+                });
+                return undefined;
+            case 'addConstraint': {
+                const options = isPlainObject(args[1]) ? args[1] : (args[2] || {});
+                const fields = Array.isArray(args[1]) ? args[1] : (options.fields || []);
+                this.record('addConstraint', node, {table: tableNameOf(args[0]), fields, options});
+                return undefined;
+            }
+            case 'removeConstraint':
+                this.record('removeConstraint', node, {table: tableNameOf(args[0]), constraint: args[1]});
+                return undefined;
+            case 'sequelize':
+                return symbolic('sequelizeInstance');
+            default:
+                this.record(method, node, {table: tableNameOf(args[0]), args});
+                return undefined;
+        }
+    }
+}
+
+/**
+ * Arguments `up`/`down` are called with: `(queryInterface, Sequelize)` for
+ * sequelize-cli, or umzug's `({ name, context })` when the first parameter
+ * is destructured
+ */
+function migrationArguments(fn) {
+    let [first] = fn.node.params;
+    if (first && first.type === 'AssignmentPattern') first = first.left;
+    if (first && first.type === 'ObjectPattern') {
+        return [{name: unknown('migration name'), path: unknown('migration path'), context: symbolic('queryInterface')}];
+    }
+    return [symbolic('queryInterface'), symbolic('sequelize')];
+}
+
+/**
+ * Parses and interprets a migration file, returning the operations its
+ * `up` and `down` functions perform. Imported enums resolve to their current
+ * values unless `resolveEnum` says otherwise.
+ */
+function interpretMigration(file, source, {resolveEnum = currentEnums()} = {}) {
+    const program = parse(source);
+    const result = {file, up: [], down: [], warnings: []};
+
+    const interpreter = new MigrationInterpreter(program, {file, resolveEnum});
+    interpreter.runProgram({includeClasses: true});
+    const exported = interpreter.getExports();
+
+    for (const direction of ['up', 'down']) {
+        const fn = isPlainObject(exported) ? exported[direction] : undefined;
+        if (!isSymbolic(fn, 'function')) {
+            result.warnings.push({message: `Migration does not export an '${direction}' function`, line: null});
+            continue;
+        }
+        interpreter.operations = [];
+        interpreter.callFunction(fn, migrationArguments(fn), undefined, fn.node);
+        result[direction] = interpreter.operations;
+    }
+
+    result.warnings.push(...interpreter.warnings);
+    return result;
+}
+
+module.exports = {
+    MigrationInterpreter,
+    interpretMigration,
+    normalizeColumn,
+    tableNameOf
+};
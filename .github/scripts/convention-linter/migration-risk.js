@@ -0,0 +1,328 @@
+// Destructive-migration analysis: classifies the operations in a migration's
+// `up` by the risk they pose to existing data and to a running deploy.
+// Operations that lose data or fail on populated tables are errors; those
+// that only lock tables or need care in the deploy order are warnings.
+
+const path = require('path');
+const {isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {describeType, effectiveAllowNull} = require('./schema');
+const {applyOperation, cloneSchema, replaySchema} = require('./schema-replay');
+
+const INTEGER_RANK = {TINYINT: 1, SMALLINT: 2, MEDIUMINT: 3, INTEGER: 4, BIGINT: 5};
+const FLOAT_RANK = {REAL: 1, FLOAT: 2, DOUBLE: 3};
+const TEXT_TYPES = ['CHAR', 'STRING', 'TEXT', 'CITEXT'];
+const DEFAULT_TEXT_LENGTH = 255;
+
+// Raw SQL statements with a known risk
+const SQL_RISKS = [
+    {
+        pattern: /drop\s+table\s+(?:if\s+exists\s+)?"?(?<name>[\w.]+)"?/gi,
+        rule: 'drop-table',
+        describe: name => `Raw SQL drops table '${name}'`
+    },
+    {
+        pattern: /truncate\s+(?:table\s+)?"?(?<name>[\w.]+)"?/gi,
+        rule: 'drop-table',
+        describe: name => `Raw SQL truncates table '${name}'`
+    },
+    {
+        pattern: /alter\s+table\s+"?(?<name>[\w.]+)"?\s+drop\s+(?:column\s+)?(?:if\s+exists\s+)?"?(?<column>[\w]+)"?/gi,
+        rule: 'drop-column',
+        describe: (name, groups) => `Raw SQL drops column '${name}.${groups.column}'`,
+        skip: groups => /^constraint$/i.test(groups.column)
+    },
+    {
+        pattern: /alter\s+type\s+"?(?<name>[\w.]+)"?\s+rename\s+value/gi,
+        rule: 'enum-value-removed',
+        describe: name => `Raw SQL renames a value of enum type '${name}'`
+    },
+    {
+        pattern: /alter\s+type\s+"?(?<name>[\w.]+)"?\s+add\s+value/gi,
+        rule: 'enum-value-added',
+        severity: SEVERITY.WARNING,
+        describe: name => `Raw SQL adds a value to enum type '${name}'`
+    }
+];
+
+const RISK_DETAILS = {
+    'drop-table': {
+        impact: 'Every row of the table is lost and cannot be restored by down()',
+        fix: 'Back up or archive the data first, or rename the table and drop it in a later release'
+    },
+    'drop-column': {
+        impact: 'The column data is lost, and running instances that still read it fail until they are redeployed',
+        fix: 'Stop using the column in a release first, back up the data, then drop it in a later migration'
+    },
+    'narrow-column-type': {
+        impact: 'Existing values that do not fit fail the migration or are silently truncated',
+        fix: 'Check existing data fits the new type, or migrate it into a new column and backfill'
+    },
+    'not-null-without-default': {
+        impact: 'The migration fails on a table that already has rows',
+        fix: 'Add the column with a defaultValue, or add it nullable, backfill it and then set allowNull: false'
+    },
+    'set-not-null': {
+        impact: 'The migration fails if any existing row holds NULL',
+        fix: 'Backfill the NULLs in the same migration before changing the column'
+    },
+    'enum-value-removed': {
+        impact: 'Rows holding a removed value make the migration fail, and running instances writing it break',
+        fix: 'Migrate rows off the old values first and keep the values until no code writes them'
+    },
+    'enum-value-unverified': {
+        impact: 'Rows holding a value the enum no longer lists make the migration fail',
+        fix: 'Check the enum module still lists every value stored in the column, or list the values explicitly'
+    },
+    'enum-value-added': {
+        impact: 'Instances running the old code cannot read the new values until they are redeployed',
+        fix: 'Deploy code that understands the new values before writing them'
+    },
+    'non-concurrent-index': {
+        impact: 'CREATE INDEX locks the table against writes for as long as the index takes to build',
+        fix: 'Pass concurrently: true (outside the transaction) for tables that may be large'
+    }
+};
+
+function riskFinding(rule, {severity = SEVERITY.ERROR, message, operation, line, detail}) {
+    return createFinding({
+        category: 'Migration Safety',
+        rule,
+        severity,
+        message,
+        migration: {file: operation.file, line: line || operation.line, detail},
+        impact: RISK_DETAILS[rule].impact,
+        fix: RISK_DETAILS[rule].fix
+    });
+}
+
+function textLength(type) {
+    if (type.name === 'TEXT' || type.name === 'CITEXT') return Infinity;
+    const length = (type.args || []).find(arg => typeof arg === 'number');
+    return length === undefined ? DEFAULT_TEXT_LENGTH : length;
+}
+
+function numericArgs(type) {
+    return (type.args || []).filter(arg => typeof arg === 'number');
+}
+
+/**
+ * Why changing a column from `before` to `after` can lose or reject data, or
+ * null when every existing value converts. ENUMs are left to enumChanges().
+ */
+function narrowingReason(before, after) {
+    if (!isSymbolic(before, 'dataType') || !isSymbolic(after, 'dataType')) return null;
+    if (describeType(before) === describeType(after)) return null;
+    const from = before.name === 'NUMERIC' ? 'DECIMAL' : before.name;
+    const to = after.name === 'NUMERIC' ? 'DECIMAL' : after.name;
+
+    if (from === 'ENUM' && to === 'ENUM') return null;
+    if (TEXT_TYPES.includes(to)) {
+        if (!TEXT_TYPES.includes(from)) return null;
+        return textLength(after) < textLength(before) ? 'shortens the column' : null;
+    }
+    if (INTEGER_RANK[from] && INTEGER_RANK[to]) {
+        return INTEGER_RANK[to] < INTEGER_RANK[from] ? 'narrows the integer range' : null;
+    }
+    if (INTEGER_RANK[from] && (FLOAT_RANK[to] || to === 'DECIMAL')) return null;
+    if (FLOAT_RANK[from] && FLOAT_RANK[to]) {
+        return FLOAT_RANK[to] < FLOAT_RANK[from] ? 'lowers the floating point precision' : null;
+    }
+    if (from === 'DECIMAL' && to === 'DECIMAL') {
+        const [precision, scale = 0] = numericArgs(before);
+        const [newPrecision, newScale = 0] = numericArgs(after);
+        if (precision === undefined) return newPrecision === undefined ? null : 'bounds an unbounded DECIMAL';
+        if (newPrecision === undefined) return null;
+        return newPrecision < precision || newScale < scale ? 'lowers the DECIMAL precision or scale' : null;
+    }
+    if ((FLOAT_RANK[from] || from === 'DECIMAL') && INTEGER_RANK[to]) return 'drops the fractional part';
+    if (from === 'DATE' && to === 'DATEONLY') return 'drops the time of day';
+    if (from === 'DATEONLY' && to === 'DATE') return null;
+    return 'converts between incompatible types';
+}
+
+/**
+ * Values an ENUM change removes and adds, or `{ unknown: true }` when the
+ * values come from an enum module and cannot be compared here
+ */
+function enumChanges(before, after) {
+    if (!isSymbolic(before, 'dataType') || !isSymbolic(after, 'dataType')) return null;
+    if (before.name !== 'ENUM' || after.name !== 'ENUM') return null;
+    if (before.values && after.values) {
+        return {
+            removed: before.values.filter(value => !after.values.includes(value)),
+            added: after.values.filter(value => !before.values.includes(value))
+        };
+    }
+    return {unknown: true};
+}
+
+function enumName(type) {
+    return type.enumRef ? type.enumRef.name : describeType(type);
+}
+
+function checkChangeColumn(operation, existing, findings) {
+    const column = operation.definition;
+    const where = `'${operation.table}.${operation.column}'`;
+    const line = (column.lines && column.lines.type) || column.line;
+
+    const reason = narrowingReason(existing.type, column.type);
+    if (reason) {
+        findings.push(riskFinding('narrow-column-type', {
+            message: `changeColumn ${where} ${reason}: ${describeType(existing.type)} to ${describeType(column.type)}`,
+            operation,
+            line,
+            detail: `was ${describeType(existing.type)} (${existing.file}:${existing.line})`
+        }));
+    }
+
+    const changes = enumChanges(existing.type, column.type);
+    if (changes && changes.unknown) {
+        findings.push(riskFinding('enum-value-unverified', {
+            severity: SEVERITY.WARNING,
+            message: `changeColumn ${where} re-creates its enum type from ${enumName(column.type)}; ` +
+                'values missing from it break rows that still hold them',
+            operation,
+            line,
+            detail: `${describeType(existing.type)} to ${describeType(column.type)}`
+        }));
+    } else if (changes) {
+        if (changes.removed.length > 0) {
+            findings.push(riskFinding('enum-value-removed', {
+                message: `changeColumn ${where} removes enum values ${changes.removed.map(value => `'${value}'`).join(', ')}`,
+                operation,
+                line,
+                detail: `values before: ${existing.type.values.join(', ')}`
+            }));
+        }
+        if (changes.added.length > 0) {
+            findings.push(riskFinding('enum-value-added', {
+                severity: SEVERITY.WARNING,
+                message: `changeColumn ${where} adds enum values ${changes.added.map(value => `'${value}'`).join(', ')}`,
+                operation,
+                line
+            }));
+        }
+    }
+
+    if (effectiveAllowNull(existing) && !effectiveAllowNull(column) && column.defaultValue === undefined) {
+        findings.push(riskFinding('set-not-null', {
+            severity: SEVERITY.WARNING,
+            message: `changeColumn ${where} makes a nullable column NOT NULL`,
+            operation,
+            line: (column.lines && column.lines.allowNull) || column.line
+        }));
+    }
+}
+
+function checkQuery(operation, findings) {
+    if (typeof operation.sql !== 'string') return;
+    for (const risk of SQL_RISKS) {
+        for (const match of operation.sql.matchAll(risk.pattern)) {
+            if (risk.skip && risk.skip(match.groups)) continue;
+            findings.push(riskFinding(risk.rule, {
+                severity: risk.severity,
+                message: risk.describe(match.groups.name, match.groups),
+                operation,
+                detail: match[0].replace(/\s+/g, ' ')
+            }));
+        }
+    }
+}
+
+/**
+ * Classifies the `up` operations of one migration, replayed on top of `base`
+ * (the schema before it) so that type changes can be compared with the
+ * previous definition. Tables the migration creates itself hold no rows yet.
+ */
+function checkMigrationRisks(migration, base) {
+    const findings = [];
+    const schema = cloneSchema(base);
+    const createdHere = new Set();
+
+    for (const operation of migration.up) {
+        const table = schema.tables.get(operation.table);
+        const populated = !createdHere.has(operation.table);
+
+        switch (operation.type) {
+            case 'createTable':
+                createdHere.add(operation.table);
+                break;
+            case 'renameTable':
+                if (createdHere.has(operation.table)) createdHere.add(operation.newTable);
+                break;
+            case 'dropTable':
+                if (populated) {
+                    findings.push(riskFinding('drop-table', {
+                        message: `dropTable('${operation.table}') deletes the table and all of its rows`,
+                        operation,
+                        detail: table ? `created at ${table.file}:${table.line}` : undefined
+                    }));
+                }
+                break;
+            case 'removeColumn':
+                if (populated) {
+                    const column = table && table.columns.get(operation.column);
+                    findings.push(riskFinding('drop-column', {
+                        message: `removeColumn('${operation.table}', '${operation.column}') deletes the column and its data`,
+                        operation,
+                        detail: column ? `${describeType(column.type)} from ${column.file}:${column.line}` : undefined
+                    }));
+                }
+                break;
+            case 'addColumn': {
+                const column = operation.definition;
+                if (populated && !effectiveAllowNull(column) && column.defaultValue === undefined && !column.autoIncrement) {
+                    findings.push(riskFinding('not-null-without-default', {
+                        message: `addColumn('${operation.table}', '${operation.column}') adds a NOT NULL column without a default`,
+                        operation,
+                        line: (column.lines && column.lines.allowNull) || column.line
+                    }));
+                }
+                break;
+            }
+            case 'changeColumn': {
+                const existing = table && table.columns.get(operation.column);
+                if (populated && existing) checkChangeColumn(operation, existing, findings);
+                break;
+            }
+            case 'addIndex':
+                if (populated && !operation.options.concurrently) {
+                    findings.push(riskFinding('non-concurrent-index', {
+                        severity: SEVERITY.WARNING,
+                        message: `addIndex on existing table '${operation.table}' (${operation.fields.map(field => (typeof field === 'string' ? field : field.name)).join(', ')}) is not built concurrently`,
+                        operation
+                    }));
+                }
+                break;
+            case 'query':
+                checkQuery(operation, findings);
+                break;
+            default:
+                break;
+        }
+        applyOperation(schema, operation);
+    }
+    return findings;
+}
+
+/**
+ * Checks every given migration, using the replayed history of the migrations
+ * that run before it as the starting schema when `history` is available
+ */
+function checkMigrationSafety(migrations, history = null) {
+    const findings = [];
+    for (const migration of migrations) {
+        const name = path.basename(migration.file);
+        const earlier = history
+            ? history.migrations.filter(candidate => path.basename(candidate.file).localeCompare(name) < 0)
+            : [];
+        findings.push(...checkMigrationRisks(migration, replaySchema(earlier)));
+    }
+    return findings;
+}
+
+module.exports = {
+    checkMigrationRisks,
+    checkMigrationSafety
+};
@@ -0,0 +1,201 @@
+// sequelize-typescript models from replayed migrations. Renders a table of
+// the virtual schema as a model class in the style of the project's models,
+// so that the convention linter accepts it as generated.
+
+const path = require('path');
+const {isPlainObject, isSymbolic} = require('./evaluator');
+const {defaultIndexName} = require('./schema-replay');
+const {singularize, tableNameForModel, toCamelCase, toPascalCase, toSnakeCase} = require('./naming');
+const {modelDefaults} = require('./sequelize-config');
+
+const INDENT = '    ';
+// Columns Sequelize manages through the timestamps / paranoid options
+const TIMESTAMP_COLUMNS = {created_at: 'createdAt', updated_at: 'updatedAt', deleted_at: 'deletedAt'};
+
+const TS_TYPES = {
+    STRING: 'string', TEXT: 'string', CHAR: 'string', CITEXT: 'string', UUID: 'string', UUIDV4: 'string',
+    ENUM: 'string', DECIMAL: 'string', BIGINT: 'string', INET: 'string', TIME: 'string', DATEONLY: 'string',
+    INTEGER: 'number', SMALLINT: 'number', MEDIUMINT: 'number', TINYINT: 'number',
+    FLOAT: 'number', DOUBLE: 'number', REAL: 'number',
+    BOOLEAN: 'boolean',
+    DATE: 'Date',
+    JSON: 'object', JSONB: 'object',
+    BLOB: 'Buffer'
+};
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function modelClassName(table) {
+    return toPascalCase(singularize(table));
+}
+
+/**
+ * `src/models/<kebab-case singular>.model.ts`, like `address.model.ts`
+ */
+function modelFileName(className) {
+    return `${toSnakeCase(className).replace(/_/g, '-')}.model.ts`;
+}
+
+function tsType(type) {
+    if (!isSymbolic(type, 'dataType')) return 'unknown';
+    if (type.name === 'ARRAY') return `${tsType(type.args[0])}[]`;
+    return TS_TYPES[type.name] || 'unknown';
+}
+
+/**
+ * Path of an enum module required by a migration, rebased onto the model file
+ */
+function rebaseSource(source, migrationFile, modelFile) {
+    if (!source || !source.startsWith('.') || !migrationFile) return source;
+    const target = path.resolve(path.dirname(migrationFile), source);
+    const relative = path.relative(path.dirname(path.resolve(modelFile)), target).split(path.sep).join('/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function renderType(type, imports, column, modelFile) {
+    if (!isSymbolic(type, 'dataType')) return 'DataType.STRING';
+    if (type.name === 'ENUM') {
+        if (type.enumRef) {
+            const source = rebaseSource(type.enumRef.source, column.file, modelFile) || '../enums';
+            addImport(imports, source, type.enumRef.name);
+            return `DataType.ENUM(...Object.values(${type.enumRef.name}))`;
+        }
+        return `DataType.ENUM(${(type.values || []).map(quote).join(', ')})`;
+    }
+    const args = (type.args || []).filter(arg => !isPlainObject(arg)).map(arg => {
+        if (isSymbolic(arg, 'dataType')) return renderType(arg, imports, column, modelFile);
+        return typeof arg === 'string' ? quote(arg) : JSON.stringify(arg);
+    });
+    const flags = (type.flags || []).map(flag => `.${flag}`).join('');
+    return `DataType.${type.name}${args.length ? `(${args.join(', ')})` : ''}${flags}`;
+}
+
+/**
+ * `@Default(...)` argument: `fn('name')` for a bare function call literal,
+ * `literal('...')` for other SQL and the plain value otherwise
+ */
+function renderDefault(value, imports) {
+    if (isSymbolic(value, 'fn')) {
+        addImport(imports, 'sequelize', 'fn');
+        return `fn(${[value.name, ...(value.args || [])].map(arg => (typeof arg === 'string' ? quote(arg) : JSON.stringify(arg))).join(', ')})`;
+    }
+    if (isSymbolic(value, 'literal')) {
+        const call = /^\s*([a-z_][\w]*)\(\s*\)\s*$/i.exec(value.sql || '');
+        if (call) {
+            addImport(imports, 'sequelize', 'fn');
+            return `fn(${quote(call[1])})`;
+        }
+        addImport(imports, 'sequelize', 'literal');
+        return `literal(${quote(value.sql || '')})`;
+    }
+    if (isSymbolic(value, 'dataType')) return `DataType.${value.name}`;
+    return renderValue(value, 1);
+}
+
+function renderValue(value, depth) {
+    if (typeof value === 'string') return quote(value);
+    if (Array.isArray(value)) return `[${value.map(item => renderValue(item, depth)).join(', ')}]`;
+    if (isPlainObject(value) && !isSymbolic(value)) {
+        const inner = INDENT.repeat(depth + 1);
+        const entries = Object.entries(value).map(([key, item]) => `${inner}${key}: ${renderValue(item, depth + 1)}`);
+        return entries.length ? `{\n${entries.join(',\n')}\n${INDENT.repeat(depth)}}` : '{}';
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function addImport(imports, source, name) {
+    if (!imports.has(source)) imports.set(source, new Set());
+    imports.get(source).add(name);
+}
+
+function renderImports(imports) {
+    const order = (source) => (source === 'sequelize-typescript' ? 0 : source === 'sequelize' ? 1 : 2);
+    return [...imports.entries()]
+        .sort(([a], [b]) => order(a) - order(b) || a.localeCompare(b))
+        .map(([source, names]) => `import { ${[...names].sort().join(', ')} } from ${quote(source)}`)
+        .join('\n');
+}
+
+function renderIndexes(table) {
+    return table.indexes.map(index => {
+        const entries = [];
+        if (index.name !== defaultIndexName(table.name, index.fields)) entries.push(`name: ${quote(index.name)}`);
+        if (index.unique) entries.push('unique: true');
+        entries.push(`fields: [${index.fields.map(quote).join(', ')}]`);
+        if (index.where !== null && index.where !== undefined) entries.push(`where: ${renderValue(index.where, 3)}`);
+        return `${INDENT.repeat(2)}{\n${entries.map(entry => `${INDENT.repeat(3)}${entry}`).join(',\n')}\n${INDENT.repeat(2)}}`;
+    });
+}
+
+/**
+ * `@Table({...})` options: indexes, plus tableName / timestamps / paranoid /
+ * underscored when the global defaults would not match the table
+ */
+function renderTableOptions(table, className) {
+    const defaults = modelDefaults().define;
+    const options = [];
+    if (tableNameForModel(className) !== table.name) options.push(`${INDENT}tableName: ${quote(table.name)}`);
+    const hasTimestamps = table.columns.has('created_at') && table.columns.has('updated_at');
+    if (hasTimestamps !== (defaults.timestamps !== false)) options.push(`${INDENT}timestamps: ${hasTimestamps}`);
+    const paranoid = hasTimestamps && table.columns.has('deleted_at');
+    if (hasTimestamps && paranoid !== !!defaults.paranoid) options.push(`${INDENT}paranoid: ${paranoid}`);
+    if (!defaults.underscored) options.push(`${INDENT}underscored: true`);
+    const indexes = renderIndexes(table);
+    if (indexes.length > 0) options.push(`${INDENT}indexes: [\n${indexes.join(',\n')}\n${INDENT}]`);
+    return options.length ? `@Table({\n${options.join(',\n')}\n})` : '@Table';
+}
+
+function isTimestampColumn(table, name) {
+    const hasTimestamps = table.columns.has('created_at') && table.columns.has('updated_at');
+    return hasTimestamps && Object.prototype.hasOwnProperty.call(TIMESTAMP_COLUMNS, name);
+}
+
+function renderProperty(column, imports, modelFile) {
+    const decorators = [];
+    if (column.defaultValue !== undefined && column.defaultValue !== null) {
+        addImport(imports, 'sequelize-typescript', 'Default');
+        decorators.push(`${INDENT}@Default(${renderDefault(column.defaultValue, imports)})`);
+    }
+
+    const property = toCamelCase(column.name);
+    const options = [`type: ${renderType(column.type, imports, column, modelFile)}`];
+    if (column.primaryKey) options.push('primaryKey: true');
+    if (column.autoIncrement) options.push('autoIncrement: true');
+    if (column.unique) options.push(`unique: ${typeof column.unique === 'string' ? quote(column.unique) : 'true'}`);
+    options.push(`allowNull: ${column.allowNull === undefined ? !column.primaryKey : column.allowNull !== false}`);
+    if (toSnakeCase(property) !== column.name) options.push(`field: ${quote(column.name)}`);
+    if (typeof column.comment === 'string') options.push(`comment: ${quote(column.comment)}`);
+
+    decorators.push(`${INDENT}@Column({\n${options.map(option => `${INDENT.repeat(2)}${option}`).join(',\n')}\n${INDENT}})`);
+    return `${decorators.join('\n')}\n${INDENT}${property}: ${tsType(column.type)}`;
+}
+
+/**
+ * Renders the model class for a replayed table. Returns `{ className, source }`.
+ */
+function renderModel(table, {className = modelClassName(table.name), modelFile} = {}) {
+    const imports = new Map([['sequelize-typescript', new Set(['Column', 'DataType', 'Model', 'Table'])]]);
+    const file = modelFile || path.join('src', 'models', modelFileName(className));
+
+    const properties = [];
+    for (const column of table.columns.values()) {
+        if (isTimestampColumn(table, column.name)) continue;
+        properties.push(renderProperty(column, imports, file));
+    }
+
+    const body = [
+        renderTableOptions(table, className),
+        `export class ${className} extends Model {`,
+        properties.join('\n\n'),
+        '}'
+    ].join('\n');
+    return {className, source: `${renderImports(imports)}\n\n${body}\n`};
+}
+
+module.exports = {
+    modelClassName,
+    modelFileName,
+    renderModel
+};
@@ -0,0 +1,341 @@
+// Extracts Sequelize model definitions from model files: sequelize-typescript
+// classes (`@Table` options and every `@Column` attribute) and plain
+// `Model.init({...}, {...})` calls, with each attribute's type, nullability,
+// default and the line it was declared on.
+
+const {parse, walk} = require('./parser');
+const {currentEnums} = require('./enum-sources');
+const {StaticEvaluator, dataType, isPlainObject, isSymbolic, locationOf} = require('./evaluator');
+const {normalizeColumn} = require('./migration-interpreter');
+const {tableNameForModel, toSnakeCase} = require('./naming');
+const {COLUMN_OPTION_KEYS} = require('./schema');
+const {modelDefaults} = require('./sequelize-config');
+
+/**
+ * Returns the bare decorator name, e.g. `Column` for `@Column({...})`
+ */
+function decoratorName(decorator) {
+    let expression = decorator.expression;
+    if (expression.type === 'CallExpression') expression = expression.callee;
+    if (expression.type === 'MemberExpression') return expression.property.name;
+    return expression.name;
+}
+
+/**
+ * Evaluates decorators in the module scope of the model file
+ */
+function evaluateDecorators(decorators, evaluator, scope) {
+    return decorators.map(decorator => {
+        const expression = decorator.expression;
+        const args = expression.type === 'CallExpression'
+            ? evaluator.evaluateArguments(expression.arguments, scope)
+            : null;
+        return {
+            name: decoratorName(decorator),
+            args,
+            line: decorator.loc.line,
+            node: decorator
+        };
+    });
+}
+
+function keyName(key) {
+    return key.type === 'Identifier' ? key.name : String(key.value);
+}
+
+// Types sequelize-typescript infers for a bare `@Column` from the property type
+const INFERRED_TYPES = {
+    string: 'STRING',
+    number: 'INTEGER',
+    boolean: 'BOOLEAN',
+    Date: 'DATE',
+    Buffer: 'BLOB'
+};
+
+// Decorators that turn a property into a timestamp attribute
+const TIMESTAMP_DECORATORS = {
+    CreatedAt: {timestamp: 'createdAt', allowNull: false},
+    UpdatedAt: {timestamp: 'updatedAt', allowNull: false},
+    DeletedAt: {timestamp: 'deletedAt', allowNull: true}
+};
+
+// Timestamp attributes Sequelize adds to a model; `deletedAt` only when paranoid
+const TIMESTAMPS = [
+    {timestamp: 'createdAt', allowNull: false},
+    {timestamp: 'updatedAt', allowNull: false},
+    {timestamp: 'deletedAt', allowNull: true, paranoid: true}
+];
+
+// Single-option decorators and the value they set when called without arguments
+const OPTION_DECORATORS = {
+    AllowNull: {key: 'allowNull', value: true},
+    Unique: {key: 'unique', value: true},
+    PrimaryKey: {key: 'primaryKey', value: true},
+    AutoIncrement: {key: 'autoIncrement', value: true},
+    Comment: {key: 'comment', value: undefined}
+};
+
+function inferredType(tsType) {
+    if (!tsType) return null;
+    const members = tsType.split('|').map(member => member.trim()).filter(member => member !== 'null' && member !== 'undefined');
+    const name = members.length === 1 ? INFERRED_TYPES[members[0]] : null;
+    return name ? dataType(name) : null;
+}
+
+/**
+ * Builds the column description for a property from its decorators
+ */
+function columnFromDecorators(decorators, line, tsType) {
+    const column = {line, lines: {}};
+    const set = (key, value, valueLine) => {
+        column[key] = value;
+        column.lines[key] = valueLine;
+    };
+    for (const decorator of decorators) {
+        const [options] = decorator.args || [];
+        const option = OPTION_DECORATORS[decorator.name];
+        if (option) {
+            set(option.key, decorator.args && decorator.args.length ? options : option.value, decorator.line);
+            continue;
+        }
+        switch (decorator.name) {
+            case 'Column':
+                if (isSymbolic(options, 'dataType')) {
+                    // `@Column(DataType.STRING)` shorthand
+                    set('type', options, decorator.line);
+                } else if (isPlainObject(options)) {
+                    for (const key of COLUMN_OPTION_KEYS) {
+                        if (Object.prototype.hasOwnProperty.call(options, key)) {
+                            const location = locationOf(options, key);
+                            set(key, options[key], location ? location.line : decorator.line);
+                        }
+                    }
+                }
+                break;
+            case 'Default':
+                set('defaultValue', options, decorator.line);
+                break;
+            default:
+                break;
+        }
+    }
+    if (!column.type) column.type = inferredType(tsType);
+    return column;
+}
+
+/**
+ * Timestamp settings of a `@CreatedAt` / `@UpdatedAt` / `@DeletedAt` property
+ */
+function timestampOf(decorators) {
+    const decorator = decorators.find(candidate => TIMESTAMP_DECORATORS[candidate.name]);
+    return decorator ? {...TIMESTAMP_DECORATORS[decorator.name], line: decorator.line} : null;
+}
+
+function columnNameOf(name, column, underscored) {
+    if (typeof column.field === 'string') return column.field;
+    return underscored ? toSnakeCase(name) : name;
+}
+
+function implicitAttribute(model, name, allowNull) {
+    return {
+        name,
+        line: model.line,
+        decorators: [],
+        tsType: 'Date',
+        tsTypeNode: null,
+        optional: allowNull,
+        column: {type: dataType('DATE'), allowNull, line: model.line, lines: {}},
+        implicit: true
+    };
+}
+
+/**
+ * Settles the options Sequelize applies to the model (the global `define`
+ * defaults, then its own options and timestamp decorators), adds the
+ * timestamp attributes it does not declare and names every column.
+ * `model.timestampColumns` lists each timestamp with its column and whether
+ * it is enabled.
+ */
+function completeModel(model) {
+    const options = {...modelDefaults().define, ...model.options};
+    // sequelize-typescript's @CreatedAt / @UpdatedAt / @DeletedAt enable their timestamp
+    for (const attribute of model.attributes.filter(candidate => candidate.timestamp)) {
+        options.timestamps = true;
+        options[attribute.timestamp] = attribute.name;
+        if (attribute.timestamp === 'deletedAt') options.paranoid = true;
+    }
+    model.settings = {
+        timestamps: options.timestamps !== false,
+        // paranoid needs timestamps
+        paranoid: options.timestamps !== false && !!options.paranoid,
+        underscored: !!options.underscored
+    };
+
+    const timestamps = TIMESTAMPS.map(({timestamp, allowNull, paranoid}) => {
+        const name = typeof options[timestamp] === 'string' ? options[timestamp] : timestamp;
+        const enabled = model.settings.timestamps && options[timestamp] !== false && (!paranoid || model.settings.paranoid);
+        let attribute = model.attributes.find(candidate => candidate.timestamp === timestamp || candidate.name === name) || null;
+        if (enabled && !attribute) {
+            attribute = implicitAttribute(model, name, allowNull);
+            model.attributes.push(attribute);
+        }
+        if (enabled) attribute.timestamp = timestamp;
+        return {timestamp, name, enabled, attribute};
+    });
+
+    for (const attribute of model.attributes) {
+        attribute.columnName = columnNameOf(attribute.name, attribute.column, model.settings.underscored);
+    }
+    model.timestampColumns = timestamps.map(({timestamp, name, enabled, attribute}) => ({
+        timestamp,
+        enabled,
+        columnName: enabled ? attribute.columnName : columnNameOf(name, {}, model.settings.underscored)
+    }));
+    return model;
+}
+
+/**
+ * Describes one model class
+ */
+function extractModel(classNode, evaluator, scope, file) {
+    const decorators = evaluateDecorators(classNode.decorators || [], evaluator, scope);
+    const table = decorators.find(decorator => decorator.name === 'Table');
+    const options = table && isPlainObject(table.args && table.args[0]) ? table.args[0] : {};
+    const name = classNode.id ? classNode.id.name : 'default';
+
+    const model = {
+        name,
+        file,
+        line: classNode.loc.line,
+        options,
+        decorators,
+        tableName: typeof options.tableName === 'string' ? options.tableName : tableNameForModel(name),
+        explicitTableName: typeof options.tableName === 'string',
+        indexes: Array.isArray(options.indexes) ? options.indexes : [],
+        attributes: [],
+        properties: []
+    };
+
+    for (const member of classNode.body) {
+        if (member.type !== 'PropertyDefinition' || member.static || !member.key) continue;
+        const memberDecorators = evaluateDecorators(member.decorators || [], evaluator, scope);
+        const property = {
+            name: keyName(member.key),
+            line: member.loc.line,
+            decorators: memberDecorators,
+            tsType: member.typeAnnotation ? member.typeAnnotation.text : null,
+            tsTypeNode: member.typeAnnotation || null,
+            optional: !!member.optional
+        };
+        model.properties.push(property);
+        const timestamp = timestampOf(memberDecorators);
+        if (timestamp || memberDecorators.some(decorator => decorator.name === 'Column')) {
+            property.column = columnFromDecorators(memberDecorators, property.line, timestamp ? 'Date' : property.tsType);
+            if (timestamp) {
+                property.timestamp = timestamp.timestamp;
+                if (!('allowNull' in property.column)) property.column.allowNull = timestamp.allowNull;
+            }
+            model.attributes.push(property);
+        }
+    }
+
+    return completeModel(model);
+}
+
+function isModelClass(node) {
+    if (!node || (node.type !== 'ClassDeclaration' && node.type !== 'ClassExpression')) return false;
+    const decorated = (node.decorators || []).some(decorator => decoratorName(decorator) === 'Table');
+    const superName = node.superClass && (node.superClass.name || (node.superClass.property && node.superClass.property.name));
+    return decorated || superName === 'Model';
+}
+
+/**
+ * Describes a model defined with `Model.init(attributes, options)`; the
+ * class, when declared in the same file, provides the line and property types
+ */
+function extractInitModel(call, classNode, evaluator, scope, file) {
+    const [attributes, initOptions] = evaluator.evaluateArguments(call.arguments, scope);
+    const options = isPlainObject(initOptions) ? initOptions : {};
+    const name = call.callee.object.name;
+    const declared = new Map((classNode ? classNode.body : [])
+        .filter(member => member.type === 'PropertyDefinition' && !member.static && member.key)
+        .map(member => [keyName(member.key), member]));
+    const explicitTableName = typeof options.tableName === 'string';
+
+    const model = {
+        name,
+        file,
+        line: (classNode || call).loc.line,
+        options,
+        decorators: [],
+        tableName: explicitTableName ? options.tableName : tableNameForModel(typeof options.modelName === 'string' ? options.modelName : name),
+        explicitTableName,
+        indexes: Array.isArray(options.indexes) ? options.indexes : [],
+        attributes: [],
+        properties: []
+    };
+
+    for (const [attributeName, definition] of Object.entries(isPlainObject(attributes) ? attributes : {})) {
+        const location = locationOf(attributes, attributeName);
+        const line = location ? location.line : call.loc.line;
+        const member = declared.get(attributeName);
+        const property = {
+            name: attributeName,
+            line,
+            decorators: [],
+            tsType: member && member.typeAnnotation ? member.typeAnnotation.text : null,
+            tsTypeNode: member ? member.typeAnnotation || null : null,
+            optional: !!(member && member.optional),
+            column: normalizeColumn(definition, line)
+        };
+        model.properties.push(property);
+        model.attributes.push(property);
+    }
+
+    return completeModel(model);
+}
+
+/**
+ * `Name.init({...}, {...})` calls, by model name
+ */
+function findInitCalls(program) {
+    const calls = new Map();
+    walk(program, (node) => {
+        if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+        const {object, property} = node.callee;
+        if (object.type === 'Identifier' && property.name === 'init' && node.arguments.length >= 2 &&
+            node.arguments[0].type === 'ObjectExpression') {
+            calls.set(object.name, node);
+        }
+    });
+    return calls;
+}
+
+/**
+ * Parses a model file and returns every model declared in it
+ */
+function parseModelFile(file, source) {
+    const program = parse(source);
+    const evaluator = new StaticEvaluator(program, {file, resolveEnum: currentEnums()});
+    const scope = evaluator.runProgram();
+    const initCalls = findInitCalls(program);
+
+    const models = [];
+    const classes = new Map();
+    for (const statement of program.body) {
+        const declaration = statement.declaration || statement;
+        if (declaration.type === 'ClassDeclaration' && declaration.id) classes.set(declaration.id.name, declaration);
+        if (isModelClass(declaration) && !(declaration.id && initCalls.has(declaration.id.name))) {
+            models.push(extractModel(declaration, evaluator, scope, file));
+        }
+    }
+    for (const [name, call] of initCalls) {
+        models.push(extractInitModel(call, classes.get(name) || null, evaluator, scope, file));
+    }
+    return {file, models, program, warnings: evaluator.warnings};
+}
+
+module.exports = {
+    decoratorName,
+    parseModelFile
+};
@@ -0,0 +1,129 @@
+// Naming helpers shared by the analyzers. They encode the project conventions:
+// camelCase model attributes, snake_case columns and PascalCase singular models
+// mapped to snake_case plural tables.
+
+const IRREGULAR_PLURALS = {
+    person: 'people',
+    child: 'children',
+    man: 'men',
+    woman: 'women',
+    mouse: 'mice',
+    goose: 'geese',
+    tooth: 'teeth',
+    foot: 'feet'
+};
+
+const UNCOUNTABLE = new Set(['data', 'information', 'equipment', 'media', 'metadata', 'series', 'species', 'news']);
+
+/**
+ * Converts `countyFips` / `CountyFips` / `county-fips` to `county_fips`
+ */
+function toSnakeCase(value) {
+    return value
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .replace(/[-\s]+/g, '_')
+        .toLowerCase();
+}
+
+/**
+ * Converts `county_fips` to `countyFips`
+ */
+function toCamelCase(value) {
+    const camel = value.replace(/[_-]+([a-zA-Z0-9])/g, (_, ch) => ch.toUpperCase());
+    return camel.charAt(0).toLowerCase() + camel.slice(1);
+}
+
+/**
+ * Converts `user_profiles` / `userProfile` to `UserProfile`
+ */
+function toPascalCase(value) {
+    const camel = toCamelCase(value);
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * Pluralizes the last word of a snake_case identifier
+ */
+function pluralize(value) {
+    const parts = value.split('_');
+    const word = parts.pop();
+    const lower = word.toLowerCase();
+    let plural;
+    if (UNCOUNTABLE.has(lower)) {
+        plural = word;
+    } else if (IRREGULAR_PLURALS[lower]) {
+        plural = IRREGULAR_PLURALS[lower];
+    } else if (/[^aeiou]y$/i.test(word)) {
+        plural = `${word.slice(0, -1)}ies`;
+    } else if (/(s|x|z|ch|sh)$/i.test(word)) {
+        plural = `${word}es`;
+    } else {
+        plural = `${word}s`;
+    }
+    return [...parts, plural].join('_');
+}
+
+/**
+ * Singularizes the last word of a snake_case identifier (inverse of `pluralize`)
+ */
+function singularize(value) {
+    const parts = value.split('_');
+    const word = parts.pop();
+    const lower = word.toLowerCase();
+    let singular;
+    const irregular = Object.entries(IRREGULAR_PLURALS).find(([, plural]) => plural === lower);
+    if (UNCOUNTABLE.has(lower)) {
+        singular = word;
+    } else if (irregular) {
+        singular = irregular[0];
+    } else if (/[^aeiou]ies$/i.test(word)) {
+        singular = `${word.slice(0, -3)}y`;
+    } else if (/(s|x|z|ch|sh)es$/i.test(word)) {
+        singular = word.slice(0, -2);
+    } else if (/s$/i.test(word) && !/ss$/i.test(word)) {
+        singular = word.slice(0, -1);
+    } else {
+        singular = word;
+    }
+    return [...parts, singular].join('_');
+}
+
+/**
+ * Derives the conventional table name for a model class (`UserProfile` -> `user_profiles`)
+ */
+function tableNameForModel(modelName) {
+    return pluralize(toSnakeCase(modelName));
+}
+
+/**
+ * True when the last word of a snake_case identifier is plural (`user_profiles`)
+ */
+function isPlural(value) {
+    return pluralize(singularize(value)) === value;
+}
+
+function isSnakeCase(value) {
+    return /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/.test(value);
+}
+
+function isCamelCase(value) {
+    return /^[a-z][a-zA-Z0-9]*$/.test(value);
+}
+
+function isPascalCase(value) {
+    return /^[A-Z][a-zA-Z0-9]*$/.test(value);
+}
+
+module.exports = {
+    isCamelCase,
+    isPascalCase,
+    isPlural,
+    isSnakeCase,
+    pluralize,
+    singularize,
+    tableNameForModel,
+    toCamelCase,
+    toPascalCase,
+    toSnakeCase
+};
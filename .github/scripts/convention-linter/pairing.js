@@ -0,0 +1,190 @@
+// Model <-> migration pairing. Resolves the table of every model (its
+// explicit tableName, or the snake_case plural of the class name) and the
+// tables every migration touches, so a change to one side can be reviewed
+// together with the other side even when that side is not in the diff.
+
+const path = require('path');
+const {ParseError} = require('./parser');
+const {EvaluationError} = require('./evaluator');
+const {interpretMigration} = require('./migration-interpreter');
+const {parseModelFile} = require('./model-parser');
+const {listMigrationFiles, listModelFiles, workingTree} = require('./project-files');
+
+// Tables named by raw SQL in `queryInterface.sequelize.query(...)`
+const SQL_TABLE_PATTERNS = [
+    /\b(?:ALTER|CREATE|DROP|TRUNCATE)\s+TABLE\s+(?:IF\s+(?:NOT\s+)?EXISTS\s+)?(?:ONLY\s+)?(?<name>[\w."]+)/gi,
+    /\bINSERT\s+INTO\s+(?<name>[\w."]+)/gi,
+    /\bUPDATE\s+(?:ONLY\s+)?(?<name>[\w."]+)\s+SET\b/gi,
+    /\bDELETE\s+FROM\s+(?<name>[\w."]+)/gi,
+    /\bINDEX\b[^;]*?\bON\s+(?:ONLY\s+)?(?<name>[\w."]+)/gi
+];
+
+function sqlTableName(name) {
+    return name.replace(/"/g, '').split('.').pop();
+}
+
+/**
+ * Tables an operation reads or changes
+ */
+function operationTables(operation) {
+    const tables = [];
+    if (typeof operation.table === 'string') tables.push(operation.table);
+    if (typeof operation.newTable === 'string') tables.push(operation.newTable);
+    if (operation.type === 'query' && typeof operation.sql === 'string') {
+        for (const pattern of SQL_TABLE_PATTERNS) {
+            for (const match of operation.sql.matchAll(pattern)) {
+                tables.push(sqlTableName(match.groups.name));
+            }
+        }
+    }
+    if (operation.type === 'helper') {
+        // e.g. dropEnumTypesForTable('addresses', [...], queryInterface)
+        tables.push(...(operation.args || []).filter(arg => typeof arg === 'string'));
+    }
+    return tables;
+}
+
+/**
+ * Every table a migration touches, in up() or down()
+ */
+function migrationTables(migration) {
+    const tables = new Set();
+    for (const operation of [...migration.up, ...migration.down]) {
+        for (const table of operationTables(operation)) tables.add(table);
+    }
+    return tables;
+}
+
+/**
+ * Groups table names that renameTable() made the same table, so a model of
+ * the new name is paired with the migrations written against the old one
+ */
+function tableAliases(migrations) {
+    const groups = new Map();
+    const groupOf = (table) => {
+        if (!groups.has(table)) groups.set(table, new Set([table]));
+        return groups.get(table);
+    };
+    for (const migration of migrations) {
+        for (const operation of migration.up) {
+            if (operation.type !== 'renameTable' || !operation.table || !operation.newTable) continue;
+            const merged = new Set([...groupOf(operation.table), ...groupOf(operation.newTable)]);
+            for (const table of merged) groups.set(table, merged);
+        }
+    }
+    return (table) => (groups.has(table) ? [...groups.get(table)] : [table]);
+}
+
+function normalize(file) {
+    return path.normalize(file).split(path.sep).join('/');
+}
+
+/**
+ * Loads the project's models and migrations from `tree` (see
+ * project-files.js), skipping files that cannot be parsed (the static checks
+ * already report those)
+ */
+function loadProject(changedFiles = [], tree = workingTree()) {
+    const contents = new Map(changedFiles
+        .filter(fileInfo => fileInfo.fullContent)
+        .map(fileInfo => [normalize(fileInfo.path), fileInfo.fullContent]));
+    const read = (file) => contents.get(normalize(file)) || tree.read(file);
+    const parsed = (parse) => {
+        try {
+            return parse();
+        } catch (error) {
+            if (error instanceof ParseError || error instanceof EvaluationError) return null;
+            throw error;
+        }
+    };
+
+    const modelFiles = new Set(listModelFiles(null, tree).map(normalize));
+    const migrationFiles = new Set(listMigrationFiles(null, tree).map(normalize));
+    for (const fileInfo of changedFiles) {
+        if (fileInfo.type === 'model') modelFiles.add(normalize(fileInfo.path));
+        if (fileInfo.type === 'migration') migrationFiles.add(normalize(fileInfo.path));
+    }
+
+    const models = [];
+    for (const file of modelFiles) {
+        const content = read(file);
+        if (content === null) continue;
+        const result = parsed(() => parseModelFile(file, content));
+        if (result) models.push(...result.models);
+    }
+    const migrations = [];
+    for (const file of [...migrationFiles].sort((a, b) => path.basename(a).localeCompare(path.basename(b)))) {
+        const content = read(file);
+        if (content === null) continue;
+        const migration = parsed(() => interpretMigration(file, content));
+        if (migration) migrations.push(migration);
+    }
+    return {models, migrations};
+}
+
+/**
+ * Pairs the changed models and migrations with their counterparts.
+ * Returns `{ pairs, related }`: one pair per changed file naming its tables
+ * and counterpart files, and the counterpart files that are not in the diff.
+ */
+function resolvePairs(changedFiles, project = loadProject(changedFiles)) {
+    const {models, migrations} = project;
+    const aliases = tableAliases(migrations);
+    const tablesOf = new Map(migrations.map(migration => [normalize(migration.file), migrationTables(migration)]));
+    const changed = new Set(changedFiles.map(fileInfo => normalize(fileInfo.path)));
+
+    const migrationsFor = (table) => {
+        const names = aliases(table);
+        return migrations
+            .map(migration => normalize(migration.file))
+            .filter(file => names.some(name => tablesOf.get(file).has(name)));
+    };
+    const modelsFor = (table) => {
+        const names = aliases(table);
+        return models.filter(model => names.includes(model.tableName));
+    };
+
+    const pairs = [];
+    for (const fileInfo of changedFiles) {
+        const file = normalize(fileInfo.path);
+        if (fileInfo.type === 'model') {
+            for (const model of models.filter(entry => normalize(entry.file) === file)) {
+                pairs.push({
+                    file,
+                    type: 'model',
+                    name: model.name,
+                    tables: [model.tableName],
+                    counterparts: migrationsFor(model.tableName)
+                });
+            }
+        } else if (fileInfo.type === 'migration' && tablesOf.has(file)) {
+            const tables = [...tablesOf.get(file)];
+            pairs.push({
+                file,
+                type: 'migration',
+                name: path.basename(file),
+                tables,
+                counterparts: [...new Set(tables.flatMap(table => modelsFor(table).map(model => normalize(model.file))))]
+            });
+        }
+    }
+
+    const related = [];
+    for (const pair of pairs) {
+        for (const counterpart of pair.counterparts) {
+            if (changed.has(counterpart) || related.some(entry => entry.path === counterpart)) continue;
+            related.push({
+                path: counterpart,
+                type: pair.type === 'model' ? 'migration' : 'model',
+                pairedWith: pair.file
+            });
+        }
+    }
+    return {pairs, related};
+}
+
+module.exports = {
+    loadProject,
+    migrationTables,
+    resolvePairs
+};
@@ -0,0 +1,458 @@
+// Deterministic model/migration parity checks: naming conventions, missing
+// columns or attributes, and type / allowNull / default mismatches between
+// `@Column` definitions and `createTable`/`addColumn`/`changeColumn` calls.
+
+const path = require('path');
+const {SEVERITY, createFinding} = require('./findings');
+const {isCamelCase, isPascalCase, isPlural, isSnakeCase, pluralize, toCamelCase, toPascalCase, toSnakeCase} = require('./naming');
+const {
+    describeDefault,
+    describeType,
+    defaultsEqual,
+    effectiveAllowNull,
+    typesEqual
+} = require('./schema');
+
+function modelLocation(model, attribute, detail) {
+    return {
+        file: model.file,
+        line: attribute ? attribute.line : model.line,
+        detail: detail || (attribute ? attribute.name : model.name)
+    };
+}
+
+function migrationLocation(operation, line, detail) {
+    return {file: operation.file, line: line || operation.line, detail};
+}
+
+// Longest value list spelled out in a finding
+const MAX_LISTED_VALUES = 10;
+
+function listValues(values) {
+    const listed = values.slice(0, MAX_LISTED_VALUES).map(value => `'${value}'`).join(', ');
+    return values.length > MAX_LISTED_VALUES ? `${listed} and ${values.length - MAX_LISTED_VALUES} more` : listed;
+}
+
+/**
+ * Values added to and removed from an enum since the ENUM column was
+ * migrated, or null when both sides agree or cannot be compared
+ */
+function enumDrift(modelType, columnType) {
+    const isEnum = type => type && type.name === 'ENUM' && Array.isArray(type.values);
+    if (!isEnum(modelType) || !isEnum(columnType)) return null;
+    if (!modelType.enumRef || !columnType.enumRef || modelType.enumRef.name !== columnType.enumRef.name) return null;
+
+    const added = modelType.values.filter(value => !columnType.values.includes(value));
+    const removed = columnType.values.filter(value => !modelType.values.includes(value));
+    if (added.length === 0 && removed.length === 0) return null;
+    return {name: modelType.enumRef.name, file: modelType.enumRef.file, added, removed};
+}
+
+function enumDriftFinding(model, attribute, operation, columnName, line, drift) {
+    const changes = [];
+    if (drift.added.length > 0) changes.push(`gained ${listValues(drift.added)}`);
+    if (drift.removed.length > 0) changes.push(`lost ${listValues(drift.removed)}`);
+    const typeName = `enum_${operation.table}_${columnName}`;
+    const fixes = [];
+    if (drift.added.length > 0) {
+        fixes.push(`add a migration running ALTER TYPE "${typeName}" ADD VALUE '<value>' for each new value`);
+    }
+    if (drift.removed.length > 0) {
+        fixes.push('move the rows off the removed values and recreate the type in a migration, or restore the values');
+    }
+    return createFinding({
+        category: 'Data Type Mismatch',
+        rule: 'enum-drift',
+        message: `Enum ${drift.name} ${changes.join(' and ')}, but no migration alters the type of '${operation.table}.${columnName}'`,
+        model: {
+            file: model.file,
+            line: (attribute.column.lines && attribute.column.lines.type) || attribute.line,
+            detail: `${attribute.name}: ENUM(...${drift.name})${drift.file ? ` from ${drift.file}` : ''}`
+        },
+        migration: migrationLocation(operation, line, `${typeName} as migrated`),
+        impact: drift.added.length > 0
+            ? 'Saving a new value fails with "invalid input value for enum"'
+            : 'Rows still holding a removed value fail model validation',
+        fix: fixes.join('; then ').replace(/^./, first => first.toUpperCase())
+    });
+}
+
+/**
+ * Checks naming conventions on the model side
+ */
+function checkModelNaming(model) {
+    const findings = [];
+    const base = path.basename(model.file);
+
+    if (!isPascalCase(model.name)) {
+        findings.push(createFinding({
+            category: 'Naming Convention',
+            rule: 'model-class-pascal-case',
+            message: `Model class '${model.name}' is not PascalCase`,
+            model: modelLocation(model, null, `class ${model.name}`),
+            impact: 'Model-to-table mapping no longer follows the project convention',
+            fix: `Rename the class to '${toPascalCase(model.name)}'`,
+            primary: 'model'
+        }));
+    }
+    if (model.explicitTableName && !isSnakeCase(model.tableName)) {
+        findings.push(createFinding({
+            category: 'Naming Convention',
+            rule: 'table-name-snake-case',
+            message: `Table name '${model.tableName}' in ${base} is not snake_case`,
+            model: modelLocation(model, null, `tableName: '${model.tableName}'`),
+            impact: 'Queries will target a table the migrations never create',
+            fix: 'Use a snake_case plural table name',
+            primary: 'model'
+        }));
+    } else if (model.explicitTableName && !isPlural(model.tableName)) {
+        findings.push(createFinding({
+            category: 'Naming Convention',
+            rule: 'table-name-plural',
+            severity: SEVERITY.WARNING,
+            message: `Table name '${model.tableName}' in ${base} is not plural`,
+            model: modelLocation(model, null, `tableName: '${model.tableName}'`),
+            impact: 'The table name no longer follows the singular model / plural table convention',
+            fix: `Use '${pluralize(model.tableName)}' as the table name`,
+            primary: 'model'
+        }));
+    }
+    for (const attribute of model.attributes) {
+        if (!isCamelCase(attribute.name)) {
+            findings.push(createFinding({
+                category: 'Naming Convention',
+                rule: 'model-attribute-camel-case',
+                message: `Model attribute '${attribute.name}' is not camelCase`,
+                model: modelLocation(model, attribute),
+                impact: 'Attribute will not map to the expected snake_case column',
+                fix: `Rename the attribute to '${toCamelCase(attribute.name)}'`,
+                primary: 'model'
+            }));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Checks naming conventions on the migration side
+ */
+function checkMigrationNaming(operation) {
+    const findings = [];
+    const columnNames = [];
+
+    if (operation.type === 'createTable') {
+        columnNames.push(...Object.entries(operation.columns).map(([name, column]) => [name, column.line]));
+    } else if (operation.type === 'addColumn' && typeof operation.column === 'string') {
+        columnNames.push([operation.column, operation.line]);
+    } else if (operation.type === 'renameColumn' && typeof operation.newColumn === 'string') {
+        columnNames.push([operation.newColumn, operation.line]);
+    }
+
+    if (['createTable', 'renameTable'].includes(operation.type)) {
+        const table = operation.type === 'createTable' ? operation.table : operation.newTable;
+        if (table && !isSnakeCase(table)) {
+            findings.push(createFinding({
+                category: 'Naming Convention',
+                rule: 'table-name-snake-case',
+                message: `Table name '${table}' is not snake_case`,
+                migration: migrationLocation(operation, operation.line, `${operation.type}('${table}')`),
+                impact: 'Models following the convention will not find this table',
+                fix: 'Use a snake_case plural table name'
+            }));
+        } else if (table && !isPlural(table)) {
+            findings.push(createFinding({
+                category: 'Naming Convention',
+                rule: 'table-name-plural',
+                severity: SEVERITY.WARNING,
+                message: `Table name '${table}' is not plural`,
+                migration: migrationLocation(operation, operation.line, `${operation.type}('${table}')`),
+                impact: 'Models following the convention will not find this table',
+                fix: `Use '${pluralize(table)}' as the table name`
+            }));
+        }
+    }
+
+    for (const [name, line] of columnNames) {
+        if (!isSnakeCase(name)) {
+            findings.push(createFinding({
+                category: 'Naming Convention',
+                rule: 'migration-column-snake-case',
+                message: `Migration column '${name}' is not snake_case`,
+                migration: migrationLocation(operation, line, `${name} in ${operation.type}('${operation.table}')`),
+                impact: 'Column will not match the camelCase model attribute mapping',
+                fix: `Rename the column to '${toSnakeCase(name)}'`
+            }));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Compares one model attribute against one migration column definition
+ */
+function compareColumn(model, attribute, column, operation, columnName) {
+    const findings = [];
+    const modelColumn = attribute.column;
+    const lineFor = (key) => (column.lines && column.lines[key]) || column.line;
+    const modelLineFor = (key) => (modelColumn.lines && modelColumn.lines[key]) || attribute.line;
+
+    const drift = enumDrift(modelColumn.type, column.type);
+    if (drift) {
+        findings.push(enumDriftFinding(model, attribute, operation, columnName, lineFor('type'), drift));
+    } else if (modelColumn.type && column.type && !typesEqual(modelColumn.type, column.type)) {
+        findings.push(createFinding({
+            category: 'Data Type Mismatch',
+            rule: 'column-type-match',
+            message: `Type mismatch for '${attribute.name}' between model and migration`,
+            model: {file: model.file, line: modelLineFor('type'), detail: `${attribute.name}: ${describeType(modelColumn.type)}`},
+            migration: migrationLocation(operation, lineFor('type'), `${columnName}: ${describeType(column.type)}`),
+            impact: 'Data corruption and query failures',
+            fix: `Make both sides use ${describeType(column.type)} or add a changeColumn migration to ${describeType(modelColumn.type)}`
+        }));
+    }
+
+    const modelNullable = effectiveAllowNull(modelColumn);
+    const migrationNullable = effectiveAllowNull(column);
+    if (modelNullable !== migrationNullable) {
+        findings.push(createFinding({
+            category: 'Data Type Mismatch',
+            rule: 'column-allow-null-match',
+            message: `allowNull mismatch for '${attribute.name}' (model: ${modelNullable}, migration: ${migrationNullable})`,
+            model: {file: model.file, line: modelLineFor('allowNull'), detail: `${attribute.name}: allowNull ${modelNullable}`},
+            migration: migrationLocation(operation, lineFor('allowNull'), `${columnName}: allowNull ${migrationNullable}`),
+            impact: modelNullable
+                ? 'Inserts without a value pass model validation but fail the NOT NULL constraint'
+                : 'Rows with NULL values in the database fail model validation on save',
+            fix: `Set allowNull: ${migrationNullable} on the model or migrate the column to allowNull: ${modelNullable}`
+        }));
+    }
+
+    // Sequelize fills timestamp attributes itself, so their database default is not used
+    if (!attribute.timestamp && !defaultsEqual(modelColumn.defaultValue, column.defaultValue)) {
+        const modelDefault = describeDefault(modelColumn.defaultValue) || 'none';
+        const migrationDefault = describeDefault(column.defaultValue) || 'none';
+        findings.push(createFinding({
+            category: 'Data Type Mismatch',
+            rule: 'column-default-match',
+            message: `Default value mismatch for '${attribute.name}' (model: ${modelDefault}, migration: ${migrationDefault})`,
+            model: {file: model.file, line: modelLineFor('defaultValue'), detail: `${attribute.name}: default ${modelDefault}`},
+            migration: migrationLocation(operation, lineFor('defaultValue'), `${columnName}: default ${migrationDefault}`),
+            impact: 'Rows inserted outside the ORM get a different default than rows created through the model',
+            fix: 'Use the same defaultValue in the model and the migration'
+        }));
+    }
+
+    if (!!modelColumn.primaryKey !== !!column.primaryKey) {
+        findings.push(createFinding({
+            category: 'Data Type Mismatch',
+            rule: 'column-primary-key-match',
+            message: `primaryKey mismatch for '${attribute.name}' (model: ${!!modelColumn.primaryKey}, migration: ${!!column.primaryKey})`,
+            model: {file: model.file, line: modelLineFor('primaryKey'), detail: `${attribute.name}: primaryKey ${!!modelColumn.primaryKey}`},
+            migration: migrationLocation(operation, lineFor('primaryKey'), `${columnName}: primaryKey ${!!column.primaryKey}`),
+            impact: 'Lookups by primary key and upserts behave differently than the database enforces',
+            fix: 'Declare the same primary key in the model and the migration'
+        }));
+    }
+
+    return findings;
+}
+
+function missingColumnFinding(model, attribute, operation) {
+    // Timestamps the model options add are removed with the options, not the attribute
+    const disable = attribute.timestamp === 'deletedAt' ? 'paranoid: false' : 'timestamps: false';
+    return createFinding({
+        category: 'Structural Integrity',
+        rule: 'model-attribute-has-column',
+        message: attribute.implicit
+            ? `Model ${model.name} has the ${attribute.timestamp} timestamp but no migration column '${attribute.columnName}'`
+            : `Model attribute '${attribute.name}' has no corresponding migration column '${attribute.columnName}'`,
+        model: modelLocation(model, attribute, `${attribute.name}: ${describeType(attribute.column.type)}`),
+        migration: migrationLocation(operation, operation.line, `${operation.type}('${operation.table}') has no '${attribute.columnName}' column`),
+        impact: attribute.implicit
+            ? 'Every insert, update or destroy through the model fails with "column does not exist"'
+            : 'Runtime errors when accessing this attribute',
+        fix: attribute.implicit
+            ? `Add '${attribute.columnName}' to the migration or set ${disable} in the model options`
+            : `Add '${attribute.columnName}' to the migration or remove the attribute from the model`,
+        primary: 'model'
+    });
+}
+
+function missingAttributeFinding(model, columnName, column, operation) {
+    return createFinding({
+        category: 'Structural Integrity',
+        rule: 'migration-column-has-attribute',
+        message: `Migration column '${columnName}' has no corresponding model attribute '${toCamelCase(columnName)}'`,
+        model: modelLocation(model, null, `${model.name} has no '${toCamelCase(columnName)}' attribute`),
+        migration: migrationLocation(operation, column.line, `${columnName}: ${describeType(column.type)}`),
+        impact: 'Column is invisible to the ORM; NOT NULL columns will make every insert fail',
+        fix: `Add a '${toCamelCase(columnName)}' @Column to ${model.name} or drop the column`
+    });
+}
+
+// What goes wrong when a table has a timestamp column its model does not enable
+const DISABLED_TIMESTAMP_IMPACT = {
+    createdAt: 'Sequelize never sets the column; if it is NOT NULL every insert fails',
+    updatedAt: 'Sequelize never sets the column; if it is NOT NULL every insert fails',
+    deletedAt: 'destroy() deletes rows permanently and soft-deleted rows are still returned by queries'
+};
+
+function disabledTimestampFinding(model, timestamp, column, operation) {
+    const options = [
+        !model.settings.timestamps && 'timestamps: true',
+        timestamp.timestamp === 'deletedAt' && 'paranoid: true'
+    ].filter(Boolean).join(' and ');
+    return createFinding({
+        category: 'Structural Integrity',
+        rule: 'timestamp-options-match',
+        message: `Migration column '${timestamp.columnName}' is the ${timestamp.timestamp} timestamp, but ${model.name} does not set ${options}`,
+        model: modelLocation(model, null, `${model.name}: ${Object.entries(model.settings).map(([key, value]) => `${key} ${value}`).join(', ')}`),
+        migration: migrationLocation(operation, column.line, `${timestamp.columnName}: ${describeType(column.type)}`),
+        impact: DISABLED_TIMESTAMP_IMPACT[timestamp.timestamp],
+        fix: `Set ${options} in the model options (or the global define options) or drop '${timestamp.columnName}'`
+    });
+}
+
+/**
+ * Finding for a migration column no model attribute maps to
+ */
+function unmappedColumnFinding(model, columnName, column, operation) {
+    const timestamp = (model.timestampColumns || []).find(candidate => !candidate.enabled && candidate.columnName === columnName);
+    return timestamp
+        ? disabledTimestampFinding(model, timestamp, column, operation)
+        : missingAttributeFinding(model, columnName, column, operation);
+}
+
+function findAttribute(model, columnName) {
+    return model.attributes.find(attribute => attribute.columnName === columnName);
+}
+
+/**
+ * The tables as the given migrations leave them, their `up` operations
+ * applied in order. `created` is the createTable operation when one of the
+ * migrations creates the table; otherwise only the columns they add, change
+ * or rename are known. Columns map to `{ definition, operation }`, the
+ * operation that last defined them; a column renamed from one created in an
+ * earlier migration has no known definition (null).
+ */
+function changedTables(migrations) {
+    const tables = new Map();
+    const tableFor = (operation) => {
+        if (!tables.has(operation.table)) tables.set(operation.table, {created: null, columns: new Map()});
+        return tables.get(operation.table);
+    };
+
+    for (const migration of migrations) {
+        for (const operation of migration.up) {
+            switch (operation.type) {
+                case 'createTable': {
+                    const columns = new Map(Object.entries(operation.columns)
+                        .map(([name, definition]) => [name, {definition, operation}]));
+                    tables.set(operation.table, {created: operation, columns});
+                    break;
+                }
+                case 'dropTable':
+                    tables.delete(operation.table);
+                    break;
+                case 'renameTable': {
+                    const table = tableFor(operation);
+                    tables.delete(operation.table);
+                    tables.set(operation.newTable, table);
+                    break;
+                }
+                case 'addColumn':
+                    if (typeof operation.column !== 'string') break;
+                    tableFor(operation).columns.set(operation.column, {definition: operation.definition, operation});
+                    break;
+                case 'changeColumn': {
+                    if (typeof operation.column !== 'string') break;
+                    const {columns} = tableFor(operation);
+                    const existing = columns.get(operation.column);
+                    // changeColumn rewrites type, nullability and default; key flags stay
+                    const definition = existing && existing.definition
+                        ? {...operation.definition, primaryKey: existing.definition.primaryKey}
+                        : operation.definition;
+                    columns.set(operation.column, {definition, operation});
+                    break;
+                }
+                case 'removeColumn':
+                    tableFor(operation).columns.delete(operation.column);
+                    break;
+                case 'renameColumn': {
+                    if (typeof operation.newColumn !== 'string') break;
+                    const {columns} = tableFor(operation);
+                    const existing = columns.get(operation.column);
+                    columns.delete(operation.column);
+                    columns.set(operation.newColumn, existing || {definition: null, operation});
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Checks the naming of every model and of the `up` operations of the given
+ * migrations
+ */
+function checkNaming(models, migrations) {
+    const findings = [];
+    for (const model of models) {
+        findings.push(...checkModelNaming(model));
+    }
+    for (const migration of migrations) {
+        for (const operation of migration.up) {
+            findings.push(...checkMigrationNaming(operation));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Compares every model against its table as the `up` operations of the
+ * given migrations leave it. A table they create must have a column for
+ * every attribute; of a table created earlier only the columns they touch
+ * are compared.
+ */
+function checkModelMigrationParity(models, migrations) {
+    const findings = [];
+    const modelsByTable = new Map(models.map(model => [model.tableName, model]));
+
+    for (const [tableName, table] of changedTables(migrations)) {
+        const model = modelsByTable.get(tableName);
+        if (!model) continue;
+
+        for (const [columnName, {definition, operation}] of table.columns) {
+            if (!definition) continue;
+            const attribute = findAttribute(model, columnName);
+            if (attribute) {
+                findings.push(...compareColumn(model, attribute, definition, operation, columnName));
+            } else if (table.created || operation.type === 'addColumn') {
+                findings.push(unmappedColumnFinding(model, columnName, definition, operation));
+            }
+        }
+        if (!table.created) continue;
+        for (const attribute of model.attributes) {
+            if (!table.columns.has(attribute.columnName)) {
+                findings.push(missingColumnFinding(model, attribute, table.created));
+            }
+        }
+    }
+
+    return findings;
+}
+
+module.exports = {
+    checkModelMigrationParity,
+    checkMigrationNaming,
+    checkModelNaming,
+    checkNaming,
+    compareColumn,
+    missingAttributeFinding,
+    missingColumnFinding,
+    unmappedColumnFinding
+};
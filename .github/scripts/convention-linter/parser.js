@@ -0,0 +1,2180 @@
+// A small, dependency-free parser for the subset of JavaScript/TypeScript that
+// Sequelize models and migrations are written in. It produces ESTree-shaped
+// nodes (with TypeScript extensions for decorators, enums, interfaces and type
+// annotations) annotated with `loc` line/column information and source offsets,
+// so findings can point at exact lines without pulling in a compiler.
+
+const PUNCTUATORS = [
+    '...', '===', '!==', '**=', '<<=', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/',
+    '%', '&', '|', '^', '!', '~', '?', ':', '=', '.', '@'
+];
+
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'await', 'yield'
+]);
+
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+    '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=',
+    '&=', '|=', '^=', '&&=', '||=', '??='
+]);
+
+const CLASS_MODIFIERS = new Set([
+    'public', 'private', 'protected', 'readonly', 'static', 'declare',
+    'abstract', 'override', 'accessor'
+]);
+
+const TYPE_KEYWORDS = new Set([
+    'string', 'number', 'boolean', 'any', 'unknown', 'never', 'void', 'null',
+    'undefined', 'object', 'bigint', 'symbol'
+]);
+
+/**
+ * Error raised when a source file cannot be parsed
+ */
+class ParseError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (${line}:${column})`);
+        this.name = 'ParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Splits source text into tokens, collecting comments on the side
+ */
+function tokenize(source, options = {}) {
+    const tokens = [];
+    const comments = options.comments || [];
+    let pos = options.start || 0;
+    let line = options.line || 1;
+    let lineStart = options.lineStart || 0;
+    let newlineBefore = false;
+    let braceDepth = 0;
+
+    const isIdentStart = (ch) => /[A-Za-z_$\u00a0-\uffff]/.test(ch);
+    const isIdentPart = (ch) => /[A-Za-z0-9_$\u00a0-\uffff]/.test(ch);
+
+    const fail = (message) => {
+        throw new ParseError(message, line, pos - lineStart + 1);
+    };
+
+    const advanceNewlines = (from, to) => {
+        for (let i = from; i < to; i++) {
+            if (source[i] === '\n') {
+                line++;
+                lineStart = i + 1;
+            }
+        }
+    };
+
+    const regexAllowed = () => {
+        const prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'punct') return ![')', ']', '}'].includes(prev.value);
+        if (prev.type === 'name') return REGEX_PRECEDING_KEYWORDS.has(prev.value);
+        return false;
+    };
+
+    const push = (type, value, start, extra = {}) => {
+        tokens.push({
+            type,
+            value,
+            start,
+            end: pos,
+            line: extra.line || line,
+            column: (extra.column ?? (start - lineStart)) + 1,
+            newlineBefore,
+            ...extra.props
+        });
+        newlineBefore = false;
+    };
+
+    while (pos < source.length) {
+        const ch = source[pos];
+
+        if (ch === '\n') {
+            line++;
+            pos++;
+            lineStart = pos;
+            newlineBefore = true;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            pos++;
+            continue;
+        }
+
+        // Comments
+        if (ch === '/' && source[pos + 1] === '/') {
+            const end = source.indexOf('\n', pos);
+            const stop = end === -1 ? source.length : end;
+            comments.push({type: 'Line', value: source.slice(pos + 2, stop), line, start: pos, end: stop});
+            pos = stop;
+            continue;
+        }
+        if (ch === '/' && source[pos + 1] === '*') {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) fail('Unterminated comment');
+            const startLine = line;
+            comments.push({type: 'Block', value: source.slice(pos + 2, end), line: startLine, start: pos, end: end + 2});
+            advanceNewlines(pos, end + 2);
+            if (line !== startLine) newlineBefore = true;
+            pos = end + 2;
+            continue;
+        }
+        if (ch === '#' && source[pos + 1] === '!' && pos === 0) {
+            const end = source.indexOf('\n', pos);
+            pos = end === -1 ? source.length : end;
+            continue;
+        }
+
+        const start = pos;
+        const startLine = line;
+        const startColumn = pos - lineStart;
+
+        // Identifiers and keywords
+        if (isIdentStart(ch)) {
+            while (pos < source.length && isIdentPart(source[pos])) pos++;
+            push('name', source.slice(start, pos), start);
+            continue;
+        }
+        if (ch === '#' && isIdentStart(source[pos + 1] || '')) {
+            pos++;
+            while (pos < source.length && isIdentPart(source[pos])) pos++;
+            push('privateName', source.slice(start + 1, pos), start);
+            continue;
+        }
+
+        // Numbers
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[pos + 1] || ''))) {
+            const match = /^(0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:[0-9][0-9_]*)?\.?[0-9_]*(?:[eE][+-]?[0-9_]+)?)n?/.exec(source.slice(pos));
+            pos += match[0].length;
+            const raw = match[0];
+            const clean = raw.replace(/_/g, '').replace(/n$/, '');
+            push('num', raw.endsWith('n') ? clean : Number(clean), start, {props: {raw}});
+            continue;
+        }
+
+        // Strings
+        if (ch === '"' || ch === '\'') {
+            pos++;
+            let value = '';
+            while (pos < source.length && source[pos] !== ch) {
+                if (source[pos] === '\\') {
+                    value += readEscape();
+                } else {
+                    if (source[pos] === '\n') fail('Unterminated string literal');
+                    value += source[pos++];
+                }
+            }
+            if (pos >= source.length) fail('Unterminated string literal');
+            pos++;
+            push('string', value, start, {props: {raw: source.slice(start, pos)}});
+            continue;
+        }
+
+        // Template literals: embedded expressions are tokenized recursively
+        if (ch === '`') {
+            pos++;
+            const quasis = [];
+            const expressions = [];
+            let cooked = '';
+            while (true) {
+                if (pos >= source.length) fail('Unterminated template literal');
+                const c = source[pos];
+                if (c === '`') {
+                    pos++;
+                    break;
+                }
+                if (c === '\\') {
+                    cooked += readEscape();
+                    continue;
+                }
+                if (c === '$' && source[pos + 1] === '{') {
+                    quasis.push(cooked);
+                    cooked = '';
+                    const inner = tokenize(source, {
+                        start: pos + 2,
+                        line,
+                        lineStart,
+                        comments,
+                        stopAtBrace: true
+                    });
+                    expressions.push(inner.tokens);
+                    pos = inner.end + 1;
+                    line = inner.line;
+                    lineStart = inner.lineStart;
+                    continue;
+                }
+                if (c === '\n') {
+                    line++;
+                    lineStart = pos + 1;
+                }
+                cooked += c;
+                pos++;
+            }
+            quasis.push(cooked);
+            push('template', quasis.join(''), start, {
+                line: startLine,
+                column: startColumn,
+                props: {quasis, expressions}
+            });
+            continue;
+        }
+
+        // Regular expressions
+        if (ch === '/' && regexAllowed()) {
+            pos++;
+            let inClass = false;
+            while (pos < source.length) {
+                const c = source[pos];
+                if (c === '\n') fail('Unterminated regular expression');
+                if (c === '\\') {
+                    pos += 2;
+                    continue;
+                }
+                if (c === '[') inClass = true;
+                else if (c === ']') inClass = false;
+                else if (c === '/' && !inClass) break;
+                pos++;
+            }
+            const pattern = source.slice(start + 1, pos);
+            pos++;
+            const flagsStart = pos;
+            while (pos < source.length && isIdentPart(source[pos])) pos++;
+            push('regex', source.slice(start, pos), start, {
+                props: {pattern, flags: source.slice(flagsStart, pos)}
+            });
+            continue;
+        }
+
+        if (options.stopAtBrace) {
+            if (ch === '{') braceDepth++;
+            if (ch === '}') {
+                if (braceDepth === 0) {
+                    return {tokens: finish(), end: pos, line, lineStart, comments};
+                }
+                braceDepth--;
+            }
+        }
+
+        // Punctuators. `>>`-style operators are never produced here so that
+        // nested generic arguments (`Model<Foo<Bar>>`) tokenize cleanly; the
+        // parser reassembles shift operators from adjacent `>` tokens.
+        const punct = (ch === '?' && source[pos + 1] === '.' && /[0-9]/.test(source[pos + 2] || ''))
+            ? '?'
+            : PUNCTUATORS.find(p => source.startsWith(p, pos));
+        if (!punct) fail(`Unexpected character '${ch}'`);
+        pos += punct.length;
+        push('punct', punct, start);
+    }
+
+    if (options.stopAtBrace) fail('Unterminated template expression');
+    return {tokens: finish(), comments, end: pos, line, lineStart};
+
+    function finish() {
+        tokens.push({type: 'eof', value: null, start: pos, end: pos, line, column: pos - lineStart + 1, newlineBefore: true});
+        return tokens;
+    }
+
+    function readEscape() {
+        const next = source[pos + 1];
+        pos += 2;
+        switch (next) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case '0': return '\0';
+            case '\r':
+                if (source[pos] === '\n') pos++;
+                return '';
+            case '\n':
+                line++;
+                lineStart = pos;
+                return '';
+            case 'x': {
+                const hex = source.slice(pos, pos + 2);
+                pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            case 'u': {
+                if (source[pos] === '{') {
+                    const close = source.indexOf('}', pos);
+                    const code = parseInt(source.slice(pos + 1, close), 16);
+                    pos = close + 1;
+                    return String.fromCodePoint(code);
+                }
+                const hex = source.slice(pos, pos + 4);
+                pos += 4;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            default:
+                return next;
+        }
+    }
+}
+
+/**
+ * Recursive-descent parser over the token stream produced by `tokenize`
+ */
+class Parser {
+    constructor(source, tokens) {
+        this.source = source;
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    get token() {
+        return this.tokens[this.index];
+    }
+
+    peek(offset = 1) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.tokens[this.index];
+        if (this.index < this.tokens.length - 1) this.index++;
+        return token;
+    }
+
+    is(value, token = this.token) {
+        return (token.type === 'punct' || token.type === 'name') && token.value === value;
+    }
+
+    isPunct(value, token = this.token) {
+        return token.type === 'punct' && token.value === value;
+    }
+
+    isName(value, token = this.token) {
+        return token.type === 'name' && (value === undefined || token.value === value);
+    }
+
+    eat(value) {
+        if (this.is(value)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(value) {
+        if (!this.is(value)) {
+            this.raise(`Expected '${value}' but found '${this.describe(this.token)}'`);
+        }
+        return this.next();
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of file' : this.source.slice(token.start, token.end);
+    }
+
+    raise(message, token = this.token) {
+        throw new ParseError(message, token.line, token.column);
+    }
+
+    startNode(type, token = this.token) {
+        return {type, start: token.start, end: token.end, loc: {line: token.line, column: token.column}};
+    }
+
+    finishNode(node) {
+        const last = this.tokens[Math.max(this.index - 1, 0)];
+        node.end = Math.max(node.start, last.end);
+        return node;
+    }
+
+    textOf(node) {
+        return this.source.slice(node.start, node.end);
+    }
+
+    /**
+     * Runs `fn` speculatively, restoring the position when it throws
+     */
+    tryParse(fn) {
+        const saved = this.index;
+        try {
+            return fn();
+        } catch (error) {
+            if (!(error instanceof ParseError)) throw error;
+            this.index = saved;
+            return undefined;
+        }
+    }
+
+    consumeSemicolon() {
+        this.eat(';');
+    }
+
+    // ---------------------------------------------------------------------
+    // Statements
+    // ---------------------------------------------------------------------
+
+    parseProgram() {
+        const node = this.startNode('Program');
+        node.body = [];
+        while (this.token.type !== 'eof') {
+            node.body.push(this.parseStatement());
+        }
+        return this.finishNode(node);
+    }
+
+    parseStatement() {
+        const token = this.token;
+
+        if (this.isPunct('@')) {
+            const decorators = this.parseDecorators();
+            const statement = this.parseStatement();
+            const target = statement.declaration || statement;
+            if (target.type === 'ClassDeclaration') {
+                target.decorators = decorators.concat(target.decorators);
+            }
+            return statement;
+        }
+
+        if (token.type === 'punct') {
+            switch (token.value) {
+                case '{':
+                    return this.parseBlock();
+                case ';': {
+                    const node = this.startNode('EmptyStatement');
+                    this.next();
+                    return this.finishNode(node);
+                }
+            }
+        }
+
+        if (token.type === 'name') {
+            switch (token.value) {
+                case 'const':
+                    if (this.isName('enum', this.peek())) return this.parseEnum();
+                    return this.parseVariableStatement();
+                case 'let':
+                case 'var':
+                    return this.parseVariableStatement();
+                case 'function':
+                    return this.parseFunction('FunctionDeclaration');
+                case 'async':
+                    if (this.isName('function', this.peek()) && !this.peek().newlineBefore) {
+                        return this.parseFunction('FunctionDeclaration');
+                    }
+                    break;
+                case 'class':
+                    return this.parseClass('ClassDeclaration');
+                case 'abstract':
+                    if (this.isName('class', this.peek())) {
+                        this.next();
+                        const node = this.parseClass('ClassDeclaration');
+                        node.abstract = true;
+                        return node;
+                    }
+                    break;
+                case 'if':
+                    return this.parseIf();
+                case 'return':
+                    return this.parseReturn();
+                case 'throw': {
+                    const node = this.startNode('ThrowStatement');
+                    this.next();
+                    node.argument = this.parseExpression();
+                    this.consumeSemicolon();
+                    return this.finishNode(node);
+                }
+                case 'try':
+                    return this.parseTry();
+                case 'for':
+                    return this.parseFor();
+                case 'while': {
+                    const node = this.startNode('WhileStatement');
+                    this.next();
+                    this.expect('(');
+                    node.test = this.parseExpression();
+                    this.expect(')');
+                    node.body = this.parseStatement();
+                    return this.finishNode(node);
+                }
+                case 'do': {
+                    const node = this.startNode('DoWhileStatement');
+                    this.next();
+                    node.body = this.parseStatement();
+                    this.expect('while');
+                    this.expect('(');
+                    node.test = this.parseExpression();
+                    this.expect(')');
+                    this.consumeSemicolon();
+                    return this.finishNode(node);
+                }
+                case 'switch':
+                    return this.parseSwitch();
+                case 'break':
+                case 'continue': {
+                    const node = this.startNode(token.value === 'break' ? 'BreakStatement' : 'ContinueStatement');
+                    this.next();
+                    node.label = null;
+                    if (this.token.type === 'name' && !this.token.newlineBefore) {
+                        node.label = this.parseIdentifier();
+                    }
+                    this.consumeSemicolon();
+                    return this.finishNode(node);
+                }
+                case 'import':
+                    if (!this.isPunct('(', this.peek()) && !this.isPunct('.', this.peek())) {
+                        return this.parseImport();
+                    }
+                    break;
+                case 'export':
+                    return this.parseExport();
+                case 'interface':
+                    if (this.peek().type === 'name') return this.parseInterface();
+                    break;
+                case 'type':
+                    if (this.peek().type === 'name' && !this.peek().newlineBefore) return this.parseTypeAlias();
+                    break;
+                case 'enum':
+                    if (this.peek().type === 'name') return this.parseEnum();
+                    break;
+                case 'declare':
+                    if (!this.peek().newlineBefore && this.peek().type === 'name') {
+                        this.next();
+                        const node = this.parseStatement();
+                        node.declare = true;
+                        return node;
+                    }
+                    break;
+                case 'namespace':
+                case 'module':
+                    if (!this.peek().newlineBefore && (this.peek().type === 'name' || this.peek().type === 'string')) {
+                        return this.parseNamespace();
+                    }
+                    break;
+                case 'global':
+                    if (this.isPunct('{', this.peek())) return this.parseNamespace();
+                    break;
+                default:
+                    break;
+            }
+
+            if (this.isPunct(':', this.peek())) {
+                const node = this.startNode('LabeledStatement');
+                node.label = this.parseIdentifier();
+                this.expect(':');
+                node.body = this.parseStatement();
+                return this.finishNode(node);
+            }
+        }
+
+        const node = this.startNode('ExpressionStatement');
+        node.expression = this.parseExpression();
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseBlock() {
+        const node = this.startNode('BlockStatement');
+        this.expect('{');
+        node.body = [];
+        while (!this.isPunct('}')) {
+            if (this.token.type === 'eof') this.raise('Unterminated block');
+            node.body.push(this.parseStatement());
+        }
+        this.next();
+        return this.finishNode(node);
+    }
+
+    parseVariableStatement() {
+        const node = this.parseVariableDeclaration();
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseVariableDeclaration(inFor = false) {
+        const node = this.startNode('VariableDeclaration');
+        node.kind = this.next().value;
+        node.declarations = [];
+        do {
+            const declarator = this.startNode('VariableDeclarator');
+            declarator.id = this.parseBindingTarget();
+            this.eat('!');
+            if (this.eat(':')) {
+                declarator.id.typeAnnotation = this.parseType();
+            }
+            declarator.init = null;
+            if (this.eat('=')) {
+                declarator.init = this.parseAssignment({noIn: inFor});
+            }
+            node.declarations.push(this.finishNode(declarator));
+        } while (this.eat(','));
+        return this.finishNode(node);
+    }
+
+    parseIf() {
+        const node = this.startNode('IfStatement');
+        this.next();
+        this.expect('(');
+        node.test = this.parseExpression();
+        this.expect(')');
+        node.consequent = this.parseStatement();
+        node.alternate = this.eat('else') ? this.parseStatement() : null;
+        return this.finishNode(node);
+    }
+
+    parseReturn() {
+        const node = this.startNode('ReturnStatement');
+        this.next();
+        node.argument = null;
+        if (!this.isPunct(';') && !this.isPunct('}') && !this.token.newlineBefore && this.token.type !== 'eof') {
+            node.argument = this.parseExpression();
+        }
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseTry() {
+        const node = this.startNode('TryStatement');
+        this.next();
+        node.block = this.parseBlock();
+        node.handler = null;
+        node.finalizer = null;
+        if (this.isName('catch')) {
+            const handler = this.startNode('CatchClause');
+            this.next();
+            handler.param = null;
+            if (this.eat('(')) {
+                handler.param = this.parseBindingTarget();
+                if (this.eat(':')) this.parseType();
+                this.expect(')');
+            }
+            handler.body = this.parseBlock();
+            node.handler = this.finishNode(handler);
+        }
+        if (this.eat('finally')) {
+            node.finalizer = this.parseBlock();
+        }
+        return this.finishNode(node);
+    }
+
+    parseFor() {
+        const start = this.token;
+        this.next();
+        const isAwait = !!this.eat('await');
+        this.expect('(');
+        let init = null;
+        if (this.isName('const') || this.isName('let') || this.isName('var')) {
+            init = this.parseVariableDeclaration(true);
+        } else if (!this.isPunct(';')) {
+            init = this.parseExpression({noIn: true});
+        }
+        if (this.isName('of') || this.isName('in')) {
+            const node = this.startNode(this.token.value === 'of' ? 'ForOfStatement' : 'ForInStatement', start);
+            node.await = isAwait;
+            this.next();
+            node.left = init;
+            node.right = this.parseAssignment();
+            this.expect(')');
+            node.body = this.parseStatement();
+            return this.finishNode(node);
+        }
+        const node = this.startNode('ForStatement', start);
+        node.init = init;
+        this.expect(';');
+        node.test = this.isPunct(';') ? null : this.parseExpression();
+        this.expect(';');
+        node.update = this.isPunct(')') ? null : this.parseExpression();
+        this.expect(')');
+        node.body = this.parseStatement();
+        return this.finishNode(node);
+    }
+
+    parseSwitch() {
+        const node = this.startNode('SwitchStatement');
+        this.next();
+        this.expect('(');
+        node.discriminant = this.parseExpression();
+        this.expect(')');
+        this.expect('{');
+        node.cases = [];
+        while (!this.eat('}')) {
+            const switchCase = this.startNode('SwitchCase');
+            if (this.eat('default')) {
+                switchCase.test = null;
+            } else {
+                this.expect('case');
+                switchCase.test = this.parseExpression();
+            }
+            this.expect(':');
+            switchCase.consequent = [];
+            while (!this.isName('case') && !this.isName('default') && !this.isPunct('}')) {
+                switchCase.consequent.push(this.parseStatement());
+            }
+            node.cases.push(this.finishNode(switchCase));
+        }
+        return this.finishNode(node);
+    }
+
+    parseImport() {
+        const node = this.startNode('ImportDeclaration');
+        this.next();
+        node.specifiers = [];
+        node.importKind = 'value';
+        if (this.isName('type') && !this.isPunct(',', this.peek()) && !this.isName('from', this.peek())) {
+            this.next();
+            node.importKind = 'type';
+        }
+        if (this.token.type === 'string') {
+            node.source = this.parseLiteral();
+            this.consumeSemicolon();
+            return this.finishNode(node);
+        }
+        if (this.token.type === 'name' && !this.isPunct('{')) {
+            const specifier = this.startNode('ImportDefaultSpecifier');
+            specifier.local = this.parseIdentifier();
+            if (this.eat('=')) {
+                // `import x = require('y')`
+                const declaration = this.startNode('TSImportEqualsDeclaration', node);
+                declaration.id = specifier.local;
+                declaration.moduleReference = this.parseAssignment();
+                this.consumeSemicolon();
+                return this.finishNode(declaration);
+            }
+            node.specifiers.push(this.finishNode(specifier));
+            this.eat(',');
+        }
+        if (this.isPunct('*')) {
+            const specifier = this.startNode('ImportNamespaceSpecifier');
+            this.next();
+            this.expect('as');
+            specifier.local = this.parseIdentifier();
+            node.specifiers.push(this.finishNode(specifier));
+        } else if (this.eat('{')) {
+            while (!this.eat('}')) {
+                const specifier = this.startNode('ImportSpecifier');
+                if (this.isName('type') && this.peek().type === 'name' && !this.isName('as', this.peek())) {
+                    this.next();
+                }
+                specifier.imported = this.token.type === 'string' ? this.parseLiteral() : this.parseIdentifier();
+                specifier.local = this.eat('as') ? this.parseIdentifier() : specifier.imported;
+                node.specifiers.push(this.finishNode(specifier));
+                if (!this.isPunct('}')) this.expect(',');
+            }
+        }
+        this.expect('from');
+        node.source = this.parseLiteral();
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseExport() {
+        const start = this.token;
+        this.next();
+
+        if (this.eat('default')) {
+            const node = this.startNode('ExportDefaultDeclaration', start);
+            if (this.isName('class') || this.isName('function') || (this.isName('async') && this.isName('function', this.peek()))) {
+                node.declaration = this.isName('class')
+                    ? this.parseClass('ClassDeclaration', true)
+                    : this.parseFunction('FunctionDeclaration', true);
+            } else if (this.isName('abstract') && this.isName('class', this.peek())) {
+                this.next();
+                node.declaration = this.parseClass('ClassDeclaration', true);
+            } else if (this.isName('interface')) {
+                node.declaration = this.parseInterface();
+            } else {
+                node.declaration = this.parseAssignment();
+                this.consumeSemicolon();
+            }
+            return this.finishNode(node);
+        }
+
+        if (this.eat('=')) {
+            const node = this.startNode('TSExportAssignment', start);
+            node.expression = this.parseExpression();
+            this.consumeSemicolon();
+            return this.finishNode(node);
+        }
+
+        const node = this.startNode('ExportNamedDeclaration', start);
+        node.specifiers = [];
+        node.source = null;
+        node.declaration = null;
+
+        if (this.isPunct('*')) {
+            const all = this.startNode('ExportAllDeclaration', start);
+            this.next();
+            all.exported = this.eat('as') ? this.parseIdentifier() : null;
+            this.expect('from');
+            all.source = this.parseLiteral();
+            this.consumeSemicolon();
+            return this.finishNode(all);
+        }
+
+        if (this.isName('type') && this.isPunct('{', this.peek())) {
+            this.next();
+        }
+
+        if (this.isPunct('{')) {
+            this.next();
+            while (!this.eat('}')) {
+                const specifier = this.startNode('ExportSpecifier');
+                specifier.local = this.parseIdentifier();
+                specifier.exported = this.eat('as') ? this.parseIdentifier() : specifier.local;
+                node.specifiers.push(this.finishNode(specifier));
+                if (!this.isPunct('}')) this.expect(',');
+            }
+            if (this.eat('from')) {
+                node.source = this.parseLiteral();
+            }
+            this.consumeSemicolon();
+            return this.finishNode(node);
+        }
+
+        node.declaration = this.parseStatement();
+        return this.finishNode(node);
+    }
+
+    parseNamespace() {
+        const node = this.startNode('TSModuleDeclaration');
+        if (!this.isName('global')) this.next();
+        node.id = this.token.type === 'string' ? this.parseLiteral() : this.parseIdentifier();
+        while (this.eat('.')) {
+            node.id = {...node.id, name: `${node.id.name}.${this.parseIdentifier().name}`};
+        }
+        node.body = null;
+        if (this.isPunct('{')) {
+            node.body = this.parseBlock();
+        } else {
+            this.consumeSemicolon();
+        }
+        return this.finishNode(node);
+    }
+
+    parseEnum() {
+        const node = this.startNode('TSEnumDeclaration');
+        node.const = !!this.eat('const');
+        this.expect('enum');
+        node.id = this.parseIdentifier();
+        node.members = [];
+        this.expect('{');
+        while (!this.eat('}')) {
+            const member = this.startNode('TSEnumMember');
+            member.id = this.token.type === 'string' ? this.parseLiteral() : this.parseIdentifier();
+            member.initializer = this.eat('=') ? this.parseAssignment() : null;
+            node.members.push(this.finishNode(member));
+            if (!this.isPunct('}')) this.expect(',');
+        }
+        return this.finishNode(node);
+    }
+
+    parseInterface() {
+        const node = this.startNode('TSInterfaceDeclaration');
+        this.expect('interface');
+        node.id = this.parseIdentifier();
+        node.typeParameters = this.parseTypeParameters();
+        node.extends = [];
+        if (this.eat('extends')) {
+            do {
+                node.extends.push(this.parseType());
+            } while (this.eat(','));
+        }
+        node.body = this.parseTypeLiteral();
+        return this.finishNode(node);
+    }
+
+    parseTypeAlias() {
+        const node = this.startNode('TSTypeAliasDeclaration');
+        this.expect('type');
+        node.id = this.parseIdentifier();
+        node.typeParameters = this.parseTypeParameters();
+        this.expect('=');
+        node.typeAnnotation = this.parseType();
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseFunction(type, allowAnonymous = false) {
+        const node = this.startNode(type);
+        node.async = !!this.eat('async');
+        this.expect('function');
+        node.generator = !!this.eat('*');
+        node.id = null;
+        if (this.token.type === 'name' && !this.isPunct('(')) {
+            node.id = this.parseIdentifier();
+        } else if (type === 'FunctionDeclaration' && !allowAnonymous) {
+            this.raise('Function declaration requires a name');
+        }
+        this.parseTypeParameters();
+        node.params = this.parseParams();
+        node.returnType = this.eat(':') ? this.parseType() : null;
+        node.body = this.isPunct('{') ? this.parseBlock() : null;
+        if (!node.body) this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseClass(type, allowAnonymous = false) {
+        const node = this.startNode(type);
+        this.expect('class');
+        node.decorators = [];
+        node.id = null;
+        if (this.token.type === 'name' && !this.isName('extends') && !this.isName('implements')) {
+            node.id = this.parseIdentifier();
+        } else if (type === 'ClassDeclaration' && !allowAnonymous) {
+            this.raise('Class declaration requires a name');
+        }
+        node.typeParameters = this.parseTypeParameters();
+        node.superClass = null;
+        node.superTypeArguments = null;
+        if (this.eat('extends')) {
+            node.superClass = this.parseSubscripts(this.parseExprAtom());
+            if (this.isPunct('<')) {
+                node.superTypeArguments = this.parseTypeArguments();
+            }
+        }
+        node.implements = [];
+        if (this.eat('implements')) {
+            do {
+                node.implements.push(this.parseType());
+            } while (this.eat(','));
+        }
+        node.body = [];
+        this.expect('{');
+        while (!this.eat('}')) {
+            if (this.eat(';')) continue;
+            if (this.token.type === 'eof') this.raise('Unterminated class body');
+            node.body.push(this.parseClassMember());
+        }
+        return this.finishNode(node);
+    }
+
+    parseClassMember() {
+        const decorators = this.parseDecorators();
+        const node = this.startNode('PropertyDefinition');
+        node.decorators = decorators;
+        node.modifiers = [];
+        node.static = false;
+        node.kind = 'property';
+
+        const isKeyStart = (token) => token.type === 'name' || token.type === 'string' ||
+            token.type === 'num' || token.type === 'privateName' ||
+            this.isPunct('[', token) || this.isPunct('*', token);
+
+        while (this.token.type === 'name' && CLASS_MODIFIERS.has(this.token.value) &&
+            isKeyStart(this.peek()) && !this.peek().newlineBefore) {
+            const modifier = this.next().value;
+            node.modifiers.push(modifier);
+            if (modifier === 'static') node.static = true;
+        }
+
+        if (node.static && this.isPunct('{')) {
+            node.type = 'StaticBlock';
+            node.body = this.parseBlock().body;
+            return this.finishNode(node);
+        }
+
+        let isAsync = false;
+        let isGenerator = false;
+        if (this.isName('async') && isKeyStart(this.peek()) && !this.peek().newlineBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat('*')) isGenerator = true;
+        if ((this.isName('get') || this.isName('set')) && isKeyStart(this.peek()) && !this.peek().newlineBefore) {
+            node.kind = this.next().value;
+        }
+
+        // Index signature: `[key: string]: any`
+        if (this.isPunct('[') && this.peek().type === 'name' && this.isPunct(':', this.peek(2))) {
+            node.type = 'TSIndexSignature';
+            this.next();
+            this.parseIdentifier();
+            this.expect(':');
+            this.parseType();
+            this.expect(']');
+            node.typeAnnotation = this.eat(':') ? this.parseType() : null;
+            this.consumeSemicolon();
+            return this.finishNode(node);
+        }
+
+        this.parsePropertyKey(node);
+        node.optional = !!this.eat('?');
+        node.definite = !!this.eat('!');
+
+        if (this.isPunct('(') || this.isPunct('<')) {
+            node.type = 'MethodDefinition';
+            if (node.kind === 'property') {
+                node.kind = !node.computed && node.key.name === 'constructor' ? 'constructor' : 'method';
+            }
+            const fn = this.startNode('FunctionExpression');
+            fn.async = isAsync;
+            fn.generator = isGenerator;
+            fn.id = null;
+            this.parseTypeParameters();
+            fn.params = this.parseParams();
+            fn.returnType = this.eat(':') ? this.parseType() : null;
+            fn.body = this.isPunct('{') ? this.parseBlock() : null;
+            if (!fn.body) this.consumeSemicolon();
+            node.value = this.finishNode(fn);
+            return this.finishNode(node);
+        }
+
+        node.typeAnnotation = this.eat(':') ? this.parseType() : null;
+        node.value = this.eat('=') ? this.parseAssignment() : null;
+        this.consumeSemicolon();
+        return this.finishNode(node);
+    }
+
+    parseDecorators() {
+        const decorators = [];
+        while (this.isPunct('@')) {
+            const node = this.startNode('Decorator');
+            this.next();
+            let expression = this.parseIdentifier();
+            while (this.isPunct('.')) {
+                const member = this.startNode('MemberExpression', this.tokens[this.index - 1]);
+                member.start = expression.start;
+                member.loc = expression.loc;
+                this.next();
+                member.object = expression;
+                member.property = this.parseIdentifier();
+                member.computed = false;
+                member.optional = false;
+                expression = this.finishNode(member);
+            }
+            if (this.isPunct('(')) {
+                const call = this.startNode('CallExpression');
+                call.start = expression.start;
+                call.loc = expression.loc;
+                call.callee = expression;
+                call.arguments = this.parseArguments();
+                call.optional = false;
+                expression = this.finishNode(call);
+            }
+            node.expression = expression;
+            decorators.push(this.finishNode(node));
+        }
+        return decorators;
+    }
+
+    parsePropertyKey(node) {
+        node.computed = false;
+        if (this.eat('[')) {
+            node.computed = true;
+            node.key = this.parseAssignment();
+            this.expect(']');
+        } else if (this.token.type === 'string' || this.token.type === 'num') {
+            node.key = this.parseLiteral();
+        } else if (this.token.type === 'privateName') {
+            const key = this.startNode('PrivateIdentifier');
+            key.name = this.next().value;
+            node.key = this.finishNode(key);
+        } else {
+            node.key = this.parseIdentifier();
+        }
+    }
+
+    parseParams() {
+        this.expect('(');
+        const params = [];
+        while (!this.eat(')')) {
+            this.parseDecorators();
+            while (this.token.type === 'name' && CLASS_MODIFIERS.has(this.token.value) &&
+                (this.peek().type === 'name' || this.isPunct('{', this.peek()) || this.isPunct('[', this.peek()))) {
+                this.next();
+            }
+            if (this.isPunct('...')) {
+                const rest = this.startNode('RestElement');
+                this.next();
+                rest.argument = this.parseBindingTarget();
+                if (this.eat(':')) rest.typeAnnotation = this.parseType();
+                params.push(this.finishNode(rest));
+            } else {
+                params.push(this.parseBindingElement());
+            }
+            if (!this.isPunct(')')) this.expect(',');
+        }
+        return params;
+    }
+
+    parseBindingElement() {
+        const target = this.parseBindingTarget();
+        if (this.eat('?')) target.optional = true;
+        if (this.eat(':')) target.typeAnnotation = this.parseType();
+        if (this.isPunct('=')) {
+            const node = this.startNode('AssignmentPattern');
+            node.start = target.start;
+            node.loc = target.loc;
+            this.next();
+            node.left = target;
+            node.right = this.parseAssignment();
+            return this.finishNode(node);
+        }
+        return target;
+    }
+
+    parseBindingTarget() {
+        if (this.isPunct('{')) {
+            const node = this.startNode('ObjectPattern');
+            this.next();
+            node.properties = [];
+            while (!this.eat('}')) {
+                if (this.isPunct('...')) {
+                    const rest = this.startNode('RestElement');
+                    this.next();
+                    rest.argument = this.parseBindingTarget();
+                    node.properties.push(this.finishNode(rest));
+                } else {
+                    const property = this.startNode('Property');
+                    this.parsePropertyKey(property);
+                    property.kind = 'init';
+                    property.method = false;
+                    if (this.eat(':')) {
+                        property.shorthand = false;
+                        property.value = this.parseBindingElementNoType();
+                    } else {
+                        property.shorthand = true;
+                        property.value = property.key;
+                        if (this.isPunct('=')) {
+                            const assign = this.startNode('AssignmentPattern');
+                            assign.start = property.key.start;
+                            assign.loc = property.key.loc;
+                            this.next();
+                            assign.left = property.key;
+                            assign.right = this.parseAssignment();
+                            property.value = this.finishNode(assign);
+                        }
+                    }
+                    node.properties.push(this.finishNode(property));
+                }
+                if (!this.isPunct('}')) this.expect(',');
+            }
+            return this.finishNode(node);
+        }
+        if (this.isPunct('[')) {
+            const node = this.startNode('ArrayPattern');
+            this.next();
+            node.elements = [];
+            while (!this.eat(']')) {
+                if (this.isPunct(',')) {
+                    this.next();
+                    node.elements.push(null);
+                    continue;
+                }
+                if (this.isPunct('...')) {
+                    const rest = this.startNode('RestElement');
+                    this.next();
+                    rest.argument = this.parseBindingTarget();
+                    node.elements.push(this.finishNode(rest));
+                } else {
+                    node.elements.push(this.parseBindingElementNoType());
+                }
+                if (!this.isPunct(']')) this.expect(',');
+            }
+            return this.finishNode(node);
+        }
+        return this.parseIdentifier();
+    }
+
+    parseBindingElementNoType() {
+        const target = this.parseBindingTarget();
+        if (this.isPunct('=')) {
+            const node = this.startNode('AssignmentPattern');
+            node.start = target.start;
+            node.loc = target.loc;
+            this.next();
+            node.left = target;
+            node.right = this.parseAssignment();
+            return this.finishNode(node);
+        }
+        return target;
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    parseExpression(options = {}) {
+        const first = this.parseAssignment(options);
+        if (!this.isPunct(',')) return first;
+        const node = this.startNode('SequenceExpression');
+        node.start = first.start;
+        node.loc = first.loc;
+        node.expressions = [first];
+        while (this.eat(',')) {
+            node.expressions.push(this.parseAssignment(options));
+        }
+        return this.finishNode(node);
+    }
+
+    parseAssignment(options = {}) {
+        const arrow = this.tryParseArrow();
+        if (arrow) return arrow;
+
+        const left = this.parseConditional(options);
+        if (this.token.type === 'punct' && (ASSIGNMENT_OPERATORS.has(this.token.value) || this.isShiftAssign())) {
+            const node = this.startNode('AssignmentExpression');
+            node.start = left.start;
+            node.loc = left.loc;
+            node.operator = this.readShiftOperator() || this.next().value;
+            node.left = left;
+            node.right = this.parseAssignment(options);
+            return this.finishNode(node);
+        }
+        return left;
+    }
+
+    isShiftAssign() {
+        // `>>=` and `>>>=` arrive as separate `>` tokens followed by `>=`
+        return this.isPunct('>') && this.adjacent(0, 1) &&
+            (this.isPunct('>=', this.peek()) || (this.isPunct('>', this.peek()) && this.adjacent(1, 2) && this.isPunct('>=', this.peek(2))));
+    }
+
+    adjacent(a, b) {
+        return this.peek(a).end === this.peek(b).start;
+    }
+
+    /**
+     * Reassembles `>>`, `>>>`, `>>=` and `>>>=` from adjacent `>` tokens
+     */
+    readShiftOperator() {
+        if (!this.isPunct('>')) return null;
+        const second = this.peek();
+        if (!this.adjacent(0, 1)) return null;
+        if (this.isPunct('>=', second)) {
+            this.next();
+            this.next();
+            return '>>=';
+        }
+        if (!this.isPunct('>', second)) return null;
+        const third = this.peek(2);
+        if (this.adjacent(1, 2) && this.isPunct('>=', third)) {
+            this.next(); this.next(); this.next();
+            return '>>>=';
+        }
+        if (this.adjacent(1, 2) && this.isPunct('>', third)) {
+            this.next(); this.next(); this.next();
+            return '>>>';
+        }
+        this.next();
+        this.next();
+        return '>>';
+    }
+
+    tryParseArrow() {
+        const token = this.token;
+        const isAsync = this.isName('async') && !this.peek().newlineBefore &&
+            (this.isPunct('(', this.peek()) || (this.peek().type === 'name' && this.isPunct('=>', this.peek(2))));
+
+        if (!isAsync && !this.isPunct('(') && !this.isPunct('<') &&
+            !(token.type === 'name' && this.isPunct('=>', this.peek()))) {
+            return null;
+        }
+
+        return this.tryParse(() => {
+            const node = this.startNode('ArrowFunctionExpression');
+            node.async = false;
+            if (isAsync) {
+                this.next();
+                node.async = true;
+            }
+            node.id = null;
+            node.generator = false;
+            if (this.token.type === 'name') {
+                node.params = [this.parseIdentifier()];
+            } else {
+                this.parseTypeParameters();
+                node.params = this.parseParams();
+                node.returnType = this.eat(':') ? this.parseType() : null;
+            }
+            if (!this.isPunct('=>') || this.token.newlineBefore) {
+                this.raise('Not an arrow function');
+            }
+            this.next();
+            if (this.isPunct('{')) {
+                node.body = this.parseBlock();
+                node.expression = false;
+            } else {
+                node.body = this.parseAssignment();
+                node.expression = true;
+            }
+            return this.finishNode(node);
+        });
+    }
+
+    parseConditional(options) {
+        const test = this.parseBinary(0, options);
+        if (!this.isPunct('?')) return test;
+        const node = this.startNode('ConditionalExpression');
+        node.start = test.start;
+        node.loc = test.loc;
+        this.next();
+        node.test = test;
+        node.consequent = this.parseAssignment();
+        this.expect(':');
+        node.alternate = this.parseAssignment(options);
+        return this.finishNode(node);
+    }
+
+    currentBinaryOperator(options) {
+        const token = this.token;
+        if (token.type === 'punct') {
+            if (token.value === '>') {
+                const saved = this.index;
+                const shift = this.readShiftOperator();
+                this.index = saved;
+                if (shift) return shift.endsWith('=') ? null : shift;
+            }
+            return Object.prototype.hasOwnProperty.call(BINARY_PRECEDENCE, token.value) ? token.value : null;
+        }
+        if (token.type === 'name') {
+            if (token.value === 'instanceof') return token.value;
+            if (token.value === 'in' && !options.noIn) return token.value;
+            if ((token.value === 'as' || token.value === 'satisfies') && !token.newlineBefore) return token.value;
+        }
+        return null;
+    }
+
+    parseBinary(minPrecedence, options = {}) {
+        let left = this.parseUnary();
+        while (true) {
+            const operator = this.currentBinaryOperator(options);
+            if (!operator) break;
+
+            if (operator === 'as' || operator === 'satisfies') {
+                const node = this.startNode(operator === 'as' ? 'TSAsExpression' : 'TSSatisfiesExpression');
+                node.start = left.start;
+                node.loc = left.loc;
+                this.next();
+                node.expression = left;
+                node.typeAnnotation = this.isName('const') ? this.parseIdentifier() : this.parseType();
+                left = this.finishNode(node);
+                continue;
+            }
+
+            const precedence = BINARY_PRECEDENCE[operator];
+            if (precedence <= minPrecedence && !(operator === '**' && precedence === minPrecedence)) break;
+
+            if (operator.startsWith('>>')) {
+                this.readShiftOperator();
+            } else {
+                this.next();
+            }
+            const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence, options);
+            const type = ['||', '&&', '??'].includes(operator) ? 'LogicalExpression' : 'BinaryExpression';
+            const node = this.startNode(type);
+            node.start = left.start;
+            node.loc = left.loc;
+            node.operator = operator;
+            node.left = left;
+            node.right = right;
+            left = this.finishNode(node);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.token;
+        if (token.type === 'punct' && ['!', '-', '+', '~'].includes(token.value)) {
+            const node = this.startNode('UnaryExpression');
+            node.operator = this.next().value;
+            node.prefix = true;
+            node.argument = this.parseUnary();
+            return this.finishNode(node);
+        }
+        if (token.type === 'punct' && (token.value === '++' || token.value === '--')) {
+            const node = this.startNode('UpdateExpression');
+            node.operator = this.next().value;
+            node.prefix = true;
+            node.argument = this.parseUnary();
+            return this.finishNode(node);
+        }
+        if (token.type === 'name' && ['typeof', 'void', 'delete'].includes(token.value)) {
+            const node = this.startNode('UnaryExpression');
+            node.operator = this.next().value;
+            node.prefix = true;
+            node.argument = this.parseUnary();
+            return this.finishNode(node);
+        }
+        if (this.isName('await') && this.startsExpression(this.peek())) {
+            const node = this.startNode('AwaitExpression');
+            this.next();
+            node.argument = this.parseUnary();
+            return this.finishNode(node);
+        }
+        if (this.isPunct('<') && this.peek().type === 'name') {
+            // Legacy `<Type>expr` assertion
+            const assertion = this.tryParse(() => {
+                const node = this.startNode('TSTypeAssertion');
+                this.next();
+                node.typeAnnotation = this.parseType();
+                this.expect('>');
+                node.expression = this.parseUnary();
+                return this.finishNode(node);
+            });
+            if (assertion) return assertion;
+        }
+
+        let expression = this.parseSubscripts(this.parseExprAtom());
+        if ((this.isPunct('++') || this.isPunct('--')) && !this.token.newlineBefore) {
+            const node = this.startNode('UpdateExpression');
+            node.start = expression.start;
+            node.loc = expression.loc;
+            node.operator = this.next().value;
+            node.prefix = false;
+            node.argument = expression;
+            expression = this.finishNode(node);
+        }
+        return expression;
+    }
+
+    startsExpression(token) {
+        if (token.type === 'eof') return false;
+        if (token.type !== 'punct') return true;
+        return ['(', '[', '{', '!', '-', '+', '~', '`', '/', '<', '...', '++', '--'].includes(token.value);
+    }
+
+    parseSubscripts(base, options = {}) {
+        let expression = base;
+        while (true) {
+            const token = this.token;
+            if (this.isPunct('.') || this.isPunct('?.')) {
+                const optional = token.value === '?.';
+                this.next();
+                if (optional && this.isPunct('(')) {
+                    if (options.noCalls) this.raise('Unexpected call');
+                    expression = this.finishCall(expression, true);
+                    continue;
+                }
+                if (optional && this.isPunct('[')) {
+                    expression = this.finishComputedMember(expression, true);
+                    continue;
+                }
+                const node = this.startNode('MemberExpression');
+                node.start = expression.start;
+                node.loc = expression.loc;
+                node.object = expression;
+                if (this.token.type === 'privateName') {
+                    const key = this.startNode('PrivateIdentifier');
+                    key.name = this.next().value;
+                    node.property = this.finishNode(key);
+                } else {
+                    node.property = this.parseIdentifier();
+                }
+                node.computed = false;
+                node.optional = optional;
+                expression = this.finishNode(node);
+            } else if (this.isPunct('[') && !token.newlineBefore) {
+                expression = this.finishComputedMember(expression, false);
+            } else if (this.isPunct('(') && !options.noCalls) {
+                expression = this.finishCall(expression, false);
+            } else if (this.isPunct('!') && !token.newlineBefore && !this.isPunct('=', this.peek())) {
+                const node = this.startNode('TSNonNullExpression');
+                node.start = expression.start;
+                node.loc = expression.loc;
+                this.next();
+                node.expression = expression;
+                expression = this.finishNode(node);
+            } else if (token.type === 'template') {
+                const node = this.startNode('TaggedTemplateExpression');
+                node.start = expression.start;
+                node.loc = expression.loc;
+                node.tag = expression;
+                node.quasi = this.parseTemplate();
+                expression = this.finishNode(node);
+            } else if (this.isPunct('<') && !options.noCalls) {
+                // Explicit type arguments on a call: `fn<Type>(...)`
+                const call = this.tryParse(() => {
+                    const typeArguments = this.parseTypeArguments();
+                    if (!this.isPunct('(')) this.raise('Not a generic call');
+                    const node = this.finishCall(expression, false);
+                    node.typeArguments = typeArguments;
+                    return node;
+                });
+                if (!call) break;
+                expression = call;
+            } else {
+                break;
+            }
+        }
+        return expression;
+    }
+
+    finishComputedMember(object, optional) {
+        const node = this.startNode('MemberExpression');
+        node.start = object.start;
+        node.loc = object.loc;
+        this.expect('[');
+        node.object = object;
+        node.property = this.parseExpression();
+        node.computed = true;
+        node.optional = optional;
+        this.expect(']');
+        return this.finishNode(node);
+    }
+
+    finishCall(callee, optional) {
+        const node = this.startNode('CallExpression');
+        node.start = callee.start;
+        node.loc = callee.loc;
+        node.callee = callee;
+        node.arguments = this.parseArguments();
+        node.optional = optional;
+        return this.finishNode(node);
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.eat(')')) {
+            if (this.isPunct('...')) {
+                const spread = this.startNode('SpreadElement');
+                this.next();
+                spread.argument = this.parseAssignment();
+                args.push(this.finishNode(spread));
+            } else {
+                args.push(this.parseAssignment());
+            }
+            if (!this.isPunct(')')) this.expect(',');
+        }
+        return args;
+    }
+
+    parseExprAtom() {
+        const token = this.token;
+        switch (token.type) {
+            case 'string':
+            case 'num':
+                return this.parseLiteral();
+            case 'regex': {
+                const node = this.startNode('Literal');
+                this.next();
+                node.value = null;
+                node.raw = token.value;
+                node.regex = {pattern: token.pattern, flags: token.flags};
+                return this.finishNode(node);
+            }
+            case 'template':
+                return this.parseTemplate();
+            case 'name':
+                return this.parseNameAtom();
+            case 'punct':
+                break;
+            default:
+                this.raise(`Unexpected ${this.describe(token)}`);
+        }
+
+        switch (token.value) {
+            case '(': {
+                this.next();
+                const expression = this.parseExpression();
+                this.expect(')');
+                expression.parenthesized = true;
+                return expression;
+            }
+            case '[':
+                return this.parseArrayLiteral();
+            case '{':
+                return this.parseObjectLiteral();
+            case '@': {
+                const decorators = this.parseDecorators();
+                const node = this.parseClass('ClassExpression');
+                node.decorators = decorators;
+                return node;
+            }
+            default:
+                this.raise(`Unexpected token '${this.describe(token)}'`);
+        }
+        return null;
+    }
+
+    parseNameAtom() {
+        const token = this.token;
+        switch (token.value) {
+            case 'true':
+            case 'false': {
+                const node = this.startNode('Literal');
+                this.next();
+                node.value = token.value === 'true';
+                node.raw = token.value;
+                return this.finishNode(node);
+            }
+            case 'null': {
+                const node = this.startNode('Literal');
+                this.next();
+                node.value = null;
+                node.raw = 'null';
+                return this.finishNode(node);
+            }
+            case 'this': {
+                const node = this.startNode('ThisExpression');
+                this.next();
+                return this.finishNode(node);
+            }
+            case 'super': {
+                const node = this.startNode('Super');
+                this.next();
+                return this.finishNode(node);
+            }
+            case 'function':
+                return this.parseFunction('FunctionExpression');
+            case 'async':
+                if (this.isName('function', this.peek()) && !this.peek().newlineBefore) {
+                    return this.parseFunction('FunctionExpression');
+                }
+                break;
+            case 'class':
+                return this.parseClass('ClassExpression');
+            case 'new': {
+                const node = this.startNode('NewExpression');
+                this.next();
+                if (this.isPunct('.')) {
+                    this.next();
+                    const meta = this.startNode('MetaProperty', token);
+                    meta.meta = {type: 'Identifier', name: 'new'};
+                    meta.property = this.parseIdentifier();
+                    return this.finishNode(meta);
+                }
+                node.callee = this.parseSubscripts(this.parseExprAtom(), {noCalls: true});
+                if (this.isPunct('<')) {
+                    this.tryParse(() => this.parseTypeArguments());
+                }
+                node.arguments = this.isPunct('(') ? this.parseArguments() : [];
+                return this.finishNode(node);
+            }
+            case 'import': {
+                const node = this.startNode('ImportExpression');
+                this.next();
+                if (this.eat('.')) {
+                    const meta = this.startNode('MetaProperty', token);
+                    meta.meta = {type: 'Identifier', name: 'import'};
+                    meta.property = this.parseIdentifier();
+                    return this.finishNode(meta);
+                }
+                this.expect('(');
+                node.source = this.parseAssignment();
+                if (this.eat(',') && !this.isPunct(')')) {
+                    node.options = this.parseAssignment();
+                    this.eat(',');
+                }
+                this.expect(')');
+                return this.finishNode(node);
+            }
+            default:
+                break;
+        }
+        return this.parseIdentifier();
+    }
+
+    parseIdentifier() {
+        const token = this.token;
+        if (token.type !== 'name') {
+            this.raise(`Expected identifier but found '${this.describe(token)}'`);
+        }
+        const node = this.startNode('Identifier');
+        node.name = this.next().value;
+        return this.finishNode(node);
+    }
+
+    parseLiteral() {
+        const token = this.token;
+        if (token.type !== 'string' && token.type !== 'num') {
+            this.raise(`Expected literal but found '${this.describe(token)}'`);
+        }
+        const node = this.startNode('Literal');
+        this.next();
+        node.value = token.value;
+        node.raw = token.raw;
+        return this.finishNode(node);
+    }
+
+    parseTemplate() {
+        const token = this.token;
+        const node = this.startNode('TemplateLiteral');
+        this.next();
+        node.quasis = token.quasis.map(cooked => ({type: 'TemplateElement', value: {cooked, raw: cooked}}));
+        node.expressions = token.expressions.map(tokens => {
+            const parser = new Parser(this.source, tokens);
+            const expression = parser.parseExpression();
+            if (parser.token.type !== 'eof') parser.raise('Unexpected token in template expression');
+            return expression;
+        });
+        return this.finishNode(node);
+    }
+
+    parseArrayLiteral() {
+        const node = this.startNode('ArrayExpression');
+        this.expect('[');
+        node.elements = [];
+        while (!this.eat(']')) {
+            if (this.isPunct(',')) {
+                this.next();
+                node.elements.push(null);
+                continue;
+            }
+            if (this.isPunct('...')) {
+                const spread = this.startNode('SpreadElement');
+                this.next();
+                spread.argument = this.parseAssignment();
+                node.elements.push(this.finishNode(spread));
+            } else {
+                node.elements.push(this.parseAssignment());
+            }
+            if (!this.isPunct(']')) this.expect(',');
+        }
+        return this.finishNode(node);
+    }
+
+    parseObjectLiteral() {
+        const node = this.startNode('ObjectExpression');
+        this.expect('{');
+        node.properties = [];
+        while (!this.eat('}')) {
+            if (this.isPunct('...')) {
+                const spread = this.startNode('SpreadElement');
+                this.next();
+                spread.argument = this.parseAssignment();
+                node.properties.push(this.finishNode(spread));
+            } else {
+                node.properties.push(this.parseObjectProperty());
+            }
+            if (!this.isPunct('}')) this.expect(',');
+        }
+        return this.finishNode(node);
+    }
+
+    parseObjectProperty() {
+        const node = this.startNode('Property');
+        node.kind = 'init';
+        node.method = false;
+        node.shorthand = false;
+
+        const keyFollows = (token) => token.type === 'name' || token.type === 'string' ||
+            token.type === 'num' || this.isPunct('[', token);
+
+        let isAsync = false;
+        let isGenerator = false;
+        if (this.isName('async') && (keyFollows(this.peek()) || this.isPunct('*', this.peek())) && !this.peek().newlineBefore) {
+            this.next();
+            isAsync = true;
+        }
+        if (this.eat('*')) isGenerator = true;
+        if ((this.isName('get') || this.isName('set')) && keyFollows(this.peek())) {
+            node.kind = this.next().value;
+        }
+
+        this.parsePropertyKey(node);
+
+        if (this.isPunct('(') || this.isPunct('<')) {
+            node.method = node.kind === 'init';
+            const fn = this.startNode('FunctionExpression');
+            fn.async = isAsync;
+            fn.generator = isGenerator;
+            fn.id = null;
+            this.parseTypeParameters();
+            fn.params = this.parseParams();
+            fn.returnType = this.eat(':') ? this.parseType() : null;
+            fn.body = this.parseBlock();
+            node.value = this.finishNode(fn);
+            return this.finishNode(node);
+        }
+
+        if (this.eat(':')) {
+            node.value = this.parseAssignment();
+            return this.finishNode(node);
+        }
+
+        // Shorthand `{ key }` or `{ key = default }` (the latter only in patterns)
+        node.shorthand = true;
+        node.value = node.key;
+        if (this.isPunct('=')) {
+            const assign = this.startNode('AssignmentPattern');
+            assign.start = node.key.start;
+            assign.loc = node.key.loc;
+            this.next();
+            assign.left = node.key;
+            assign.right = this.parseAssignment();
+            node.value = this.finishNode(assign);
+        }
+        return this.finishNode(node);
+    }
+
+    // ---------------------------------------------------------------------
+    // Types
+    // ---------------------------------------------------------------------
+
+    parseTypeParameters() {
+        if (!this.isPunct('<')) return null;
+        const params = [];
+        this.next();
+        while (!this.isPunct('>')) {
+            const param = this.startNode('TSTypeParameter');
+            this.eat('const');
+            this.eat('in');
+            this.eat('out');
+            param.name = this.parseIdentifier().name;
+            param.constraint = this.eat('extends') ? this.parseType() : null;
+            param.default = this.eat('=') ? this.parseType() : null;
+            params.push(this.finishNode(param));
+            if (!this.isPunct('>')) this.expect(',');
+        }
+        this.next();
+        return params;
+    }
+
+    parseTypeArguments() {
+        this.expect('<');
+        const args = [];
+        while (!this.isPunct('>')) {
+            args.push(this.parseType());
+            if (!this.isPunct('>')) this.expect(',');
+        }
+        this.next();
+        return args;
+    }
+
+    parseType() {
+        const start = this.token;
+        let type = this.parseUnionType();
+        if (this.isName('extends') && !this.token.newlineBefore) {
+            const node = this.startNode('TSConditionalType', start);
+            this.next();
+            node.checkType = type;
+            node.extendsType = this.parseUnionType();
+            this.expect('?');
+            node.trueType = this.parseType();
+            this.expect(':');
+            node.falseType = this.parseType();
+            type = this.finishTypeNode(node);
+        }
+        return type;
+    }
+
+    finishTypeNode(node) {
+        this.finishNode(node);
+        node.text = this.source.slice(node.start, node.end);
+        return node;
+    }
+
+    parseUnionType() {
+        const start = this.token;
+        this.eat('|');
+        const types = [this.parseIntersectionType()];
+        while (this.eat('|')) {
+            types.push(this.parseIntersectionType());
+        }
+        if (types.length === 1) return types[0];
+        const node = this.startNode('TSUnionType', start);
+        node.types = types;
+        return this.finishTypeNode(node);
+    }
+
+    parseIntersectionType() {
+        const start = this.token;
+        this.eat('&');
+        const types = [this.parseTypeOperator()];
+        while (this.eat('&')) {
+            types.push(this.parseTypeOperator());
+        }
+        if (types.length === 1) return types[0];
+        const node = this.startNode('TSIntersectionType', start);
+        node.types = types;
+        return this.finishTypeNode(node);
+    }
+
+    parseTypeOperator() {
+        if ((this.isName('keyof') || this.isName('readonly') || this.isName('unique')) &&
+            !this.isPunct(',', this.peek()) && !this.isPunct(')', this.peek())) {
+            const node = this.startNode('TSTypeOperator');
+            node.operator = this.next().value;
+            node.typeAnnotation = this.parseTypeOperator();
+            return this.finishTypeNode(node);
+        }
+        if (this.isName('infer')) {
+            const node = this.startNode('TSInferType');
+            this.next();
+            node.name = this.parseIdentifier().name;
+            return this.finishTypeNode(node);
+        }
+        return this.parsePostfixType();
+    }
+
+    parsePostfixType() {
+        const start = this.token;
+        let type = this.parsePrimaryType();
+        while (this.isPunct('[') && !this.token.newlineBefore) {
+            if (this.isPunct(']', this.peek())) {
+                const node = this.startNode('TSArrayType', start);
+                this.next();
+                this.next();
+                node.elementType = type;
+                type = this.finishTypeNode(node);
+            } else {
+                const node = this.startNode('TSIndexedAccessType', start);
+                this.next();
+                node.objectType = type;
+                node.indexType = this.parseType();
+                this.expect(']');
+                type = this.finishTypeNode(node);
+            }
+        }
+        return type;
+    }
+
+    parsePrimaryType() {
+        const token = this.token;
+
+        if (token.type === 'string' || token.type === 'num' || token.type === 'template') {
+            const node = this.startNode('TSLiteralType');
+            this.next();
+            node.literal = token.value;
+            return this.finishTypeNode(node);
+        }
+        if (this.isPunct('-') && this.peek().type === 'num') {
+            const node = this.startNode('TSLiteralType');
+            this.next();
+            node.literal = -this.next().value;
+            return this.finishTypeNode(node);
+        }
+
+        if (this.isPunct('(')) {
+            const fn = this.tryParse(() => this.parseFunctionType());
+            if (fn) return fn;
+            const node = this.startNode('TSParenthesizedType');
+            this.next();
+            const inner = this.parseType();
+            this.expect(')');
+            node.typeAnnotation = inner;
+            return this.finishTypeNode(node);
+        }
+        if (this.isPunct('<') || this.isName('new')) {
+            return this.parseFunctionType();
+        }
+        if (this.isPunct('{')) {
+            const mapped = this.tryParse(() => this.parseMappedType());
+            if (mapped) return mapped;
+            return this.parseTypeLiteral();
+        }
+        if (this.isPunct('[')) {
+            const node = this.startNode('TSTupleType');
+            this.next();
+            node.elementTypes = [];
+            while (!this.eat(']')) {
+                this.eat('...');
+                if (this.token.type === 'name' && (this.isPunct(':', this.peek()) ||
+                    (this.isPunct('?', this.peek()) && this.isPunct(':', this.peek(2))))) {
+                    this.next();
+                    this.eat('?');
+                    this.next();
+                }
+                node.elementTypes.push(this.parseType());
+                this.eat('?');
+                if (!this.isPunct(']')) this.expect(',');
+            }
+            return this.finishTypeNode(node);
+        }
+        if (this.isName('typeof')) {
+            const node = this.startNode('TSTypeQuery');
+            this.next();
+            node.exprName = this.parseEntityName();
+            return this.finishTypeNode(node);
+        }
+        if (this.isName('import') && this.isPunct('(', this.peek())) {
+            const node = this.startNode('TSImportType');
+            this.next();
+            this.expect('(');
+            node.argument = this.parseLiteral().value;
+            this.expect(')');
+            node.qualifier = this.eat('.') ? this.parseEntityName() : null;
+            node.typeArguments = this.isPunct('<') ? this.parseTypeArguments() : null;
+            return this.finishTypeNode(node);
+        }
+        if (token.type === 'name') {
+            if (TYPE_KEYWORDS.has(token.value) && !this.isPunct('.', this.peek())) {
+                const node = this.startNode('TSKeyword');
+                node.keyword = this.next().value;
+                return this.finishTypeNode(node);
+            }
+            if (token.value === 'true' || token.value === 'false') {
+                const node = this.startNode('TSLiteralType');
+                node.literal = this.next().value === 'true';
+                return this.finishTypeNode(node);
+            }
+            if (token.value === 'asserts' && this.peek().type === 'name' && !this.peek().newlineBefore) {
+                this.next();
+            }
+            const node = this.startNode('TSTypeReference');
+            node.typeName = this.parseEntityName();
+            if (this.isName('is') && !this.token.newlineBefore) {
+                // Type predicate `value is Type`
+                this.next();
+                const predicate = this.startNode('TSTypePredicate', token);
+                predicate.parameterName = node.typeName;
+                predicate.typeAnnotation = this.parseType();
+                return this.finishTypeNode(predicate);
+            }
+            node.typeArguments = this.isPunct('<') && !this.token.newlineBefore ? this.parseTypeArguments() : null;
+            return this.finishTypeNode(node);
+        }
+        this.raise(`Unexpected token '${this.describe(token)}' in type`);
+        return null;
+    }
+
+    parseEntityName() {
+        let name = this.parseIdentifier().name;
+        while (this.isPunct('.') && this.peek().type === 'name') {
+            this.next();
+            name += `.${this.next().value}`;
+        }
+        return name;
+    }
+
+    parseFunctionType() {
+        const node = this.startNode('TSFunctionType');
+        if (this.eat('new')) node.type = 'TSConstructorType';
+        this.parseTypeParameters();
+        node.params = this.parseParams();
+        this.expect('=>');
+        node.returnType = this.parseType();
+        return this.finishTypeNode(node);
+    }
+
+    parseMappedType() {
+        const node = this.startNode('TSMappedType');
+        this.expect('{');
+        if (this.isPunct('+') || this.isPunct('-')) this.next();
+        this.eat('readonly');
+        this.expect('[');
+        node.typeParameter = this.parseIdentifier().name;
+        this.expect('in');
+        node.constraint = this.parseType();
+        if (this.eat('as')) this.parseType();
+        this.expect(']');
+        if (this.isPunct('+') || this.isPunct('-')) this.next();
+        this.eat('?');
+        node.typeAnnotation = this.eat(':') ? this.parseType() : null;
+        this.eat(';');
+        this.eat(',');
+        this.expect('}');
+        return this.finishTypeNode(node);
+    }
+
+    parseTypeLiteral() {
+        const node = this.startNode('TSTypeLiteral');
+        this.expect('{');
+        node.members = [];
+        while (!this.eat('}')) {
+            if (this.eat(';') || this.eat(',')) continue;
+            const member = this.startNode('TSPropertySignature');
+            member.readonly = false;
+            if (this.isName('readonly') && !this.isPunct(':', this.peek()) && !this.isPunct('?', this.peek())) {
+                this.next();
+                member.readonly = true;
+            }
+            if (this.isPunct('[') && this.peek().type === 'name' && this.isPunct(':', this.peek(2))) {
+                member.type = 'TSIndexSignature';
+                this.next();
+                member.parameterName = this.parseIdentifier().name;
+                this.expect(':');
+                member.parameterType = this.parseType();
+                this.expect(']');
+                member.typeAnnotation = this.eat(':') ? this.parseType() : null;
+                node.members.push(this.finishNode(member));
+                continue;
+            }
+            if (this.isPunct('(') || this.isPunct('<') || (this.isName('new') && (this.isPunct('(', this.peek()) || this.isPunct('<', this.peek())))) {
+                member.type = 'TSCallSignature';
+                this.eat('new');
+                this.parseTypeParameters();
+                member.params = this.parseParams();
+                member.returnType = this.eat(':') ? this.parseType() : null;
+                node.members.push(this.finishNode(member));
+                continue;
+            }
+            if ((this.isName('get') || this.isName('set')) && this.peek().type === 'name' && !this.isPunct(':', this.peek())) {
+                this.next();
+            }
+            this.parsePropertyKey(member);
+            member.optional = !!this.eat('?');
+            if (this.isPunct('(') || this.isPunct('<')) {
+                member.type = 'TSMethodSignature';
+                this.parseTypeParameters();
+                member.params = this.parseParams();
+                member.returnType = this.eat(':') ? this.parseType() : null;
+            } else {
+                member.typeAnnotation = this.eat(':') ? this.parseType() : null;
+            }
+            node.members.push(this.finishNode(member));
+        }
+        return this.finishTypeNode(node);
+    }
+}
+
+/**
+ * Parses JavaScript or TypeScript source into an ESTree-style Program node.
+ * The returned program carries the collected `comments` for callers that
+ * need to honour inline directives.
+ */
+function parse(source) {
+    const {tokens, comments} = tokenize(source);
+    const parser = new Parser(source, tokens);
+    const program = parser.parseProgram();
+    program.comments = comments;
+    program.source = source;
+    return program;
+}
+
+/**
+ * Parses a standalone expression, e.g. a default value pulled from config
+ */
+function parseExpression(source) {
+    const {tokens} = tokenize(source);
+    const parser = new Parser(source, tokens);
+    const expression = parser.parseExpression();
+    if (parser.token.type !== 'eof') {
+        parser.raise(`Unexpected token '${parser.describe(parser.token)}'`);
+    }
+    return expression;
+}
+
+/**
+ * Depth-first walk over every node, calling `visit(node, parent)`
+ */
+function walk(node, visit, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node, parent) === false) return;
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key === 'comments' || key === 'source') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const child of value) walk(child, visit, node);
+        } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+            walk(value, visit, node);
+        }
+    }
+}
+
+module.exports = {
+    ParseError,
+    parse,
+    parseExpression,
+    tokenize,
+    walk
+};
@@ -0,0 +1,113 @@
+// Discovery of model and migration files in the checkout (or the git index),
+// for the checks that need the whole project rather than only the files
+// changed in the PR.
+
+const {execFileSync} = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MIGRATIONS_DIR = path.join('src', 'migrations');
+const DEFAULT_MODELS_DIR = path.join('src', 'models');
+
+function isModelPath(file) {
+    return file.endsWith('.model.ts') || file.endsWith('.model.js');
+}
+
+function isMigrationPath(file) {
+    return (file.endsWith('.ts') || file.endsWith('.js')) && !file.endsWith('.d.ts');
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+function gitShow(object) {
+    try {
+        return execFileSync('git', ['show', object], {encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']});
+    } catch (error) {
+        return null;
+    }
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    const results = [];
+    for (const entry of fs.readdirSync(dir, {withFileTypes: true})) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            results.push(...listFiles(full));
+        } else {
+            results.push(full);
+        }
+    }
+    return results.sort();
+}
+
+/**
+ * File source reading the checkout: `list(dir)` gives the files under a
+ * directory, `read(file)` the content of one, or null when it does not exist
+ */
+function workingTree() {
+    return {
+        list: listFiles,
+        read(file) {
+            try {
+                return fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : null;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
+
+/**
+ * File source reading the git index, i.e. what a commit made now would
+ * contain (the pre-commit hook lints that, not the working tree)
+ */
+function stagedTree() {
+    return {
+        list(dir) {
+            const output = execFileSync('git', ['ls-files', '-z', '--', dir], {encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']});
+            // Paths as `dir` gives them, like the working tree does
+            return output.split('\0').filter(Boolean)
+                .map(file => path.join(dir, path.relative(path.resolve(dir), path.resolve(file))))
+                .sort();
+        },
+        read: (file) => gitShow(`:./${toPosix(path.normalize(file))}`)
+    };
+}
+
+/**
+ * File source reading a git commit; it can only read files
+ */
+function commitTree(commit) {
+    return {
+        read: (file) => gitShow(`${commit}:./${toPosix(path.normalize(file))}`)
+    };
+}
+
+/**
+ * Migration files in execution order (Sequelize runs them sorted by name)
+ */
+function listMigrationFiles(dir = null, tree = workingTree()) {
+    const directory = path.normalize(dir || process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR);
+    return tree.list(directory)
+        .filter(file => path.dirname(file) === directory && isMigrationPath(file))
+        .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+}
+
+function listModelFiles(dir = null, tree = workingTree()) {
+    return tree.list(dir || process.env.MODELS_DIR || DEFAULT_MODELS_DIR).filter(isModelPath);
+}
+
+module.exports = {
+    DEFAULT_MIGRATIONS_DIR,
+    DEFAULT_MODELS_DIR,
+    isMigrationPath,
+    commitTree,
+    isModelPath,
+    listMigrationFiles,
+    listModelFiles,
+    stagedTree,
+    workingTree
+};
@@ -0,0 +1,246 @@
+// Splits the AI review of a large PR into prompts that fit the provider's
+// context window. Changed files are grouped with their model / migration
+// counterparts (see pairing.js) so related files are reviewed together, the
+// groups are packed into as few batches as fit the budget, and the batches
+// are sent in parallel, AI_CONCURRENCY at a time. Content that does not fit
+// even on its own is left out with a note in the prompt and a warning.
+
+const path = require('path');
+const {dedupeFindings} = require('./findings');
+
+const DEFAULT_CONCURRENCY = 3;
+// Share of the context window kept free, since token counts are estimated
+const SAFETY_MARGIN = 0.1;
+// Room left for the notes added to a prompt whose content was cut
+const NOTE_RESERVE = 500;
+
+function normalize(file) {
+    return path.normalize(file).split(path.sep).join('/');
+}
+
+/**
+ * Estimated tokens of a text for a provider, from its characters per token
+ */
+function estimateTokens(text, provider) {
+    return Math.ceil(text.length / provider.charsPerToken);
+}
+
+/**
+ * Characters a user prompt may have for a provider: its context window minus
+ * the response, the system prompt and a safety margin, capped by
+ * AI_PROMPT_TOKEN_BUDGET. Infinity when the provider has no known window and
+ * no cap is set.
+ */
+function promptBudget(provider, systemPrompt) {
+    const cap = Number.parseInt(process.env.AI_PROMPT_TOKEN_BUDGET || '', 10);
+    let tokens = provider.contextWindow
+        ? Math.floor(provider.contextWindow * (1 - SAFETY_MARGIN)) - provider.maxTokens - estimateTokens(systemPrompt, provider)
+        : Infinity;
+    if (cap > 0) tokens = Math.min(tokens, cap);
+    if (tokens <= 0) {
+        throw new Error(`The system prompt and response (${provider.maxTokens} tokens) leave no room for the changes ` +
+            `in the ${provider.contextWindow}-token context window of ${provider.name}`);
+    }
+    return Math.floor(tokens * provider.charsPerToken);
+}
+
+/**
+ * Groups the changed files with the unchanged files they are paired with;
+ * files linked through `diffData.pairs` share a group. Returns
+ * `[{ diffs, related }]` in the order the files changed.
+ */
+function groupFiles(diffData) {
+    const related = diffData.relatedFiles || [];
+    const parent = new Map();
+    const find = (file) => {
+        if (!parent.has(file)) parent.set(file, file);
+        const root = parent.get(file) === file ? file : find(parent.get(file));
+        parent.set(file, root);
+        return root;
+    };
+
+    for (const fileInfo of [...diffData.diffs, ...related]) find(normalize(fileInfo.path));
+    for (const pair of diffData.pairs || []) {
+        for (const counterpart of pair.counterparts) {
+            // Counterparts that could not be read are in neither list
+            if (parent.has(counterpart)) parent.set(find(counterpart), find(pair.file));
+        }
+    }
+
+    const groups = new Map();
+    const groupOf = (fileInfo) => {
+        const root = find(normalize(fileInfo.path));
+        if (!groups.has(root)) groups.set(root, {diffs: [], related: []});
+        return groups.get(root);
+    };
+    for (const fileInfo of diffData.diffs) groupOf(fileInfo).diffs.push(fileInfo);
+    for (const fileInfo of related) groupOf(fileInfo).related.push(fileInfo);
+    return [...groups.values()].filter(group => group.diffs.length > 0);
+}
+
+/**
+ * The part of `diffData` covering `diffs`, with `related` as context and
+ * `notes` on content left out
+ */
+function subsetDiffData(diffData, {diffs, related, notes = []}) {
+    const files = new Set(diffs.map(fileInfo => normalize(fileInfo.path)));
+    const included = (file) => files.has(normalize(file));
+    return {
+        diffs,
+        modelFiles: diffData.modelFiles.filter(included),
+        migrationFiles: diffData.migrationFiles.filter(included),
+        otherFiles: diffData.otherFiles.filter(included),
+        pairs: (diffData.pairs || []).filter(pair => files.has(pair.file)),
+        relatedFiles: related,
+        // A batch that is split again keeps the notes of what was cut before
+        notes: [...(diffData.notes || []), ...notes]
+    };
+}
+
+/**
+ * Cuts a group that does not fit the budget into units that do: first one
+ * unit per changed file with its own counterparts, then without the
+ * counterparts, without the complete file content and finally with the diff
+ * truncated. Every cut is noted in the unit and logged.
+ */
+function fitGroup(diffData, group, size, budget) {
+    if (size(group) <= budget) return [group];
+
+    if (group.diffs.length > 1) {
+        return group.diffs.flatMap(fileInfo => {
+            const file = normalize(fileInfo.path);
+            const counterparts = new Set((diffData.pairs || [])
+                .filter(pair => pair.file === file)
+                .flatMap(pair => pair.counterparts));
+            const related = group.related.filter(entry => counterparts.has(normalize(entry.path)));
+            return fitGroup(diffData, {diffs: [fileInfo], related, notes: []}, size, budget);
+        });
+    }
+
+    const [fileInfo] = group.diffs;
+    const unit = {diffs: [fileInfo], related: group.related, notes: [...(group.notes || [])]};
+    const cut = (note) => {
+        console.warn(`⚠️  Prompt budget: ${note}`);
+        unit.notes.push(note);
+    };
+
+    if (unit.related.length > 0) {
+        cut(`unchanged counterparts of ${fileInfo.path} were left out: ${unit.related.map(entry => entry.path).join(', ')}`);
+        unit.related = [];
+        if (size(unit) <= budget) return [unit];
+    }
+    if (fileInfo.fullContent) {
+        cut(`the complete content of ${fileInfo.path} was left out; only its diff is included`);
+        unit.diffs = [{...fileInfo, fullContent: null}];
+        if (size(unit) <= budget) return [unit];
+    }
+
+    const overhead = size({...unit, diffs: [{...unit.diffs[0], diff: ''}]}) + NOTE_RESERVE;
+    const keep = budget - overhead;
+    if (keep <= 0) {
+        throw new Error(`The prompt budget (${budget} characters) is too small to review ${fileInfo.path}`);
+    }
+    cut(`the diff of ${fileInfo.path} was truncated to its first ${keep} of ${fileInfo.diff.length} characters`);
+    unit.diffs = [{...unit.diffs[0], diff: fileInfo.diff.slice(0, keep)}];
+    return [unit];
+}
+
+/**
+ * Groups of related files (or units cut from one), merged
+ */
+function mergeUnits(units) {
+    const related = new Map();
+    for (const unit of units) {
+        for (const entry of unit.related) related.set(normalize(entry.path), entry);
+    }
+    return {
+        diffs: units.flatMap(unit => unit.diffs),
+        related: [...related.values()],
+        notes: units.flatMap(unit => unit.notes || [])
+    };
+}
+
+/**
+ * The part of `diffData` covering the given groups of `groupFiles()`
+ */
+function groupsDiffData(diffData, groups) {
+    return subsetDiffData(diffData, mergeUnits(groups));
+}
+
+/**
+ * Splits `diffData` into batches whose user prompt, as built by
+ * `render(batchDiffData)`, stays within `budget` characters. Returns
+ * `[{ diffData, characters }]`; a PR that fits is a single batch of the
+ * unchanged `diffData`. Batches are filled first-fit, largest groups first.
+ */
+function planBatches(diffData, render, budget) {
+    const whole = render(diffData).length;
+    if (whole <= budget) return [{diffData, characters: whole}];
+
+    // Measured with the batch header, numbered as high as it can get
+    const groups = groupFiles(diffData);
+    const header = {index: diffData.diffs.length, total: diffData.diffs.length};
+    const size = (unit) => render({...subsetDiffData(diffData, unit), batch: header}).length;
+    const units = groups
+        .flatMap(group => fitGroup(diffData, group, size, budget))
+        .map(unit => ({unit, characters: size(unit)}))
+        .sort((a, b) => b.characters - a.characters);
+
+    const bins = [];
+    for (const {unit} of units) {
+        const bin = bins.find(candidate => size(mergeUnits([...candidate, unit])) <= budget);
+        if (bin) bin.push(unit);
+        else bins.push([unit]);
+    }
+
+    return bins.map((bin, index) => {
+        const batch = subsetDiffData(diffData, mergeUnits(bin));
+        batch.batch = {index: index + 1, total: bins.length};
+        return {diffData: batch, characters: render(batch).length};
+    });
+}
+
+/**
+ * Runs `task(item, index)` for every item with at most `limit` running at
+ * once; resolves to the results in item order
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({length: Math.max(1, Math.min(limit, items.length))}, worker));
+    return results;
+}
+
+function concurrencyLimit() {
+    const limit = Number.parseInt(process.env.AI_CONCURRENCY || '', 10);
+    return limit > 0 ? limit : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Combines the batch results into one: the findings without duplicates
+ * (files shared as context can draw the same finding twice) and every
+ * provider that answered
+ */
+function mergeBatchResults(results) {
+    return {
+        findings: dedupeFindings(results.flatMap(result => result.findings)),
+        providers: [...new Set(results.map(result => result.provider))]
+    };
+}
+
+module.exports = {
+    concurrencyLimit,
+    estimateTokens,
+    groupFiles,
+    groupsDiffData,
+    mapWithConcurrency,
+    mergeBatchResults,
+    planBatches,
+    promptBudget
+};
@@ -0,0 +1,466 @@
+// AI provider registry. A provider is configuration (endpoint, model, token
+// variable) plus an adapter that knows the wire format: it builds the HTTP
+// request, extracts the response text and says how to authenticate. Extra
+// providers can be registered from a JSON config file, either using one of
+// the built-in adapters or a JS module that exports its own.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join('.github', 'convention-linter-providers.json');
+const DEFAULT_MOCK_RESPONSE = '{"findings": []}';
+
+/**
+ * A failed provider call. `retryable` marks timeouts, network errors, 408,
+ * 429 and 5xx responses; `retryAfterMs` carries the server's Retry-After.
+ */
+class ProviderError extends Error {
+    constructor(message, {status = null, retryable = false, retryAfterMs = null} = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Retry-After as milliseconds; the header is either seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function integerSetting(value, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Timeout and backoff settings; provider config overrides the environment
+ */
+function retryPolicy(provider) {
+    return {
+        timeoutMs: provider.timeoutMs || integerSetting(process.env.AI_TIMEOUT_MS, 60000),
+        maxRetries: provider.maxRetries ?? integerSetting(process.env.AI_MAX_RETRIES, 3),
+        baseDelayMs: integerSetting(process.env.AI_RETRY_BASE_DELAY_MS, 1000),
+        maxDelayMs: integerSetting(process.env.AI_RETRY_MAX_DELAY_MS, 60000)
+    };
+}
+
+/**
+ * Exponential backoff with jitter, or the server's Retry-After when given
+ */
+function retryDelay(error, attempt, policy) {
+    if (error.retryAfterMs !== null) return error.retryAfterMs;
+    const exponential = policy.baseDelayMs * 2 ** attempt;
+    return Math.min(policy.maxDelayMs, exponential + Math.floor(Math.random() * policy.baseDelayMs));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function chatMessages(systemPrompt, userPrompt) {
+    return [
+        {role: 'system', content: systemPrompt},
+        {role: 'user', content: userPrompt}
+    ];
+}
+
+/**
+ * Built-in adapters, keyed by the `type` a provider configuration names.
+ * `contextWindow` (prompt plus response tokens) and `charsPerToken` are the
+ * defaults for providers of the type that do not set them; a null window
+ * means the prompt is never split.
+ */
+const ADAPTERS = {
+    // OpenAI chat completions and everything speaking its protocol
+    // (GitHub Models, OpenAI, Ollama's /v1 endpoint, vLLM, LM Studio, ...)
+    'openai-compatible': {
+        auth: {type: 'bearer'},
+        contextWindow: 128000,
+        charsPerToken: 3.5,
+        buildRequest({systemPrompt, userPrompt, provider}) {
+            return {
+                url: provider.endpoint,
+                headers: {},
+                body: {
+                    model: provider.model,
+                    messages: chatMessages(systemPrompt, userPrompt),
+                    temperature: provider.temperature,
+                    max_tokens: provider.maxTokens
+                }
+            };
+        },
+        extractResponse(responseData) {
+            return responseData.choices?.[0]?.message?.content?.trim();
+        }
+    },
+
+    // Azure OpenAI: the deployment is part of the endpoint URL and the key goes in `api-key`
+    'azure-openai': {
+        auth: {type: 'header', header: 'api-key'},
+        contextWindow: 128000,
+        charsPerToken: 3.5,
+        buildRequest({systemPrompt, userPrompt, provider}) {
+            return {
+                url: provider.endpoint,
+                headers: {},
+                body: {
+                    messages: chatMessages(systemPrompt, userPrompt),
+                    temperature: provider.temperature,
+                    max_tokens: provider.maxTokens
+                }
+            };
+        },
+        extractResponse(responseData) {
+            return responseData.choices?.[0]?.message?.content?.trim();
+        }
+    },
+
+    gemini: {
+        auth: {type: 'query', param: 'key'},
+        contextWindow: 1000000,
+        charsPerToken: 4,
+        buildRequest({systemPrompt, userPrompt, provider}) {
+            return {
+                url: provider.endpoint,
+                headers: {},
+                body: {
+                    systemInstruction: {parts: [{text: systemPrompt}]},
+                    contents: [{parts: [{text: userPrompt}]}],
+                    generationConfig: {
+                        temperature: provider.temperature,
+                        maxOutputTokens: provider.maxTokens
+                    }
+                }
+            };
+        },
+        extractResponse(responseData) {
+            // For thinking models, we want the final output, not the thinking process
+            const candidate = responseData.candidates?.[0];
+            if (!candidate) {
+                throw new Error("No candidates in Gemini response");
+            }
+            if (candidate.content?.parts?.[0]?.thought && process.env.DEBUG_THINKING) {
+                console.log("🧠 Gemini Thinking Process:", candidate.content.parts[0].thought);
+            }
+            return candidate.content?.parts?.[0]?.text?.trim();
+        }
+    },
+
+    anthropic: {
+        auth: {type: 'header', header: 'x-api-key'},
+        contextWindow: 200000,
+        charsPerToken: 3.2,
+        buildRequest({systemPrompt, userPrompt, provider}) {
+            return {
+                url: provider.endpoint || 'https://api.anthropic.com/v1/messages',
+                headers: {'anthropic-version': '2023-06-01'},
+                body: {
+                    model: provider.model,
+                    system: systemPrompt,
+                    messages: [{role: 'user', content: userPrompt}],
+                    temperature: provider.temperature,
+                    max_tokens: provider.maxTokens
+                }
+            };
+        },
+        extractResponse(responseData) {
+            return (responseData.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim();
+        }
+    },
+
+    // Replays recorded responses instead of calling a service (offline tests)
+    mock: {
+        auth: {type: 'none'},
+        contextWindow: null,
+        buildRequest({systemPrompt, userPrompt}) {
+            return {url: null, headers: {}, body: {systemPrompt, userPrompt}};
+        },
+        async send(request, provider) {
+            return {text: nextMockResponse(provider)};
+        },
+        extractResponse(responseData) {
+            return responseData.text;
+        }
+    }
+};
+
+// Ollama serves the OpenAI protocol locally, without a key, and defaults to a small context
+ADAPTERS.ollama = {...ADAPTERS['openai-compatible'], auth: {type: 'none'}, contextWindow: 8192};
+
+const providers = new Map();
+
+/**
+ * Registers a provider. `definition.type` selects a built-in adapter;
+ * `definition.adapter` supplies a custom one.
+ */
+function registerProvider(id, definition) {
+    const adapter = definition.adapter || ADAPTERS[definition.type];
+    if (!adapter) {
+        throw new Error(`Unknown AI provider type '${definition.type}' for provider '${id}'. ` +
+            `Known types: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    for (const method of ['buildRequest', 'extractResponse']) {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`AI provider '${id}' adapter must implement ${method}()`);
+        }
+    }
+
+    const provider = {
+        id,
+        name: definition.name || id,
+        type: definition.type || 'custom',
+        endpoint: definition.endpoint || null,
+        model: definition.model || null,
+        requiresToken: definition.requiresToken === undefined ? null : definition.requiresToken,
+        temperature: definition.temperature === undefined ? 0.1 : definition.temperature,
+        maxTokens: definition.maxTokens || 4000,
+        contextWindow: definition.contextWindow === undefined ? (adapter.contextWindow ?? null) : definition.contextWindow,
+        charsPerToken: definition.charsPerToken || adapter.charsPerToken || 4,
+        headers: definition.headers || {},
+        auth: definition.auth || adapter.auth || {type: 'bearer'},
+        options: definition.options || {},
+        timeoutMs: definition.timeoutMs || null,
+        maxRetries: definition.maxRetries ?? null,
+        adapter
+    };
+    providers.set(id, provider);
+    return provider;
+}
+
+function getProvider(id) {
+    const provider = providers.get(id);
+    if (!provider) {
+        throw new Error(`Invalid AI provider: ${id}. Supported providers: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+}
+
+function hasProvider(id) {
+    return providers.has(id);
+}
+
+function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Registers the providers of a JSON config file:
+ * `{ "providers": { "<id>": { "type" | "module", "endpoint", "model", "requiresToken", ... } } }`.
+ * `module` is resolved relative to the config file and must export an adapter.
+ */
+function loadProviderConfig(file = process.env.AI_PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(file)) {
+        if (process.env.AI_PROVIDERS_CONFIG) {
+            throw new Error(`AI provider config not found: ${file}`);
+        }
+        return [];
+    }
+
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const registered = [];
+    for (const [id, definition] of Object.entries(config.providers || {})) {
+        const adapter = definition.module
+            ? require(path.resolve(path.dirname(file), definition.module))
+            : undefined;
+        registered.push(registerProvider(id, {...definition, adapter}));
+    }
+    return registered;
+}
+
+/**
+ * Adds the token to the request as the provider's auth scheme requires
+ */
+function applyAuth(request, auth, token) {
+    if (!token || auth.type === 'none') return request;
+    switch (auth.type) {
+        case 'bearer':
+            request.headers.Authorization = `Bearer ${token}`;
+            break;
+        case 'header':
+            request.headers[auth.header] = token;
+            break;
+        case 'query': {
+            const url = new URL(request.url);
+            url.searchParams.set(auth.param, token);
+            request.url = url.toString();
+            break;
+        }
+        default:
+            throw new Error(`Unsupported auth type '${auth.type}'`);
+    }
+    return request;
+}
+
+/**
+ * One HTTP round trip, turning timeouts, network errors and error statuses
+ * into ProviderErrors
+ */
+async function sendRequest(provider, request, timeoutMs) {
+    let response;
+    try {
+        response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        throw new ProviderError(timedOut
+            ? `${provider.name} did not respond within ${timeoutMs}ms`
+            : `${provider.name} request failed: ${error.cause ? error.cause.message : error.message}`, {retryable: true});
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new ProviderError(`${provider.name} API call failed with status ${response.status}: ${errorText}`, {
+            status: response.status,
+            retryable: isRetryableStatus(response.status),
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
+    }
+    return await response.json();
+}
+
+/**
+ * Sends a prompt pair to a provider and returns the response text. Retryable
+ * failures are retried with backoff; a Retry-After longer than the maximum
+ * delay gives up right away so the caller can fail over to another provider.
+ */
+async function callProvider(provider, systemPrompt, userPrompt, token) {
+    const {adapter} = provider;
+    const policy = retryPolicy(provider);
+
+    for (let attempt = 0; ; attempt++) {
+        const request = adapter.buildRequest({systemPrompt, userPrompt, provider});
+        request.headers = {'Content-Type': 'application/json', ...provider.headers, ...request.headers};
+        applyAuth(request, provider.auth, token);
+
+        let responseData;
+        try {
+            responseData = adapter.send
+                ? await adapter.send(request, provider)
+                : await sendRequest(provider, request, policy.timeoutMs);
+        } catch (error) {
+            if (!(error instanceof ProviderError) || !error.retryable || attempt >= policy.maxRetries) throw error;
+            const delay = retryDelay(error, attempt, policy);
+            if (delay > policy.maxDelayMs) {
+                throw new ProviderError(`${error.message} (Retry-After ${Math.ceil(delay / 1000)}s exceeds the retry limit)`, {status: error.status});
+            }
+            console.warn(`⏳ ${error.message}. Retrying in ${delay}ms (attempt ${attempt + 2}/${policy.maxRetries + 1})...`);
+            await sleep(delay);
+            continue;
+        }
+
+        const responseText = adapter.extractResponse(responseData, provider);
+        if (!responseText) {
+            console.log(`Debug: Full ${provider.name} response:`, JSON.stringify(responseData, null, 2));
+            throw new ProviderError(`Invalid response from ${provider.name}`);
+        }
+
+        recordResponse(responseText);
+        return responseText;
+    }
+}
+
+/**
+ * Appends a response to AI_RECORD_RESPONSES (a JSON array) for later replay by `mock`
+ */
+function recordResponse(responseText) {
+    const file = process.env.AI_RECORD_RESPONSES;
+    if (!file) return;
+    const recorded = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    recorded.push(responseText);
+    fs.writeFileSync(file, `${JSON.stringify(recorded, null, 2)}\n`);
+}
+
+// Replay position per response file
+const mockCursors = new Map();
+
+/**
+ * Next recorded response from AI_MOCK_RESPONSES: a JSON array (or
+ * `{ "responses": [...] }`) of response strings or objects, replayed in order
+ * with the last one repeating. An entry `{ "error": { "status", "retryAfter" } }`
+ * replays a failed call. Without a file every call passes.
+ */
+function nextMockResponse(provider) {
+    const file = provider.options.responses || process.env.AI_MOCK_RESPONSES;
+    if (!file) return DEFAULT_MOCK_RESPONSE;
+
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const responses = Array.isArray(recorded) ? recorded : recorded.responses;
+    if (!Array.isArray(responses) || responses.length === 0) {
+        throw new Error(`No recorded responses in ${file}`);
+    }
+    const cursor = mockCursors.get(file) || 0;
+    mockCursors.set(file, cursor + 1);
+    const response = responses[Math.min(cursor, responses.length - 1)];
+    if (response && typeof response === 'object' && response.error) {
+        const status = response.error.status || 503;
+        throw new ProviderError(`${provider.name} API call failed with status ${status}: ${response.error.message || 'recorded failure'}`, {
+            status,
+            retryable: isRetryableStatus(status),
+            retryAfterMs: parseRetryAfter(response.error.retryAfter)
+        });
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+registerProvider('github', {
+    name: 'GitHub Models',
+    type: 'openai-compatible',
+    endpoint: 'https://models.github.ai/inference/chat/completions',
+    model: 'openai/gpt-4o',
+    requiresToken: 'GITHUB_TOKEN',
+    // GitHub Models caps a request at 8000 input tokens (plus the response)
+    contextWindow: 12000
+});
+registerProvider('gemini', {
+    name: 'Google Gemini (Thinking)',
+    type: 'gemini',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-thinking-exp:generateContent',
+    model: 'gemini-2.0-flash-thinking-exp',
+    requiresToken: 'GEMINI_API_KEY',
+    contextWindow: 32768
+});
+registerProvider('openai', {
+    name: 'OpenAI ChatGPT',
+    type: 'openai-compatible',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4',
+    requiresToken: 'OPENAI_API_KEY',
+    contextWindow: 8192
+});
+registerProvider('mock', {
+    name: 'Mock (recorded responses)',
+    type: 'mock',
+    model: 'replay'
+});
+
+module.exports = {
+    ADAPTERS,
+    ProviderError,
+    callProvider,
+    getProvider,
+    hasProvider,
+    listProviders,
+    loadProviderConfig,
+    parseRetryAfter,
+    registerProvider
+};
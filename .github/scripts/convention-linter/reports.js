@@ -0,0 +1,175 @@
+// Findings as report files for other tools: SARIF 2.1.0 for code scanning
+// alerts on the offending lines, and JUnit XML for CI test dashboards, where
+// every linted file is a test case that fails on its errors.
+
+const fs = require('fs');
+const path = require('path');
+const {SEVERITY} = require('./findings');
+const {RULES, activeRules} = require('./rules');
+
+const TOOL_NAME = 'convention-linter';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+function normalize(file) {
+    return path.normalize(file).split(path.sep).join('/');
+}
+
+function ruleIdOf(finding) {
+    return finding.rule || finding.category.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Message with the impact and fix, which SARIF and JUnit have no field for
+ */
+function fullMessage(finding) {
+    return [
+        finding.message,
+        finding.impact ? `Impact: ${finding.impact}` : null,
+        finding.fix ? `Fix: ${finding.fix}` : null
+    ].filter(Boolean).join('\n');
+}
+
+function sarifLocation(location, message = null) {
+    const physicalLocation = {artifactLocation: {uri: normalize(location.file), uriBaseId: '%SRCROOT%'}};
+    if (location.line) physicalLocation.region = {startLine: location.line};
+    return message ? {physicalLocation, message: {text: message}} : {physicalLocation};
+}
+
+/**
+ * SARIF 2.1.0 log of the findings. The rules are the enabled rules of
+ * `rulesConfig` plus any other rule a finding cites. The primary location is
+ * the finding's file and line, the other side of a model/migration pair a
+ * related location. `error` records a run that could not complete.
+ */
+function toSarif(findings, rulesConfig, {error = null} = {}) {
+    // Without a config (it failed to load) the rules keep their built-in severity
+    const rules = (rulesConfig ? activeRules(rulesConfig) : RULES).map(rule => ({
+        id: rule.id,
+        shortDescription: {text: rule.description},
+        defaultConfiguration: {level: rule.severity === SEVERITY.ERROR ? 'error' : 'warning'},
+        properties: {category: rule.category}
+    }));
+    for (const finding of findings) {
+        const id = ruleIdOf(finding);
+        if (rules.some(rule => rule.id === id)) continue;
+        rules.push({id, shortDescription: {text: finding.category}, properties: {category: finding.category}});
+    }
+
+    const results = findings.map(finding => {
+        const result = {
+            ruleId: ruleIdOf(finding),
+            ruleIndex: rules.findIndex(rule => rule.id === ruleIdOf(finding)),
+            level: finding.severity === SEVERITY.ERROR ? 'error' : 'warning',
+            message: {text: fullMessage(finding)},
+            locations: finding.file ? [sarifLocation(finding)] : []
+        };
+        const related = [finding.model, finding.migration]
+            .filter(location => location && location.file)
+            .filter(location => location.file !== finding.file || location.line !== finding.line);
+        if (related.length > 0) {
+            result.relatedLocations = related.map((location, index) => ({id: index, ...sarifLocation(location, location.detail || location.file)}));
+        }
+        return result;
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {driver: {name: TOOL_NAME, rules}},
+            invocations: [{
+                executionSuccessful: !error,
+                toolExecutionNotifications: error ? [{level: 'error', message: {text: error.message}}] : []
+            }],
+            results
+        }]
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        // Control characters are not allowed in XML 1.0, not even escaped
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describe(finding) {
+    const line = finding.line ? `:${finding.line}` : '';
+    return `[${ruleIdOf(finding)}] ${finding.file || ''}${line} ${fullMessage(finding)}`;
+}
+
+/**
+ * JUnit XML with one test case per linted file (and per other file a finding
+ * points at). A file fails with its errors; warnings go to its system-out.
+ * Findings without a file are reported under the '(project)' case, and a
+ * run that could not complete as an erroring 'convention-linter' case.
+ */
+function toJUnit(findings, files, {error = null} = {}) {
+    const cases = new Map();
+    const caseFor = (file) => {
+        if (!cases.has(file)) cases.set(file, {errors: [], warnings: []});
+        return cases.get(file);
+    };
+    for (const file of files) caseFor(normalize(file));
+    for (const finding of findings) {
+        const entry = caseFor(finding.file ? normalize(finding.file) : '(project)');
+        (finding.severity === SEVERITY.ERROR ? entry.errors : entry.warnings).push(finding);
+    }
+
+    const testcases = [...cases].map(([file, {errors, warnings}]) => {
+        let body = '';
+        if (errors.length > 0) {
+            const message = errors.length === 1 ? errors[0].message : `${errors.length} convention violations`;
+            body += `      <failure message="${escapeXml(message)}" type="${escapeXml(ruleIdOf(errors[0]))}">` +
+                `${escapeXml(errors.map(describe).join('\n\n'))}</failure>\n`;
+        }
+        if (warnings.length > 0) {
+            body += `      <system-out>${escapeXml(warnings.map(finding => `WARNING ${describe(finding)}`).join('\n\n'))}</system-out>\n`;
+        }
+        const open = `    <testcase classname="${TOOL_NAME}" name="${escapeXml(file)}"`;
+        return body ? `${open}>\n${body}    </testcase>\n` : `${open}/>\n`;
+    });
+    if (error) {
+        testcases.push(`    <testcase classname="${TOOL_NAME}" name="${TOOL_NAME}">\n` +
+            `      <error message="${escapeXml(error.message.split('\n')[0])}">${escapeXml(error.message)}</error>\n` +
+            `    </testcase>\n`);
+    }
+
+    const failures = [...cases.values()].filter(entry => entry.errors.length > 0).length;
+    const counts = `tests="${testcases.length}" failures="${failures}" errors="${error ? 1 : 0}"`;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<testsuites name="${TOOL_NAME}" ${counts}>\n` +
+        `  <testsuite name="${TOOL_NAME}" ${counts} timestamp="${new Date().toISOString().slice(0, 19)}">\n` +
+        `${testcases.join('')}` +
+        `  </testsuite>\n` +
+        `</testsuites>\n`;
+}
+
+/**
+ * Writes the requested reports (`[{ format, file }]`). `files` are the linted
+ * files; `error` marks a run that could not complete. A report that cannot
+ * be written is logged and skipped, so it never hides the lint result.
+ */
+function writeReports(reports, findings, {rulesConfig, files = [], error = null}) {
+    for (const {format, file} of reports) {
+        const content = format === 'sarif'
+            ? `${JSON.stringify(toSarif(findings, rulesConfig, {error}), null, 2)}\n`
+            : toJUnit(findings, files, {error});
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(file)), {recursive: true});
+            fs.writeFileSync(file, content);
+            console.log(`📝 Wrote ${format === 'sarif' ? 'SARIF' : 'JUnit'} report: ${file}`);
+        } catch (writeError) {
+            console.error(`❌ Could not write the ${format} report ${file}: ${writeError.message}`);
+        }
+    }
+}
+
+module.exports = {
+    toJUnit,
+    toSarif,
+    writeReports
+};
@@ -0,0 +1,343 @@
+// Reversibility check: symbolically runs a migration's `up` and then its
+// `down` against an in-memory schema and reports everything `down` leaves
+// behind (tables, columns, indexes, constraints, enum types, extensions),
+// everything it removes that existed before, and definitions it fails to restore.
+
+const path = require('path');
+const {isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {describeDefault, describeType, effectiveAllowNull} = require('./schema');
+const {applyOperation, cloneSchema, createSchema, replaySchema} = require('./schema-replay');
+
+// Functions used in defaults that need a Postgres extension
+const EXTENSION_FUNCTIONS = {
+    uuid_generate_v1: 'uuid-ossp',
+    uuid_generate_v1mc: 'uuid-ossp',
+    uuid_generate_v3: 'uuid-ossp',
+    uuid_generate_v4: 'uuid-ossp',
+    uuid_generate_v5: 'uuid-ossp',
+    crypt: 'pgcrypto',
+    gen_salt: 'pgcrypto',
+    digest: 'pgcrypto'
+};
+
+function enumValues(column) {
+    return isSymbolic(column.type, 'dataType') && column.type.name === 'ENUM' && column.type.values
+        ? column.type.values
+        : null;
+}
+
+/**
+ * Column definition as text; `values: false` leaves out the values of an ENUM
+ */
+function columnSignature(column, {values = true} = {}) {
+    const defaultValue = describeDefault(column.defaultValue);
+    // ENUMs compare by value: down() may list the values an enum module had
+    const type = enumValues(column)
+        ? (values ? `ENUM(${enumValues(column).join(', ')})` : 'ENUM')
+        : describeType(column.type);
+    return [
+        type,
+        effectiveAllowNull(column) ? 'NULL' : 'NOT NULL',
+        defaultValue === null ? 'no default' : `default ${defaultValue}`
+    ].join(' ');
+}
+
+/**
+ * Flattens a schema into `key -> resource` so two states can be diffed
+ */
+function snapshotSchema(schema) {
+    const resources = new Map();
+
+    for (const table of schema.tables.values()) {
+        resources.set(`table:${table.name}`, {
+            label: `table '${table.name}'`,
+            createdBy: `createTable('${table.name}')`,
+            undo: `dropTable('${table.name}')`,
+            file: table.file,
+            line: table.line,
+            signature: null
+        });
+        for (const column of table.columns.values()) {
+            resources.set(`column:${table.name}.${column.name}`, {
+                table: table.name,
+                label: `column '${table.name}.${column.name}'`,
+                createdBy: `addColumn('${table.name}', '${column.name}')`,
+                undo: `removeColumn('${table.name}', '${column.name}')`,
+                file: column.file,
+                line: column.line,
+                signature: columnSignature(column),
+                definition: columnSignature(column, {values: false}),
+                values: enumValues(column)
+            });
+        }
+        for (const index of table.indexes) {
+            resources.set(`index:${table.name}.${index.name}`, {
+                table: table.name,
+                label: `index '${index.name}' on '${table.name}'`,
+                createdBy: `addIndex('${table.name}', [${index.fields.map(field => `'${field}'`).join(', ')}])`,
+                undo: `removeIndex('${table.name}', '${index.name}')`,
+                file: index.file,
+                line: index.line,
+                signature: `${index.fields.join(',')}${index.unique ? ' unique' : ''}`
+            });
+        }
+        for (const constraint of table.constraints) {
+            resources.set(`constraint:${table.name}.${constraint.name}`, {
+                table: table.name,
+                label: `constraint '${constraint.name}' on '${table.name}'`,
+                createdBy: `addConstraint('${table.name}', { name: '${constraint.name}' })`,
+                undo: `removeConstraint('${table.name}', '${constraint.name}')`,
+                file: constraint.file,
+                line: constraint.line,
+                signature: null
+            });
+        }
+    }
+
+    for (const type of schema.enums.values()) {
+        resources.set(`enum:${type.name}`, {
+            label: `enum type '${type.name}'`,
+            createdBy: type.column ? `ENUM column '${type.table}.${type.column}'` : `CREATE TYPE "${type.name}"`,
+            undo: type.column
+                ? `dropEnumTypesForTable('${type.table}', ['${type.column}'], queryInterface, transaction)`
+                : `DROP TYPE IF EXISTS "${type.name}"`,
+            file: type.file,
+            line: type.line,
+            signature: type.values ? type.values.join(',') : null,
+            values: type.values
+        });
+    }
+
+    for (const extension of schema.extensions.values()) {
+        resources.set(`extension:${extension.name}`, {
+            label: `extension '${extension.name}'`,
+            createdBy: `CREATE EXTENSION "${extension.name}"`,
+            undo: `DROP EXTENSION IF EXISTS "${extension.name}"`,
+            file: extension.file,
+            line: extension.line,
+            signature: null
+        });
+    }
+
+    return resources;
+}
+
+/**
+ * How a rename or change in up() is described and undone (null: as the
+ * resource itself), for a resource it introduced; null for other operations,
+ * whose resources carry their own
+ */
+function renameOf(operation) {
+    if (!operation) return null;
+    switch (operation.type) {
+        case 'renameColumn':
+            return {
+                createdBy: `renameColumn('${operation.table}', '${operation.column}', '${operation.newColumn}')`,
+                undo: `renameColumn('${operation.table}', '${operation.newColumn}', '${operation.column}')`
+            };
+        case 'renameTable':
+            return {
+                createdBy: `renameTable('${operation.table}', '${operation.newTable}')`,
+                undo: `renameTable('${operation.newTable}', '${operation.table}')`
+            };
+        case 'changeColumn':
+            // e.g. the enum type of a column changed to ENUM, which is dropped as usual
+            return {createdBy: `changeColumn('${operation.table}', '${operation.column}')`, undo: null};
+        default:
+            return null;
+    }
+}
+
+/**
+ * Postgres cannot drop values from an enum type, so a down() that leaves
+ * values added by up() in place still restores the type, and the ENUM
+ * columns using it
+ */
+function onlyAddsEnumValues(before, after) {
+    if (!before.values || !after.values || before.definition !== after.definition) return false;
+    return before.values.every(value => after.values.includes(value));
+}
+
+/**
+ * Functions in column defaults of `up` that come from an extension
+ */
+function extensionDependencies(operations) {
+    const dependencies = [];
+    const visit = (column, operation) => {
+        if (!column) return;
+        const value = column.defaultValue;
+        let functionName = null;
+        if (isSymbolic(value, 'fn')) {
+            functionName = value.name;
+        } else if (isSymbolic(value, 'literal') && typeof value.sql === 'string') {
+            const match = /^\s*([\w.]+)\s*\(/.exec(value.sql);
+            functionName = match ? match[1] : null;
+        }
+        if (functionName && EXTENSION_FUNCTIONS[functionName]) {
+            dependencies.push({
+                functionName,
+                extension: EXTENSION_FUNCTIONS[functionName],
+                file: operation.file,
+                line: (column.lines && column.lines.defaultValue) || column.line || operation.line
+            });
+        }
+    };
+
+    for (const operation of operations) {
+        if (operation.type === 'createTable') {
+            Object.values(operation.columns).forEach(column => visit(column, operation));
+        } else if (operation.type === 'addColumn' || operation.type === 'changeColumn') {
+            visit(operation.definition, operation);
+        }
+    }
+    return dependencies;
+}
+
+/**
+ * Runs `up` then `down` of one interpreted migration on top of `base` and
+ * reports what does not return to the starting state. Replay warnings raised
+ * while running `down` are included when `reportWarnings` is set, i.e. when
+ * `base` is the real schema before the migration.
+ */
+function checkMigrationReversibility(migration, base = createSchema(), {reportWarnings = true} = {}) {
+    const findings = [];
+    const file = migration.file;
+
+    if (migration.warnings.some(warning => warning.message.includes("'down'"))) {
+        return [createFinding({
+            category: 'Migration Safety',
+            rule: 'migration-has-down',
+            message: 'Migration has no down() function and cannot be rolled back',
+            migration: {file, line: null, detail: 'missing down()'},
+            impact: 'A failed deploy cannot be rolled back with db:migrate:undo',
+            fix: 'Add a down() that reverses every operation in up()'
+        })];
+    }
+
+    const before = snapshotSchema(base);
+    const schema = cloneSchema(base);
+    // Remember which up() operation introduced each new resource
+    const introducedBy = new Map();
+    let previous = before;
+    for (const operation of migration.up) {
+        applyOperation(schema, operation);
+        const next = snapshotSchema(schema);
+        for (const key of next.keys()) {
+            if (!previous.has(key) && !introducedBy.has(key)) introducedBy.set(key, operation);
+        }
+        previous = next;
+    }
+    const upExtensions = new Set(schema.extensions.keys());
+
+    // Remember which down() operation removed each pre-existing resource
+    const warningsBeforeDown = schema.warnings.length;
+    const removedBy = new Map();
+    let current = snapshotSchema(schema);
+    for (const operation of migration.down) {
+        applyOperation(schema, operation);
+        const next = snapshotSchema(schema);
+        for (const key of current.keys()) {
+            if (!next.has(key) && !removedBy.has(key)) removedBy.set(key, operation);
+        }
+        current = next;
+    }
+    const after = current;
+
+    const parentIn = (resources, resource) => resource.table && resources.has(`table:${resource.table}`);
+
+    for (const [key, resource] of after) {
+        if (before.has(key)) continue;
+        if (parentIn(after, resource) && !before.has(`table:${resource.table}`)) continue;
+        const renamed = renameOf(introducedBy.get(key));
+        const createdBy = renamed ? renamed.createdBy : resource.createdBy;
+        const location = renamed ? {file, line: introducedBy.get(key).line} : {file: resource.file, line: resource.line};
+        findings.push(createFinding({
+            category: 'Migration Safety',
+            rule: 'migration-reversible',
+            message: `down() leaves ${resource.label} behind: up() ${createdBy} is never undone`,
+            migration: {...location, detail: `created by up() ${createdBy}`},
+            impact: 'Rolling back and migrating again fails because the object already exists',
+            fix: `Add ${(renamed && renamed.undo) || resource.undo} to down()`
+        }));
+    }
+
+    for (const [key, resource] of before) {
+        const restored = after.get(key);
+        if (!restored) {
+            if (parentIn(before, resource) && !after.has(`table:${resource.table}`)) continue;
+            findings.push(createFinding({
+                category: 'Migration Safety',
+                rule: 'migration-reversible',
+                message: `down() removes ${resource.label}, which existed before up() ran`,
+                migration: {
+                    file,
+                    line: removedBy.has(key) ? removedBy.get(key).line : null,
+                    detail: `${resource.label} from ${resource.file}:${resource.line}`
+                },
+                impact: 'Rolling back this migration destroys schema owned by an earlier migration',
+                fix: 'Only undo what up() does in this migration'
+            }));
+        } else if (resource.signature !== restored.signature && !onlyAddsEnumValues(resource, restored)) {
+            findings.push(createFinding({
+                category: 'Migration Safety',
+                rule: 'migration-reversible',
+                message: `down() does not restore ${resource.label}: was ${resource.signature}, after rollback ${restored.signature}`,
+                migration: {file: restored.file, line: restored.line, detail: 'last changed here'},
+                impact: 'The schema after rollback differs from the schema before the migration',
+                fix: `Restore the previous definition (${resource.signature}) in down()`
+            }));
+        }
+    }
+
+    for (const dependency of extensionDependencies(migration.up)) {
+        if (base.extensions.has(dependency.extension) || upExtensions.has(dependency.extension)) continue;
+        findings.push(createFinding({
+            category: 'Migration Safety',
+            rule: 'extension-dependency',
+            severity: SEVERITY.WARNING,
+            message: `up() uses ${dependency.functionName}() from extension '${dependency.extension}', which no migration creates`,
+            migration: {file: dependency.file, line: dependency.line, detail: `${dependency.functionName}() default`},
+            impact: 'Migrating a fresh database fails unless the extension was installed by hand',
+            fix: `Create it in a migration: CREATE EXTENSION IF NOT EXISTS "${dependency.extension}" (and drop it in down())`
+        }));
+    }
+
+    if (reportWarnings) {
+        for (const warning of schema.warnings.slice(warningsBeforeDown)) {
+            findings.push(createFinding({
+                category: 'Migration Safety',
+                rule: 'migration-replay-consistency',
+                severity: SEVERITY.WARNING,
+                message: `down(): ${warning.message}`,
+                migration: {file: warning.file, line: warning.line, detail: 'while replaying down()'},
+                impact: 'The rollback may fail or leave the schema in an unknown state'
+            }));
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Checks every given migration, using the replayed history of the migrations
+ * that run before it as the starting schema when `history` is available
+ */
+function checkReversibility(migrations, history = null) {
+    const findings = [];
+    for (const migration of migrations) {
+        const name = path.basename(migration.file);
+        const earlier = history
+            ? history.migrations.filter(candidate => path.basename(candidate.file).localeCompare(name) < 0)
+            : [];
+        const base = replaySchema(earlier);
+        findings.push(...checkMigrationReversibility(migration, base, {reportWarnings: !!history}));
+    }
+    return findings;
+}
+
+module.exports = {
+    checkMigrationReversibility,
+    checkReversibility,
+    snapshotSchema
+};
@@ -0,0 +1,505 @@
+// Convention rules. Every finding cites one of these rule ids. The project's
+// `.conventionlintrc` sets each rule's severity and enabled state, with
+// per-path overrides; the AI system prompt is generated from the enabled
+// rules, and `// convention-lint-disable-next-line <rule>` comments switch
+// rules off for the line below.
+
+const fs = require('fs');
+const path = require('path');
+const {SEVERITY} = require('./findings');
+
+const DEFAULT_CONFIG_PATH = '.conventionlintrc';
+const CONFIG_VERSION = 1;
+const RULES_PLACEHOLDER = '__CONVENTION_RULES__';
+const DISABLE_DIRECTIVE = /(?:\/\/|\/\*|\*)\s*convention-lint-disable-next-line\b([^\n*]*)/;
+
+/**
+ * Built-in rules. `ai: false` marks rules only the deterministic checks
+ * report; they are left out of the AI prompt.
+ */
+const RULES = [
+    {
+        id: 'migration-column-snake-case',
+        category: 'Naming Convention',
+        severity: SEVERITY.ERROR,
+        description: 'Migration columns MUST use snake_case (e.g. `user_id`, `created_at`).'
+    },
+    {
+        id: 'model-attribute-camel-case',
+        category: 'Naming Convention',
+        severity: SEVERITY.ERROR,
+        description: 'Model attributes MUST use camelCase (e.g. `userId`) and map to the snake_case column of the same name.'
+    },
+    {
+        id: 'model-class-pascal-case',
+        category: 'Naming Convention',
+        severity: SEVERITY.ERROR,
+        description: 'Model classes MUST use PascalCase singular names (e.g. `UserProfile`).'
+    },
+    {
+        id: 'table-name-snake-case',
+        category: 'Naming Convention',
+        severity: SEVERITY.ERROR,
+        description: 'Database tables MUST use snake_case names (e.g. `user_profiles`).'
+    },
+    {
+        id: 'table-name-plural',
+        category: 'Naming Convention',
+        severity: SEVERITY.WARNING,
+        description: 'Database tables should be plural; `UserProfile` maps to `user_profiles`.'
+    },
+    {
+        id: 'model-attribute-has-column',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'Every model attribute needs a migration column: a new attribute needs addColumn, a changed type needs changeColumn.'
+    },
+    {
+        id: 'migration-column-has-attribute',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'Every migration column needs a model attribute, except the timestamp columns the model\'s timestamps / paranoid options add.'
+    },
+    {
+        id: 'timestamp-options-match',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'created_at / updated_at need timestamps and deleted_at needs paranoid: true on the model or in the global Sequelize define options.'
+    },
+    {
+        id: 'model-table-exists',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: "A model's table (its tableName, or the snake_case plural of the class name) must be created by a migration."
+    },
+    {
+        id: 'missing-migration',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'Schema changes in a model MUST come with a migration: removed attributes need removeColumn, new associations need foreign key columns.'
+    },
+    {
+        id: 'missing-model',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'Tables and columns added by a migration MUST be reflected in a model.'
+    },
+    {
+        id: 'index-parity',
+        category: 'Structural Integrity',
+        severity: SEVERITY.ERROR,
+        description: 'Indexes declared on a model (name, fields, unique, where) must match the indexes the migrations create, and vice versa.'
+    },
+    {
+        id: 'column-type-match',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        description: 'Data types MUST match exactly between model and migration (`DataType.STRING` <-> `Sequelize.STRING`, including length and ENUM values).'
+    },
+    {
+        id: 'enum-drift',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'When an enum source gains or loses values, a migration must alter the ENUM types built from it; each migration is compared with the enum values it was committed with.'
+    },
+    {
+        id: 'column-allow-null-match',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        description: '`allowNull` MUST match between a model attribute and its migration column.'
+    },
+    {
+        id: 'column-default-match',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        description: '`defaultValue` MUST be identical in model and migration (`fn(\'now\')` <-> `Sequelize.literal(\'now()\')`).'
+    },
+    {
+        id: 'column-primary-key-match',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        description: 'Primary keys and `unique` constraints MUST be declared the same way in model and migration.'
+    },
+    {
+        id: 'foreign-key-definition',
+        category: 'Relationship Error',
+        severity: SEVERITY.ERROR,
+        description: 'Associations need foreign key columns with matching `references` (or a FOREIGN KEY constraint) to an existing table, and the same `onDelete` / `onUpdate` in model and migration.'
+    },
+    {
+        id: 'foreign-key-type-match',
+        category: 'Relationship Error',
+        severity: SEVERITY.ERROR,
+        description: 'A foreign key column MUST have the type of the key it references (e.g. UUID for `addresses.id`).'
+    },
+    {
+        id: 'foreign-key-index',
+        category: 'Relationship Error',
+        severity: SEVERITY.WARNING,
+        description: 'Foreign key columns should lead an index; Postgres does not create one for the constraint.'
+    },
+    {
+        id: 'jsonb-schema',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'JSON / JSONB columns SHOULD have a JSON Schema generated from their TypeScript type, and the model SHOULD validate against it.'
+    },
+    {
+        id: 'jsonb-schema-drift',
+        category: 'Data Type Mismatch',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'When the TypeScript type of a JSON / JSONB column changes, its JSON Schema MUST be regenerated as a new version, with a data migration for existing rows.'
+    },
+    {
+        id: 'validator-db-coverage',
+        category: 'Structural Integrity',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'Model validators SHOULD have a database equivalent (column type, ENUM, VARCHAR length, unique index or CHECK constraint).'
+    },
+    {
+        id: 'migration-has-down',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        description: 'Every migration MUST have a `down()` method.'
+    },
+    {
+        id: 'migration-reversible',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        description: '`down()` MUST exactly undo `up()` (createTable <-> dropTable, addColumn <-> removeColumn, addIndex <-> removeIndex, addConstraint <-> removeConstraint, ENUM types dropped) and touch nothing else.'
+    },
+    {
+        id: 'destructive-operation',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        description: 'Operations must run in dependency order; flag data loss the static checks cannot see, such as rows deleted or rewritten by raw SQL or helpers.'
+    },
+    {
+        id: 'drop-table',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'up() must not drop or truncate a table that existed before the migration.'
+    },
+    {
+        id: 'drop-column',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'up() must not drop a column of an existing table.'
+    },
+    {
+        id: 'narrow-column-type',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'changeColumn must not narrow a type (shorter strings, smaller integers, less precision) or convert between incompatible types.'
+    },
+    {
+        id: 'not-null-without-default',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'A NOT NULL column added to an existing table needs a defaultValue.'
+    },
+    {
+        id: 'set-not-null',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'Making an existing column NOT NULL fails while any row holds NULL.'
+    },
+    {
+        id: 'enum-value-removed',
+        category: 'Migration Safety',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'Removing or renaming ENUM values breaks rows and running code that still use them.'
+    },
+    {
+        id: 'enum-value-unverified',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'An ENUM changed to values from an enum module cannot be compared statically and needs a manual check.'
+    },
+    {
+        id: 'enum-value-added',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'New ENUM values must be understood by the deployed code before they are written.'
+    },
+    {
+        id: 'non-concurrent-index',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'Indexes on existing tables should be built with `concurrently: true` to avoid locking writes.'
+    },
+    {
+        id: 'extension-dependency',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'Functions from PostgreSQL extensions (e.g. `uuid_generate_v4()`) need a migration that creates the extension.'
+    },
+    {
+        id: 'migration-replay-consistency',
+        category: 'Migration Safety',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'Replaying the migrations must not touch tables, columns or indexes that do not exist at that point.'
+    },
+    {
+        id: 'db-roundtrip',
+        category: 'Database Round-Trip',
+        severity: SEVERITY.ERROR,
+        ai: false,
+        description: 'Migrations must run up/down/up against PostgreSQL and match the schema sync() creates from the models.'
+    },
+    {
+        id: 'analysis-failure',
+        category: 'Static Analysis',
+        severity: SEVERITY.WARNING,
+        ai: false,
+        description: 'A file or check could not be analyzed, so only the remaining checks cover it.'
+    }
+];
+
+function findRule(id) {
+    return RULES.find(rule => rule.id === id) || null;
+}
+
+/**
+ * `"error"`, `"warning"`, `"off"` or `{ severity, enabled }` to `{ severity, enabled }`
+ */
+function normalizeSetting(id, setting, source) {
+    if (!findRule(id)) {
+        throw new Error(`${source}: unknown rule '${id}'. Known rules: ${RULES.map(rule => rule.id).join(', ')}`);
+    }
+    const normalized = {};
+    if (setting === 'off' || setting === false) {
+        normalized.enabled = false;
+    } else if (typeof setting === 'string') {
+        normalized.severity = setting;
+        normalized.enabled = true;
+    } else if (setting && typeof setting === 'object') {
+        if (setting.severity !== undefined) normalized.severity = setting.severity;
+        if (setting.enabled !== undefined) normalized.enabled = setting.enabled !== false;
+    } else {
+        throw new Error(`${source}: invalid setting for rule '${id}'`);
+    }
+    if (normalized.severity !== undefined && !Object.values(SEVERITY).includes(normalized.severity)) {
+        throw new Error(`${source}: severity of rule '${id}' must be one of: ${Object.values(SEVERITY).join(', ')}`);
+    }
+    return normalized;
+}
+
+function normalizeRules(rules, source) {
+    const normalized = {};
+    for (const [id, setting] of Object.entries(rules || {})) {
+        normalized[id] = normalizeSetting(id, setting, source);
+    }
+    return normalized;
+}
+
+/**
+ * Loads `.conventionlintrc` (JSON). Without a file every rule runs with its
+ * built-in severity.
+ */
+function loadRulesConfig(file = process.env.CONVENTION_LINT_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(file)) {
+        if (process.env.CONVENTION_LINT_CONFIG) throw new Error(`Convention rules config not found: ${file}`);
+        return {file: null, rules: {}, overrides: []};
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (config.version !== undefined && config.version !== CONFIG_VERSION) {
+        throw new Error(`${file}: unsupported version ${config.version} (expected ${CONFIG_VERSION})`);
+    }
+
+    const overrides = (config.overrides || []).map((override, position) => {
+        const files = [].concat(override.files || []);
+        if (files.length === 0) throw new Error(`${file}: overrides[${position}] needs "files"`);
+        return {
+            files,
+            patterns: files.map(globToRegExp),
+            rules: normalizeRules(override.rules, `${file} overrides[${position}]`)
+        };
+    });
+    return {file, rules: normalizeRules(config.rules, file), overrides};
+}
+
+/**
+ * `src/migrations/**\/*.js`-style globs: `**` crosses directories, `*` and `?` do not
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let position = 0; position < glob.length; position++) {
+        const char = glob[position];
+        if (char === '*' && glob[position + 1] === '*') {
+            const slash = glob[position + 2] === '/';
+            pattern += slash ? '(?:.*/)?' : '.*';
+            position += slash ? 2 : 1;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function normalizePath(file) {
+    const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+    return path.normalize(relative).split(path.sep).join('/');
+}
+
+/**
+ * Configured `{ severity, enabled }` of a rule for a set of files; later
+ * overrides win over earlier ones and over the top-level rules. `severity`
+ * is unset when the config leaves the rule's own severity alone.
+ */
+function ruleSettings(config, id, files = []) {
+    const settings = {enabled: true, ...(config.rules[id] || {})};
+    const paths = files.filter(Boolean).map(normalizePath);
+    for (const override of config.overrides) {
+        if (!override.rules[id]) continue;
+        if (paths.some(file => override.patterns.some(pattern => pattern.test(file)))) {
+            Object.assign(settings, override.rules[id]);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Enabled rules with their configured severity, for the prompt
+ */
+function activeRules(config) {
+    return RULES
+        .map(rule => {
+            const settings = ruleSettings(config, rule.id);
+            return {...rule, enabled: settings.enabled, severity: settings.severity || rule.severity};
+        })
+        .filter(rule => rule.enabled);
+}
+
+/**
+ * Markdown list of the enabled rules, grouped by category, for the AI prompt
+ */
+function renderRulesPrompt(config) {
+    const rules = activeRules(config).filter(rule => rule.ai !== false);
+    const categories = [...new Set(rules.map(rule => rule.category))];
+    const sections = categories.map(category => {
+        const lines = rules
+            .filter(rule => rule.category === category)
+            .map(rule => `- \`${rule.id}\` (${rule.severity}): ${rule.description}`);
+        return `### ${category}\n\n${lines.join('\n')}`;
+    });
+    return [
+        'Check the changes against these rules and nothing else. Every finding must cite the id of the violated rule in `rule` and use the severity given here.',
+        'A line preceded by a `// convention-lint-disable-next-line <rule-id>` comment is exempt from the named rules.',
+        '',
+        sections.join('\n\n')
+    ].join('\n');
+}
+
+/**
+ * Inserts the rules into a system prompt at the placeholder, or appends them
+ */
+function withRules(systemPrompt, config) {
+    if (systemPrompt.includes(RULES_PLACEHOLDER)) {
+        return systemPrompt.replace(RULES_PLACEHOLDER, renderRulesPrompt(config));
+    }
+    return `${systemPrompt.trimEnd()}\n\n## Convention Rules\n\n${renderRulesPrompt(config)}\n`;
+}
+
+/**
+ * Rule ids named by a disable comment on the line before `line`; an empty
+ * list disables every rule. Returns null without a comment.
+ */
+function disabledRulesAt(lines, line) {
+    if (!line || line < 2) return null;
+    const match = DISABLE_DIRECTIVE.exec(lines[line - 2] || '');
+    if (!match) return null;
+    return match[1].split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+}
+
+function findingLocations(finding) {
+    return [
+        {file: finding.file, line: finding.line},
+        finding.model,
+        finding.migration
+    ].filter(location => location && location.file);
+}
+
+/**
+ * Applies the rules config to findings: drops disabled rules and findings
+ * under a disable comment, and sets the configured severity, else the
+ * built-in severity of the rule. `readSource` returns a file's content (or null).
+ */
+function applyRules(findings, config, readSource = defaultReadSource) {
+    const cache = new Map();
+    const linesOf = (file) => {
+        if (!cache.has(file)) {
+            const content = readSource(file);
+            cache.set(file, typeof content === 'string' ? content.split('\n') : []);
+        }
+        return cache.get(file);
+    };
+
+    const applied = [];
+    for (const finding of findings) {
+        const locations = findingLocations(finding);
+        if (!finding.rule) {
+            applied.push(finding);
+            continue;
+        }
+        const settings = ruleSettings(config, finding.rule, locations.map(location => location.file));
+        if (!settings.enabled) continue;
+
+        const suppressed = locations.some(location => {
+            const disabled = disabledRulesAt(linesOf(location.file), location.line);
+            return disabled !== null && (disabled.length === 0 || disabled.includes(finding.rule));
+        });
+        if (suppressed) continue;
+
+        // Without a configured severity the rule's own applies, whatever the finding's source chose;
+        // pre-existing drift in tables the change does not touch never blocks
+        const rule = findRule(finding.rule);
+        const severity = finding.preExisting ? finding.severity : settings.severity || (rule && rule.severity) || finding.severity;
+        applied.push(severity === finding.severity ? finding : {...finding, severity});
+    }
+    return applied;
+}
+
+function defaultReadSource(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    RULES,
+    activeRules,
+    applyRules,
+    findRule,
+    loadRulesConfig,
+    renderRulesPrompt,
+    ruleSettings,
+    withRules
+};
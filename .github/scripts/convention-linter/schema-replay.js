@@ -0,0 +1,500 @@
+// Replays every migration's `up` operations, in order, into a virtual schema
+// and compares the resulting tables with the current model classes. This
+// catches drift introduced by older migrations that the PR diff never shows.
+
+const {ParseError} = require('./parser');
+const {enumsWrittenAgainst} = require('./enum-sources');
+const {EvaluationError, isPlainObject, isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {interpretMigration} = require('./migration-interpreter');
+const {toSnakeCase} = require('./naming');
+const {compareColumn, missingColumnFinding, unmappedColumnFinding} = require('./parity-checker');
+const {DEFAULT_MIGRATIONS_DIR, listMigrationFiles, workingTree} = require('./project-files');
+
+/**
+ * Name of an index field given as a string or `{ name | attribute }`
+ */
+function indexFieldName(field) {
+    if (typeof field === 'string') return field;
+    if (isPlainObject(field)) return field.name || field.attribute || null;
+    return null;
+}
+
+/**
+ * Sequelize's generated index name: `<table>_<field>_<field>`
+ */
+function defaultIndexName(table, fields) {
+    return toSnakeCase(`${table}_${fields.join('_')}`);
+}
+
+/**
+ * Name Postgres gives the type behind an ENUM column: `enum_<table>_<column>`
+ */
+function enumTypeName(table, column) {
+    return `enum_${table}_${column}`;
+}
+
+function createSchema() {
+    return {tables: new Map(), enums: new Map(), extensions: new Map(), queries: [], helpers: [], warnings: []};
+}
+
+function cloneSchema(schema) {
+    const tables = new Map();
+    for (const [name, table] of schema.tables) {
+        tables.set(name, {
+            ...table,
+            columns: new Map(table.columns),
+            indexes: [...table.indexes],
+            constraints: [...table.constraints]
+        });
+    }
+    return {
+        ...schema,
+        tables,
+        enums: new Map(schema.enums),
+        extensions: new Map(schema.extensions),
+        queries: [...schema.queries],
+        helpers: [...schema.helpers],
+        warnings: [...schema.warnings]
+    };
+}
+
+function warn(schema, operation, message) {
+    schema.warnings.push({message, file: operation.file, line: operation.line});
+}
+
+function requireTable(schema, operation) {
+    const table = schema.tables.get(operation.table);
+    if (!table) {
+        warn(schema, operation, `${operation.type} on table '${operation.table}' which no earlier migration creates`);
+    }
+    return table;
+}
+
+function columnState(name, definition, operation) {
+    return {...definition, name, file: operation.file, line: definition.line || operation.line};
+}
+
+/**
+ * Sequelize creates the enum type for ENUM columns on createTable, addColumn
+ * and changeColumn; nothing drops it implicitly
+ */
+function ensureEnumType(schema, table, column, operation) {
+    if (!column || !isSymbolic(column.type, 'dataType') || column.type.name !== 'ENUM') return;
+    const name = enumTypeName(table, column.name);
+    const existing = schema.enums.get(name);
+    schema.enums.set(name, {
+        name,
+        table,
+        column: column.name,
+        values: column.type.values,
+        file: existing ? existing.file : operation.file,
+        line: existing ? existing.line : column.line
+    });
+}
+
+function dropEnumType(schema, name, operation, ifExists = false) {
+    if (!schema.enums.delete(name) && !ifExists) {
+        warn(schema, operation, `Drops enum type '${name}' which does not exist`);
+    }
+}
+
+/**
+ * Changes the values of an enum type and of the ENUM column it belongs to
+ */
+function updateEnumValues(schema, name, operation, update) {
+    const type = schema.enums.get(name);
+    if (!type) {
+        warn(schema, operation, `Alters enum type '${name}' which does not exist`);
+        return;
+    }
+    if (!type.values) return;
+    const values = update([...type.values]);
+    schema.enums.set(name, {...type, values});
+
+    const table = type.table && schema.tables.get(type.table);
+    const column = table && table.columns.get(type.column);
+    if (column && isSymbolic(column.type, 'dataType') && column.type.name === 'ENUM') {
+        table.columns.set(type.column, {...column, type: {...column.type, values}});
+    }
+}
+
+// Raw SQL statements that create or drop extensions and alter enum types
+const SQL_STATEMENTS = [
+    {
+        pattern: /create\s+extension\s+(?:if\s+not\s+exists\s+)?"?(?<name>[\w.-]+)"?/gi,
+        apply(schema, name, operation) {
+            schema.extensions.set(name, {name, file: operation.file, line: operation.line});
+        }
+    },
+    {
+        pattern: /drop\s+extension\s+(?<ifExists>if\s+exists\s+)?"?(?<name>[\w.-]+)"?/gi,
+        apply(schema, name, operation, ifExists) {
+            if (!schema.extensions.delete(name) && !ifExists) {
+                warn(schema, operation, `Drops extension '${name}' which does not exist`);
+            }
+        }
+    },
+    {
+        pattern: /create\s+type\s+"?(?<name>[\w.]+)"?\s+as\s+enum/gi,
+        apply(schema, name, operation) {
+            schema.enums.set(name, {name, table: null, column: null, values: null, file: operation.file, line: operation.line});
+        }
+    },
+    {
+        pattern: /drop\s+type\s+(?<ifExists>if\s+exists\s+)?"?(?<name>[\w.]+)"?/gi,
+        apply(schema, name, operation, ifExists) {
+            dropEnumType(schema, name, operation, ifExists);
+        }
+    },
+    {
+        pattern: /alter\s+type\s+"?(?<name>[\w.]+)"?\s+add\s+value\s+(?:if\s+not\s+exists\s+)?'(?<value>(?:[^']|'')*)'/gi,
+        apply(schema, name, operation, ifExists, groups) {
+            const value = groups.value.replace(/''/g, "'");
+            updateEnumValues(schema, name, operation, values => (values.includes(value) ? values : [...values, value]));
+        }
+    },
+    {
+        pattern: /alter\s+type\s+"?(?<name>[\w.]+)"?\s+rename\s+value\s+'(?<value>(?:[^']|'')*)'\s+to\s+'(?<newValue>(?:[^']|'')*)'/gi,
+        apply(schema, name, operation, ifExists, groups) {
+            const [value, newValue] = [groups.value, groups.newValue].map(text => text.replace(/''/g, "'"));
+            updateEnumValues(schema, name, operation, values => values.map(existing => (existing === value ? newValue : existing)));
+        }
+    },
+    {
+        pattern: /alter\s+table\s+(?:only\s+)?"?(?<name>[\w.]+)"?\s+add\s+constraint\s+"?(?<constraint>\w+)"?\s+check\s*\((?<check>[^;]*)\)/gi,
+        apply(schema, name, operation, ifExists, groups) {
+            const table = schema.tables.get(name);
+            if (!table) {
+                warn(schema, operation, `Adds constraint '${groups.constraint}' to table '${name}' which does not exist`);
+                return;
+            }
+            table.constraints.push({
+                name: groups.constraint,
+                fields: [],
+                options: {type: 'check', sql: groups.check.trim()},
+                file: operation.file,
+                line: operation.line
+            });
+        }
+    }
+];
+
+/**
+ * Applies the extension and enum type statements found in raw SQL
+ */
+function applyQuery(schema, operation) {
+    if (typeof operation.sql !== 'string') return;
+    for (const {pattern, apply} of SQL_STATEMENTS) {
+        for (const match of operation.sql.matchAll(pattern)) {
+            apply(schema, match.groups.name.replace(/^public\./, ''), operation, !!match.groups.ifExists, match.groups);
+        }
+    }
+}
+
+/**
+ * Project helpers whose effect on the schema is known, keyed by function name
+ */
+const HELPERS = {
+    // dropEnumTypesForTable(table, columns, queryInterface, transaction)
+    dropEnumTypesForTable(schema, operation) {
+        const [table, columns] = operation.args;
+        if (typeof table !== 'string' || !Array.isArray(columns)) return false;
+        for (const column of columns) {
+            dropEnumType(schema, enumTypeName(table, column), operation, true);
+        }
+        return true;
+    }
+};
+
+function indexState(table, fields, options, operation) {
+    const names = fields.map(indexFieldName).filter(Boolean);
+    return {
+        name: typeof options.name === 'string' ? options.name : defaultIndexName(table, names),
+        fields: names,
+        unique: !!options.unique || options.type === 'UNIQUE',
+        where: options.where === undefined ? null : options.where,
+        using: options.using || null,
+        concurrently: !!options.concurrently,
+        file: operation.file,
+        line: operation.line
+    };
+}
+
+/**
+ * Applies one recorded migration operation to the virtual schema in place
+ */
+function applyOperation(schema, operation) {
+    switch (operation.type) {
+        case 'createTable': {
+            if (schema.tables.has(operation.table)) {
+                warn(schema, operation, `createTable for '${operation.table}' which already exists`);
+            }
+            const columns = new Map();
+            for (const [name, definition] of Object.entries(operation.columns)) {
+                columns.set(name, columnState(name, definition, operation));
+            }
+            schema.tables.set(operation.table, {
+                name: operation.table,
+                file: operation.file,
+                line: operation.line,
+                columns,
+                indexes: [],
+                constraints: []
+            });
+            columns.forEach(column => ensureEnumType(schema, operation.table, column, operation));
+            break;
+        }
+        case 'dropTable':
+            if (!schema.tables.delete(operation.table)) {
+                warn(schema, operation, `dropTable for '${operation.table}' which does not exist`);
+            }
+            break;
+        case 'renameTable': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            schema.tables.delete(operation.table);
+            schema.tables.set(operation.newTable, {...table, name: operation.newTable});
+            break;
+        }
+        case 'addColumn': {
+            const table = requireTable(schema, operation);
+            if (!table || typeof operation.column !== 'string') break;
+            if (table.columns.has(operation.column)) {
+                warn(schema, operation, `addColumn '${operation.column}' which already exists on '${operation.table}'`);
+            }
+            table.columns.set(operation.column, columnState(operation.column, operation.definition, operation));
+            ensureEnumType(schema, operation.table, table.columns.get(operation.column), operation);
+            break;
+        }
+        case 'changeColumn': {
+            const table = requireTable(schema, operation);
+            if (!table || typeof operation.column !== 'string') break;
+            const existing = table.columns.get(operation.column);
+            if (!existing) {
+                warn(schema, operation, `changeColumn '${operation.column}' which does not exist on '${operation.table}'`);
+                break;
+            }
+            // changeColumn rewrites type, nullability and default; key flags stay
+            table.columns.set(operation.column, {
+                ...columnState(operation.column, operation.definition, operation),
+                primaryKey: existing.primaryKey
+            });
+            ensureEnumType(schema, operation.table, table.columns.get(operation.column), operation);
+            break;
+        }
+        case 'removeColumn': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            if (!table.columns.delete(operation.column)) {
+                warn(schema, operation, `removeColumn '${operation.column}' which does not exist on '${operation.table}'`);
+            }
+            table.indexes = table.indexes.filter(index => !index.fields.includes(operation.column));
+            break;
+        }
+        case 'renameColumn': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            const existing = table.columns.get(operation.column);
+            if (!existing) {
+                warn(schema, operation, `renameColumn '${operation.column}' which does not exist on '${operation.table}'`);
+                break;
+            }
+            const columns = new Map();
+            for (const [name, column] of table.columns) {
+                if (name === operation.column) {
+                    columns.set(operation.newColumn, {...column, name: operation.newColumn});
+                } else {
+                    columns.set(name, column);
+                }
+            }
+            table.columns = columns;
+            table.indexes = table.indexes.map(index => ({
+                ...index,
+                fields: index.fields.map(field => (field === operation.column ? operation.newColumn : field))
+            }));
+            break;
+        }
+        case 'addIndex': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            const index = indexState(operation.table, operation.fields, operation.options, operation);
+            if (table.indexes.some(existing => existing.name === index.name)) {
+                warn(schema, operation, `addIndex '${index.name}' which already exists on '${operation.table}'`);
+            }
+            table.indexes.push(index);
+            break;
+        }
+        case 'removeIndex': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            const name = operation.index ||
+                (operation.fields ? defaultIndexName(operation.table, operation.fields.map(indexFieldName)) : null);
+            const position = table.indexes.findIndex(index => index.name === name);
+            if (position === -1) {
+                warn(schema, operation, `removeIndex '${name}' which does not exist on '${operation.table}'`);
+                break;
+            }
+            table.indexes.splice(position, 1);
+            break;
+        }
+        case 'addConstraint': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            table.constraints.push({
+                name: operation.options.name || `${operation.table}_${operation.fields.join('_')}_${String(operation.options.type || '').toLowerCase().replace(/\s+/g, '_')}`,
+                fields: operation.fields,
+                options: operation.options,
+                file: operation.file,
+                line: operation.line
+            });
+            break;
+        }
+        case 'removeConstraint': {
+            const table = requireTable(schema, operation);
+            if (!table) break;
+            const before = table.constraints.length;
+            table.constraints = table.constraints.filter(constraint => constraint.name !== operation.constraint);
+            if (table.constraints.length === before) {
+                warn(schema, operation, `removeConstraint '${operation.constraint}' which does not exist on '${operation.table}'`);
+            }
+            break;
+        }
+        case 'dropEnum':
+            dropEnumType(schema, operation.table, operation);
+            break;
+        case 'dropAllEnums':
+            schema.enums.clear();
+            break;
+        case 'query':
+            schema.queries.push(operation);
+            applyQuery(schema, operation);
+            break;
+        case 'helper':
+            schema.helpers.push(operation);
+            if (!HELPERS[operation.name] || !HELPERS[operation.name](schema, operation)) {
+                warn(schema, operation, `Effect of helper '${operation.name}' on the schema is unknown`);
+            }
+            break;
+        default:
+            warn(schema, operation, `Operation '${operation.type}' is not replayed`);
+            break;
+    }
+    return schema;
+}
+
+/**
+ * Replays the `up` operations of interpreted migrations (in the given order)
+ */
+function replaySchema(migrations, schema = createSchema()) {
+    for (const migration of migrations) {
+        for (const operation of migration.up) {
+            applyOperation(schema, operation);
+        }
+    }
+    return schema;
+}
+
+/**
+ * Interprets every migration file in the migrations directory, read from
+ * `tree` (see project-files.js). Imported enums take the values they had when
+ * the migration was committed, since that is what the ENUM types in the
+ * database were created with.
+ */
+function loadMigrationHistory(dir = null, tree = workingTree()) {
+    const directory = dir || process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR;
+    const migrations = [];
+    const failures = [];
+    for (const file of listMigrationFiles(directory, tree)) {
+        try {
+            migrations.push(interpretMigration(file, tree.read(file), {resolveEnum: enumsWrittenAgainst(file)}));
+        } catch (error) {
+            if (!(error instanceof ParseError) && !(error instanceof EvaluationError)) throw error;
+            failures.push({file, error});
+        }
+    }
+    return {directory, migrations, failures};
+}
+
+/**
+ * Compares the replayed schema against every model
+ */
+function compareSchemaToModels(schema, models, directory = DEFAULT_MIGRATIONS_DIR) {
+    const findings = [];
+    for (const model of models) {
+        const table = schema.tables.get(model.tableName);
+        if (!table) {
+            findings.push(createFinding({
+                category: 'Structural Integrity',
+                rule: 'model-table-exists',
+                message: `Model '${model.name}' maps to table '${model.tableName}', which no migration creates`,
+                model: {file: model.file, line: model.line, detail: `class ${model.name}`},
+                migration: {file: directory, line: null, detail: `no createTable('${model.tableName}') after replaying all migrations`},
+                impact: 'Every query through this model fails with "relation does not exist"',
+                fix: `Add a migration that creates '${model.tableName}' or set tableName on the model`,
+                primary: 'model'
+            }));
+            continue;
+        }
+
+        const tableOperation = {type: 'createTable', table: table.name, file: table.file, line: table.line};
+        for (const [columnName, column] of table.columns) {
+            const attribute = model.attributes.find(candidate => candidate.columnName === columnName);
+            const columnOperation = {type: 'column', table: table.name, file: column.file, line: column.line};
+            if (attribute) {
+                findings.push(...compareColumn(model, attribute, column, columnOperation, columnName));
+            } else {
+                findings.push(unmappedColumnFinding(model, columnName, column, columnOperation));
+            }
+        }
+        for (const attribute of model.attributes) {
+            if (!table.columns.has(attribute.columnName)) {
+                findings.push(missingColumnFinding(model, attribute, tableOperation));
+            }
+        }
+    }
+    return findings;
+}
+
+/**
+ * Replays the full migration history and reports drift against the models
+ */
+function checkReplayedSchema(models, history) {
+    const schema = replaySchema(history.migrations);
+    const findings = compareSchemaToModels(schema, models, history.directory);
+
+    for (const {file, error} of history.failures) {
+        findings.push(createFinding({
+            category: 'Static Analysis',
+            rule: 'analysis-failure',
+            severity: SEVERITY.WARNING,
+            message: `Could not replay migration: ${error.message}`,
+            migration: {file, line: error.line || null, detail: 'skipped during schema replay'},
+            impact: 'The replayed schema may be incomplete'
+        }));
+    }
+    for (const warning of schema.warnings) {
+        findings.push(createFinding({
+            category: 'Migration Safety',
+            rule: 'migration-replay-consistency',
+            severity: SEVERITY.WARNING,
+            message: warning.message,
+            migration: {file: warning.file, line: warning.line, detail: 'during schema replay'},
+            impact: 'This migration fails or behaves unexpectedly when run against the real database'
+        }));
+    }
+    return {schema, findings};
+}
+
+module.exports = {
+    applyOperation,
+    checkReplayedSchema,
+    cloneSchema,
+    compareSchemaToModels,
+    createSchema,
+    defaultIndexName,
+    enumTypeName,
+    indexFieldName,
+    loadMigrationHistory,
+    replaySchema
+};
@@ -0,0 +1,122 @@
+// Canonical forms for column attributes so that a model's `DataType.X` /
+// `fn(...)` and a migration's `Sequelize.X` / `Sequelize.literal(...)` can be
+// compared for equality and printed consistently in findings.
+
+const {isPlainObject, isSymbolic} = require('./evaluator');
+
+const COLUMN_OPTION_KEYS = [
+    'type', 'allowNull', 'defaultValue', 'primaryKey', 'unique', 'autoIncrement',
+    'references', 'onDelete', 'onUpdate', 'comment', 'field', 'validate'
+];
+
+const TYPE_ALIASES = {
+    NUMERIC: 'DECIMAL'
+};
+
+const DEFAULT_TYPE_ARGS = {
+    STRING: [255],
+    CHAR: [255]
+};
+
+const DEFAULT_ALIASES = {
+    'current_timestamp': 'now()',
+    'current_timestamp()': 'now()',
+    'sequelize.now': 'now()'
+};
+
+function formatArg(arg) {
+    if (typeof arg === 'string') return `'${arg}'`;
+    if (isSymbolic(arg, 'dataType')) return describeType(arg);
+    if (isSymbolic(arg)) return `<${arg.$kind}>`;
+    return JSON.stringify(arg);
+}
+
+/**
+ * Canonical string for a symbolic data type, e.g. `STRING(255)` or `ENUM(...CountyFips)`
+ */
+function describeType(type) {
+    if (type === null || type === undefined) return null;
+    if (!isSymbolic(type, 'dataType')) return '<unknown>';
+
+    const name = TYPE_ALIASES[type.name] || type.name;
+    const flags = type.flags && type.flags.length ? `.${type.flags.join('.')}` : '';
+
+    if (name === 'ENUM') {
+        if (type.enumRef) return `ENUM(...${type.enumRef.name})`;
+        if (type.values) return `ENUM(${type.values.map(formatArg).join(', ')})`;
+        return 'ENUM(<unknown>)';
+    }
+    if (name === 'ARRAY') {
+        return `ARRAY(${describeType(type.args[0]) || '<unknown>'})`;
+    }
+
+    let args = (type.args || []).filter(arg => !isPlainObject(arg));
+    if (args.length === 0 && DEFAULT_TYPE_ARGS[name]) {
+        args = DEFAULT_TYPE_ARGS[name];
+    }
+    return args.length ? `${name}(${args.map(formatArg).join(', ')})${flags}` : `${name}${flags}`;
+}
+
+/**
+ * Compares two data types, treating ENUMs with the same values (or built from
+ * the same enum source) as equal
+ */
+function typesEqual(a, b) {
+    if (!isSymbolic(a, 'dataType') || !isSymbolic(b, 'dataType')) {
+        return describeType(a) === describeType(b);
+    }
+    if (a.name === 'ENUM' && b.name === 'ENUM') {
+        if (a.values && b.values) {
+            return a.values.length === b.values.length &&
+                a.values.every(value => b.values.includes(value));
+        }
+        if (a.enumRef && b.enumRef) return a.enumRef.name === b.enumRef.name;
+        return false;
+    }
+    return describeType(a) === describeType(b);
+}
+
+/**
+ * Canonical string for a default value; `null` when no default is set
+ */
+function describeDefault(value) {
+    if (value === undefined) return null;
+    if (isSymbolic(value, 'literal')) return value.sql === null ? '<literal>' : value.sql;
+    if (isSymbolic(value, 'fn')) {
+        return `${value.name}(${(value.args || []).map(formatArg).join(', ')})`;
+    }
+    if (isSymbolic(value, 'dataType')) {
+        return value.name === 'NOW' ? 'now()' : value.name;
+    }
+    if (isSymbolic(value)) return `<${value.$kind}>`;
+    return JSON.stringify(value);
+}
+
+function canonicalDefault(value) {
+    const described = describeDefault(value);
+    if (described === null) return null;
+    const compact = described.replace(/\s+/g, '').toLowerCase();
+    return DEFAULT_ALIASES[compact] || compact;
+}
+
+function defaultsEqual(a, b) {
+    return canonicalDefault(a) === canonicalDefault(b);
+}
+
+/**
+ * Sequelize treats columns as nullable unless told otherwise; primary keys never are
+ */
+function effectiveAllowNull(column) {
+    if (column.allowNull !== undefined) return column.allowNull !== false;
+    return !column.primaryKey;
+}
+
+module.exports = {
+    COLUMN_OPTION_KEYS,
+    canonicalDefault,
+    defaultsEqual,
+    describeDefault,
+    describeType,
+    effectiveAllowNull,
+    typesEqual
+};
@@ -0,0 +1,101 @@
+// Global model options (`define` in the Sequelize config): the timestamps,
+// paranoid and underscored defaults every model inherits unless its own
+// options override them.
+
+const fs = require('fs');
+const path = require('path');
+const {parse, walk} = require('./parser');
+const {StaticEvaluator, isPlainObject} = require('./evaluator');
+
+// Config files probed when SEQUELIZE_CONFIG is not set
+const CONFIG_FILES = [
+    'config/config.json',
+    'config/config.js',
+    'src/config/config.json',
+    'src/config/config.ts',
+    'src/config/config.js',
+    'src/config/database.ts',
+    'src/config/database.js'
+];
+
+// Sequelize's own defaults, except `underscored`: the project maps camelCase
+// attributes to snake_case columns, which the naming rules enforce
+const DEFAULT_DEFINE = {
+    timestamps: true,
+    paranoid: false,
+    underscored: true
+};
+
+/**
+ * `define` of a config object, either at the top level or under the
+ * NODE_ENV (default 'development') section of a sequelize-cli config
+ */
+function defineOf(config) {
+    if (!isPlainObject(config)) return null;
+    if (isPlainObject(config.define)) return config.define;
+    const environment = config[process.env.NODE_ENV || 'development'];
+    return isPlainObject(environment) && isPlainObject(environment.define) ? environment.define : null;
+}
+
+/**
+ * `define` of a JS/TS config module: its exports, or the options passed to
+ * `new Sequelize({...})`
+ */
+function defineInModule(file, content) {
+    const program = parse(content);
+    const evaluator = new StaticEvaluator(program, {file});
+    const scope = evaluator.runProgram();
+
+    const exported = defineOf(evaluator.getExports());
+    if (exported) return exported;
+
+    let define = null;
+    walk(program, (node) => {
+        if (define || node.type !== 'NewExpression' || node.callee.name !== 'Sequelize') return;
+        for (const argument of node.arguments) {
+            define = defineOf(evaluator.evaluate(argument, scope));
+            if (define) return false;
+        }
+    });
+    return define;
+}
+
+/**
+ * Reads the global model options. Returns `{ file, define }`, with
+ * `file` null when no config was found. An explicit SEQUELIZE_CONFIG that
+ * cannot be read is an error.
+ */
+function loadModelDefaults(file = process.env.SEQUELIZE_CONFIG) {
+    const candidates = file ? [file] : CONFIG_FILES;
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) continue;
+        const content = fs.readFileSync(candidate, 'utf8');
+        let define;
+        try {
+            define = path.extname(candidate) === '.json'
+                ? defineOf(JSON.parse(content))
+                : defineInModule(candidate, content);
+        } catch (error) {
+            throw new Error(`Cannot read Sequelize config ${candidate}: ${error.message}`);
+        }
+        return {file: candidate, define: {...DEFAULT_DEFINE, ...(define || {})}};
+    }
+    if (file) throw new Error(`Sequelize config ${file} does not exist`);
+    return {file: null, define: {...DEFAULT_DEFINE}};
+}
+
+let cached = null;
+
+/**
+ * Global model options as `{ file, define }`, read once per run
+ */
+function modelDefaults() {
+    if (!cached) cached = loadModelDefaults();
+    return cached;
+}
+
+module.exports = {
+    DEFAULT_DEFINE,
+    loadModelDefaults,
+    modelDefaults
+};
@@ -0,0 +1,169 @@
+// Entry point for the deterministic (no network) checks run before the AI
+// step. Parses the model and migration files in the diff and runs every
+// analyzer over them.
+
+const path = require('path');
+const {ParseError} = require('./parser');
+const {checkAssociations} = require('./associations');
+const {EvaluationError} = require('./evaluator');
+const {checkIndexParity} = require('./index-parity');
+const {checkJsonSchemas} = require('./json-schemas');
+const {SEVERITY, createFinding, dedupeFindings} = require('./findings');
+const {interpretMigration} = require('./migration-interpreter');
+const {checkMigrationSafety} = require('./migration-risk');
+const {parseModelFile} = require('./model-parser');
+const {checkModelMigrationParity, checkNaming} = require('./parity-checker');
+const {listModelFiles, workingTree} = require('./project-files');
+const {checkReversibility} = require('./reversibility');
+const {checkReplayedSchema, createSchema, loadMigrationHistory, replaySchema} = require('./schema-replay');
+const {checkValidatorCoverage} = require('./validator-coverage');
+
+function parseFailure(file, type, error) {
+    const location = {file, line: error.line || null, detail: 'skipped by the static checker'};
+    return createFinding({
+        category: 'Static Analysis',
+        rule: 'analysis-failure',
+        severity: SEVERITY.WARNING,
+        message: `Could not analyze file: ${error.message}`,
+        [type]: location,
+        impact: 'This file is only covered by the AI review',
+        primary: type
+    });
+}
+
+/**
+ * Parses models and migrations, returning `{ models, migrations, findings }`.
+ * Files that cannot be parsed produce a warning instead of aborting the run.
+ */
+function loadSources(files) {
+    const models = [];
+    const migrations = [];
+    const findings = [];
+
+    for (const {path: file, type, fullContent} of files) {
+        if (!fullContent) continue;
+        try {
+            if (type === 'model') {
+                models.push(...parseModelFile(file, fullContent).models);
+            } else if (type === 'migration') {
+                migrations.push(interpretMigration(file, fullContent));
+            }
+        } catch (error) {
+            if (!(error instanceof ParseError) && !(error instanceof EvaluationError)) throw error;
+            findings.push(parseFailure(file, type, error));
+        }
+    }
+
+    migrations.sort((a, b) => a.file.localeCompare(b.file));
+    return {models, migrations, findings};
+}
+
+/**
+ * Adds every model file in the project that is not already part of the diff
+ */
+function loadProjectModels(changedModels, findings, tree) {
+    const loaded = new Set(changedModels.map(model => path.normalize(model.file)));
+    const models = [...changedModels];
+    for (const file of listModelFiles(null, tree)) {
+        if (loaded.has(path.normalize(file))) continue;
+        const {models: fileModels, findings: fileFindings} = loadSources([
+            {path: file, type: 'model', fullContent: tree.read(file)}
+        ]);
+        models.push(...fileModels);
+        findings.push(...fileFindings);
+    }
+    return models;
+}
+
+/**
+ * Tables the changed models map to and the changed migrations touch
+ */
+function changedTables(models, migrations) {
+    const tables = new Set(models.map(model => model.tableName));
+    for (const migration of migrations) {
+        for (const operation of [...migration.up, ...migration.down]) {
+            if (typeof operation.table === 'string') tables.add(operation.table);
+        }
+    }
+    return tables;
+}
+
+/**
+ * Marks the findings of the whole-project checks that point at no changed
+ * file and no changed table as pre-existing drift. They are downgraded to
+ * warnings: only the tables the change touches may block it.
+ */
+function markPreExisting(findings, diffData, tables, projectModels, history) {
+    const changedFiles = new Set(diffData.diffs.map(fileInfo => path.normalize(fileInfo.path)));
+    const tablesOf = (finding) => {
+        if (finding.model) {
+            return projectModels
+                .filter(model => path.normalize(model.file) === path.normalize(finding.model.file))
+                .map(model => model.tableName);
+        }
+        const migration = finding.migration &&
+            history.migrations.find(candidate => path.normalize(candidate.file) === path.normalize(finding.migration.file));
+        return migration ? migration.up.map(operation => operation.table) : [];
+    };
+
+    return findings.map(finding => {
+        const files = [finding.file, finding.model && finding.model.file, finding.migration && finding.migration.file];
+        if (files.some(file => file && changedFiles.has(path.normalize(file)))) return finding;
+        if (tablesOf(finding).some(table => tables.has(table))) return finding;
+        return {...finding, severity: SEVERITY.WARNING, preExisting: true};
+    });
+}
+
+/**
+ * Runs the deterministic analyzers over the files collected by `generateDiffContent`.
+ * With `schemaReplay` enabled the full migration history is replayed and
+ * compared against every model in the project as well, both read from
+ * `tree` (the working tree by default, see project-files.js). Drift it finds
+ * outside the changed files and tables is only a warning, marked `preExisting`.
+ */
+function runStaticAnalysis(diffData, options = {}) {
+    const {models, migrations, findings} = loadSources(diffData.diffs);
+    const tree = options.tree || workingTree();
+    let schema = null;
+    let history = null;
+
+    findings.push(...checkNaming(models, migrations));
+
+    if (options.schemaReplay !== false) {
+        const loaded = loadMigrationHistory(null, tree);
+        if (loaded.migrations.length > 0 || loaded.failures.length > 0) {
+            history = loaded;
+            const projectModels = loadProjectModels(models, findings, tree);
+            const replay = checkReplayedSchema(projectModels, history);
+            schema = replay.schema;
+            findings.push(...markPreExisting([
+                ...replay.findings,
+                ...checkIndexParity(projectModels, schema),
+                ...checkAssociations(projectModels, schema)
+            ], diffData, changedTables(models, migrations), projectModels, history));
+            findings.push(...checkValidatorCoverage(models, schema));
+            findings.push(...checkJsonSchemas(models, projectModels));
+        }
+    }
+
+    if (!schema) {
+        // Without the history only tables created in the diff can be compared;
+        // replay warnings about older tables are expected noise here
+        findings.push(...checkModelMigrationParity(models, migrations));
+        const partial = replaySchema(migrations, createSchema());
+        findings.push(...checkIndexParity(models, partial));
+        findings.push(...checkAssociations(models, partial, {complete: false}));
+        findings.push(...checkValidatorCoverage(models, partial));
+        findings.push(...checkJsonSchemas(models));
+    }
+
+    findings.push(...checkReversibility(migrations, history));
+    findings.push(...checkMigrationSafety(migrations, history));
+
+    return {models, migrations, schema, findings: dedupeFindings(findings)};
+}
+
+module.exports = {
+    loadSources,
+    runStaticAnalysis
+};
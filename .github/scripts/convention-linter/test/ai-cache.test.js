@@ -0,0 +1,128 @@
+const assert = require('node:assert/strict');
+const {execFileSync, spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {after, describe, it} = require('node:test');
+const {FindingsCache, groupResult} = require('../ai-cache');
+
+const RUNNER = path.join(__dirname, '..', '..', 'run-convention-linter.js');
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'convention-linter-cache-'));
+after(() => fs.rmSync(tmp, {recursive: true, force: true}));
+
+const github = {id: 'github', model: 'openai/gpt-4o'};
+const finding = (file, message) => ({file, line: 1, message});
+
+describe('FindingsCache', () => {
+    const file = path.join(tmp, 'unit', 'ai-findings.json');
+    const stored = [finding('src/models/user.model.ts', 'email is too long')];
+
+    it('finds what it stored again after a save', () => {
+        const cache = new FindingsCache(file);
+        cache.store(github, 'system', 'user prompt', stored);
+        cache.save();
+
+        const reopened = new FindingsCache(file);
+        const hit = reopened.lookup([github], 'system', 'user prompt');
+
+        assert.equal(hit.provider, 'github');
+        assert.deepEqual(hit.findings, stored);
+        assert.equal(reopened.hits, 1);
+        assert.equal(fs.readFileSync(path.join(path.dirname(file), '.gitignore'), 'utf8'), '*\n');
+    });
+
+    it('misses when the user prompt, the system prompt, the provider or its model changes', () => {
+        const cache = new FindingsCache(file);
+
+        assert.equal(cache.lookup([github], 'system', 'user prompt, changed'), null);
+        assert.equal(cache.lookup([github], 'system, changed', 'user prompt'), null);
+        assert.equal(cache.lookup([{...github, id: 'openai'}], 'system', 'user prompt'), null);
+        assert.equal(cache.lookup([{...github, model: 'openai/gpt-4.1'}], 'system', 'user prompt'), null);
+        assert.equal(cache.hits, 0);
+    });
+
+    it('reuses the findings of a fallback provider of the chain', () => {
+        const hit = new FindingsCache(file).lookup([{id: 'gemini', model: 'gemini-2.0'}, github], 'system', 'user prompt');
+
+        assert.equal(hit.provider, 'github');
+    });
+
+    it('starts empty from an unreadable file', () => {
+        const broken = path.join(tmp, 'broken.json');
+        fs.writeFileSync(broken, '{"version": 1, "entries": ');
+
+        assert.deepEqual(new FindingsCache(broken).entries, {});
+    });
+});
+
+describe('groupResult', () => {
+    it('takes the findings of the group and those outside every changed file of its batch', () => {
+        const batches = [{
+            files: ['src/models/user.model.ts', 'src/migrations/20240101000000-create-orders.js'],
+            provider: 'github',
+            findings: [
+                finding('src/models/user.model.ts', 'in the group'),
+                finding('src/migrations/20240101000000-create-orders.js', 'in another group'),
+                finding('src/migrations/20240101000000-create-users.js', 'in a related file')
+            ]
+        }];
+
+        const result = groupResult(['./src/models/user.model.ts'], batches);
+
+        assert.equal(result.provider, 'github');
+        assert.deepEqual(result.findings.map(entry => entry.message), ['in the group', 'in a related file']);
+    });
+});
+
+describe('the runner with a findings cache', () => {
+    const repo = path.join(tmp, 'repo');
+    const usersMigration = path.join(repo, 'src', 'migrations', '20240101000000-create-users.js');
+
+    fs.mkdirSync(path.join(repo, 'src', 'models'), {recursive: true});
+    fs.mkdirSync(path.join(repo, 'src', 'migrations'), {recursive: true});
+    execFileSync('git', ['init', '-q'], {cwd: repo});
+    fs.cpSync(path.join(__dirname, '..', '..', '..', 'prompts'), path.join(repo, '.github', 'prompts'), {recursive: true});
+    fs.writeFileSync(path.join(repo, 'src', 'models', 'user.model.ts'), fixture('user-model.ts'));
+    fs.writeFileSync(path.join(repo, 'src', 'migrations', '20240101000000-create-orders.js'), fixture('20240101000000-create-orders.js'));
+    fs.writeFileSync(usersMigration, `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('users', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false}
+        })
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('users')
+    }
+}
+`);
+
+    // The users migration is not linted; it is paired with the model as context
+    function lint() {
+        const run = spawnSync(process.execPath, [RUNNER, '--provider', 'mock',
+            'src/models/user.model.ts', 'src/migrations/20240101000000-create-orders.js'], {
+            cwd: repo,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: {...process.env, AI_CACHE_DIR: path.join(tmp, 'runner-cache'), STATIC_ANALYSIS: 'false'}
+        });
+        assert.equal(run.status, 0, run.stdout + run.stderr);
+        return run.stdout;
+    }
+
+    it('reports the groups whose findings are reused, and asks again for a group with a changed file', () => {
+        assert.doesNotMatch(lint(), /Cached findings reused/);
+
+        const second = lint();
+        assert.match(second, /Cached findings reused for 2 of 2 file groups/);
+        assert.doesNotMatch(second, /Calling Mock/);
+
+        fs.appendFileSync(usersMigration, '// a related file of the user group changed\n');
+        const third = lint();
+        assert.match(third, /Cached findings reused for 1 of 2 file groups:\n\s+♻️ {2}src\/migrations\/20240101000000-create-orders\.js \(mock, /);
+        assert.match(third, /Calling Mock/);
+    });
+});
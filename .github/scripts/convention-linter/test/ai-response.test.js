@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {ResponseFormatError, parseAIResponse, reviewedFiles} = require('../ai-response');
+
+function rawFinding(overrides = {}) {
+    return {
+        rule: 'column-type-match',
+        category: 'Data Type Mismatch',
+        severity: 'error',
+        file: 'src/migrations/20240101000000-users.js',
+        line: 12,
+        message: "Type mismatch for 'email' between model and migration",
+        impact: 'Data corruption and query failures',
+        suggestedFix: 'Use STRING(120) on both sides',
+        ...overrides
+    };
+}
+
+function problemsOf(responseText, files = null) {
+    try {
+        parseAIResponse(responseText, files);
+    } catch (error) {
+        assert.ok(error instanceof ResponseFormatError);
+        return error.problems;
+    }
+    assert.fail('the response was accepted');
+}
+
+const files = reviewedFiles({
+    diffs: [{path: 'src/migrations/20240101000000-users.js', fullContent: 'line\n'.repeat(19)}],
+    relatedFiles: [{path: 'src/models/user.model.ts', fullContent: null}]
+});
+
+describe('parseAIResponse', () => {
+    it('converts a valid payload to findings', () => {
+        const findings = parseAIResponse(JSON.stringify({findings: [rawFinding({severity: 'ERROR'})]}), files);
+
+        assert.deepEqual(findings, [{
+            category: 'Data Type Mismatch',
+            rule: 'column-type-match',
+            severity: 'error',
+            message: "Type mismatch for 'email' between model and migration",
+            file: 'src/migrations/20240101000000-users.js',
+            line: 12,
+            model: null,
+            migration: null,
+            impact: 'Data corruption and query failures',
+            fix: 'Use STRING(120) on both sides'
+        }]);
+    });
+
+    it('accepts an empty list of findings', () => {
+        assert.deepEqual(parseAIResponse('{"findings": []}'), []);
+    });
+
+    it('reads JSON inside a Markdown code fence', () => {
+        const responseText = `Here is the review:\n\n\`\`\`json\n${JSON.stringify({findings: [rawFinding()]})}\n\`\`\`\n`;
+
+        assert.deepEqual(parseAIResponse(responseText).map(finding => finding.rule), ['column-type-match']);
+    });
+
+    it('rejects a missing or invalid severity', () => {
+        const withoutSeverity = rawFinding();
+        delete withoutSeverity.severity;
+
+        assert.deepEqual(problemsOf(JSON.stringify({findings: [withoutSeverity, rawFinding({severity: 'critical'})]})), [
+            'findings[0].severity must be a non-empty string',
+            'findings[1].severity must be one of: error, warning'
+        ]);
+    });
+
+    it('rejects a finding in a file the prompt did not show', () => {
+        assert.deepEqual(problemsOf(JSON.stringify({findings: [rawFinding({file: 'src/models/order.model.ts'})]}), files), [
+            "findings[0].file 'src/models/order.model.ts' is not one of the reviewed files: " +
+                'src/migrations/20240101000000-users.js, src/models/user.model.ts'
+        ]);
+    });
+
+    it('rejects a line past the end of the file or that is not a line number', () => {
+        assert.deepEqual(problemsOf(JSON.stringify({findings: [rawFinding({line: 40}), rawFinding({line: 0})]}), files), [
+            'findings[0].line 40 is past the end of src/migrations/20240101000000-users.js (20 lines)',
+            'findings[1].line must be a positive integer or null'
+        ]);
+    });
+
+    it('accepts any line of a file shown only as a diff, and an unknown line', () => {
+        const findings = parseAIResponse(JSON.stringify({findings: [
+            rawFinding({file: './src/models/user.model.ts', line: 400}),
+            rawFinding({line: null})
+        ]}), files);
+
+        assert.deepEqual(findings.map(finding => [finding.file, finding.line]), [
+            ['src/models/user.model.ts', 400],
+            ['src/migrations/20240101000000-users.js', null]
+        ]);
+    });
+
+    it('rejects a response that is not JSON', () => {
+        const problems = problemsOf('The changes look good to me.');
+
+        assert.equal(problems.length, 1);
+        assert.match(problems[0], /^response is not valid JSON/);
+    });
+
+    it('rejects JSON that is not an object of findings', () => {
+        assert.deepEqual(problemsOf('[]'), ['response must be a JSON object']);
+        assert.deepEqual(problemsOf('{"issues": []}'), ['"findings" must be an array']);
+    });
+});
@@ -0,0 +1,173 @@
+const assert = require('node:assert/strict');
+const {execFileSync, spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {after, before, describe, it} = require('node:test');
+const {discoverChanges, enterRepositoryRoot} = require('../cli');
+
+describe('discoverChanges in a repository without commits', () => {
+    const cwd = process.cwd();
+    let repo;
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'convention-linter-'));
+        execFileSync('git', ['init', '-q'], {cwd: repo});
+        fs.mkdirSync(path.join(repo, 'src', 'models'), {recursive: true});
+        fs.writeFileSync(path.join(repo, 'src', 'models', 'user.model.ts'), 'export class User {}\n');
+        fs.writeFileSync(path.join(repo, 'src', 'models', 'order.model.ts'), 'export class Order {}\n');
+        execFileSync('git', ['add', 'src/models/user.model.ts'], {cwd: repo});
+        process.chdir(repo);
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        fs.rmSync(repo, {recursive: true, force: true});
+    });
+
+    const options = (overrides) => ({base: null, staged: false, files: [], ...overrides});
+    const anyFile = () => true;
+
+    it('lints staged and untracked files as new files', () => {
+        const changes = discoverChanges(options(), anyFile);
+
+        assert.deepEqual(changes.files.sort(), ['src/models/order.model.ts', 'src/models/user.model.ts']);
+        assert.match(changes.diff('src/models/user.model.ts'), /^new file mode/m);
+        assert.match(changes.diff('src/models/order.model.ts'), /^\+export class Order \{\}$/m);
+    });
+
+    it('lints explicit paths as new files', () => {
+        const changes = discoverChanges(options({files: ['src/models/user.model.ts']}), anyFile);
+
+        assert.deepEqual(changes.files, ['src/models/user.model.ts']);
+        assert.match(changes.diff('src/models/user.model.ts'), /^\+export class User \{\}$/m);
+    });
+
+    it('lints the staged files for the pre-commit hook', () => {
+        const changes = discoverChanges(options({staged: true}), anyFile);
+
+        assert.deepEqual(changes.files, ['src/models/user.model.ts']);
+        assert.equal(changes.content('src/models/user.model.ts'), 'export class User {}\n');
+    });
+});
+
+describe('the runner with --staged', () => {
+    const runner = path.join(__dirname, '..', '..', 'run-convention-linter.js');
+    let repo;
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(repo, file)), {recursive: true});
+        fs.writeFileSync(path.join(repo, file), content);
+    };
+    const model = (name, table, attributes) => `import { Column, DataType, Model, Table } from 'sequelize-typescript';
+
+@Table({ tableName: '${table}', timestamps: false })
+export default class ${name} extends Model {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+${attributes}}
+`;
+    const migration = (up, down) => `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        ${up}
+    },
+    down: async (queryInterface, Sequelize) => {
+        ${down}
+    }
+}
+`;
+    const email = `
+    @Column({ type: DataType.STRING(120), allowNull: false })
+    declare email: string;
+`;
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'convention-linter-'));
+        const git = (...args) => execFileSync('git', args, {cwd: repo});
+        git('init', '-q');
+        git('config', 'user.email', 'linter@example.com');
+        git('config', 'user.name', 'Linter');
+        fs.cpSync(path.join(__dirname, '..', '..', '..', 'prompts'), path.join(repo, '.github', 'prompts'), {recursive: true});
+        write('src/models/user.model.ts', model('User', 'users', email));
+        write('src/migrations/20240101000000-create-users.js', migration(
+            `await queryInterface.createTable('users', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false},
+            email: {type: Sequelize.STRING(120), allowNull: false}
+        })`,
+            `await queryInterface.dropTable('users')`));
+        git('add', '-A');
+        git('commit', '-q', '-m', 'Create users');
+
+        // Staged: a new table and its model
+        write('src/models/tag.model.ts', model('Tag', 'tags', ''));
+        write('src/migrations/20240201000000-create-tags.js', migration(
+            `await queryInterface.createTable('tags', {id: {type: Sequelize.UUID, primaryKey: true, allowNull: false}})`,
+            `await queryInterface.dropTable('tags')`));
+        git('add', '-A');
+
+        // Not staged: a model attribute without a column and a migration dropping one
+        write('src/models/user.model.ts', model('User', 'users', `${email}
+    @Column(DataType.STRING)
+    declare phone: string;
+`));
+        write('src/migrations/20240301000000-drop-users-email.js', migration(
+            `await queryInterface.removeColumn('users', 'email')`,
+            `await queryInterface.addColumn('users', 'email', {type: Sequelize.STRING(120), allowNull: false})`));
+    });
+
+    after(() => fs.rmSync(repo, {recursive: true, force: true}));
+
+    const lint = (args, cwd) => spawnSync(process.execPath, [runner, ...args], {
+        cwd,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: {...process.env, AI_CACHE: 'false'}
+    });
+
+    it('replays the history and loads the models as staged, from a subdirectory too', () => {
+        for (const cwd of [repo, path.join(repo, 'src', 'models')]) {
+            const run = lint(['--staged'], cwd);
+
+            assert.equal(run.status, 0, run.stdout + run.stderr);
+            assert.match(run.stdout, /Processing diff for: src\/models\/tag\.model\.ts/);
+            assert.match(run.stdout, /Migrations interpreted: 1\n/);
+        }
+    });
+
+    it('lints the working tree without --staged', () => {
+        const run = lint(['--local'], path.join(repo, 'src'));
+
+        assert.equal(run.status, 1, run.stdout + run.stderr);
+        assert.match(run.stdout, /Model attribute 'phone' has no corresponding migration column 'phone'/);
+        assert.match(run.stdout, /removeColumn\('users', 'email'\) deletes the column and its data/);
+    });
+});
+
+describe('enterRepositoryRoot', () => {
+    const cwd = process.cwd();
+    let repo;
+
+    before(() => {
+        repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'convention-linter-')));
+        execFileSync('git', ['init', '-q'], {cwd: repo});
+        fs.mkdirSync(path.join(repo, 'src', 'models'), {recursive: true});
+        fs.writeFileSync(path.join(repo, 'src', 'models', 'user.model.ts'), 'export class User {}\n');
+        process.chdir(path.join(repo, 'src'));
+    });
+
+    after(() => {
+        process.chdir(cwd);
+        fs.rmSync(repo, {recursive: true, force: true});
+    });
+
+    it('resolves the paths given in a subdirectory and changes to the top of the repository', () => {
+        const options = enterRepositoryRoot({base: null, staged: false, files: ['models/user.model.ts'],
+            reports: [{format: 'sarif', file: 'lint.sarif'}]});
+
+        assert.equal(process.cwd(), repo);
+        assert.deepEqual(options.reports, [{format: 'sarif', file: path.join(repo, 'src', 'lint.sarif')}]);
+        assert.deepEqual(discoverChanges(options, () => true).files, ['src/models/user.model.ts']);
+    });
+});
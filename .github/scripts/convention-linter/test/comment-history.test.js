@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {COMMENT_MARKER, buildCommentBody, parseCommentBody} = require('../comment-history');
+const {SEVERITY, createFinding, formatFindingsMarkdown} = require('../findings');
+
+// GitHub rejects comment bodies over 65536 characters
+const GITHUB_LIMIT = 65536;
+
+function findingsBody(count) {
+    const findings = Array.from({length: count}, (_, index) => createFinding({
+        category: 'Structural Integrity',
+        rule: 'model-attribute-has-column',
+        severity: SEVERITY.ERROR,
+        message: `Model attribute 'field${index}' has no corresponding migration column 'field_${index}'`,
+        file: 'src/models/user.model.ts',
+        line: index + 1,
+        impact: 'Runtime errors when accessing this attribute',
+        fix: `Add 'field_${index}' to the migration or remove the attribute from the model`
+    }));
+    return `## 🚨 Convention Linter Analysis\n\n### ❌ Issues Found (${count} errors, 0 warnings)\n\n${formatFindingsMarkdown(findings)}`;
+}
+
+describe('buildCommentBody', () => {
+    it('keeps a body that fits as it is', () => {
+        const body = buildCommentBody(findingsBody(3), null, {footer: '<sub>Run</sub>'});
+
+        assert.equal(body, `${COMMENT_MARKER}\n${findingsBody(3)}\n\n<sub>Run</sub>`);
+    });
+
+    it('cuts the findings of a current run over the limit and says how many are left out', () => {
+        const current = findingsBody(1000);
+        assert.ok(current.length > GITHUB_LIMIT);
+
+        const body = buildCommentBody(current, null, {footer: '<sub>Run</sub>', reportUrl: 'https://example.com/run'});
+
+        assert.ok(body.length <= GITHUB_LIMIT);
+        const shown = (body.match(/^#### \d+\. /gm) || []).length;
+        assert.ok(shown > 0);
+        assert.ok(body.includes(`_… ${1000 - shown} more findings, see [the report](https://example.com/run)._`));
+        assert.ok(body.endsWith('\n\n<sub>Run</sub>'));
+        assert.ok(current.startsWith(parseCommentBody(body).current.split('\n\n_…')[0]));
+    });
+
+    it('drops the history before cutting findings of the current run', () => {
+        const previous = buildCommentBody(findingsBody(120));
+
+        const body = buildCommentBody(findingsBody(120), previous);
+
+        assert.ok(body.length <= GITHUB_LIMIT);
+        assert.deepEqual(parseCommentBody(body).history, []);
+        assert.ok(!body.includes('more findings'));
+    });
+});
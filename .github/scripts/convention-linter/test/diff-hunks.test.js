@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {commentableLines, mapFindingsToDiff, parseUnifiedDiff} = require('../diff-hunks');
+
+const MIGRATION = 'src/migrations/20240201000000-add-phone.js';
+const MODEL = 'src/models/address.model.ts';
+
+const migrationDiff = `diff --git a/${MIGRATION} b/${MIGRATION}
+index 1111111..2222222 100644
+--- a/${MIGRATION}
++++ b/${MIGRATION}
+@@ -3,4 +3,5 @@ module.exports = {
+     up: async (queryInterface, Sequelize) => {
+-        await queryInterface.addColumn('addresses', 'phone', Sequelize.STRING)
++        await queryInterface.addColumn('addresses', 'phone', {
++            type: Sequelize.STRING(20), allowNull: true })
+     },
+@@ -20,2 +21,3 @@ module.exports = {
+         await queryInterface.removeColumn('addresses', 'phone')
++        await queryInterface.removeIndex('addresses', 'idx_addresses_phone')
+     }
+\\ No newline at end of file
+`;
+
+// A rename diffs under the new path, with the old one in its header
+const renamedModelDiff = `diff --git a/src/models/addr.model.ts b/${MODEL}
+similarity index 92%
+rename from src/models/addr.model.ts
+rename to ${MODEL}
+index 3333333..4444444 100644
+--- a/src/models/addr.model.ts
++++ b/${MODEL}
+@@ -10,3 +10,3 @@ export default class Address extends Model {
+     @Column(DataType.STRING)
+-    declare phone: string
++    declare phoneNumber: string
+ }
+`;
+
+function finding(file, line, overrides = {}) {
+    return {file, line, model: null, migration: null, message: `${file}:${line}`, ...overrides};
+}
+
+describe('parseUnifiedDiff', () => {
+    it('numbers added, deleted and context lines on their own side', () => {
+        const hunks = parseUnifiedDiff(migrationDiff);
+
+        assert.deepEqual(hunks.map(hunk => [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines]), [[3, 4, 3, 5], [20, 2, 21, 3]]);
+        assert.deepEqual(hunks[0].lines, [
+            {type: 'context', oldLine: 3, newLine: 3},
+            {type: 'delete', oldLine: 4, newLine: null},
+            {type: 'add', oldLine: null, newLine: 4},
+            {type: 'add', oldLine: null, newLine: 5},
+            {type: 'context', oldLine: 5, newLine: 6}
+        ]);
+    });
+
+    it('skips the file header and the no-newline marker', () => {
+        const hunks = parseUnifiedDiff(migrationDiff);
+
+        assert.deepEqual(hunks[1].lines.map(line => line.type), ['context', 'add', 'context']);
+    });
+
+    it('returns no hunks for a rename without content changes', () => {
+        assert.deepEqual(parseUnifiedDiff(`diff --git a/src/models/addr.model.ts b/${MODEL}\n` +
+            `similarity index 100%\nrename from src/models/addr.model.ts\nrename to ${MODEL}\n`), []);
+    });
+});
+
+describe('commentableLines', () => {
+    it('contains the new lines of every hunk but not deleted lines', () => {
+        assert.deepEqual([...commentableLines(parseUnifiedDiff(migrationDiff))], [3, 4, 5, 6, 21, 22, 23]);
+    });
+});
+
+describe('mapFindingsToDiff', () => {
+    const diffs = [{path: MIGRATION, diff: migrationDiff}, {path: MODEL, diff: renamedModelDiff}];
+
+    it('comments inline on a line of a hunk', () => {
+        const {inline, outside} = mapFindingsToDiff([finding(MIGRATION, 4)], diffs);
+
+        assert.deepEqual(inline.map(entry => [entry.path, entry.line]), [[MIGRATION, 4]]);
+        assert.deepEqual(outside, []);
+    });
+
+    it('leaves lines outside any hunk to the summary comment', () => {
+        const {inline, outside} = mapFindingsToDiff([finding(MIGRATION, 12), finding(MIGRATION, 30)], diffs);
+
+        assert.deepEqual(inline, []);
+        assert.deepEqual(outside.map(entry => entry.line), [12, 30]);
+    });
+
+    it('does not comment on the old line number of a deleted line', () => {
+        const oldFileOnly = [{path: MIGRATION, diff: migrationDiff.replace('@@ -3,4 +3,5 @@', '@@ -3,4 +7,5 @@')}];
+
+        const {inline, outside} = mapFindingsToDiff([finding(MIGRATION, 4)], oldFileOnly);
+
+        assert.deepEqual(inline, []);
+        assert.equal(outside.length, 1);
+    });
+
+    it('maps a renamed file by its new path only', () => {
+        const {inline, outside} = mapFindingsToDiff([
+            finding(MODEL, 11),
+            finding('src/models/addr.model.ts', 11)
+        ], diffs);
+
+        assert.deepEqual(inline.map(entry => [entry.path, entry.line]), [[MODEL, 11]]);
+        assert.deepEqual(outside.map(entry => entry.file), ['src/models/addr.model.ts']);
+    });
+
+    it('falls back to the model or migration location when the primary one is outside the diff', () => {
+        const pair = finding(MODEL, 2, {
+            model: {file: `./${MODEL}`, line: 3},
+            migration: {file: MIGRATION, line: 22}
+        });
+
+        const {inline, outside} = mapFindingsToDiff([pair], diffs);
+
+        assert.deepEqual(inline.map(entry => [entry.path, entry.line]), [[MIGRATION, 22]]);
+        assert.deepEqual(outside, []);
+    });
+
+    it('falls back to the summary comment without a line or for a file not in the diff', () => {
+        const findings = [finding(MIGRATION, null), finding('src/models/user.model.ts', 4)];
+
+        const {inline, outside} = mapFindingsToDiff(findings, diffs);
+
+        assert.deepEqual(inline, []);
+        assert.deepEqual(outside, findings);
+    });
+});
@@ -0,0 +1,160 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {describe, it} = require('node:test');
+const {EvaluationError, StaticEvaluator, isSymbolic} = require('../evaluator');
+const {interpretMigration} = require('../migration-interpreter');
+const {parseModelFile} = require('../model-parser');
+const {parse} = require('../parser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+function evaluateModule(source) {
+    const evaluator = new StaticEvaluator(parse(source), {file: 'module.js'});
+    evaluator.runProgram();
+    return {exports: evaluator.getExports(), warnings: evaluator.warnings};
+}
+
+function migration(up) {
+    return interpretMigration('src/migrations/20240101000000-test.js', `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+${up}
+    },
+    down: async () => {}
+}
+`);
+}
+
+describe('StaticEvaluator', () => {
+    it('evaluates loops, destructuring, spreads, closures and template literals', () => {
+        const {exports} = evaluateModule(`
+const names = [];
+for (const [key, value] of Object.entries({ x: 1, y: 2 })) names.push(\`\${key}=\${value}\`);
+let total = 0;
+for (let i = 0; i < 4; i++) { if (i === 2) continue; total += i; }
+const doubled = [1, 2, 3].map(value => value * 2).filter(value => value > 2);
+const { a, ...rest } = { ...{ a: 1 }, b: 2, c: 3 };
+function label(kind = 'plain') { switch (kind) { case 'x': return 'ex'; default: return kind; } }
+module.exports = { names, total, doubled, a, rest, label: label(), check: a > 0 ? 'yes' : 'no' };
+`);
+
+        assert.deepEqual(exports, {
+            names: ['x=1', 'y=2'],
+            total: 4,
+            doubled: [4, 6],
+            a: 1,
+            rest: {b: 2, c: 3},
+            label: 'plain',
+            check: 'yes'
+        });
+    });
+
+    it('merges the default export into the ES module exports', () => {
+        const {exports} = evaluateModule('export default { answer: 6 * 7 };\nexport const tag = `v${1 + 1}`;');
+
+        assert.deepEqual(exports, {default: {answer: 42}, tag: 'v2', answer: 42});
+    });
+
+    it('keeps values only known at runtime symbolic', () => {
+        const {exports} = evaluateModule('module.exports = { env: process.env.NODE_ENV };');
+
+        assert.ok(isSymbolic(exports.env, 'ref'));
+        assert.equal(exports.env.name, 'process.env.NODE_ENV');
+    });
+
+    it('skips while loops with a warning', () => {
+        const {exports, warnings} = evaluateModule('let n = 0;\nwhile (n < 3) n++;\nmodule.exports = { n };');
+
+        assert.deepEqual(exports, {n: 0});
+        assert.deepEqual(warnings, [{message: 'Skipped WhileStatement that cannot be evaluated statically', line: 2}]);
+    });
+
+    it('stops a loop that does not end', () => {
+        assert.throws(() => evaluateModule('const a = 1;\nfor (let i = 0; ; i++) {}'), error => {
+            assert.ok(error instanceof EvaluationError);
+            assert.equal(error.line, 2);
+            return true;
+        });
+    });
+});
+
+describe('interpretMigration', () => {
+    const orders = interpretMigration('src/migrations/20240101000000-create-orders.js', fixture('20240101000000-create-orders.js'));
+
+    it('records the operations of loops, Promise.all and template literal names in order', () => {
+        assert.deepEqual(orders.warnings, []);
+        assert.deepEqual(orders.up.map(operation => [operation.type, operation.column || (operation.options && operation.options.name) || operation.table]), [
+            ['createTable', 'orders'],
+            ['addColumn', 'created_by'],
+            ['addColumn', 'updated_by'],
+            ['addColumn', 'line_1'],
+            ['addColumn', 'line_2'],
+            ['addIndex', 'idx_orders_status'],
+            ['addIndex', 'idx_orders_total'],
+            ['query', undefined]
+        ]);
+        assert.deepEqual(orders.down.map(operation => operation.type), ['dropTable']);
+    });
+
+    it('evaluates column definitions built from constants and spreads', () => {
+        const {columns} = orders.up[0];
+
+        assert.deepEqual(columns.status.type.values, ['pending', 'paid', 'shipped']);
+        assert.equal(columns.status.defaultValue, 'pending');
+        assert.deepEqual(columns.total.type.args, [10, 2]);
+        assert.equal(columns.total.line, 12);
+    });
+
+    it('interpolates constants into raw SQL', () => {
+        assert.equal(orders.up[7].sql, `COMMENT ON TABLE "orders" IS 'orders'`);
+    });
+
+    it('records operations inside a transaction callback', () => {
+        const {up} = migration(`
+        await queryInterface.sequelize.transaction(async (transaction) => {
+            await queryInterface.removeColumn('orders', 'legacy', { transaction })
+        })`);
+
+        assert.deepEqual(up.map(operation => [operation.type, operation.column]), [['removeColumn', 'legacy']]);
+    });
+});
+
+describe('parseModelFile', () => {
+    const {models, warnings} = parseModelFile('src/models/user.model.ts', fixture('user-model.ts'));
+    const [userModel] = models;
+    const attribute = (name) => userModel.attributes.find(entry => entry.name === name);
+
+    it('reads an export default class and its @Table options', () => {
+        assert.deepEqual(warnings, []);
+        assert.equal(models.length, 1);
+        assert.equal(userModel.name, 'User');
+        // `${PREFIX}s`
+        assert.equal(userModel.tableName, 'users');
+        assert.equal(userModel.settings.paranoid, true);
+    });
+
+    it('maps declare, definite and optional properties to attributes, but not getters or associations', () => {
+        assert.deepEqual(userModel.attributes.filter(entry => !entry.implicit).map(entry => entry.name),
+            ['id', 'email', 'role', 'meta', 'organizationId']);
+        assert.equal(attribute('id').column.primaryKey, true);
+        assert.deepEqual(attribute('email').column.type.args, [120]);
+        assert.equal(attribute('organizationId').columnName, 'org_id');
+    });
+
+    it('evaluates enum members in decorators', () => {
+        assert.deepEqual(attribute('role').column.type.values, ['admin', 'member']);
+        assert.equal(attribute('role').column.defaultValue, 'member');
+    });
+
+    it('keeps the TypeScript type of an attribute, generics included', () => {
+        assert.equal(attribute('meta').tsType, 'Record<string, Array<string>>');
+        assert.equal(attribute('role').tsType, 'UserRole');
+    });
+
+    it('adds the timestamp attributes the options enable', () => {
+        assert.deepEqual(userModel.attributes.filter(entry => entry.implicit).map(entry => entry.columnName),
+            ['created_at', 'updated_at', 'deleted_at']);
+    });
+});
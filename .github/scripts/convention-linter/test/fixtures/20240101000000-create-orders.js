@@ -0,0 +1,32 @@
+'use strict'
+
+const TABLE = 'orders'
+const STATUSES = ['pending', 'paid', 'shipped']
+const AUDITED = ['created_by', 'updated_by']
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable(TABLE, {
+            id: { type: Sequelize.UUID, primaryKey: true, allowNull: false },
+            status: { type: Sequelize.ENUM(...STATUSES), allowNull: false, defaultValue: STATUSES[0] },
+            total: { type: Sequelize.DECIMAL(10, 2), allowNull: false }
+        })
+
+        for (const column of AUDITED) {
+            await queryInterface.addColumn(TABLE, column, { type: Sequelize.UUID, allowNull: true })
+        }
+
+        for (let i = 1; i <= 2; i++) {
+            await queryInterface.addColumn(TABLE, `line_${i}`, { type: Sequelize.STRING(20) })
+        }
+
+        await Promise.all(['status', 'total'].map(field =>
+            queryInterface.addIndex(TABLE, [field], { name: `idx_${TABLE}_${field}` })
+        ))
+
+        await queryInterface.sequelize.query(`COMMENT ON TABLE "${TABLE}" IS 'orders'`)
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable(TABLE)
+    }
+}
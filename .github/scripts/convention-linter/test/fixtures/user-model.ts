@@ -0,0 +1,51 @@
+import { BelongsTo, Column, DataType, Default, ForeignKey, Model, Table } from 'sequelize-typescript';
+import { Organization } from './organization.model';
+
+export enum UserRole {
+    Admin = 'admin',
+    Member = 'member'
+}
+
+interface UserAttributes<TMeta = Record<string, unknown>> {
+    id: string;
+    meta?: TMeta;
+}
+
+type CreateUserParams = Omit<UserAttributes, 'id'>;
+
+const PREFIX = 'user';
+
+@Table({ tableName: `${PREFIX}s`, paranoid: true })
+export default class User extends Model<UserAttributes, CreateUserParams> {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+
+    @Column({ type: DataType.STRING(120), allowNull: false })
+    email!: string;
+
+    @Default(UserRole.Member)
+    @Column({ type: DataType.ENUM(...Object.values(UserRole)), allowNull: false })
+    role!: UserRole;
+
+    @Column(DataType.JSONB)
+    meta?: Record<string, Array<string>>;
+
+    @ForeignKey(() => Organization)
+    @Column({ type: DataType.UUID, field: 'org_id' })
+    organizationId!: string;
+
+    @BelongsTo(() => Organization)
+    organization?: Organization;
+
+    get displayName(): string {
+        return `${this.email} (${this.role})`;
+    }
+
+    set displayName(value: string) {
+        this.email = value as string;
+    }
+
+    static async findByEmail<T extends User>(this: { new (): T }, email: string): Promise<T | null> {
+        return null;
+    }
+}
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {checkAssociations} = require('../associations');
+const {planMigration, renderMigration} = require('../migration-generator');
+const {interpretMigration} = require('../migration-interpreter');
+const {parseModelFile} = require('../model-parser');
+const {replaySchema} = require('../schema-replay');
+
+const user = parseModelFile('src/models/user.model.ts', `import { Column, DataType, HasMany, Model, Table } from 'sequelize-typescript';
+import { Order } from './order.model';
+
+@Table({ tableName: 'users', timestamps: false })
+export class User extends Model {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+
+    @HasMany(() => Order, { onDelete: 'RESTRICT' })
+    declare orders: Order[];
+}
+`).models[0];
+
+const order = parseModelFile('src/models/order.model.ts', `import { BelongsTo, Column, DataType, ForeignKey, Model, Table } from 'sequelize-typescript';
+import { User } from './user.model';
+
+@Table({ tableName: 'orders', underscored: true, timestamps: false })
+export class Order extends Model {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+
+    @ForeignKey(() => User)
+    @Column({ type: DataType.UUID, allowNull: false })
+    declare userId: string;
+
+    @BelongsTo(() => User)
+    declare user: User;
+}
+`).models[0];
+
+const createUsers = interpretMigration('src/migrations/20240101000000-create-users.js', `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('users', {id: {type: Sequelize.UUID, primaryKey: true, allowNull: false}})
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('users')
+    }
+}
+`);
+
+/**
+ * The schema after `migrations` and the plan's rendered migration
+ */
+function replayWithPlan(migrations, plan) {
+    const generated = interpretMigration('src/migrations/20240201000000-generated.js', renderMigration(plan));
+    return replaySchema([...migrations, generated]);
+}
+
+describe('planMigration with associations', () => {
+    it('creates a foreign key column with references, onDelete and an index', () => {
+        const plan = planMigration(order, replaySchema([createUsers]), [user, order]);
+
+        assert.deepEqual(plan.createTable.columns.user_id.references, {model: 'users', key: 'id'});
+        assert.equal(plan.createTable.columns.user_id.onDelete, 'RESTRICT');
+        assert.deepEqual(plan.addIndexes.map(index => [index.name, index.fields]), [['orders_user_id', ['user_id']]]);
+        assert.deepEqual(plan.suggestions, ["declare @Index on 'userId' so that the model lists the foreign key index 'orders_user_id'"]);
+
+        assert.deepEqual(checkAssociations([user, order], replayWithPlan([createUsers], plan)), []);
+    });
+
+    it('adds a foreign key constraint to an existing column without one', () => {
+        const createOrders = interpretMigration('src/migrations/20240102000000-create-orders.js', `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('orders', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false},
+            user_id: {type: Sequelize.UUID, allowNull: false}
+        })
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('orders')
+    }
+}
+`);
+        const migrations = [createUsers, createOrders];
+        const plan = planMigration(order, replaySchema(migrations), [user, order]);
+
+        assert.deepEqual(plan.addConstraints, [{
+            name: 'orders_user_id_fkey',
+            fields: ['user_id'],
+            type: 'foreign key',
+            references: {table: 'users', field: 'id'},
+            onDelete: 'RESTRICT',
+            onUpdate: undefined
+        }]);
+        assert.deepEqual(checkAssociations([user, order], replayWithPlan(migrations, plan)), []);
+    });
+
+    it('defaults onDelete to what Sequelize uses for a nullable key', () => {
+        const withoutOrders = {...user, properties: user.properties.filter(property => property.name !== 'orders')};
+        const optional = {...order, attributes: order.attributes.map(attribute => (attribute.name === 'userId'
+            ? {...attribute, column: {...attribute.column, allowNull: true}}
+            : attribute))};
+
+        const plan = planMigration(optional, replaySchema([createUsers]), [withoutOrders, optional]);
+
+        assert.equal(plan.createTable.columns.user_id.onDelete, 'SET NULL');
+    });
+});
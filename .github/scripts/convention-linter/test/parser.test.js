@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {describe, it} = require('node:test');
+const {ParseError, parse, parseExpression, tokenize, walk} = require('../parser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+function userClass() {
+    const program = parse(fixture('user-model.ts'));
+    return program.body.find(statement => statement.type === 'ExportDefaultDeclaration').declaration;
+}
+
+function member(name, kind = 'property') {
+    return userClass().body.find(entry => entry.key.name === name && entry.kind === kind);
+}
+
+describe('parse', () => {
+    it('parses the top-level TypeScript declarations of a model', () => {
+        const program = parse(fixture('user-model.ts'));
+
+        assert.deepEqual(program.body.map(statement => statement.type), [
+            'ImportDeclaration',
+            'ImportDeclaration',
+            'ExportNamedDeclaration',
+            'TSInterfaceDeclaration',
+            'TSTypeAliasDeclaration',
+            'VariableDeclaration',
+            'ExportDefaultDeclaration'
+        ]);
+        assert.equal(program.body[2].declaration.type, 'TSEnumDeclaration');
+    });
+
+    it('parses an export default class with decorators and generic type arguments', () => {
+        const userModel = userClass();
+
+        assert.equal(userModel.type, 'ClassDeclaration');
+        assert.equal(userModel.id.name, 'User');
+        assert.equal(userModel.superClass.name, 'Model');
+        assert.equal(userModel.superTypeArguments.length, 2);
+        assert.deepEqual(userModel.decorators.map(decorator => decorator.expression.callee.name), ['Table']);
+    });
+
+    it('keeps the declare modifier and the definite and optional markers of properties', () => {
+        assert.deepEqual(member('id').modifiers, ['declare']);
+        assert.equal(member('email').definite, true);
+        assert.equal(member('meta').optional, true);
+        assert.equal(member('meta').definite, false);
+    });
+
+    it('parses getters, setters and generic static methods', () => {
+        assert.equal(member('displayName', 'get').type, 'MethodDefinition');
+        assert.equal(member('displayName', 'set').type, 'MethodDefinition');
+        assert.equal(member('findByEmail', 'method').static, true);
+    });
+
+    it('records the line of every node', () => {
+        assert.equal(member('email').loc.line, 24);
+        assert.equal(member('displayName', 'get').loc.line, 40);
+    });
+
+    it('parses template literals into quasis and expressions', () => {
+        const template = parseExpression('`${PREFIX}s`');
+
+        assert.equal(template.type, 'TemplateLiteral');
+        assert.deepEqual(template.quasis.map(quasi => quasi.value.cooked), ['', 's']);
+        assert.deepEqual(template.expressions.map(expression => expression.name), ['PREFIX']);
+    });
+
+    it('reports syntax errors with their line and column', () => {
+        assert.throws(() => parse('const ok = 1;\nconst broken = ;'), error => {
+            assert.ok(error instanceof ParseError);
+            assert.equal(error.line, 2);
+            assert.equal(error.column, 16);
+            return true;
+        });
+    });
+});
+
+describe('tokenize', () => {
+    it('collects comments apart from the tokens', () => {
+        const {tokens, comments} = tokenize('// leading\nconst a = 1; /* inline */');
+
+        assert.deepEqual(tokens.filter(token => token.type !== 'eof').map(token => token.value), ['const', 'a', '=', 1, ';']);
+        assert.equal(comments.length, 2);
+    });
+});
+
+describe('walk', () => {
+    it('visits every call of a migration, nested calls included', () => {
+        const calls = [];
+        walk(parse(fixture('20240101000000-create-orders.js')), node => {
+            if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+            const {object, property} = node.callee;
+            if (object.type === 'Identifier' && ['queryInterface', 'Promise'].includes(object.name)) {
+                calls.push(`${object.name}.${property.name}`);
+            }
+        });
+
+        assert.deepEqual([...new Set(calls)], [
+            'queryInterface.createTable',
+            'queryInterface.addColumn',
+            'Promise.all',
+            'queryInterface.addIndex',
+            'queryInterface.dropTable'
+        ]);
+    });
+});
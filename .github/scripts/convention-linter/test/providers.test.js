@@ -0,0 +1,250 @@
+const assert = require('node:assert/strict');
+const {execFileSync, spawnSync} = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {after, before, describe, it} = require('node:test');
+const {ProviderError, callProvider, parseRetryAfter, registerProvider} = require('../providers');
+const {planningProvider, providerChain, requestAIFindingsWithFailover} = require('../ai-requests');
+const {planBatches, promptBudget} = require('../prompt-batches');
+
+const RUNNER = path.join(__dirname, '..', '..', 'run-convention-linter.js');
+
+// Backoff without waiting, unless a test sets its own
+process.env.AI_RETRY_BASE_DELAY_MS = '1';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'convention-linter-providers-'));
+after(() => fs.rmSync(tmp, {recursive: true, force: true}));
+
+let mockCount = 0;
+
+/**
+ * Registers a mock provider replaying `responses`, and records the user
+ * prompts it is sent
+ */
+function mockProvider(responses, definition = {}) {
+    const id = `mock-${++mockCount}`;
+    const file = path.join(tmp, `${id}.json`);
+    fs.writeFileSync(file, JSON.stringify(responses));
+    const provider = registerProvider(id, {type: 'mock', options: {responses: file}, ...definition});
+    const {send} = provider.adapter;
+    provider.prompts = [];
+    provider.adapter = {...provider.adapter, send: (request, config) => {
+        provider.prompts.push(request.body.userPrompt);
+        return send(request, config);
+    }};
+    return provider;
+}
+
+describe('parseRetryAfter', () => {
+    it('reads seconds or an HTTP date as milliseconds', () => {
+        assert.equal(parseRetryAfter('2'), 2000);
+        assert.equal(parseRetryAfter('0.05'), 50);
+        const inOneMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+        assert.ok(inOneMinute > 58000 && inOneMinute <= 60000);
+        assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+    });
+
+    it('ignores a missing or unreadable header', () => {
+        assert.equal(parseRetryAfter(null), null);
+        assert.equal(parseRetryAfter(''), null);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
+
+describe('callProvider', () => {
+    it('retries a 429 after the Retry-After delay', async () => {
+        const provider = mockProvider([{error: {status: 429, retryAfter: '0.2'}}, '{"findings": []}']);
+
+        const started = Date.now();
+        assert.equal(await callProvider(provider, 'system', 'user', null), '{"findings": []}');
+
+        assert.equal(provider.prompts.length, 2);
+        assert.ok(Date.now() - started >= 190, 'waited for Retry-After');
+    });
+
+    it('gives up on a Retry-After longer than the longest retry delay', async () => {
+        process.env.AI_RETRY_MAX_DELAY_MS = '1000';
+        const provider = mockProvider([{error: {status: 429, retryAfter: '120'}}, '{"findings": []}']);
+
+        try {
+            await assert.rejects(callProvider(provider, 'system', 'user', null), error => {
+                assert.ok(error instanceof ProviderError);
+                assert.equal(error.status, 429);
+                assert.match(error.message, /Retry-After 120s exceeds the retry limit/);
+                return true;
+            });
+        } finally {
+            delete process.env.AI_RETRY_MAX_DELAY_MS;
+        }
+        assert.equal(provider.prompts.length, 1);
+    });
+
+    it('retries 5xx responses until one succeeds', async () => {
+        const provider = mockProvider([{error: {status: 502}}, {error: {status: 503}}, {findings: []}]);
+
+        assert.equal(await callProvider(provider, 'system', 'user', null), '{"findings":[]}');
+        assert.equal(provider.prompts.length, 3);
+    });
+
+    it('does not retry other client errors', async () => {
+        const provider = mockProvider([{error: {status: 401}}, '{"findings": []}']);
+
+        await assert.rejects(callProvider(provider, 'system', 'user', null), /status 401/);
+        assert.equal(provider.prompts.length, 1);
+    });
+
+    describe('against a server that does not answer', () => {
+        let server;
+        let requests = 0;
+
+        before(async () => {
+            server = http.createServer(() => requests++);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        after(() => {
+            server.closeAllConnections();
+            server.close();
+        });
+
+        it('times out every attempt and fails with a retryable error', async () => {
+            const provider = registerProvider('slow', {
+                type: 'openai-compatible',
+                endpoint: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+                timeoutMs: 100,
+                maxRetries: 1
+            });
+
+            await assert.rejects(callProvider(provider, 'system', 'user', null), error => {
+                assert.ok(error instanceof ProviderError);
+                assert.equal(error.retryable, true);
+                assert.equal(error.message, 'slow did not respond within 100ms');
+                return true;
+            });
+            assert.equal(requests, 2);
+        });
+    });
+});
+
+function migrationDiff(name) {
+    const file = `src/migrations/20240101000000-${name}.js`;
+    return {path: file, type: 'migration', fullContent: null, diff: `+await queryInterface.createTable('${name}', {})`};
+}
+
+/**
+ * Diff data of unrelated migrations, and a user prompt of just their diffs
+ */
+function diffDataOf(...names) {
+    const diffs = names.map(migrationDiff);
+    return {diffs, modelFiles: [], migrationFiles: diffs.map(fileInfo => fileInfo.path), otherFiles: [], pairs: [], relatedFiles: []};
+}
+const render = (diffData) => diffData.diffs.map(fileInfo => `${fileInfo.path}\n${fileInfo.diff}`).join('\n\n');
+
+describe('requestAIFindingsWithFailover', () => {
+    it('appends AI_PROVIDER_FALLBACKS to the chain once each', () => {
+        process.env.AI_PROVIDER_FALLBACKS = 'gemini, openai,github';
+        try {
+            assert.deepEqual(providerChain('github'), ['github', 'gemini', 'openai']);
+        } finally {
+            delete process.env.AI_PROVIDER_FALLBACKS;
+        }
+    });
+
+    it('skips a provider whose token is not set', async () => {
+        const withoutToken = mockProvider(['{"findings": []}'], {requiresToken: 'CONVENTION_LINTER_TEST_UNSET_TOKEN'});
+        const fallback = mockProvider(['{"findings": []}']);
+
+        const result = await requestAIFindingsWithFailover([withoutToken.id, fallback.id], 'system', diffDataOf('users'), render);
+
+        assert.equal(result.provider, fallback.id);
+        assert.deepEqual(result.findings, []);
+        assert.equal(withoutToken.prompts.length, 0);
+    });
+
+    it('fails over to the next provider when one keeps failing', async () => {
+        const failing = mockProvider([{error: {status: 500}}], {maxRetries: 1});
+        const fallback = mockProvider(['{"findings": []}']);
+
+        const result = await requestAIFindingsWithFailover([failing.id, fallback.id], 'system', diffDataOf('users'), render);
+
+        assert.equal(result.provider, fallback.id);
+        assert.equal(failing.prompts.length, 2);
+    });
+
+    it('lists why each provider failed when none answers', async () => {
+        const failing = mockProvider([{error: {status: 500, message: 'overloaded'}}], {maxRetries: 0});
+        const withoutToken = mockProvider(['{"findings": []}'], {requiresToken: 'CONVENTION_LINTER_TEST_UNSET_TOKEN'});
+
+        await assert.rejects(requestAIFindingsWithFailover([failing.id, withoutToken.id], 'system', diffDataOf('users'), render), {
+            message: `No AI provider could analyze the changes (${failing.id}: ${failing.id} API call failed ` +
+                `with status 500: overloaded; ${withoutToken.id}: CONVENTION_LINTER_TEST_UNSET_TOKEN is not set)`
+        });
+    });
+
+    it('splits the prompt again for a fallback with a smaller context window', async () => {
+        const failing = mockProvider([{error: {status: 500}}], {maxRetries: 0});
+        // 200 * 0.9 - 10 response tokens - 6 for the system prompt leave 164 characters
+        const small = mockProvider(['{"findings": []}'], {contextWindow: 200, maxTokens: 10, charsPerToken: 1});
+        const diffData = diffDataOf('users', 'orders');
+        assert.ok(render(diffData).length > 164);
+
+        const result = await requestAIFindingsWithFailover([failing.id, small.id], 'system', diffData, render);
+
+        assert.equal(result.provider, small.id);
+        assert.deepEqual(failing.prompts, [render(diffData)]);
+        assert.deepEqual(small.prompts.sort(), [render(diffDataOf('orders')), render(diffDataOf('users'))]);
+    });
+});
+
+describe('planningProvider', () => {
+    const large = mockProvider([], {contextWindow: 1000, maxTokens: 10, charsPerToken: 1});
+    const small = mockProvider([], {contextWindow: 200, maxTokens: 10, charsPerToken: 1});
+    const smallWithoutToken = mockProvider([], {contextWindow: 200, maxTokens: 10, charsPerToken: 1,
+        requiresToken: 'CONVENTION_LINTER_TEST_UNSET_TOKEN'});
+    const largeWithoutToken = mockProvider([], {contextWindow: 1000, maxTokens: 10, charsPerToken: 1,
+        requiresToken: 'CONVENTION_LINTER_TEST_UNSET_TOKEN'});
+
+    it('does not let a smaller fallback without a token shrink the batches of the first provider', () => {
+        const diffData = diffDataOf('users', 'orders');
+        const planner = planningProvider([large.id, smallWithoutToken.id]);
+
+        assert.equal(planner, large);
+        assert.deepEqual(planBatches(diffData, render, promptBudget(planner, 'system')), [{diffData, characters: render(diffData).length}]);
+        assert.equal(planBatches(diffData, render, promptBudget(smallWithoutToken, 'system')).length, 2);
+    });
+
+    it('sizes the prompts for the first provider with its token set', () => {
+        assert.equal(planningProvider([largeWithoutToken.id, small.id]), small);
+        assert.equal(promptBudget(small, 'system'), 164);
+    });
+});
+
+describe('the runner when no provider answers', () => {
+    it('exits 2, not 1', () => {
+        const repo = path.join(tmp, 'repo');
+        fs.mkdirSync(path.join(repo, 'src', 'models'), {recursive: true});
+        execFileSync('git', ['init', '-q'], {cwd: repo});
+        fs.cpSync(path.join(__dirname, '..', '..', '..', 'prompts'), path.join(repo, '.github', 'prompts'), {recursive: true});
+        fs.writeFileSync(path.join(repo, 'src', 'models', 'user.model.ts'), 'export class User {}\n');
+        const responses = path.join(tmp, 'failing.json');
+        fs.writeFileSync(responses, JSON.stringify([{error: {status: 503}}]));
+
+        const run = spawnSync(process.execPath, [RUNNER, '--provider', 'mock', 'src/models/user.model.ts'], {
+            cwd: repo,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: {
+                ...process.env,
+                AI_MOCK_RESPONSES: responses,
+                AI_MAX_RETRIES: '0',
+                AI_CACHE: 'false',
+                STATIC_ANALYSIS: 'false'
+            }
+        });
+
+        assert.equal(run.status, 2, run.stdout + run.stderr);
+        assert.match(run.stderr, /The convention linter could not run: No AI provider could analyze the changes/);
+    });
+});
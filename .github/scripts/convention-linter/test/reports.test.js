@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {SEVERITY, createFinding} = require('../findings');
+const {toJUnit, toSarif} = require('../reports');
+
+const MODEL = 'src/models/user.model.ts';
+const MIGRATION = 'src/migrations/20240101000000-create-users.js';
+
+const typeMismatch = createFinding({
+    category: 'Data Type Mismatch',
+    rule: 'column-type-match',
+    message: "Type mismatch for 'email'",
+    model: {file: MODEL, line: 12, detail: 'STRING(120)'},
+    migration: {file: MIGRATION, line: 8, detail: 'STRING(255)'},
+    impact: 'Values over 120 characters fail validation',
+    fix: 'Use STRING(120) in the migration'
+});
+const pluralWarning = createFinding({
+    category: 'Naming Convention',
+    rule: 'table-name-plural',
+    severity: SEVERITY.WARNING,
+    message: "Table 'user' should be plural",
+    file: MODEL,
+    line: 3
+});
+const customRule = createFinding({
+    category: 'Migration Safety',
+    rule: 'team-specific-rule',
+    message: 'Not a built-in rule',
+    file: MIGRATION,
+    line: 2
+});
+
+const config = {rules: {'table-name-snake-case': {enabled: false}}, overrides: []};
+
+describe('toSarif', () => {
+    const [run] = toSarif([typeMismatch, pluralWarning, customRule], config).runs;
+    const {rules} = run.tool.driver;
+
+    it('lists the enabled rules and every other rule a finding cites', () => {
+        assert.ok(!rules.some(rule => rule.id === 'table-name-snake-case'));
+        assert.equal(rules[rules.length - 1].id, 'team-specific-rule');
+        assert.equal(new Set(rules.map(rule => rule.id)).size, rules.length);
+    });
+
+    it('points each result at its rule by ruleIndex', () => {
+        for (const result of run.results) {
+            assert.equal(rules[result.ruleIndex].id, result.ruleId);
+        }
+        assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+            ['column-type-match', 'error'],
+            ['table-name-plural', 'warning'],
+            ['team-specific-rule', 'error']
+        ]);
+    });
+
+    it('locates a result on the migration and relates the model', () => {
+        const [result] = run.results;
+
+        assert.deepEqual(result.locations, [{
+            physicalLocation: {artifactLocation: {uri: MIGRATION, uriBaseId: '%SRCROOT%'}, region: {startLine: 8}}
+        }]);
+        assert.deepEqual(result.relatedLocations, [{
+            id: 0,
+            physicalLocation: {artifactLocation: {uri: MODEL, uriBaseId: '%SRCROOT%'}, region: {startLine: 12}},
+            message: {text: 'STRING(120)'}
+        }]);
+        assert.equal(result.message.text,
+            "Type mismatch for 'email'\nImpact: Values over 120 characters fail validation\nFix: Use STRING(120) in the migration");
+        assert.equal(run.results[1].relatedLocations, undefined);
+    });
+
+    it('marks a run that could not complete as unsuccessful', () => {
+        const failed = toSarif([], config, {error: new Error('No AI provider could analyze the changes')}).runs[0];
+
+        assert.deepEqual(run.invocations, [{executionSuccessful: true, toolExecutionNotifications: []}]);
+        assert.deepEqual(failed.invocations, [{
+            executionSuccessful: false,
+            toolExecutionNotifications: [{level: 'error', message: {text: 'No AI provider could analyze the changes'}}]
+        }]);
+    });
+});
+
+describe('toJUnit', () => {
+    const counts = (xml) => [...xml.matchAll(/<(testsuites?) [^>]*?tests="(\d+)" failures="(\d+)" errors="(\d+)"/g)]
+        .map(match => match.slice(1).join(' '));
+
+    it('counts a test case per linted file, failing the files with errors', () => {
+        const xml = toJUnit([typeMismatch, pluralWarning], [MODEL, MIGRATION, 'src/models/order.model.ts']);
+
+        assert.deepEqual(counts(xml), ['testsuites 3 1 0', 'testsuite 3 1 0']);
+        assert.match(xml, new RegExp(`<testcase classname="convention-linter" name="${MIGRATION}">\\n` +
+            `      <failure message="Type mismatch for 'email'" type="column-type-match">`));
+        assert.match(xml, /<system-out>WARNING \[table-name-plural\] src\/models\/user\.model\.ts:3 /);
+        assert.match(xml, /<testcase classname="convention-linter" name="src\/models\/order\.model\.ts"\/>/);
+    });
+
+    it('adds an erroring case for a run that could not complete', () => {
+        const xml = toJUnit([], [MODEL], {error: new Error('Prompt templates missing\nsee --help')});
+
+        assert.deepEqual(counts(xml), ['testsuites 2 0 1', 'testsuite 2 0 1']);
+        assert.match(xml, /<error message="Prompt templates missing">Prompt templates missing\nsee --help<\/error>/);
+    });
+
+    it('escapes XML and strips the control characters XML cannot contain', () => {
+        const finding = createFinding({
+            category: 'Migration Safety',
+            rule: 'migration-reversible',
+            message: 'down() drops "a" & <b>\u0000\u0007\u001B\tnow',
+            file: MIGRATION,
+            line: 1
+        });
+
+        const xml = toJUnit([finding], []);
+
+        assert.match(xml, /<failure message="down\(\) drops &quot;a&quot; &amp; &lt;b&gt;\tnow" type="migration-reversible">/);
+        assert.doesNotMatch(xml, /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/);
+    });
+});
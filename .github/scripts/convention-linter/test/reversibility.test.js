@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {interpretMigration} = require('../migration-interpreter');
+const {checkMigrationReversibility} = require('../reversibility');
+const {replaySchema} = require('../schema-replay');
+
+function migration(file, up, down) {
+    return interpretMigration(file, `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+${up}
+    },
+    down: async (queryInterface, Sequelize) => {
+${down}
+    }
+}
+`);
+}
+
+const createAddresses = migration('src/migrations/20240101000000-addresses.js', `
+        await queryInterface.createTable('addresses', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false},
+            county_fips: {type: Sequelize.ENUM('001', '003'), allowNull: false}
+        })`, `
+        await queryInterface.dropTable('addresses')`);
+
+function messages(findings) {
+    return findings.map(finding => finding.message);
+}
+
+describe('checkMigrationReversibility', () => {
+    it('accepts a down() that leaves enum values added to an ENUM column in place', () => {
+        const addValue = migration('src/migrations/20240201000000-add-county-fips.js', `
+        await queryInterface.sequelize.query(\`ALTER TYPE "enum_addresses_county_fips" ADD VALUE '005'\`)`, '');
+
+        const findings = checkMigrationReversibility(addValue, replaySchema([createAddresses]));
+
+        assert.deepEqual(messages(findings), []);
+    });
+
+    it('reports a column whose definition changes beyond added enum values', () => {
+        const change = migration('src/migrations/20240201000000-change-county-fips.js', `
+        await queryInterface.changeColumn('addresses', 'county_fips', {
+            type: Sequelize.ENUM('001', '003', '005'),
+            allowNull: true
+        })`, '');
+
+        const findings = checkMigrationReversibility(change, replaySchema([createAddresses]));
+
+        assert.deepEqual(messages(findings), [
+            "down() does not restore column 'addresses.county_fips': was ENUM(001, 003) NOT NULL no default, " +
+                'after rollback ENUM(001, 003, 005) NULL no default'
+        ]);
+    });
+});
+
+describe('checkMigrationReversibility of renames', () => {
+    it('reports the renameColumn of up() and its line for a column down() leaves behind', () => {
+        const rename = migration('src/migrations/20240201000000-rename-county-fips.js', `
+        await queryInterface.renameColumn('addresses', 'county_fips', 'fips_code')`, '');
+
+        const findings = checkMigrationReversibility(rename, replaySchema([createAddresses]));
+        const leftBehind = findings.find(finding => finding.message.includes('behind'));
+
+        assert.equal(leftBehind.message,
+            "down() leaves column 'addresses.fips_code' behind: up() renameColumn('addresses', 'county_fips', 'fips_code') is never undone");
+        assert.equal(leftBehind.file, 'src/migrations/20240201000000-rename-county-fips.js');
+        assert.equal(leftBehind.line, 6);
+        assert.equal(leftBehind.fix, "Add renameColumn('addresses', 'fips_code', 'county_fips') to down()");
+    });
+});
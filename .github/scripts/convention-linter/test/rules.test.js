@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const {SEVERITY, createFinding} = require('../findings');
+const {applyRules} = require('../rules');
+
+const noSource = () => null;
+
+function finding(rule, severity) {
+    return createFinding({
+        category: 'Naming Convention',
+        rule,
+        severity,
+        message: `${rule} finding`,
+        file: 'src/models/user.model.ts',
+        line: 1
+    });
+}
+
+describe('applyRules', () => {
+    it('uses the configured severity', () => {
+        const config = {rules: {'table-name-plural': {severity: SEVERITY.ERROR}}, overrides: []};
+
+        const [applied] = applyRules([finding('table-name-plural', SEVERITY.WARNING)], config, noSource);
+
+        assert.equal(applied.severity, SEVERITY.ERROR);
+    });
+
+    it('falls back to the built-in rule severity over the one the finding chose', () => {
+        const config = {rules: {}, overrides: []};
+
+        const applied = applyRules([
+            finding('table-name-plural', SEVERITY.ERROR),
+            finding('column-type-match', SEVERITY.WARNING)
+        ], config, noSource);
+
+        assert.deepEqual(applied.map(entry => entry.severity), [SEVERITY.WARNING, SEVERITY.ERROR]);
+    });
+
+    it('keeps the severity of a finding for a rule it does not know', () => {
+        const config = {rules: {}, overrides: []};
+
+        const [applied] = applyRules([finding('custom-rule', SEVERITY.WARNING)], config, noSource);
+
+        assert.equal(applied.severity, SEVERITY.WARNING);
+    });
+
+    it('keeps pre-existing drift a warning whatever the rule severity', () => {
+        const config = {rules: {'index-parity': {severity: SEVERITY.ERROR}}, overrides: []};
+
+        const [applied] = applyRules([{...finding('index-parity', SEVERITY.WARNING), preExisting: true}], config, noSource);
+
+        assert.equal(applied.severity, SEVERITY.WARNING);
+    });
+});
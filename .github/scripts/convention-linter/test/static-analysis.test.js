@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const {describe, it} = require('node:test');
+const {SEVERITY} = require('../findings');
+const {runStaticAnalysis} = require('../static-analysis');
+
+const ADDRESS_MODEL = 'src/models/address.model.ts';
+const USER_MODEL = 'src/models/user.model.ts';
+
+const files = {
+    [ADDRESS_MODEL]: `import { Column, DataType, Model, Table } from 'sequelize-typescript';
+
+@Table({ tableName: 'addresses', timestamps: false })
+export class Address extends Model {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+}
+`,
+    [USER_MODEL]: `import { Column, DataType, Model, Table } from 'sequelize-typescript';
+
+@Table({ tableName: 'users', timestamps: false })
+export class User extends Model {
+    @Column({ type: DataType.UUID, primaryKey: true, allowNull: false })
+    declare id: string;
+
+    @Column({ type: DataType.STRING(120), allowNull: false })
+    declare email: string;
+}
+`,
+    // Drift an older migration left: a column the Address model does not have
+    'src/migrations/20240101000000-create-addresses.js': `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('addresses', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false},
+            legacy_code: {type: Sequelize.STRING, allowNull: true}
+        })
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('addresses')
+    }
+}
+`,
+    'src/migrations/20240201000000-create-users.js': `'use strict'
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('users', {
+            id: {type: Sequelize.UUID, primaryKey: true, allowNull: false},
+            email: {type: Sequelize.STRING(255), allowNull: false}
+        })
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('users')
+    }
+}
+`
+};
+
+// The project read from memory instead of the checkout
+const tree = {
+    list: (dir) => Object.keys(files).filter(file => file.startsWith(`${path.normalize(dir)}/`)).sort(),
+    read: (file) => files[path.normalize(file)] || null
+};
+
+function analyze(...changed) {
+    const diffs = changed.map(file => ({
+        path: file,
+        type: file.includes('/models/') ? 'model' : 'migration',
+        fullContent: files[file]
+    }));
+    return runStaticAnalysis({diffs}, {tree}).findings;
+}
+
+const about = (findings, table) => findings.filter(finding => finding.message.includes(table));
+
+describe('runStaticAnalysis with the migration history', () => {
+    it('blocks on drift in a table the change touches', () => {
+        const [typeMismatch] = about(analyze(USER_MODEL), 'email');
+
+        assert.equal(typeMismatch.severity, SEVERITY.ERROR);
+        assert.equal(typeMismatch.preExisting, undefined);
+    });
+
+    it('reports drift in a table the change does not touch as pre-existing warnings', () => {
+        const [legacy] = about(analyze(USER_MODEL), 'legacy_code');
+
+        assert.equal(legacy.severity, SEVERITY.WARNING);
+        assert.equal(legacy.preExisting, true);
+    });
+
+    it('blocks on the older drift once a migration changes its table', () => {
+        const [legacy] = about(analyze('src/migrations/20240101000000-create-addresses.js'), 'legacy_code');
+
+        assert.equal(legacy.severity, SEVERITY.ERROR);
+        assert.equal(legacy.preExisting, undefined);
+    });
+});
@@ -0,0 +1,444 @@
+// Converts TypeScript types to JSON Schema (draft-07), used to type JSONB
+// columns after the property type of their model attribute. Declarations are
+// looked up in the model file, the project modules it imports and the `.d.ts`
+// files of installed packages; types that cannot be found accept any value
+// and are listed in `unresolved`.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {parse} = require('./parser');
+const {PROJECT_ALIAS} = require('./enum-sources');
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+const SOURCE_EXTENSIONS = ['.ts', '.d.ts', '/index.ts', '/index.d.ts'];
+// Guards against alias and re-export cycles
+const MAX_DEPTH = 32;
+
+const PRIMITIVES = {
+    string: {type: 'string'},
+    number: {type: 'number'},
+    bigint: {type: 'integer'},
+    boolean: {type: 'boolean'},
+    null: {type: 'null'},
+    object: {type: 'object'},
+    String: {type: 'string'},
+    Number: {type: 'number'},
+    Boolean: {type: 'boolean'},
+    Object: {type: 'object'},
+    Date: {type: 'string', format: 'date-time'}
+};
+
+function readFile(file) {
+    try {
+        return fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function findSource(base) {
+    const stripped = base.replace(/(\.d)?\.[jt]s$/, '');
+    for (const extension of SOURCE_EXTENSIONS) {
+        const file = stripped + extension;
+        const content = readFile(file);
+        if (content !== null) return {file: path.normalize(file), content};
+    }
+    return null;
+}
+
+/**
+ * Type entry point of an installed package, or of its `@types` package
+ */
+function packageSource(specifier) {
+    const parts = specifier.split('/');
+    const scoped = specifier.startsWith('@');
+    const name = parts.slice(0, scoped ? 2 : 1).join('/');
+    const subpath = parts.slice(scoped ? 2 : 1).join('/');
+    const roots = [
+        path.join('node_modules', name),
+        path.join('node_modules', '@types', scoped ? name.slice(1).replace('/', '__') : name)
+    ];
+    for (const root of roots) {
+        if (subpath) {
+            const found = findSource(path.join(root, subpath));
+            if (found) return found;
+            continue;
+        }
+        let entry = null;
+        try {
+            const manifest = JSON.parse(readFile(path.join(root, 'package.json')) || '{}');
+            entry = manifest.types || manifest.typings || null;
+        } catch (error) {
+            entry = null;
+        }
+        const found = (entry && findSource(path.join(root, entry))) || findSource(path.join(root, 'index'));
+        if (found) return found;
+    }
+    return null;
+}
+
+function sourceFor(specifier, fromFile) {
+    if (specifier.startsWith(PROJECT_ALIAS.prefix)) {
+        return findSource(path.join(PROJECT_ALIAS.directory, specifier.slice(PROJECT_ALIAS.prefix.length)));
+    }
+    if (specifier.startsWith('.')) return findSource(path.join(path.dirname(fromFile), specifier));
+    return packageSource(specifier);
+}
+
+function keyName(key) {
+    return key.type === 'Identifier' ? key.name : String(key.value);
+}
+
+const DECLARATIONS = new Set(['TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'ClassDeclaration', 'TSEnumDeclaration']);
+
+/**
+ * Names a statement list declares or imports: `{ file, parent, declarations, stars }`.
+ * Namespaces get a scope of their own.
+ */
+function collectScope(statements, file, parent = null) {
+    const scope = {file, parent, declarations: new Map(), stars: [], exportAssignment: null};
+    const declare = (name, entry) => {
+        if (!scope.declarations.has(name)) scope.declarations.set(name, entry);
+    };
+
+    for (const statement of statements) {
+        const exported = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration';
+        const node = exported && statement.declaration ? statement.declaration : statement;
+
+        if (DECLARATIONS.has(node.type) && node.id) {
+            declare(node.id.name, {node, scope});
+            if (statement.type === 'ExportDefaultDeclaration') declare('default', {node, scope});
+        } else if (node.type === 'TSModuleDeclaration' && node.id.type === 'Identifier' && node.body) {
+            // `namespace a.b { ... }` nests `b` in `a`
+            const names = node.id.name.split('.');
+            let outer = scope;
+            for (const name of names.slice(0, -1)) {
+                const namespace = {namespace: collectScope([], file, outer)};
+                if (!outer.declarations.has(name)) outer.declarations.set(name, namespace);
+                outer = outer.declarations.get(name).namespace || namespace.namespace;
+            }
+            const inner = collectScope(node.body.body, file, outer);
+            const last = names[names.length - 1];
+            if (!outer.declarations.has(last)) outer.declarations.set(last, {namespace: inner});
+        } else if (node.type === 'ImportDeclaration') {
+            for (const specifier of node.specifiers) {
+                const name = specifier.type === 'ImportSpecifier' ? keyName(specifier.imported)
+                    : specifier.type === 'ImportDefaultSpecifier' ? 'default' : '*';
+                declare(specifier.local.name, {import: {source: node.source.value, name}, scope});
+            }
+        } else if (node.type === 'TSImportEqualsDeclaration') {
+            const reference = node.moduleReference;
+            if (reference.type === 'CallExpression' && reference.arguments[0] && typeof reference.arguments[0].value === 'string') {
+                declare(node.id.name, {import: {source: reference.arguments[0].value, name: '*'}, scope});
+            }
+        } else if (node.type === 'ExportNamedDeclaration') {
+            for (const specifier of node.specifiers) {
+                const entry = node.source
+                    ? {import: {source: node.source.value, name: specifier.local.name}, scope}
+                    : {alias: specifier.local.name, scope};
+                declare(specifier.exported.name, entry);
+            }
+        } else if (node.type === 'ExportAllDeclaration') {
+            if (node.exported) declare(node.exported.name, {import: {source: node.source.value, name: '*'}, scope});
+            else scope.stars.push(node.source.value);
+        } else if (node.type === 'TSExportAssignment' && node.expression.type === 'Identifier') {
+            scope.exportAssignment = node.expression.name;
+        }
+    }
+    return scope;
+}
+
+/**
+ * Builds JSON Schemas from TypeScript type annotations. Named interfaces,
+ * classes and aliases become `definitions`; generic ones are inlined.
+ */
+class SchemaBuilder {
+    constructor() {
+        this.modules = new Map();
+        this.definitions = {};
+        this.definitionNames = new Map();
+        this.unresolved = new Set();
+        // Declaration the root schema expands; references to it become `#`
+        this.root = null;
+    }
+
+    loadModule(specifier, fromFile) {
+        const found = sourceFor(specifier, fromFile);
+        if (!found) return null;
+        if (!this.modules.has(found.file)) {
+            let scope = null;
+            try {
+                scope = collectScope(parse(found.content).body, found.file);
+            } catch (error) {
+                scope = null;
+            }
+            this.modules.set(found.file, scope);
+        }
+        return this.modules.get(found.file);
+    }
+
+    /**
+     * Follows imports and aliases to a declaration (`{ node, scope }`) or a
+     * namespace (`{ namespace }`)
+     */
+    settle(entry, depth) {
+        if (!entry || depth > MAX_DEPTH) return null;
+        if (entry.alias) return this.lookup(entry.scope, entry.alias, depth + 1);
+        if (entry.import) {
+            const module = this.loadModule(entry.import.source, entry.scope.file);
+            if (!module) return null;
+            return entry.import.name === '*' ? {namespace: module} : this.exportOf(module, entry.import.name, depth + 1);
+        }
+        return entry;
+    }
+
+    exportOf(scope, name, depth) {
+        if (depth > MAX_DEPTH) return null;
+        if (scope.exportAssignment) {
+            return this.member(this.lookup(scope, scope.exportAssignment, depth + 1), name, depth + 1);
+        }
+        const own = this.settle(scope.declarations.get(name), depth + 1);
+        if (own) return own;
+        for (const star of scope.stars) {
+            const module = this.loadModule(star, scope.file);
+            const found = module && this.exportOf(module, name, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    member(target, name, depth) {
+        return target && target.namespace ? this.exportOf(target.namespace, name, depth) : null;
+    }
+
+    lookup(scope, name, depth = 0) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.declarations.has(name)) return this.settle(current.declarations.get(name), depth + 1);
+        }
+        return null;
+    }
+
+    resolveName(scope, qualifiedName) {
+        const [head, ...rest] = qualifiedName.split('.');
+        let target = this.lookup(scope, head);
+        for (const part of rest) target = this.member(target, part, 0);
+        return target && target.node ? target : null;
+    }
+
+    convert(type, scope, params, inline = false) {
+        if (!type) return {};
+        switch (type.type) {
+            case 'TSKeyword':
+                return {...(PRIMITIVES[type.keyword] || {})};
+            case 'TSLiteralType':
+                // Template literal types with placeholders only fix the string's shape
+                return /^`[^]*\$\{/.test(type.text) ? {type: 'string'} : {const: type.literal};
+            case 'TSParenthesizedType':
+                return this.convert(type.typeAnnotation, scope, params, inline);
+            case 'TSTypeOperator':
+                return type.operator === 'keyof' ? {type: 'string'} : this.convert(type.typeAnnotation, scope, params, inline);
+            case 'TSArrayType':
+                return {type: 'array', items: this.convert(type.elementType, scope, params)};
+            case 'TSTupleType': {
+                const items = type.elementTypes.map(element => this.convert(element, scope, params));
+                return {type: 'array', items, minItems: items.length, maxItems: items.length};
+            }
+            case 'TSUnionType':
+                return this.union(type.types, scope, params);
+            case 'TSIntersectionType':
+                return {allOf: type.types.map(member => this.convert(member, scope, params))};
+            case 'TSTypeLiteral':
+                return this.objectSchema(type.members, scope, params);
+            case 'TSMappedType':
+                return {type: 'object', additionalProperties: this.convert(type.typeAnnotation, scope, params)};
+            case 'TSTypeReference':
+                return this.reference(type, scope, params, inline);
+            default:
+                // Functions, conditional and indexed access types have no JSON shape
+                return {};
+        }
+    }
+
+    union(types, scope, params) {
+        const members = types
+            .filter(member => !(member.type === 'TSKeyword' && (member.keyword === 'undefined' || member.keyword === 'void')))
+            .map(member => this.convert(member, scope, params));
+        if (members.length === 1) return members[0];
+        if (members.every(member => 'const' in member || member.type === 'null')) {
+            return {enum: members.map(member => ('const' in member ? member.const : null))};
+        }
+        if (members.every(member => Object.keys(member).length === 1 && typeof member.type === 'string')) {
+            return {type: [...new Set(members.map(member => member.type))]};
+        }
+        return {anyOf: members};
+    }
+
+    objectSchema(members, scope, params) {
+        const schema = {type: 'object', properties: {}, required: []};
+        for (const member of members) {
+            if (member.type === 'TSIndexSignature') {
+                schema.additionalProperties = this.convert(member.typeAnnotation, scope, params);
+                continue;
+            }
+            const property = member.type === 'TSPropertySignature' || (member.type === 'PropertyDefinition' && !member.static);
+            if (!property || member.computed || !member.key) continue;
+            const name = keyName(member.key);
+            schema.properties[name] = this.convert(member.typeAnnotation, scope, params);
+            const optionalType = member.typeAnnotation && member.typeAnnotation.type === 'TSUnionType' &&
+                member.typeAnnotation.types.some(option => option.type === 'TSKeyword' && option.keyword === 'undefined');
+            if (!member.optional && !optionalType) schema.required.push(name);
+        }
+        if (schema.required.length === 0) delete schema.required;
+        return schema;
+    }
+
+    /**
+     * The object schema behind a `$ref`, for heritage and utility types
+     */
+    dereference(schema) {
+        if (!schema.$ref) return schema;
+        return this.definitions[schema.$ref.slice('#/definitions/'.length)] || {};
+    }
+
+    builtin(name, args, scope, params) {
+        const arg = (index) => this.convert(args[index], scope, params);
+        switch (name) {
+            case 'Array':
+            case 'ReadonlyArray':
+                return {type: 'array', items: arg(0)};
+            case 'Record':
+                return {type: 'object', additionalProperties: arg(1)};
+            case 'Partial': {
+                const {required, ...rest} = this.dereference(this.convert(args[0], scope, params, true));
+                return rest;
+            }
+            case 'Required':
+            case 'Readonly':
+            case 'NonNullable':
+                return this.convert(args[0], scope, params, true);
+            case 'Pick':
+            case 'Omit': {
+                const schema = {...this.dereference(this.convert(args[0], scope, params, true))};
+                const keys = this.union([args[1]], scope, params);
+                const listed = keys.enum || ('const' in keys ? [keys.const] : []);
+                const keep = key => (name === 'Pick') === listed.includes(key);
+                schema.properties = Object.fromEntries(Object.entries(schema.properties || {}).filter(([key]) => keep(key)));
+                if (schema.required) schema.required = schema.required.filter(keep);
+                return schema;
+            }
+            default:
+                return null;
+        }
+    }
+
+    reference(type, scope, params, inline) {
+        const name = type.typeName;
+        const args = type.typeArguments || [];
+        if (params.has(name)) return params.get(name);
+
+        const declaration = this.resolveName(scope, name);
+        if (!declaration) {
+            if (PRIMITIVES[name]) return {...PRIMITIVES[name]};
+            const builtin = this.builtin(name, args, scope, params);
+            if (builtin) return builtin;
+            this.unresolved.add(name);
+            return {};
+        }
+
+        const {node} = declaration;
+        if (node.type === 'TSEnumDeclaration') return {enum: enumValues(node)};
+
+        const typeParameters = node.typeParameters || [];
+        const bound = new Map(typeParameters.map((parameter, index) => [
+            parameter.name,
+            args[index] ? this.convert(args[index], scope, params) : this.convert(parameter.default, declaration.scope, new Map())
+        ]));
+        if (node === this.root && !inline) return {$ref: '#'};
+        if (inline || typeParameters.length > 0) return this.expand(declaration, bound);
+
+        if (!this.definitionNames.has(node)) {
+            let definition = node.id.name;
+            for (let suffix = 2; definition in this.definitions; suffix++) definition = `${node.id.name}${suffix}`;
+            this.definitionNames.set(node, definition);
+            // Placeholder first so recursive types reference it
+            this.definitions[definition] = {};
+            Object.assign(this.definitions[definition], this.expand(declaration, bound));
+        }
+        return {$ref: `#/definitions/${this.definitionNames.get(node)}`};
+    }
+
+    /**
+     * Schema of an interface, class or alias declaration
+     */
+    expand({node, scope}, params) {
+        if (node.type === 'TSTypeAliasDeclaration') return this.convert(node.typeAnnotation, scope, params, true);
+
+        const members = node.type === 'ClassDeclaration' ? node.body : node.body.members;
+        const schema = this.objectSchema(members, scope, params);
+        const heritage = node.type === 'ClassDeclaration'
+            ? (node.superClass ? [{type: 'TSTypeReference', typeName: entityName(node.superClass), typeArguments: null}] : [])
+            : node.extends;
+        for (const base of heritage) {
+            if (!base.typeName) continue;
+            const inherited = this.dereference(this.convert(base, scope, params, true));
+            schema.properties = {...inherited.properties, ...schema.properties};
+            const required = [...new Set([...(inherited.required || []), ...(schema.required || [])])];
+            if (required.length > 0) schema.required = required;
+        }
+        return schema;
+    }
+}
+
+function entityName(expression) {
+    if (expression.type === 'Identifier') return expression.name;
+    if (expression.type === 'MemberExpression') return `${entityName(expression.object)}.${expression.property.name}`;
+    return '';
+}
+
+function enumValues(node) {
+    const values = [];
+    let next = 0;
+    for (const member of node.members) {
+        const initializer = member.initializer;
+        if (initializer && initializer.type === 'Literal') {
+            values.push(initializer.value);
+            if (typeof initializer.value === 'number') next = initializer.value + 1;
+        } else if (initializer && initializer.type === 'UnaryExpression' && initializer.operator === '-' && typeof initializer.argument.value === 'number') {
+            values.push(-initializer.argument.value);
+            next = -initializer.argument.value + 1;
+        } else {
+            values.push(next++);
+        }
+    }
+    return values;
+}
+
+/**
+ * JSON Schema of a type annotation in `file`: `{ schema, unresolved }`.
+ * `program` is the already parsed file, when the caller has it.
+ */
+function typeToJsonSchema(typeNode, file, program = null) {
+    const builder = new SchemaBuilder();
+    const scope = collectScope((program || parse(fs.readFileSync(file, 'utf8'))).body, file);
+    if (typeNode && typeNode.type === 'TSTypeReference') {
+        const root = builder.resolveName(scope, typeNode.typeName);
+        builder.root = root ? root.node : null;
+    }
+    const schema = builder.convert(typeNode, scope, new Map(), true);
+    if (Object.keys(builder.definitions).length > 0) schema.definitions = builder.definitions;
+    return {schema, unresolved: [...builder.unresolved].sort()};
+}
+
+/**
+ * Short fingerprint of a schema; changes whenever the type it came from does
+ */
+function schemaHash(schema) {
+    return crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+    JSON_SCHEMA_DRAFT,
+    schemaHash,
+    typeToJsonSchema
+};
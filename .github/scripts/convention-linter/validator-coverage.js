@@ -0,0 +1,339 @@
+// Validator coverage: lists the validators of every model attribute
+// (`validate: {...}` and sequelize-typescript decorators such as `@IsUUID(4)`)
+// and checks whether the database enforces an equivalent rule through the
+// column type, an ENUM, a length-limited VARCHAR, NOT NULL, a unique index or
+// a CHECK constraint. Gaps come with the CHECK expression that closes them.
+
+const {isPlainObject, isSymbolic} = require('./evaluator');
+const {SEVERITY, createFinding} = require('./findings');
+const {toSnakeCase} = require('./naming');
+const {effectiveAllowNull} = require('./schema');
+
+const INTEGER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT'];
+const NUMERIC_TYPES = [...INTEGER_TYPES, 'DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL'];
+const DATE_TYPES = ['DATE', 'DATEONLY'];
+const LENGTH_TYPES = ['STRING', 'CHAR'];
+const JSON_TYPES = ['JSON', 'JSONB'];
+
+// sequelize-typescript validator decorators and the validator each applies
+const DECORATOR_VALIDATORS = {
+    IsUUID: 'isUUID', IsEmail: 'isEmail', IsUrl: 'isUrl', IsIP: 'isIP', IsIPv4: 'isIPv4', IsIPv6: 'isIPv6',
+    IsAlpha: 'isAlpha', IsAlphanumeric: 'isAlphanumeric', IsNumeric: 'isNumeric', IsInt: 'isInt',
+    IsFloat: 'isFloat', IsDecimal: 'isDecimal', IsLowercase: 'isLowercase', IsUppercase: 'isUppercase',
+    NotEmpty: 'notEmpty', Equals: 'equals', Contains: 'contains', NotContains: 'notContains',
+    IsIn: 'isIn', NotIn: 'notIn', Length: 'len', IsDate: 'isDate', IsAfter: 'isAfter', IsBefore: 'isBefore',
+    Min: 'min', Max: 'max', Is: 'is', Not: 'not', IsArray: 'isArray', IsCreditCard: 'isCreditCard'
+};
+
+function sqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function sqlList(values) {
+    return values.map(value => (typeof value === 'number' ? String(value) : sqlString(value))).join(', ');
+}
+
+/**
+ * `{ pattern, flags }` of an `is` / `not` argument: a regex, a string or `[pattern, flags]`
+ */
+function patternOf(arg) {
+    if (isSymbolic(arg, 'regex')) return {pattern: arg.pattern, flags: arg.flags};
+    if (typeof arg === 'string') return {pattern: arg, flags: ''};
+    if (Array.isArray(arg) && typeof arg[0] === 'string') return {pattern: arg[0], flags: typeof arg[1] === 'string' ? arg[1] : ''};
+    return null;
+}
+
+function regexCheck(column, arg, negate = false) {
+    const regex = patternOf(arg);
+    if (!regex) return null;
+    const operator = `${negate ? '!' : ''}~${regex.flags.includes('i') ? '*' : ''}`;
+    return `${column} ${operator} ${sqlString(regex.pattern)}`;
+}
+
+// `STRING(50)`, `STRING({ length: 50 })`; a bare STRING is VARCHAR(255)
+function declaredLength(type) {
+    for (const arg of type.args || []) {
+        if (typeof arg === 'number') return arg;
+        if (isPlainObject(arg) && typeof arg.length === 'number') return arg.length;
+    }
+    return 255;
+}
+
+function typeName(column) {
+    return isSymbolic(column.type, 'dataType') ? column.type.name : null;
+}
+
+/**
+ * Covered when the column has one of `names` as its type
+ */
+function typeRule(names, fix) {
+    return {
+        covered: (column) => (names.includes(typeName(column)) ? `${typeName(column)} column type` : null),
+        fix: () => fix
+    };
+}
+
+/**
+ * Covered by a CHECK constraint; `expression` builds it from the quoted column
+ * and `shape` recognizes an existing CHECK that implements the validator
+ */
+function checkRule(shape, expression) {
+    return {covered: () => null, shape, check: expression};
+}
+
+const REGEX_SHAPE = /~|SIMILAR TO|LIKE/i;
+
+// How the database can enforce each built-in validator
+const VALIDATOR_RULES = {
+    isUUID: typeRule(['UUID'], 'Use the UUID column type'),
+    isInt: typeRule(INTEGER_TYPES, 'Use an integer column type'),
+    isNumeric: typeRule(NUMERIC_TYPES, 'Use a numeric column type'),
+    isFloat: typeRule(NUMERIC_TYPES, 'Use a numeric column type'),
+    isDecimal: typeRule(NUMERIC_TYPES, 'Use a numeric column type'),
+    isDate: typeRule(DATE_TYPES, 'Use a DATE column type'),
+    notNull: {
+        covered: (column) => (effectiveAllowNull(column) ? null : 'NOT NULL'),
+        fix: () => 'Make the column allowNull: false'
+    },
+    isEmail: checkRule(REGEX_SHAPE, column => `${column} ~* '^[^@[:space:]]+@[^@[:space:]]+\\.[^@[:space:]]+$'`),
+    isUrl: checkRule(REGEX_SHAPE, column => `${column} ~* '^[a-z][a-z0-9+.-]*://'`),
+    isAlpha: checkRule(REGEX_SHAPE, column => `${column} ~ '^[A-Za-z]+$'`),
+    isAlphanumeric: checkRule(REGEX_SHAPE, column => `${column} ~ '^[A-Za-z0-9]+$'`),
+    isLowercase: checkRule(/lower\s*\(/i, column => `${column} = lower(${column})`),
+    isUppercase: checkRule(/upper\s*\(/i, column => `${column} = upper(${column})`),
+    notEmpty: checkRule(/<>\s*''|!=\s*''|length\s*\(/i, column => `${column} <> ''`),
+    equals: checkRule(/=/, (column, arg) => (arg === undefined ? null : `${column} = ${sqlList([arg])}`)),
+    contains: checkRule(/position\s*\(|strpos\s*\(|LIKE|~/i, (column, arg) => (typeof arg === 'string' ? `position(${sqlString(arg)} in ${column}) > 0` : null)),
+    notContains: checkRule(/position\s*\(|strpos\s*\(|LIKE|~/i, (column, arg) => (typeof arg === 'string' ? `position(${sqlString(arg)} in ${column}) = 0` : null)),
+    min: checkRule(/[^<]>|BETWEEN/i, (column, arg) => (typeof arg === 'number' ? `${column} >= ${arg}` : null)),
+    max: checkRule(/<(?!>)|BETWEEN/i, (column, arg) => (typeof arg === 'number' ? `${column} <= ${arg}` : null)),
+    is: checkRule(REGEX_SHAPE, (column, arg) => regexCheck(column, arg)),
+    not: checkRule(REGEX_SHAPE, (column, arg) => regexCheck(column, arg, true)),
+    isIn: {
+        // An ENUM whose values all pass the validator
+        covered: (column, arg) => {
+            const values = Array.isArray(arg) && Array.isArray(arg[0]) ? arg[0] : null;
+            if (typeName(column) !== 'ENUM' || !values || !column.type.values) return null;
+            return column.type.values.every(value => values.includes(value)) ? 'ENUM type' : null;
+        },
+        shape: /\bIN\s*\(|=\s*ANY/i,
+        check: (column, arg) => (Array.isArray(arg) && Array.isArray(arg[0]) ? `${column} IN (${sqlList(arg[0])})` : null)
+    },
+    notIn: checkRule(/NOT\s+IN|<>\s*ALL/i, (column, arg) => (Array.isArray(arg) && Array.isArray(arg[0]) ? `${column} NOT IN (${sqlList(arg[0])})` : null)),
+    len: {
+        // VARCHAR(n) enforces the maximum; a minimum needs a CHECK
+        covered: (column, arg) => {
+            const [min = 0, max] = Array.isArray(arg) ? arg : [];
+            const length = LENGTH_TYPES.includes(typeName(column)) ? declaredLength(column.type) : null;
+            if (length === null || min > 0 || typeof max !== 'number' || length > max) return null;
+            return `VARCHAR(${length})`;
+        },
+        shape: /length\s*\(/i,
+        check: (column, arg) => {
+            const [min = 0, max] = Array.isArray(arg) ? arg : [];
+            if (typeof max === 'number') return min > 0 ? `char_length(${column}) BETWEEN ${min} AND ${max}` : `char_length(${column}) <= ${max}`;
+            return min > 0 ? `char_length(${column}) >= ${min}` : null;
+        }
+    }
+};
+
+/**
+ * Unwraps `{ args, msg }` validator options to their arguments
+ */
+function validatorArgs(value) {
+    if (isPlainObject(value) && !isSymbolic(value) && Object.prototype.hasOwnProperty.call(value, 'args')) return value.args;
+    return value;
+}
+
+/**
+ * Every validator declared on an attribute: `{ name, args, line, label, custom }`
+ */
+function attributeValidators(attribute) {
+    const validators = [];
+    const column = attribute.column;
+    if (isPlainObject(column.validate)) {
+        for (const [name, value] of Object.entries(column.validate)) {
+            if (value === false) continue;
+            const custom = !VALIDATOR_RULES[name] && (isSymbolic(value, 'function') || isSymbolic(value, 'ref'));
+            validators.push({
+                name,
+                args: validatorArgs(value),
+                line: (column.lines && column.lines.validate) || attribute.line,
+                label: `validate.${name}`,
+                custom
+            });
+        }
+    }
+    for (const decorator of attribute.decorators) {
+        const name = DECORATOR_VALIDATORS[decorator.name];
+        if (!name) continue;
+        const args = decorator.args || [];
+        let value = args.length === 0 ? true : args[args.length - 1];
+        if (name === 'len' && isPlainObject(value)) value = [value.min || 0, value.max];
+        validators.push({
+            name,
+            args: validatorArgs(value),
+            line: decorator.line,
+            label: `@${decorator.name}${args.length ? '(...)' : ''}`,
+            custom: false
+        });
+    }
+    if (column.unique) {
+        validators.push({name: 'unique', args: column.unique, line: (column.lines && column.lines.unique) || attribute.line, label: 'unique', custom: false});
+    }
+    return validators;
+}
+
+function constraintText(constraint) {
+    const options = constraint.options || {};
+    if (typeof options.sql === 'string') return options.sql;
+    if (isSymbolic(options.where, 'literal')) return options.where.sql || '';
+    return JSON.stringify(options.where || {});
+}
+
+/**
+ * CHECK constraints that mention the column
+ */
+function checkConstraintsOn(table, columnName) {
+    const mention = new RegExp(`(^|[^\\w])"?${columnName}"?([^\\w]|$)`);
+    return table.constraints.filter(constraint => {
+        const options = constraint.options || {};
+        if (String(options.type || '').toLowerCase() !== 'check') return false;
+        return constraint.fields.includes(columnName) || mention.test(constraintText(constraint));
+    });
+}
+
+function isUniqueIndexed(table, column) {
+    if (column.unique || column.primaryKey) return true;
+    const only = fields => fields.length === 1 && fields[0] === column.name;
+    return table.indexes.some(index => index.unique && only(index.fields)) ||
+        table.constraints.some(constraint => String((constraint.options || {}).type || '').toLowerCase() === 'unique' && only(constraint.fields));
+}
+
+function constraintName(table, column, validator) {
+    return `${table}_${column}_${toSnakeCase(validator)}`;
+}
+
+// Postgres' own name for a column's UNIQUE constraint
+function uniqueConstraintName(entry) {
+    return `${entry.table.name}_${entry.column.name}_key`;
+}
+
+/**
+ * Checks one validator against the replayed column: `{ covered, check, fix }`
+ */
+function coverage(validator, table, column) {
+    if (validator.name === 'unique') {
+        return isUniqueIndexed(table, column)
+            ? {covered: 'unique index', check: null, fix: null}
+            : {covered: null, check: null, unique: true, fix: null};
+    }
+    const rule = VALIDATOR_RULES[validator.name];
+    const name = constraintName(table.name, column.name, validator.name);
+    // A CHECK implementing the validator; any CHECK on the column for custom validators
+    const checks = checkConstraintsOn(table, column.name).filter(check => (
+        check.name === name || !rule || !rule.shape || rule.shape.test(constraintText(check))
+    ));
+    const byRule = rule && rule.covered(column, validator.args);
+    if (byRule) return {covered: byRule, check: null, fix: null};
+    if (checks.length > 0) return {covered: `CHECK ${checks.map(check => check.name).join(', ')}`, check: null, fix: null};
+    // Custom validators usually restrict the value set, which an ENUM already does
+    if (validator.custom && typeName(column) === 'ENUM') return {covered: 'ENUM type', check: null, fix: null};
+
+    const check = rule && rule.check ? rule.check(`"${column.name}"`, validator.args) : null;
+    if (check) return {covered: null, check, fix: null};
+    return {
+        covered: null,
+        check: null,
+        fix: rule && rule.fix ? rule.fix() : `Add a CHECK constraint on '${column.name}' that implements ${validator.name}`
+    };
+}
+
+/**
+ * Every validator of a model with its coverage by the schema. Attributes
+ * whose table or column does not exist are skipped (other checks report them).
+ */
+function validatorCoverage(model, schema) {
+    const table = schema.tables.get(model.tableName);
+    if (!table) return [];
+    const entries = [];
+    for (const attribute of model.attributes) {
+        const column = table.columns.get(attribute.columnName);
+        if (!column) continue;
+        for (const validator of attributeValidators(attribute)) {
+            // Payload validators of JSON columns are covered by the column's JSON Schema (see json-schemas.js)
+            if (validator.custom && JSON_TYPES.includes(typeName(column))) continue;
+            entries.push({model, attribute, table, column, validator, ...coverage(validator, table, column)});
+        }
+    }
+    return entries;
+}
+
+
+/**
+ * `addConstraint(...)` call (or other fix) closing one gap
+ */
+function describeFix(entry) {
+    if (entry.check) {
+        return `queryInterface.addConstraint('${entry.table.name}', { fields: ['${entry.column.name}'], type: 'check', ` +
+            `name: '${constraintName(entry.table.name, entry.column.name, entry.validator.name)}', where: Sequelize.literal(${JSON.stringify(entry.check)}) })`;
+    }
+    if (entry.unique) {
+        return `queryInterface.addConstraint('${entry.table.name}', { fields: ['${entry.column.name}'], type: 'unique', ` +
+            `name: '${uniqueConstraintName(entry)}' })`;
+    }
+    return entry.fix;
+}
+
+/**
+ * Warnings for validators the database does not enforce
+ */
+function checkValidatorCoverage(models, schema) {
+    const findings = [];
+    for (const model of models) {
+        for (const entry of validatorCoverage(model, schema)) {
+            if (entry.covered) continue;
+            findings.push(createFinding({
+                category: 'Structural Integrity',
+                rule: 'validator-db-coverage',
+                severity: SEVERITY.WARNING,
+                message: `Validator ${entry.validator.label} on ${model.name}.${entry.attribute.name} is not enforced by the database`,
+                model: {file: model.file, line: entry.validator.line, detail: `${entry.attribute.name}: ${entry.validator.label}`},
+                migration: {file: entry.column.file, line: entry.column.line, detail: `${entry.table.name}.${entry.column.name} has no equivalent constraint`},
+                impact: 'Rows written outside the model (raw SQL, bulk updates without validation, other services) can break the rule',
+                fix: describeFix(entry),
+                primary: 'model'
+            }));
+        }
+    }
+    return findings;
+}
+
+/**
+ * Migration plans (see `planMigration`) adding the CHECK and UNIQUE
+ * constraints that close the gaps, one per table
+ */
+function constraintPlans(entries) {
+    const plans = new Map();
+    for (const entry of entries) {
+        if (entry.covered || (!entry.check && !entry.unique)) continue;
+        const table = entry.table.name;
+        if (!plans.has(table)) {
+            plans.set(table, {table, createTable: null, addColumns: [], changeColumns: [], addIndexes: [], addConstraints: [], untouched: []});
+        }
+        const plan = plans.get(table);
+        const constraint = entry.unique
+            ? {name: uniqueConstraintName(entry), fields: [entry.column.name], type: 'unique', check: null}
+            : {name: constraintName(table, entry.column.name, entry.validator.name), fields: [entry.column.name], type: 'check', check: entry.check};
+        if (!plan.addConstraints.some(existing => existing.name === constraint.name)) plan.addConstraints.push(constraint);
+    }
+    return [...plans.values()];
+}
+
+module.exports = {
+    attributeValidators,
+    checkValidatorCoverage,
+    constraintPlans,
+    describeFix,
+    validatorCoverage
+};
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {parseModelFile} = require('./convention-linter/model-parser');
+const {listModelFiles} = require('./convention-linter/project-files');
+const {buildColumnSchema, jsonAttributes, loadColumnSchema, schemaFile} = require('./convention-linter/json-schemas');
+
+// Generates the JSON Schema of JSON / JSONB model attributes from their
+// TypeScript type (e.g. `smartyData: usStreet.Candidate`) into JSON_SCHEMAS_DIR
+// (default 'src/json-schemas'). Run it from the repository root with the
+// dependencies installed, so package types resolve:
+//   node .github/scripts/generate-json-schema.js <model file | Model class> [attribute] [--data-migration <file> | --no-data-migration] [--dry-run]
+// A schema whose type changed is written as the next version; name the data
+// migration that rewrites existing rows with --data-migration, or pass
+// --no-data-migration when they need no change.
+
+function parseArgs(argv) {
+    const options = {model: null, attribute: null, dataMigration: undefined, dryRun: false};
+    for (let position = 0; position < argv.length; position++) {
+        const arg = argv[position];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--no-data-migration') {
+            options.dataMigration = false;
+        } else if (arg === '--data-migration') {
+            const value = argv[++position];
+            if (value === undefined) throw new Error(`Option ${arg} requires a value`);
+            options.dataMigration = path.basename(value);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!options.model) {
+            options.model = arg;
+        } else if (!options.attribute) {
+            options.attribute = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    if (!options.model) throw new Error('Name a model file or model class');
+    return options;
+}
+
+function findModels(entry) {
+    const parse = (file) => parseModelFile(file, fs.readFileSync(file, 'utf8')).models;
+    if (fs.existsSync(entry)) return parse(entry);
+    const model = listModelFiles().flatMap(parse).find(candidate => candidate.name === entry);
+    if (!model) throw new Error(`No model file or model class named '${entry}'`);
+    return [model];
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let generated = 0;
+
+    for (const model of findModels(options.model)) {
+        const attributes = jsonAttributes(model).filter(attribute => !options.attribute || attribute.name === options.attribute);
+        if (options.attribute && attributes.length === 0) {
+            throw new Error(`${model.name} has no JSON or JSONB attribute named '${options.attribute}'`);
+        }
+        for (const attribute of attributes) {
+            const file = schemaFile(model, attribute);
+            const previous = loadColumnSchema(file);
+            const {document, stale, unresolved} = buildColumnSchema(model, attribute, previous);
+            generated++;
+
+            if (unresolved.length > 0) {
+                const recorded = previous && previous['x-typescript'];
+                if (recorded && !(recorded.unresolved || []).length) {
+                    throw new Error(`${model.name}.${attribute.name}: could not resolve ${unresolved.join(', ')}, ` +
+                        `which ${file} was generated with. Install the dependencies (npm ci) and run again.`);
+                }
+                console.warn(`⚠️  ${model.name}.${attribute.name}: could not resolve ${unresolved.join(', ')}; ` +
+                    'they accept any value. Install the dependencies (npm ci) for a complete schema.');
+            }
+            if (!stale && options.dataMigration === undefined) {
+                console.log(`✅ ${model.name}.${attribute.name}: ${file} is up to date (version ${document['x-version']})`);
+                continue;
+            }
+            if (options.dataMigration !== undefined && document['x-version'] > 1) {
+                document['x-data-migration'] = options.dataMigration;
+            }
+
+            const source = `${JSON.stringify(document, null, 2)}\n`;
+            if (options.dryRun) {
+                console.log(`--- ${file} ---\n${source}`);
+                continue;
+            }
+            fs.mkdirSync(path.dirname(file), {recursive: true});
+            fs.writeFileSync(file, source);
+            console.log(`📝 ${model.name}.${attribute.name}: wrote ${file} (version ${document['x-version']})`);
+            if (document['x-data-migration'] === null) {
+                console.log(`   The type changed: add a migration that rewrites existing rows and run again with ` +
+                    '--data-migration <file>, or with --no-data-migration if they need no change.');
+            }
+        }
+    }
+    if (generated === 0) console.log(`ℹ️  ${options.model} has no JSON or JSONB attributes`);
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('Usage: node .github/scripts/generate-json-schema.js <model file | Model class> [attribute] ' +
+        '[--data-migration <file> | --no-data-migration] [--dry-run]');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {parseModelFile} = require('./convention-linter/model-parser');
+const {listMigrationFiles, listModelFiles, DEFAULT_MIGRATIONS_DIR} = require('./convention-linter/project-files');
+const {loadMigrationHistory, replaySchema} = require('./convention-linter/schema-replay');
+const {
+    isEmptyPlan,
+    migrationFileName,
+    migrationTimestamp,
+    planMigration,
+    renderMigration
+} = require('./convention-linter/migration-generator');
+
+// Generates a migration skeleton for each given model from the difference
+// between the model and the schema replayed from the existing migrations.
+// Run it from the repository root:
+//   node .github/scripts/generate-migration.js src/models/address.model.ts [--name add-geo-columns] [--dry-run]
+// Models can also be given by class name (e.g. Address). MIGRATIONS_DIR and
+// MODELS_DIR override 'src/migrations' and 'src/models' like in the linter.
+// Foreign keys the associations of the project's models imply get
+// references, onDelete and an index, as the association checks expect.
+
+function parseArgs(argv) {
+    const options = {models: [], name: null, dryRun: false, enumsModule: undefined};
+    for (let position = 0; position < argv.length; position++) {
+        const arg = argv[position];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--name' || arg === '--enums-module') {
+            const value = argv[++position];
+            if (value === undefined) throw new Error(`Option ${arg} requires a value`);
+            if (arg === '--name') options.name = value;
+            else options.enumsModule = value;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.models.push(arg);
+        }
+    }
+    if (options.models.length === 0) {
+        throw new Error('Name at least one model file or model class');
+    }
+    return options;
+}
+
+function parseModels(file) {
+    return parseModelFile(file, fs.readFileSync(file, 'utf8')).models;
+}
+
+/**
+ * Resolves model file paths and class names to parsed models
+ */
+function findModels(requested, projectModels) {
+    const found = [];
+
+    for (const entry of requested) {
+        if (fs.existsSync(entry)) {
+            found.push(...parseModels(entry));
+            continue;
+        }
+        const model = projectModels.find(candidate => candidate.name === entry);
+        if (!model) throw new Error(`No model file or model class named '${entry}'`);
+        found.push(model);
+    }
+    return found;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const migrationsDir = process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR;
+    const history = loadMigrationHistory(migrationsDir);
+    for (const {file, error} of history.failures) {
+        console.warn(`⚠️  Could not replay ${file}: ${error.message}. The generated migration may repeat its changes.`);
+    }
+    const schema = replaySchema(history.migrations);
+    const existing = listMigrationFiles(migrationsDir);
+    // Associations in every model give the foreign keys of a table
+    const projectModels = listModelFiles().flatMap(parseModels);
+
+    for (const model of findModels(options.models, projectModels)) {
+        const plan = planMigration(model, schema, projectModels);
+        for (const note of plan.untouched) {
+            console.log(`ℹ️  ${model.name}: ${note}; remove it in a migration of its own if intended`);
+        }
+        for (const suggestion of plan.suggestions) {
+            console.log(`💡 ${model.name}: ${suggestion}`);
+        }
+        if (isEmptyPlan(plan)) {
+            console.log(`✅ ${model.name}: the migrations already match the model`);
+            continue;
+        }
+
+        const source = renderMigration(plan, {enumsModule: options.enumsModule});
+        const file = path.join(migrationsDir, migrationFileName(plan, migrationTimestamp(existing), options.name));
+        if (options.dryRun) {
+            console.log(`--- ${file} ---\n${source}`);
+            continue;
+        }
+        fs.mkdirSync(migrationsDir, {recursive: true});
+        fs.writeFileSync(file, source);
+        existing.push(file);
+        console.log(`📝 ${model.name}: wrote ${file}`);
+    }
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('Usage: node .github/scripts/generate-migration.js <model file | Model class>... ' +
+        '[--name <description>] [--enums-module <module>] [--dry-run]');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {DEFAULT_MODELS_DIR} = require('./convention-linter/project-files');
+const {loadMigrationHistory, replaySchema} = require('./convention-linter/schema-replay');
+const {modelClassName, modelFileName, renderModel} = require('./convention-linter/model-generator');
+
+// Generates a sequelize-typescript model for each given table by replaying
+// the migrations. Run it from the repository root:
+//   node .github/scripts/generate-model.js addresses [--class Address] [--dry-run] [--force]
+// MIGRATIONS_DIR and MODELS_DIR override 'src/migrations' and 'src/models'.
+
+function parseArgs(argv) {
+    const options = {tables: [], className: null, dryRun: false, force: false};
+    for (let position = 0; position < argv.length; position++) {
+        const arg = argv[position];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--force') {
+            options.force = true;
+        } else if (arg === '--class') {
+            options.className = argv[++position];
+            if (options.className === undefined) throw new Error('Option --class requires a value');
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.tables.push(arg);
+        }
+    }
+    if (options.tables.length === 0) throw new Error('Name at least one table');
+    if (options.className && options.tables.length > 1) throw new Error('--class needs exactly one table');
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const history = loadMigrationHistory();
+    for (const {file, error} of history.failures) {
+        console.warn(`⚠️  Could not replay ${file}: ${error.message}. The generated model may be incomplete.`);
+    }
+    const schema = replaySchema(history.migrations);
+    const modelsDir = process.env.MODELS_DIR || DEFAULT_MODELS_DIR;
+
+    for (const tableName of options.tables) {
+        const table = schema.tables.get(tableName);
+        if (!table) {
+            throw new Error(`No migration creates table '${tableName}'. Known tables: ${[...schema.tables.keys()].join(', ') || 'none'}`);
+        }
+
+        const className = options.className || modelClassName(tableName);
+        const file = path.join(modelsDir, modelFileName(className));
+        const {source} = renderModel(table, {className, modelFile: file});
+        if (options.dryRun) {
+            console.log(`--- ${file} ---\n${source}`);
+            continue;
+        }
+        if (fs.existsSync(file) && !options.force) {
+            throw new Error(`${file} already exists. Use --force to overwrite it or --dry-run to compare`);
+        }
+        fs.mkdirSync(modelsDir, {recursive: true});
+        fs.writeFileSync(file, source);
+        console.log(`📝 ${className}: wrote ${file}`);
+    }
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('Usage: node .github/scripts/generate-model.js <table>... [--class <Name>] [--dry-run] [--force]');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const {parseModelFile} = require('./convention-linter/model-parser');
+const {listMigrationFiles, listModelFiles, DEFAULT_MIGRATIONS_DIR} = require('./convention-linter/project-files');
+const {loadMigrationHistory, replaySchema} = require('./convention-linter/schema-replay');
+const {migrationFileName, migrationTimestamp, renderMigration} = require('./convention-linter/migration-generator');
+const {constraintPlans, describeFix, validatorCoverage} = require('./convention-linter/validator-coverage');
+
+// Lists every model validator and whether the database enforces it (column
+// type, ENUM, VARCHAR length, NOT NULL, unique index or CHECK constraint).
+// Run it from the repository root:
+//   node .github/scripts/validator-coverage.js [model file | Model class]... [--migration] [--dry-run]
+// Without models every model in MODELS_DIR is listed. --migration writes a
+// migration per table adding the missing CHECK and UNIQUE constraints.
+
+function parseArgs(argv) {
+    const options = {models: [], migration: false, dryRun: false};
+    for (const arg of argv) {
+        if (arg === '--migration') {
+            options.migration = true;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.models.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Resolves model file paths and class names to parsed models; every project
+ * model when none are requested
+ */
+function findModels(requested) {
+    const parse = (file) => parseModelFile(file, fs.readFileSync(file, 'utf8')).models;
+    let projectModels = null;
+    const project = () => (projectModels = projectModels || listModelFiles().flatMap(parse));
+    if (requested.length === 0) return project();
+
+    return requested.flatMap(entry => {
+        if (fs.existsSync(entry)) return parse(entry);
+        const model = project().find(candidate => candidate.name === entry);
+        if (!model) throw new Error(`No model file or model class named '${entry}'`);
+        return [model];
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const migrationsDir = process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR;
+    const history = loadMigrationHistory(migrationsDir);
+    for (const {file, error} of history.failures) {
+        console.warn(`⚠️  Could not replay ${file}: ${error.message}. Coverage may be incomplete.`);
+    }
+    const schema = replaySchema(history.migrations);
+
+    const entries = [];
+    for (const model of findModels(options.models)) {
+        if (!schema.tables.has(model.tableName)) {
+            console.log(`⚠️  ${model.name}: table '${model.tableName}' is not created by any migration`);
+            continue;
+        }
+        const coverage = validatorCoverage(model, schema);
+        if (coverage.length === 0) continue;
+        console.log(`📋 ${model.name} (${model.tableName})`);
+        for (const entry of coverage) {
+            const label = `${entry.attribute.name} ${entry.validator.label}`;
+            if (entry.covered) {
+                console.log(`  ✅ ${label}: ${entry.covered}`);
+            } else {
+                console.log(`  ❌ ${label}: not enforced by the database`);
+                console.log(`     ${describeFix(entry)}`);
+            }
+        }
+        entries.push(...coverage);
+    }
+
+    const gaps = entries.filter(entry => !entry.covered).length;
+    console.log(`\n${gaps === 0 ? '✅' : '⚠️ '} ${entries.length} validator(s), ${gaps} without a database equivalent`);
+    if (!options.migration) return;
+
+    const existing = listMigrationFiles(migrationsDir);
+    for (const plan of constraintPlans(entries)) {
+        const source = renderMigration(plan);
+        const file = path.join(migrationsDir, migrationFileName(plan, migrationTimestamp(existing)));
+        if (options.dryRun) {
+            console.log(`--- ${file} ---\n${source}`);
+            continue;
+        }
+        fs.mkdirSync(migrationsDir, {recursive: true});
+        fs.writeFileSync(file, source);
+        existing.push(file);
+        console.log(`📝 ${plan.table}: wrote ${file}`);
+    }
+}
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log('Usage: node .github/scripts/validator-coverage.js [model file | Model class]... [--migration] [--dry-run]');
+    process.exit(0);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}